@@ -0,0 +1,106 @@
+var moment = require('moment')
+  , tb = require('timebucket')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+  , objectifySelector = require('../lib/objectify-selector')
+  , audit = require('../lib/audit')
+  , candles = require('../lib/candles')
+  , collectionService = require('../lib/services/collection-service')
+
+module.exports = function (program, conf) {
+  program
+    .command('audit [selector]')
+    .description('check the stored trades for gaps, duplicates, out of order trades, price spikes and zero sizes')
+    .option('--conf <path>', 'path to optional conf overrides file')
+    .option('--period_length <length>', 'period length the gaps are counted in', String, conf.audit_period_length)
+    .option('--gap_periods <n>', 'report gaps of more than this many periods without a trade', Number, conf.audit_gap_periods)
+    .option('--sigma <k>', 'report prices more than k standard deviations of the recent returns away', Number, conf.audit_sigma)
+    .option('--window <n>', 'number of recent returns the spikes are measured against', Number, conf.audit_window)
+    .option('--examples <n>', 'number of examples shown of each issue', Number, 10)
+    .option('--start <datetime>', 'start ("YYYYMMDDhhmm")')
+    .option('--end <datetime>', 'end ("YYYYMMDDhhmm")')
+    .option('--days <days>', 'audit this many days, all trades when not given', Number)
+    .option('--repair', 'rewrite the resume markers to the runs of trades between the gaps, so backfill fetches the gaps again')
+    .action(function (selector, cmd) {
+      selector = objectifySelector(selector || conf.selector)
+      var collectionServiceInstance = collectionService(conf)
+      var tradesCollection = collectionServiceInstance.getTrades()
+      var resume_markers = collectionServiceInstance.getResumeMarkers()
+
+      var start = cmd.start ? moment(cmd.start, 'YYYYMMDDhhmm').valueOf() : null
+      var end = cmd.end ? moment(cmd.end, 'YYYYMMDDhhmm').valueOf() : null
+      if (start && cmd.days && !end) end = tb(start).resize('1d').add(cmd.days).toMilliseconds()
+      if (!start && cmd.days) start = (end ? tb(end).resize('1d') : tb('1d')).subtract(cmd.days).toMilliseconds()
+      // markers of the trades outside the range would be lost
+      if (cmd.repair && (start || end)) {
+        console.error('--repair rewrites all resume markers of ' + selector.normalized + ', audit all its trades without --start, --end or --days')
+        process.exit(1)
+      }
+      var exchange = null
+      if (cmd.repair) {
+        exchange = require(`../extensions/exchanges/${selector.exchange_id}/exchange`)(conf)
+        if (!exchange) {
+          console.error('cannot repair the resume markers of ' + selector.normalized + ': exchange not implemented')
+          process.exit(1)
+        }
+      }
+
+      var query = {selector: selector.normalized}
+      if (start || end) query.time = {}
+      if (start) query.time.$gte = start
+      if (end) query.time.$lte = end
+      var auditor = audit({
+        gap_ms: cmd.gap_periods * candles.sizeMs(cmd.period_length),
+        sigma: cmd.sigma,
+        window: cmd.window,
+        examples: cmd.examples
+      })
+
+      console.log('auditing ' + selector.normalized + ' trades...')
+      var stream = tradesCollection.find(query).sort({time: 1}).stream()
+      stream.on('data', function (trade) {
+        auditor.add(trade)
+      })
+      stream.on('error', fail)
+      stream.on('end', function () {
+        tradesCollection.aggregate([
+          {$match: query},
+          {$group: {_id: '$trade_id', n: {$sum: 1}}},
+          {$match: {n: {$gt: 1}}},
+          {$sort: {n: -1}}
+        ], {allowDiskUse: true}).toArray()
+          .then(function (groups) {
+            auditor.duplicates(groups)
+            var report = auditor.report()
+            if (!report.trades) {
+              console.error('no trades found! try running `zenbot backfill ' + selector.normalized + '` first')
+              process.exit(1)
+            }
+            console.log()
+            audit.lines(report).concat([''], audit.coverage(report)).forEach(function (line) {
+              console.log(line)
+            })
+            if (!cmd.repair) process.exit(0)
+            repair(report)
+          })
+          .catch(fail)
+      })
+
+      function repair (report) {
+        var markers = audit.markers(report.runs, selector.normalized, trade => exchange.getCursor(trade))
+        resume_markers.deleteMany({selector: selector.normalized})
+          .then(() => resume_markers.insertMany(markers))
+          .then(function () {
+            console.log('\nwrote ' + markers.length + ' resume markers, `zenbot backfill ' + selector.normalized + '` will fetch the gaps between them')
+            process.exit(0)
+          })
+          .catch(fail)
+      }
+
+      function fail (err) {
+        console.error('audit failed')
+        console.error(err)
+        process.exit(1)
+      }
+    })
+}
@@ -0,0 +1,158 @@
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , fork = require('child_process').fork
+  , minimist = require('minimist')
+  , moment = require('moment')
+  , tb = require('timebucket')
+  , async = require('async')
+  , _ = require('lodash')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+  , objectifySelector = require('../lib/objectify-selector')
+  , compare = require('../lib/compare')
+  , collectionService = require('../lib/services/collection-service')
+
+// compare's own options, everything else is passed on to every candidate
+var own_options = ['_', 'strategies', 'conf', 'rank_by', 'parallel', 'filename', 'start', 'end', 'days']
+
+module.exports = function (program, conf) {
+  program
+    .command('compare [selector]')
+    .allowUnknownOption()
+    .description('run strategies and confs side by side on the same trades and rank them')
+    .option('--strategies <names>', 'comma separated strategies to compare')
+    .option('--conf <paths>', 'comma separated conf overrides files to compare, each with every strategy')
+    .option('--rank_by <metric>', 'metric to rank by (profit/vs_buy_hold/sharpe/sortino/calmar/max_drawdown/profit_factor/expectancy/win_rate)', /^(profit|vs_buy_hold|sharpe|sortino|calmar|max_drawdown|profit_factor|expectancy|win_rate)$/i, 'profit')
+    .option('--parallel <n>', 'number of candidates to run at once', Number, Math.max(1, os.cpus().length - 1))
+    .option('--filename <filename>', 'filename for the html report. "none" to disable', String)
+    .option('--start <datetime>', 'start ("YYYYMMDDhhmm")')
+    .option('--end <datetime>', 'end ("YYYYMMDDhhmm")')
+    .option('--days <days>', 'set duration by day count', Number, conf.days)
+    .option('--currency_capital <amount>', 'amount of start capital in currency', Number, conf.currency_capital)
+    .option('--asset_capital <amount>', 'amount of start capital in asset', Number, conf.asset_capital)
+    .action(function (selector, cmd) {
+      var argv = minimist(process.argv)
+      var split = list => (list ? String(list).split(',').map(item => item.trim()).filter(Boolean) : [])
+      var candidates = compare.candidates(split(cmd.strategies), split(cmd.conf))
+      if (candidates.length < 2) {
+        console.error('nothing to compare, give at least two --strategies or --conf files')
+        process.exit(1)
+      }
+
+      var start = cmd.start ? moment(cmd.start, 'YYYYMMDDhhmm').valueOf() : null
+      var end = cmd.end ? moment(cmd.end, 'YYYYMMDDhhmm').valueOf() : null
+      if (start && cmd.days && !end) end = tb(start).resize('1d').add(cmd.days).toMilliseconds()
+      if (end && cmd.days && !start) start = tb(end).resize('1d').subtract(cmd.days).toMilliseconds()
+      if (!start && cmd.days) start = tb('1d').subtract(cmd.days).toMilliseconds()
+
+      // what every candidate shares, like the options of zenbot sim
+      var shared = _.pickBy(conf, v => !_.isObject(v))
+      Object.keys(argv).forEach(function (k) {
+        if (own_options.indexOf(k) === -1) shared[k] = argv[k]
+      })
+      Object.assign(shared, {
+        selector: objectifySelector(selector || conf.selector),
+        start: start,
+        end: end,
+        currency_capital: cmd.currency_capital,
+        asset_capital: cmd.asset_capital,
+        mode: 'sim',
+        silent: true,
+        filename: 'none'
+      })
+      delete shared.days
+      try {
+        candidates.forEach(function (candidate) {
+          candidate.options = compare.options(shared, candidate)
+        })
+      }
+      catch (err) {
+        console.error('cannot compare: ' + err.message)
+        process.exit(1)
+      }
+
+      var run_id = moment().format('YYYYMMDDHHmmss')
+      var sims_dir = path.resolve(__dirname, '..', 'simulations')
+      if (!fs.existsSync(sims_dir)) fs.mkdirSync(sims_dir)
+      var trades_file = path.resolve(sims_dir, 'compare_' + run_id + '_trades.ndjson')
+      var worker_conf = _.omit(conf, ['eventBus', 'db'])
+
+      // the earliest preroll of all candidates, each worker skips what it does not need
+      function loadTrades (cb) {
+        var query = {selector: shared.selector.normalized}
+        var starts = candidates.map(candidate => compare.queryStart(candidate.options))
+        if (start || end) query.time = {}
+        if (start) query.time.$gte = Math.min.apply(null, starts)
+        if (end) query.time.$lte = end
+        var out = fs.createWriteStream(trades_file)
+        var stream = collectionService(conf).getTrades().find(query).sort({time: 1}).stream()
+        var count = 0
+        stream.on('data', function (trade) {
+          count++
+          if (!out.write(JSON.stringify(trade) + '\n')) {
+            stream.pause()
+            out.once('drain', () => stream.resume())
+          }
+        })
+        stream.on('error', cb)
+        stream.on('end', function () {
+          out.end(() => cb(null, count))
+        })
+      }
+
+      function runCandidate (candidate, cb) {
+        var result = null
+        // the engine's messages of every worker at once would be unreadable,
+        // only the error a worker died of is shown
+        var errors = ''
+        var worker = fork(path.resolve(__dirname, '..', 'lib', 'compare_worker.js'), [], {stdio: ['ignore', 'ignore', 'pipe', 'ipc']})
+        worker.stderr.on('data', function (data) {
+          errors = (errors + data).slice(-4000)
+        })
+        worker.on('message', function (message) {
+          result = message
+        })
+        worker.on('exit', function (code) {
+          var error = errors.split('\n').filter(line => /^\w*Error\b/.test(line)).pop()
+          result = result || {name: candidate.name, strategy: candidate.options.strategy, conf: candidate.conf, error: error || 'worker exited with code ' + code}
+          console.log((result.error ? 'failed ' : 'done ') + candidate.name)
+          cb(null, result)
+        })
+        worker.send({name: candidate.name, conf: worker_conf, conf_file: candidate.conf, options: candidate.options, trades_file: trades_file})
+      }
+
+      console.log('loading ' + shared.selector.normalized + ' trades...')
+      loadTrades(function (err, count) {
+        if (err) {
+          console.error('cannot load trades: ' + err.message)
+          process.exit(1)
+        }
+        if (!count) {
+          fs.unlinkSync(trades_file)
+          console.error('no trades found! try running `zenbot backfill ' + shared.selector.normalized + '` first')
+          process.exit(1)
+        }
+        console.log('comparing ' + candidates.length + ' candidates on ' + count + ' trades')
+        async.mapLimit(candidates, cmd.parallel, runCandidate, function (err, results) {
+          fs.unlinkSync(trades_file)
+          var ranked = compare.rank(results, cmd.rank_by)
+          console.log()
+          compare.lines(ranked).forEach(function (line) {
+            console.log(line)
+          })
+
+          var report = {run_id: run_id, selector: shared.selector.normalized, start: start, end: end, rank_by: cmd.rank_by, results: ranked}
+          var json_file = path.resolve(sims_dir, 'compare_' + run_id + '.json')
+          fs.writeFileSync(json_file, JSON.stringify(report, null, 2))
+          console.log('\nwrote', json_file)
+          if (cmd.filename !== 'none') {
+            var html_file = cmd.filename || path.resolve(sims_dir, 'compare_' + run_id + '.html')
+            fs.writeFileSync(html_file, compare.html(ranked, shared.selector.normalized + ' - zenbot compare ' + run_id))
+            console.log('wrote', html_file)
+          }
+          process.exit(0)
+        })
+      })
+    })
+}
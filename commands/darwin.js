@@ -0,0 +1,270 @@
+var fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , minimist = require('minimist')
+  , moment = require('moment')
+  , n = require('numbro')
+  , async = require('async')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+  , objectifySelector = require('../lib/objectify-selector')
+  , darwin = require('../lib/darwin')
+  , walk = require('../lib/walk_forward')
+
+// darwin's own options, everything else is passed on to the sims
+var own_options = ['_', 'use_strategies', 'population', 'generations', 'population_data', 'fitness', 'min_trades', 'parallel', 'walk_forward', 'in_sample_days', 'out_of_sample_days', 'start', 'end', 'days', 'currency_capital', 'asset_capital', 'include_html', 'silent']
+
+module.exports = function (program, conf) {
+  program
+    .command('darwin [selector]')
+    .allowUnknownOption()
+    .description('evolve strategy parameters with a genetic algorithm over sims')
+    .option('--use_strategies <names>', 'comma separated strategies to evolve, or "all" for every strategy with phenotypes', String, conf.strategy)
+    .option('--population <size>', 'number of sims per strategy in a generation', Number, 100)
+    .option('--generations <n>', 'stop after this many generations, 0 runs until interrupted', Number, 0)
+    .option('--population_data <file>', 'resume from a generation file written by an earlier run')
+    .option('--fitness <type>', 'what to select for (vs_buy_hold/profit/profitwl/wl/sharpe/sortino/calmar)', /^(vs_buy_hold|profit|profitwl|wl|sharpe|sortino|calmar)$/i, 'vs_buy_hold')
+    .option('--min_trades <n>', 'favour parameters making at least this many winning trades', Number, 0)
+    .option('--parallel <n>', 'number of sims to run at once', Number, Math.max(1, os.cpus().length - 1))
+    .option('--walk_forward', 'optimize on rolling in-sample windows and validate the winners on the out-of-sample window after each')
+    .option('--in_sample_days <days>', 'days of history to optimize on per walk forward fold', Number, 30)
+    .option('--out_of_sample_days <days>', 'days of unseen history to validate on per walk forward fold', Number, 10)
+    .option('--start <datetime>', 'start ("YYYYMMDDhhmm")')
+    .option('--end <datetime>', 'end ("YYYYMMDDhhmm")')
+    .option('--days <days>', 'set duration by day count', Number, conf.days)
+    .option('--currency_capital <amount>', 'amount of start capital in currency', Number, conf.currency_capital)
+    .option('--asset_capital <amount>', 'amount of start capital in asset', Number, conf.asset_capital)
+    .option('--include_html', 'write the html report of every sim')
+    .option('--silent', 'run the sims with --silent')
+    .action(function (selector, cmd) {
+      // the backtester needs the dev dependencies, only load it when evolving
+      var backtester = require('../lib/backtester')
+      var argv = minimist(process.argv)
+
+      var saved = null
+      if (cmd.population_data) {
+        saved = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), cmd.population_data), {encoding: 'utf8'}))
+      }
+      selector = objectifySelector(selector || (saved && saved.selector) || conf.selector)
+
+      var names = cmd.use_strategies === 'all' ? fs.readdirSync(path.resolve(__dirname, '..', 'extensions', 'strategies')) : cmd.use_strategies.split(',')
+      if (saved && !argv.use_strategies) names = Object.keys(saved.strategies)
+      var ranges = {}
+      names.forEach(function (name) {
+        var strategy_path = path.resolve(__dirname, '..', 'extensions', 'strategies', name.trim(), 'strategy.js')
+        if (!fs.existsSync(strategy_path)) {
+          console.error('cannot evolve ' + name + ': strategy not found')
+          process.exit(1)
+        }
+        var strategy = require(strategy_path)
+        if (strategy.phenotypes) ranges[name.trim()] = strategy.phenotypes
+        else if (cmd.use_strategies !== 'all') {
+          console.error('cannot evolve ' + name + ': strategy exports no phenotypes')
+          process.exit(1)
+        }
+      })
+      var strategies = Object.keys(ranges)
+
+      var sim_args = {filename: 'none'}
+      ;['start', 'end', 'days', 'currency_capital', 'asset_capital'].forEach(function (k) {
+        if (typeof cmd[k] !== 'undefined') sim_args[k] = cmd[k]
+      })
+      // fixes a parameter for every sim, phenotype or not
+      Object.keys(argv).forEach(function (k) {
+        if (own_options.indexOf(k) === -1) sim_args[k] = argv[k]
+      })
+
+      if (cmd.walk_forward && (saved || !cmd.generations)) {
+        console.error('walk forward needs --generations per fold and cannot resume from --population_data')
+        process.exit(1)
+      }
+
+      var run_id = saved ? saved.run_id : moment().format('YYYYMMDDHHmmss')
+      var generation = saved ? saved.generation + 1 : 0
+      var fold = null
+      var stage
+      var iteration = 0
+      var populations = {}
+      strategies.forEach(function (name) {
+        if (saved && saved.strategies[name]) populations[name] = darwin.evolve(saved.strategies[name], ranges[name], cmd.population)
+        else populations[name] = darwin.seed(ranges[name], cmd.population)
+      })
+
+      var sims_dir = path.resolve(__dirname, '..', 'simulations')
+      if (!fs.existsSync(sims_dir)) fs.mkdirSync(sims_dir)
+      backtester.deLint()
+
+      function writeSimFile (sim_iteration, data) {
+        backtester.writeFileAndFolder(path.resolve(sims_dir, 'darwin_' + run_id, stage, 'sim_' + sim_iteration + '.json'), data)
+      }
+
+      function saveGeneration () {
+        var data = {
+          run_id: run_id,
+          selector: selector.normalized,
+          fitness: cmd.fitness,
+          generation: generation,
+          strategies: {}
+        }
+        strategies.forEach(function (name) {
+          data.strategies[name] = darwin.rank(populations[name]).map(function (phenotype) {
+            var p = Object.assign({}, phenotype)
+            delete p.command
+            return p
+          })
+        })
+        var file = path.resolve(sims_dir, 'generation_data_' + run_id + '_' + stage + '.json')
+        fs.writeFileSync(file, JSON.stringify(data, null, 2))
+        return file
+      }
+
+      function printBest () {
+        strategies.forEach(function (name) {
+          var best = darwin.rank(populations[name]).filter(p => p.sim && p.sim.params).slice(0, 3)
+          console.log(name.cyan)
+          best.forEach(function (p) {
+            console.log('  fitness ' + n(darwin.fitness(p)).format('0.0000').yellow + ', roi ' + n(p.sim.roi).format('0.00') + '%, vs. buy hold ' + n(p.sim.vsBuyHold).format('0.00') + '%, win/loss ' + p.sim.wins + '/' + p.sim.losses + ', sharpe ' + n(p.sim.sharpe).format('0.00') + ', max drawdown ' + n(p.sim.maxDrawdown).format('0.00%'))
+            console.log('  ' + p.sim.params.grey)
+          })
+        })
+      }
+
+      function runSims (tasks, args, label, cb) {
+        backtester.init({simArgs: args, simTotalCount: tasks.length, parallelLimit: cmd.parallel, writeFile: writeSimFile})
+        backtester.resetMonitor()
+        tasks.forEach(task => backtester.trackPhenotype(task.phenotype))
+        backtester.startMonitor()
+
+        async.eachLimit(tasks, cmd.parallel, function (task, next) {
+          task.phenotype.backtester_generation = iteration++
+          var filename = path.resolve(sims_dir, 'darwin_' + run_id + '_' + stage + '_sim_' + task.phenotype.backtester_generation + '.html')
+          var command = backtester.buildCommand(task.strategy, task.phenotype, filename)
+          command.iteration = task.phenotype.backtester_generation
+          backtester.runCommand(task.strategy, task.phenotype, command, function () {
+            // a failed sim ranks last, it does not stop the run
+            next()
+          })
+        }, function () {
+          backtester.stopMonitor(label)
+          cb()
+        })
+      }
+
+      function decorate (phenotype) {
+        phenotype.selector = selector.normalized
+        phenotype.fitnessCalcType = cmd.fitness
+        phenotype.minTrades = cmd.min_trades
+        return phenotype
+      }
+
+      // runs generations over the window of args, done after the last one
+      function runGeneration (args, done) {
+        stage = (fold === null ? '' : 'fold_' + fold + '_') + 'gen_' + generation
+        var tasks = []
+        strategies.forEach(function (name) {
+          populations[name].forEach(function (phenotype) {
+            decorate(phenotype)
+            // the fittest of the last generation keep their results
+            if (!phenotype.sim) tasks.push({strategy: name, phenotype: phenotype})
+          })
+        })
+        console.log('\nGeneration ' + generation + ': ' + tasks.length + ' sims of ' + strategies.join(', ') + ' on ' + selector.normalized)
+
+        runSims(tasks, args, 'Generation ' + generation, function () {
+          console.log(saveGeneration())
+          printBest()
+          if (cmd.generations && generation + 1 >= cmd.generations) return done()
+          strategies.forEach(function (name) {
+            populations[name] = darwin.evolve(populations[name], ranges[name], cmd.population)
+          })
+          generation++
+          runGeneration(args, done)
+        })
+      }
+
+      function windowArgs (start, end) {
+        var args = Object.assign({}, sim_args, {start: moment(start).format('YYYYMMDDHHmm'), end: moment(end).format('YYYYMMDDHHmm')})
+        delete args.days
+        return args
+      }
+
+      function profitOf (result) {
+        return result && result.profit ? result.profit : 0
+      }
+
+      function buyHoldOf (result) {
+        return result && result.startCapital ? result.buyHold / result.startCapital - 1 : 0
+      }
+
+      // optimizes on every in-sample window and re-runs the winners on the
+      // out-of-sample window after it
+      function walkForward () {
+        var end = cmd.end ? moment(cmd.end, 'YYYYMMDDHHmm').valueOf() : moment().valueOf()
+        var start = cmd.start ? moment(cmd.start, 'YYYYMMDDHHmm').valueOf() : moment(end).subtract(cmd.days, 'days').valueOf()
+        var folds = walk.folds(start, end, cmd.in_sample_days, cmd.out_of_sample_days)
+        if (!folds.length) {
+          console.error('walk forward needs at least ' + (cmd.in_sample_days + cmd.out_of_sample_days) + ' days of history, use --days or --start')
+          process.exit(1)
+        }
+        var runs = {}
+        strategies.forEach(name => { runs[name] = [] })
+
+        async.eachOfSeries(folds, function (window, i, next) {
+          fold = i
+          generation = 0
+          strategies.forEach(function (name) {
+            populations[name] = darwin.seed(ranges[name], cmd.population)
+          })
+          console.log(('\nFold ' + i + ': in sample ' + moment(window.in_start).format('YYYY-MM-DD HH:mm') + ' to ' + moment(window.in_end).format('YYYY-MM-DD HH:mm') + ', out of sample to ' + moment(window.out_end).format('YYYY-MM-DD HH:mm')).cyan)
+          runGeneration(windowArgs(window.in_start, window.in_end), function () {
+            stage = 'fold_' + fold + '_out_of_sample'
+            var tasks = strategies.map(function (name) {
+              var best = darwin.rank(populations[name])[0]
+              return {strategy: name, in_sample: best, phenotype: decorate(darwin.genes(best, ranges[name]))}
+            })
+            runSims(tasks, windowArgs(window.out_start, window.out_end), 'Fold ' + i + ' out of sample', function () {
+              tasks.forEach(function (task) {
+                runs[task.strategy].push(Object.assign({
+                  params: darwin.genes(task.phenotype, ranges[task.strategy]),
+                  in_sample: task.in_sample.sim,
+                  out_of_sample: task.phenotype.sim
+                }, window))
+              })
+              next()
+            })
+          })
+        }, function () {
+          var report = {run_id: run_id, selector: selector.normalized, fitness: cmd.fitness, in_sample_days: cmd.in_sample_days, out_of_sample_days: cmd.out_of_sample_days, strategies: {}}
+          strategies.forEach(function (name) {
+            var in_profits = runs[name].map(run => profitOf(run.in_sample))
+            var out_profits = runs[name].map(run => profitOf(run.out_of_sample))
+            var result = report.strategies[name] = {
+              folds: runs[name],
+              out_of_sample: walk.stitch(out_profits),
+              buy_hold: walk.stitch(runs[name].map(run => buyHoldOf(run.out_of_sample))),
+              efficiency: walk.efficiency(in_profits, cmd.in_sample_days, out_profits, cmd.out_of_sample_days),
+              stability: walk.stability(runs[name].map(run => run.params), ranges[name])
+            }
+            console.log('\n' + name.cyan)
+            runs[name].forEach(function (run, i) {
+              console.log('  fold ' + i + ': in sample ' + n(in_profits[i]).format('0.00%') + ', out of sample ' + n(out_profits[i]).format('0.00%').yellow)
+            })
+            console.log('  stitched out of sample ' + n(result.out_of_sample.profit).format('0.00%').yellow + ', buy hold ' + n(result.buy_hold.profit).format('0.00%') + ', efficiency ' + n(result.efficiency).format('0.00') + ', parameter stability ' + n(result.stability.score).format('0.00'))
+            Object.keys(result.stability.params).forEach(function (k) {
+              var param = result.stability.params[k]
+              console.log(('    ' + k + ': ' + n(param.score).format('0.00') + ' ' + JSON.stringify(param.values)).grey)
+            })
+          })
+          var file = path.resolve(sims_dir, 'walk_forward_' + run_id + '.json')
+          fs.writeFileSync(file, JSON.stringify(report, null, 2))
+          console.log('\nwrote', file)
+          process.exit(0)
+        })
+      }
+
+      if (cmd.walk_forward) return walkForward()
+      runGeneration(sim_args, function () {
+        process.exit(0)
+      })
+    })
+}
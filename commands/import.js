@@ -0,0 +1,188 @@
+var fs = require('fs')
+  , path = require('path')
+  , zlib = require('zlib')
+  , crypto = require('crypto')
+  , readline = require('readline')
+  , async = require('async')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+  , objectifySelector = require('../lib/objectify-selector')
+  , importer = require('../lib/import')
+  , collectionService = require('../lib/services/collection-service')
+
+var BATCH = 1000
+
+module.exports = function (program, conf) {
+  program
+    .command('import <selector> <files...>')
+    .description('import trades or klines from CSV/NDJSON/JSON dumps, like the Binance public data files')
+    .option('--conf <path>', 'path to optional conf overrides file')
+    .option('--format <format>', 'layout of headerless rows (auto/trades/binance_trades/binance_agg_trades/binance_klines)', /^(auto|trades|binance_trades|binance_agg_trades|binance_klines)$/i, 'auto')
+    .option('--candle_size <size>', 'size of imported klines, by default taken from their open and close times', String)
+    .option('--debug', 'output detailed debug info')
+    .action(function (selector, files, cmd) {
+      selector = objectifySelector(selector)
+      var collectionServiceInstance = collectionService(conf)
+      var tradesCollection = collectionServiceInstance.getTrades()
+      var candlesCollection = collectionServiceInstance.getCandles()
+      var resume_markers = collectionServiceInstance.getResumeMarkers()
+      // the exchange only gives the cursors of the resume markers
+      var exchange = null
+      try {
+        exchange = require(`../extensions/exchanges/${selector.exchange_id}/exchange`)(conf)
+      }
+      catch (err) {
+        console.error(('cannot load the ' + selector.exchange_id + ' exchange, no resume markers will be written: ' + err.message).yellow)
+      }
+
+      // the rows of a file: a JSON array at once, anything else line by line
+      function rows (file, onRow, cb) {
+        if (/\.json$/i.test(file)) {
+          var list
+          try {
+            list = JSON.parse(fs.readFileSync(file, {encoding: 'utf8'}))
+          }
+          catch (err) {
+            return cb(err)
+          }
+          if (!Array.isArray(list)) return cb(new Error('not a JSON array'))
+          return async.eachSeries(list, function (row, next) {
+            onRow(row, JSON.stringify(row), err => setImmediate(next, err))
+          }, cb)
+        }
+        var input = fs.createReadStream(file)
+        input.on('error', err => end(err))
+        if (/\.gz$/i.test(file)) {
+          input = input.pipe(zlib.createGunzip())
+          input.on('error', err => end(err))
+        }
+        var lines = readline.createInterface({input: input})
+        var queue = [], busy = false, closed = false, done = false
+        function end (err) {
+          if (done) return
+          done = true
+          if (err && lines) lines.close()
+          cb(err)
+        }
+        function drain () {
+          if (busy || done) return
+          if (!queue.length) {
+            if (closed) return end()
+            return lines.resume()
+          }
+          busy = true
+          var line = queue.shift()
+          onRow(line, line, function (err) {
+            busy = false
+            if (err) return end(err)
+            drain()
+          })
+        }
+        lines.on('line', function (line) {
+          queue.push(line)
+          if (queue.length >= BATCH) lines.pause()
+          drain()
+        })
+        lines.on('close', function () {
+          closed = true
+          drain()
+        })
+      }
+
+      function importFile (file, cb) {
+        file = path.resolve(process.cwd(), file)
+        var detected = null, parse = null
+        var batch = []
+        var stats = {rejected: 0, inserted: 0, existing: 0}
+        var marker = {
+          id: crypto.randomBytes(4).toString('hex'),
+          selector: selector.normalized,
+          from: null,
+          to: null,
+          oldest_time: null,
+          newest_time: null
+        }
+        marker._id = marker.id
+        var marked = !!exchange
+
+        function save (cb) {
+          if (!batch.length) return cb()
+          var docs = batch
+          batch = []
+          var collection = detected.kind === 'klines' ? candlesCollection : tradesCollection
+          collection.bulkWrite(docs.map(doc => ({replaceOne: {filter: {_id: doc._id}, replacement: doc, upsert: true}})), {ordered: false})
+            .then(function (result) {
+              stats.inserted += result.upsertedCount
+              stats.existing += result.matchedCount
+              process.stdout.write('.')
+              cb()
+            })
+            .catch(cb)
+        }
+
+        function mark (trade) {
+          var cursor = exchange.getCursor(trade)
+          // made up trade ids cannot be cursors of the exchange
+          if (cursor !== trade.time && typeof trade.trade_id !== 'number') {
+            marked = false
+            return
+          }
+          marker.from = marker.from === null ? cursor : Math.min(marker.from, cursor)
+          marker.to = marker.to === null ? cursor : Math.max(marker.to, cursor)
+          marker.oldest_time = marker.oldest_time === null ? trade.time : Math.min(marker.oldest_time, trade.time)
+          marker.newest_time = marker.newest_time === null ? trade.time : Math.max(marker.newest_time, trade.time)
+        }
+
+        function onRow (row, line, next) {
+          var doc
+          try {
+            if (!detected) {
+              if (!line.trim()) return next()
+              detected = importer.detect(line, cmd.format)
+              parse = importer.parser(detected, selector.normalized, cmd.candle_size)
+              if (cmd.debug) console.log(path.basename(file) + ': ' + detected.kind + ' ' + JSON.stringify(detected.columns))
+              if (detected.header) return next()
+            }
+            doc = parse(row)
+          }
+          catch (err) {
+            return next(err)
+          }
+          if (!doc) {
+            stats.rejected++
+            return next()
+          }
+          if (detected.kind === 'trades' && marked) mark(doc)
+          batch.push(doc)
+          if (batch.length < BATCH) return next()
+          save(next)
+        }
+
+        console.log('importing ' + path.basename(file) + '...')
+        rows(file, onRow, finish)
+
+        function finish (err) {
+          if (err) return cb(new Error(path.basename(file) + ': ' + err.message))
+          if (!detected) return cb(new Error(path.basename(file) + ': empty file'))
+          save(function (err) {
+            if (err) return cb(err)
+            var what = detected.kind === 'klines' ? 'candles' : 'trades'
+            console.log('\n' + path.basename(file) + ': ' + stats.inserted + ' new ' + what + ', ' + stats.existing + ' already stored' + (stats.rejected ? (', ' + stats.rejected + ' rows skipped').yellow : ''))
+            if (detected.kind !== 'trades' || !marked || marker.from === null) return cb()
+            resume_markers.replaceOne({_id: marker.id}, marker, {upsert: true})
+              .then(() => cb())
+              .catch(cb)
+          })
+        }
+      }
+
+      async.eachSeries(files, importFile, function (err) {
+        if (err) {
+          console.error(('import failed, ' + err.message).red)
+          process.exit(1)
+        }
+        console.log('\nimport complete!\n')
+        process.exit(0)
+      })
+    })
+}
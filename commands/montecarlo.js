@@ -0,0 +1,43 @@
+var fs = require('fs')
+  , path = require('path')
+  , montecarlo = require('../lib/montecarlo')
+
+module.exports = function (program, conf) {
+  program
+    .command('montecarlo <file>')
+    .description('resample the trades of a sim (simulations/sim_trades_*.json) to see how much of its result was luck')
+    .option('--runs <n>', 'number of resampled equity paths', Number, conf.montecarlo_runs)
+    .option('--method <method>', 'resample the round trips with replacement, or shuffle them (resample/shuffle)', /^(resample|shuffle)$/i, conf.montecarlo_method)
+    .option('--slippage_pct <pct>', 'average extra slippage per fill, drawn at random', Number, conf.montecarlo_slippage_pct)
+    .option('--skip_pct <pct>', 'chance of a round trip not filling', Number, conf.montecarlo_skip_pct)
+    .option('--ruin_pct <pct>', 'loss of equity counted as ruin', Number, conf.montecarlo_ruin_pct)
+    .option('--buy_pct <pct>', '% of equity the sim put into the round trips saved without their equity', Number, conf.buy_pct)
+    .option('--use_fee_asset', 'the sim paid its fees in a separate asset', Boolean, conf.use_fee_asset)
+    .action(function (file, cmd) {
+      var trades
+      try {
+        trades = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), {encoding: 'utf8'}))
+      }
+      catch (err) {
+        console.error('cannot read the sim trades in ' + file + ': ' + err.message)
+        process.exit(1)
+      }
+      var trips = montecarlo.trips(trades, cmd.use_fee_asset)
+      if (!trips.length) {
+        console.error('no round trips in ' + file)
+        process.exit(1)
+      }
+      var mc = montecarlo(trips, {
+        runs: cmd.runs,
+        method: cmd.method,
+        slippage_pct: cmd.slippage_pct,
+        skip_pct: cmd.skip_pct,
+        ruin_pct: cmd.ruin_pct,
+        buy_pct: cmd.buy_pct
+      })
+      montecarlo.lines(mc).forEach(function (line) {
+        console.log(line)
+      })
+      process.exit(0)
+    })
+}
@@ -0,0 +1,54 @@
+var path = require('path')
+  , lolex = require('lolex')
+  , moment = require('moment')
+  , EventEmitter = require('events')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+  , engineFactory = require('../lib/engine')
+  , journal = require('../lib/journal')
+
+module.exports = function (program, conf) {
+  program
+    .command('replay <journal>')
+    .description('replay a session recorded with zenbot trade --record through the engine')
+    .option('--debug', 'output detailed debug info')
+    .action(function (file, cmd) {
+      var entries = journal.read(path.resolve(process.cwd(), file))
+      var header = entries[0]
+      if (!header || header.type !== 'header') {
+        console.error(file + ' is not a zenbot trade journal')
+        process.exit(1)
+      }
+      console.log('replaying ' + header.options.mode + ' session on ' + header.options.selector.normalized + ' from ' + moment(header.t).format('YYYY-MM-DD HH:mm:ss') + ' to ' + moment(entries[entries.length - 1].t).format('YYYY-MM-DD HH:mm:ss'))
+
+      // timers and Date run on the journal's time, the engine's own work on real turns
+      var clock = lolex.install({now: header.t, toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date']})
+      var player = journal.player(entries)
+      var s = {options: Object.assign({}, header.options, {replay: true, debug: !!cmd.debug}), exchange: player.exchange}
+      // no notifications or api server for a replay
+      var replay_conf = Object.assign({}, conf, {
+        eventBus: new EventEmitter(),
+        notifiers: {},
+        output: Object.assign({}, conf.output, {api: {on: false}})
+      })
+      var engine = engineFactory(s, replay_conf)
+      engine.writeHeader()
+
+      journal.replay(entries, engine, s, clock, function () {
+        clock.uninstall()
+        var report = player.report()
+        console.log('\nreplayed ' + report.matched + ' exchange calls, ' + report.unplayed + ' recorded calls were not made again')
+        if (!report.divergences.length) {
+          console.log('no divergences, the replay decided like the session'.green)
+          process.exit(0)
+        }
+        console.log((report.divergences.length + ' divergences, the first at ' + moment(report.divergences[0].t).format('YYYY-MM-DD HH:mm:ss.SSS') + ':').red)
+        report.divergences.slice(0, 10).forEach(function (divergence) {
+          console.log('  ' + divergence.method.cyan + ' at ' + moment(divergence.t).format('HH:mm:ss.SSS'))
+          console.log('    replay:   ' + JSON.stringify(divergence.args))
+          console.log('    recorded: ' + (divergence.recorded ? JSON.stringify(divergence.recorded) : 'no such call'.grey))
+        })
+        process.exit(1)
+      })
+    })
+}
@@ -7,9 +7,15 @@ var tb = require('timebucket')
   , colors = require('colors')
   , objectifySelector = require('../lib/objectify-selector')
   , engineFactory = require('../lib/engine')
+  , metrics = require('../lib/metrics')
+  , settle = require('../lib/settle')
+  , candles = require('../lib/candles')
+  , timeframes = require('../lib/timeframes')
+  , montecarlo = require('../lib/montecarlo')
   , collectionService = require('../lib/services/collection-service')
   , jsonexport = require('jsonexport')
   , _ = require('lodash')
+  , async = require('async')
 
 module.exports = function (program, conf) {
   program
@@ -27,21 +33,57 @@ module.exports = function (program, conf) {
     .option('--currency_capital <amount>', 'amount of start capital in currency', Number, conf.currency_capital)
     .option('--asset_capital <amount>', 'amount of start capital in asset', Number, conf.asset_capital)
     .option('--avg_slippage_pct <pct>', 'avg. amount of slippage to apply to trades', Number, conf.avg_slippage_pct)
+    .option('--fill_model <model>', 'how the sim fills orders (optimistic/queue/volume_share)', /^(optimistic|queue|volume_share)$/i, conf.fill_model)
+    .option('--participation_pct <pct>', 'share of the traded volume a sim order can take (queue/volume_share)', Number, conf.participation_pct)
+    .option('--queue_ahead_pct <pct>', 'size queued ahead of a new sim maker order, as % of the average period volume (queue)', Number, conf.queue_ahead_pct)
+    .option('--slippage_impact_pct <pct>', 'extra sim taker slippage per period volume worth of order size (queue/volume_share)', Number, conf.slippage_impact_pct)
     .option('--buy_pct <pct>', 'buy with this % of currency balance', Number, conf.buy_pct)
     .option('--sell_pct <pct>', 'sell with this % of asset balance', Number, conf.sell_pct)
     .option('--markdown_buy_pct <pct>', '% to mark down buy price', Number, conf.markdown_buy_pct)
     .option('--markup_sell_pct <pct>', '% to mark up sell price', Number, conf.markup_sell_pct)
     .option('--order_adjust_time <ms>', 'adjust bid/ask on this interval to keep orders competitive', Number, conf.order_adjust_time)
     .option('--order_poll_time <ms>', 'poll order status on this interval', Number, conf.order_poll_time)
+    .option('--exec_algo <algo>', 'execution algorithm for orders (simple/twap/iceberg/ladder)', /^(simple|twap|iceberg|ladder)$/i, conf.exec_algo)
+    .option('--exec_slices <n>', 'number of twap child orders, or ladder price levels', Number, conf.exec_slices)
+    .option('--exec_interval <ms>', 'ms between twap child orders', Number, conf.exec_interval)
+    .option('--exec_display_pct <pct>', '% of an iceberg order shown at a time', Number, conf.exec_display_pct)
+    .option('--exec_ladder_step_pct <pct>', '% between the price levels of a ladder', Number, conf.exec_ladder_step_pct)
     .option('--sell_cancel_pct <pct>', 'cancels the sale if the price is between this percentage (for more or less)', Number, conf.sell_cancel_pct)
+    .option('--position_mode <mode>', 'which positions strategies may open (long/short/both)', /^(long|short|both)$/i, conf.position_mode)
+    .option('--margin_interest_pct <pct>', 'daily interest % charged on borrowed asset', Number, conf.margin_interest_pct)
+    .option('--sizer <name>', 'position sizing for entries (fixed/risk_pct/atr/kelly), capped at buy_pct', /^(fixed|risk_pct|atr|kelly)$/i, conf.sizer)
+    .option('--risk_pct <pct>', 'for risk_pct and atr sizing, % of equity to risk between entry and stop', Number, conf.risk_pct)
+    .option('--atr_periods <periods>', 'for atr sizing, number of periods to average the true range over', Number, conf.atr_periods)
+    .option('--atr_multiplier <n>', 'for atr sizing, stop distance in average true ranges', Number, conf.atr_multiplier)
+    .option('--kelly_fraction <fraction>', 'for kelly sizing, fraction of the full Kelly bet to take', Number, conf.kelly_fraction)
+    .option('--kelly_min_trades <n>', 'for kelly sizing, closed trades needed before leaving fixed sizing', Number, conf.kelly_min_trades)
+    .option('--regime <method>', 'market regime of the periods in s.regime (thresholds/hmm/off)', /^(thresholds|hmm|off)$/i, conf.regime)
+    .option('--regime_adx <adx>', 'ADX from which a period is trending', Number, conf.regime_adx)
+    .option('--regime_high_vol <ratio>', 'volatility, against its average, from which a period is high-volatility', Number, conf.regime_high_vol)
+    .option('--regime_low_vol <ratio>', 'volatility, against its average, up to which a period is low-volatility', Number, conf.regime_low_vol)
+    .option('--regime_hmm_window <periods>', 'for the hmm regime, number of returns the model is fitted on', Number, conf.regime_hmm_window)
+    .option('--max_open_positions <n>', 'maximum number of lots held at once when scaling into a position', Number, conf.max_open_positions)
+    .option('--buy_more_pct <pct>', 'buy with this % of currency balance when scaling into a position (defaults to buy_pct)', Number, conf.buy_more_pct)
+    .option('--take_profit_pct <pct>', 'sell a lot once price rises this % above its entry price', Number, conf.take_profit_pct)
     .option('--sell_stop_pct <pct>', 'sell if price drops below this % of bought price', Number, conf.sell_stop_pct)
     .option('--buy_stop_pct <pct>', 'buy if price surges above this % of sold price', Number, conf.buy_stop_pct)
     .option('--profit_stop_enable_pct <pct>', 'enable trailing sell stop when reaching this % profit', Number, conf.profit_stop_enable_pct)
     .option('--profit_stop_pct <pct>', 'maintain a trailing stop this % below the high-water mark of profit', Number, conf.profit_stop_pct)
+    .option('--native_stops', 'place stops as stop-limit (or OCO with take_profit_pct) orders on the exchange', Boolean, conf.native_stops)
+    .option('--native_stop_limit_pct <pct>', 'limit price of a native stop this % below its trigger price', Number, conf.native_stop_limit_pct)
+    .option('--max_daily_loss_pct <pct>', 'halt new entries for the day once realized losses reach this % of the day\'s starting equity', Number, conf.max_daily_loss_pct)
+    .option('--max_drawdown_pct <pct>', 'halt new entries once equity falls this % below its high-water mark', Number, conf.max_drawdown_pct)
+    .option('--max_trades_per_hour <n>', 'refuse new entries after this many fills within an hour', Number, conf.max_trades_per_hour)
+    .option('--max_exposure_pct <pct>', 'refuse new entries while the position is worth this % of equity or more', Number, conf.max_exposure_pct)
+    .option('--risk_flatten', 'close the position with a market order when trading is halted', Boolean, conf.risk_flatten)
     .option('--max_sell_loss_pct <pct>', 'avoid selling at a loss pct under this float', conf.max_sell_loss_pct)
     .option('--max_buy_loss_pct <pct>', 'avoid buying at a loss pct over this float', conf.max_buy_loss_pct)
     .option('--max_slippage_pct <pct>', 'avoid selling at a slippage pct above this float', conf.max_slippage_pct)
     .option('--symmetrical', 'reverse time at the end of the graph, normalizing buy/hold to 0', conf.symmetrical)
+    .option('--source <source>', 'replay raw trades or OHLCV candles (trades/candles)', /^(trades|candles)$/i, conf.source)
+    .option('--candle_size <size>', 'size of the candles to replay, period_length must be a multiple of it', String, conf.candle_size)
+    .option('--intrabar <convention>', 'path through a candle (ohlc/worst)', /^(ohlc|worst)$/i, conf.intrabar)
+    .option('--montecarlo <runs>', 'resample the round trips this many times at the end, see zenbot montecarlo', Number, conf.montecarlo)
     .option('--rsi_periods <periods>', 'number of periods to calculate RSI at', Number, conf.rsi_periods)
     .option('--exact_buy_orders', 'instead of only adjusting maker buy when the price goes up, adjust it if price has changed at all')
     .option('--exact_sell_orders', 'instead of only adjusting maker sell when the price goes down, adjust it if price has changed at all')
@@ -71,6 +113,7 @@ module.exports = function (program, conf) {
         }
       })
       var tradesCollection = collectionService(conf).getTrades()
+      var candlesCollection = so.source === 'candles' ? collectionService(conf).getCandles() : null
       var simResults = collectionService(conf).getSimResults()
 
       // Ensure eventBus exists - create one if missing
@@ -107,10 +150,21 @@ module.exports = function (program, conf) {
       so.selector = objectifySelector(selector || conf.selector)
       so.mode = 'sim'
 
+      if (so.source === 'candles') {
+        if (so.symmetrical) {
+          console.error('--symmetrical is not supported with --source candles')
+          process.exit(1)
+        }
+        if (candles.sizeMs(so.period_length) % candles.sizeMs(so.candle_size) !== 0) {
+          console.error('period_length ' + so.period_length + ' is not a multiple of candle_size ' + so.candle_size)
+          process.exit(1)
+        }
+      }
+
       var engine = engineFactory(s, conf)
       if (!so.min_periods) so.min_periods = 1
       var cursor, reversing, reverse_point
-      var query_start = so.start ? tb(so.start).resize(so.period_length).subtract(so.min_periods + 2).toMilliseconds() : null
+      var query_start = so.start ? timeframes.start(s.strategy, s, so.start, so.min_periods + 2) : null
 
       function exitSim () {
         console.log()
@@ -132,28 +186,14 @@ module.exports = function (program, conf) {
         let options_output = options
         options_output.simresults = {}
 
-        if (s.my_trades.length) {
-          s.my_trades.push({
-            price: s.period.close,
-            size: s.balance.asset,
-            type: 'sell',
-            time: s.period.time
-          })
-        }
-        s.balance.currency = n(s.net_currency).add(n(s.period.close).multiply(s.balance.asset)).format('0.00000000')
-
-        s.balance.asset = 0
+        var settled = settle(s)
         s.lookback.unshift(s.period)
-        var profit = s.start_capital ? n(s.balance.currency).subtract(s.start_capital).divide(s.start_capital) : n(0)
+        var profit = n(settled.profit)
         output_lines.push('end balance: ' + n(s.balance.currency).format('0.00000000').yellow + ' (' + profit.format('0.00%') + ')')
-        //console.log('start_capital', s.start_capital)
-        //console.log('start_price', n(s.start_price).format('0.00000000'))
-        //console.log('close', n(s.period.close).format('0.00000000'))
-        var buy_hold = s.start_price ? n(s.period.close).multiply(n(s.start_capital).divide(s.start_price)) : n(s.balance.currency)
-        //console.log('buy hold', buy_hold.format('0.00000000'))
-        var buy_hold_profit = s.start_capital ? n(buy_hold).subtract(s.start_capital).divide(s.start_capital) : n(0)
+        var buy_hold = n(settled.buy_hold)
+        var buy_hold_profit = n(settled.buy_hold_profit)
         output_lines.push('buy hold: ' + buy_hold.format('0.00000000').yellow + ' (' + n(buy_hold_profit).format('0.00%') + ')')
-        output_lines.push('vs. buy hold: ' + n(s.balance.currency).subtract(buy_hold).divide(buy_hold).format('0.00%').yellow)
+        output_lines.push('vs. buy hold: ' + n(settled.vs_buy_hold).format('0.00%').yellow)
         output_lines.push(s.my_trades.length + ' trades over ' + s.day_count + ' days (avg ' + n(s.my_trades.length / s.day_count).format('0.00') + ' trades/day)')
         var last_buy
         var losses = 0, sells = 0
@@ -172,6 +212,10 @@ module.exports = function (program, conf) {
           output_lines.push('win/loss: ' + (sells - losses) + '/' + losses)
           output_lines.push('error rate: ' + (sells ? n(losses).divide(sells).format('0.00%') : '0.00%').yellow)
         }
+        var performance = metrics(s)
+        metrics.lines(performance).forEach(function (line) {
+          output_lines.push(line)
+        })
         options_output.simresults.start_capital = s.start_capital
         options_output.simresults.last_buy_price = s.last_buy_price
         options_output.simresults.last_assest_value = s.period.close
@@ -185,7 +229,22 @@ module.exports = function (program, conf) {
         options_output.simresults.length_days = s.day_count
         options_output.simresults.total_sells = sells
         options_output.simresults.total_losses = losses
-        options_output.simresults.vs_buy_hold = n(s.balance.currency).subtract(buy_hold).divide(buy_hold).value() * 100.00
+        Object.assign(options_output.simresults, performance)
+        if (so.montecarlo) {
+          var mc = montecarlo(montecarlo.trips(s.my_trades, so.use_fee_asset), {
+            runs: so.montecarlo,
+            method: so.montecarlo_method || conf.montecarlo_method,
+            slippage_pct: so.montecarlo_slippage_pct || conf.montecarlo_slippage_pct,
+            skip_pct: so.montecarlo_skip_pct || conf.montecarlo_skip_pct,
+            ruin_pct: so.montecarlo_ruin_pct || conf.montecarlo_ruin_pct,
+            buy_pct: so.buy_pct
+          })
+          montecarlo.lines(mc).forEach(function (line) {
+            output_lines.push(line)
+          })
+          options_output.simresults.montecarlo = mc
+        }
+        options_output.simresults.vs_buy_hold = settled.vs_buy_hold * 100.00
 
         let options_json = JSON.stringify(options_output, null, 2)
         if (so.show_options) {
@@ -222,6 +281,7 @@ module.exports = function (program, conf) {
           })
           var code = 'var data = ' + JSON.stringify(data) + ';\n'
           code += 'var trades = ' + JSON.stringify(s.my_trades) + ';\n'
+          code += 'var metrics = ' + JSON.stringify(performance) + ';\n'
           var tpl = fs.readFileSync(path.resolve(__dirname, '..', 'templates', 'sim_result.html.tpl'), {encoding: 'utf8'})
           var out = tpl
             .replace('{{code}}', code)
@@ -243,7 +303,39 @@ module.exports = function (program, conf) {
           })
       }
 
+      function position () {
+        if (s.short_position) return 'short'
+        if (s.balance && Number(s.balance.asset) > 0 && Number(s.balance.asset) >= Number((s.product && s.product.min_size) || 0)) return 'long'
+        return null
+      }
+
+      // replays the candles in batches, first aggregating from the trades the
+      // ones of the range the collection lacks
+      var aggregated = false
+      var getNextCandles = async () => {
+        if (!aggregated) {
+          aggregated = true
+          var count = await candles.fill(tradesCollection, candlesCollection, so.selector.normalized, so.candle_size, query_start, so.end)
+          if (count) console.log('aggregated ' + count + ' missing ' + so.candle_size + ' candles for ' + so.selector.normalized + ' from trades')
+        }
+        var query = {selector: so.selector.normalized, size: so.candle_size}
+        if (cursor || query_start || so.end) query.time = {}
+        if (cursor) query.time.$gt = cursor
+        else if (query_start) query.time.$gte = query_start
+        if (so.end) query.time.$lte = so.end
+        var batch = await candlesCollection.find(query).sort({time: 1}).limit(1000).toArray()
+        if (!batch.length) return engine.exit(exitSim)
+        cursor = batch[batch.length - 1].time
+        async.eachSeries(batch, function (candle, next) {
+          eventBus.emit('trades', candles.toTrades(candle, so.candle_size, so.intrabar, position()))
+          // the worst path depends on the position, which the bar before may change
+          if (so.intrabar !== 'worst') return next()
+          engine.idle(next)
+        }, getNextCandles)
+      }
+
       var getNext = async () => {
+        if (so.source === 'candles') return getNextCandles()
         var opts = {
           query: {
             selector: so.selector.normalized
@@ -13,6 +13,9 @@ var tb = require('timebucket')
   , output = require('../lib/output')
   , objectifySelector = require('../lib/objectify-selector')
   , engineFactory = require('../lib/engine')
+  , metrics = require('../lib/metrics')
+  , journal = require('../lib/journal')
+  , timeframes = require('../lib/timeframes')
   , collectionService = require('../lib/services/collection-service')
   , debug = require('../lib/debug')
 
@@ -32,6 +35,10 @@ module.exports = function (program, conf) {
     .option('--currency_capital <amount>', 'for paper trading, amount of start capital in currency', Number, conf.currency_capital)
     .option('--asset_capital <amount>', 'for paper trading, amount of start capital in asset', Number, conf.asset_capital)
     .option('--avg_slippage_pct <pct>', 'avg. amount of slippage to apply to paper trades', Number, conf.avg_slippage_pct)
+    .option('--fill_model <model>', 'how the sim fills orders (optimistic/queue/volume_share)', /^(optimistic|queue|volume_share)$/i, conf.fill_model)
+    .option('--participation_pct <pct>', 'share of the traded volume a sim order can take (queue/volume_share)', Number, conf.participation_pct)
+    .option('--queue_ahead_pct <pct>', 'size queued ahead of a new sim maker order, as % of the average period volume (queue)', Number, conf.queue_ahead_pct)
+    .option('--slippage_impact_pct <pct>', 'extra sim taker slippage per period volume worth of order size (queue/volume_share)', Number, conf.slippage_impact_pct)
     .option('--buy_pct <pct>', 'buy with this % of currency balance', Number, conf.buy_pct)
     .option('--deposit <amt>', 'absolute initial capital (in currency) at the bots disposal (previously --buy_max_amt)', Number, conf.deposit)
     .option('--sell_pct <pct>', 'sell with this % of asset balance', Number, conf.sell_pct)
@@ -39,14 +46,47 @@ module.exports = function (program, conf) {
     .option('--markup_sell_pct <pct>', '% to mark up sell price', Number, conf.markup_sell_pct)
     .option('--order_adjust_time <ms>', 'adjust bid/ask on this interval to keep orders competitive', Number, conf.order_adjust_time)
     .option('--order_poll_time <ms>', 'poll order status on this interval', Number, conf.order_poll_time)
+    .option('--exec_algo <algo>', 'execution algorithm for orders (simple/twap/iceberg/ladder)', /^(simple|twap|iceberg|ladder)$/i, conf.exec_algo)
+    .option('--exec_slices <n>', 'number of twap child orders, or ladder price levels', Number, conf.exec_slices)
+    .option('--exec_interval <ms>', 'ms between twap child orders', Number, conf.exec_interval)
+    .option('--exec_display_pct <pct>', '% of an iceberg order shown at a time', Number, conf.exec_display_pct)
+    .option('--exec_ladder_step_pct <pct>', '% between the price levels of a ladder', Number, conf.exec_ladder_step_pct)
+    .option('--position_mode <mode>', 'which positions strategies may open (long/short/both)', /^(long|short|both)$/i, conf.position_mode)
+    .option('--margin_interest_pct <pct>', 'for paper trading, daily interest % charged on borrowed asset', Number, conf.margin_interest_pct)
+    .option('--sizer <name>', 'position sizing for entries (fixed/risk_pct/atr/kelly), capped at buy_pct', /^(fixed|risk_pct|atr|kelly)$/i, conf.sizer)
+    .option('--risk_pct <pct>', 'for risk_pct and atr sizing, % of equity to risk between entry and stop', Number, conf.risk_pct)
+    .option('--atr_periods <periods>', 'for atr sizing, number of periods to average the true range over', Number, conf.atr_periods)
+    .option('--atr_multiplier <n>', 'for atr sizing, stop distance in average true ranges', Number, conf.atr_multiplier)
+    .option('--kelly_fraction <fraction>', 'for kelly sizing, fraction of the full Kelly bet to take', Number, conf.kelly_fraction)
+    .option('--kelly_min_trades <n>', 'for kelly sizing, closed trades needed before leaving fixed sizing', Number, conf.kelly_min_trades)
+    .option('--regime <method>', 'market regime of the periods in s.regime (thresholds/hmm/off)', /^(thresholds|hmm|off)$/i, conf.regime)
+    .option('--regime_adx <adx>', 'ADX from which a period is trending', Number, conf.regime_adx)
+    .option('--regime_high_vol <ratio>', 'volatility, against its average, from which a period is high-volatility', Number, conf.regime_high_vol)
+    .option('--regime_low_vol <ratio>', 'volatility, against its average, up to which a period is low-volatility', Number, conf.regime_low_vol)
+    .option('--regime_hmm_window <periods>', 'for the hmm regime, number of returns the model is fitted on', Number, conf.regime_hmm_window)
+    .option('--max_open_positions <n>', 'maximum number of lots held at once when scaling into a position', Number, conf.max_open_positions)
+    .option('--buy_more_pct <pct>', 'buy with this % of currency balance when scaling into a position (defaults to buy_pct)', Number, conf.buy_more_pct)
+    .option('--take_profit_pct <pct>', 'sell a lot once price rises this % above its entry price', Number, conf.take_profit_pct)
     .option('--sell_stop_pct <pct>', 'sell if price drops below this % of bought price', Number, conf.sell_stop_pct)
     .option('--buy_stop_pct <pct>', 'buy if price surges above this % of sold price', Number, conf.buy_stop_pct)
     .option('--profit_stop_enable_pct <pct>', 'enable trailing sell stop when reaching this % profit', Number, conf.profit_stop_enable_pct)
     .option('--profit_stop_pct <pct>', 'maintain a trailing stop this % below the high-water mark of profit', Number, conf.profit_stop_pct)
     .option('--sell_cancel_pct <pct>', 'cancels the sale if the price is between this percentage (for more or less)', Number, conf.sell_cancel_pct)
+    .option('--native_stops', 'place stops as stop-limit (or OCO with take_profit_pct) orders on the exchange', Boolean, conf.native_stops)
+    .option('--native_stop_limit_pct <pct>', 'limit price of a native stop this % below its trigger price', Number, conf.native_stop_limit_pct)
+    .option('--max_daily_loss_pct <pct>', 'halt new entries for the day once realized losses reach this % of the day\'s starting equity', Number, conf.max_daily_loss_pct)
+    .option('--max_drawdown_pct <pct>', 'halt new entries once equity falls this % below its high-water mark', Number, conf.max_drawdown_pct)
+    .option('--max_trades_per_hour <n>', 'refuse new entries after this many fills within an hour', Number, conf.max_trades_per_hour)
+    .option('--max_exposure_pct <pct>', 'refuse new entries while the position is worth this % of equity or more', Number, conf.max_exposure_pct)
+    .option('--risk_flatten', 'close the position with a market order when trading is halted', Boolean, conf.risk_flatten)
+    .option('--reset_risk', 'lift a persisted risk halt and restart the high-water mark')
     .option('--max_sell_loss_pct <pct>', 'avoid selling at a loss pct under this float', conf.max_sell_loss_pct)
     .option('--max_buy_loss_pct <pct>', 'avoid buying at a loss pct over this float', conf.max_buy_loss_pct)
     .option('--max_slippage_pct <pct>', 'avoid selling at a slippage pct above this float', conf.max_slippage_pct)
+    .option('--book_pricing', 'price limit orders from the order book and estimate taker slippage, where the exchange has one', Boolean, conf.book_pricing)
+    .option('--book_depth <n>', 'order book levels to fetch', Number, conf.book_depth)
+    .option('--book_join_level <n>', 'join the queue this many levels behind the best price', Number, conf.book_join_level)
+    .option('--book_thin_pct <pct>', 'skip levels holding less than this % of the average level size', Number, conf.book_thin_pct)
     .option('--rsi_periods <periods>', 'number of periods to calculate RSI at', Number, conf.rsi_periods)
     .option('--poll_trades <ms>', 'poll new trades at this interval in ms', Number, conf.poll_trades)
     .option('--currency_increment <amount>', 'Currency increment, if different than the asset increment', String, null)
@@ -59,10 +99,13 @@ module.exports = function (program, conf) {
     .option('--reset_profit', 'start new profit calculation from 0')
     .option('--use_fee_asset', 'Using separated asset to pay for fees. Such as binance\'s BNB or Huobi\'s HT', Boolean, false)
     .option('--run_for <minutes>', 'Execute for a period of minutes then exit with status 0', String, null)
+    .option('--keep_orders_on_exit', 'leave working orders open on the exchange when shutting down', Boolean, conf.keep_orders_on_exit)
+    .option('--shutdown_timeout <ms>', 'how long to wait for cancel confirmations and notifications on shutdown', Number, conf.shutdown_timeout)
     .option('--interval_trade <minutes>', 'The interval trade time', Number, conf.interval_trade)
     .option('--quarentine_time <minutes>', 'For loss trade, set quarentine time for cancel buys', Number, conf.quarentine_time)
     .option('--fast_execution <true/false>', 'enable execution time optimizations', String, conf.fast_execution)
     .option('--calculation_skip_ticks <n>', 'number of ticks to skip between full recalculations (0 = calculate every tick)', Number, conf.calculation_skip_ticks)
+    .option('--record <file>', 'journal the exchange calls and incoming trades to this file, for zenbot replay')
     .option('--debug', 'output detailed debug info')
     .action(function (selector, cmd) {
       var raw_opts = minimist(process.argv)
@@ -102,6 +145,15 @@ module.exports = function (program, conf) {
       }
       so.selector = objectifySelector(selector || conf.selector)
       var engine = engineFactory(s, conf)
+      // journals the exchange and the engine's input for zenbot replay
+      var recorder = null
+      if (so.record) {
+        recorder = journal.recorder(path.resolve(process.cwd(), so.record))
+        recorder.header(s)
+        s.exchange = recorder.exchange(s.exchange)
+        recorder.engine(engine)
+        console.log('recording the session to ' + recorder.file)
+      }
       var collectionServiceInstance = collectionService(conf)
       if (!so.min_periods) so.min_periods = 1
 
@@ -164,9 +216,18 @@ module.exports = function (program, conf) {
 
       /* Implementing statistical Exit */
       function printTrade (quit, dump, statsonly = false) {
-        var tmp_balance = n(s.balance.currency).add(n(s.period.close).multiply(s.balance.asset)).format('0.00000000')
+        var tmp_balance = n(s.balance.currency).add(n(s.period.close).multiply(n(s.balance.asset).subtract(s.margin.borrowed).subtract(s.margin.interest))).format('0.00000000')
         if (quit) {
-          if (s.my_trades.length) {
+          if (s.short_position) {
+            s.my_trades.push({
+              price: s.period.close,
+              size: n(s.margin.borrowed).add(s.margin.interest).value(),
+              type: 'buy',
+              position: 'short',
+              time: s.period.time
+            })
+          }
+          else if (s.my_trades.length) {
             s.my_trades.push({
               price: s.period.close,
               size: s.balance.asset,
@@ -224,7 +285,12 @@ module.exports = function (program, conf) {
           s.stats.losses = losses
           s.stats.error_rate = (sells ? n(losses).divide(sells).format('0.00%') : '0.00%')
         }
+        var performance = metrics(s)
+        s.stats.metrics = performance
         if (!statsonly) {
+          metrics.lines(performance).forEach(function (line) {
+            output_lines.push(line)
+          })
           output_lines.forEach(function (line) {
             printLog(line)
           })
@@ -243,6 +309,7 @@ module.exports = function (program, conf) {
           })
           var code = 'var data = ' + JSON.stringify(data) + ';\n'
           code += 'var trades = ' + JSON.stringify(s.my_trades) + ';\n'
+          code += 'var metrics = ' + JSON.stringify(performance) + ';\n'
           var tpl = fs.readFileSync(path.resolve(__dirname, '..', 'templates', 'sim_result.html.tpl'), {encoding: 'utf8'})
           var out = tpl
             .replace('{{code}}', code)
@@ -292,7 +359,7 @@ module.exports = function (program, conf) {
         if(!shouldSaveStats) return
 
         var output_lines = []
-        var tmp_balance = n(s.balance.currency).add(n(s.period.close).multiply(s.balance.asset)).format('0.00000000')
+        var tmp_balance = n(s.balance.currency).add(n(s.period.close).multiply(n(s.balance.asset).subtract(s.margin.borrowed).subtract(s.margin.interest))).format('0.00000000')
 
         var profit = s.start_capital ? n(tmp_balance).subtract(s.start_capital).divide(s.start_capital) : n(0)
         output_lines.push('Strategy: ' + so.strategy)
@@ -334,6 +401,11 @@ module.exports = function (program, conf) {
           s.stats.losses = losses
           s.stats.error_rate = (sells ? n(losses).divide(sells).format('0.00%') : '0.00%')
         }
+        var performance = metrics(s)
+        s.stats.metrics = performance
+        metrics.lines(performance).forEach(function (line) {
+          output_lines.push(line)
+        })
 
         var html_output = output_lines.map(function (line) {
           return colors.stripColors(line)
@@ -348,6 +420,7 @@ module.exports = function (program, conf) {
         })
         var code = 'var data = ' + JSON.stringify(data) + ';\n'
         code += 'var trades = ' + JSON.stringify(s.my_trades) + ';\n'
+        code += 'var metrics = ' + JSON.stringify(performance) + ';\n'
         var tpl = fs.readFileSync(path.resolve(__dirname, '..', 'templates', 'sim_result.html.tpl'), {encoding: 'utf8'})
         var out = tpl
           .replace('{{code}}', code)
@@ -420,8 +493,7 @@ module.exports = function (program, conf) {
           printLog('Writing statistics...'.grey, true)
           printTrade(false)
         } else if (key === 'X' && !info.ctrl) {
-          printLog('Exiting... ' + '\nWriting statistics...'.grey, true)
-          printTrade(true)
+          shutdown('X key')
         } else if (key === 'd' && !info.ctrl) {
           printLog('Dumping statistics...'.grey, true)
           printTrade(false, true)
@@ -432,8 +504,7 @@ module.exports = function (program, conf) {
           debug.flip()
           printLog('DEBUG mode: ' + (debug.on ? 'ON'.green.inverse : 'OFF'.red.inverse), true)
         } else if (info.name === 'c' && info.ctrl) {
-          // @todo: cancel open orders before exit
-          process.exit()
+          shutdown('ctrl+c')
         }
 
         if (pushStr) {
@@ -447,8 +518,39 @@ module.exports = function (program, conf) {
         so.order_type = 'maker'
       }
 
+      /* Graceful shutdown: cancel (or keep) the working orders, persist the
+         final session and balance, flush the notifiers, then exit */
+      var shutting_down = false
+      var scan_interval = null
+      function shutdown (reason) {
+        if (shutting_down) return
+        shutting_down = true
+        clearInterval(scan_interval)
+        printLog(('Shutting down (' + reason + ')...').grey, true)
+        var timeout = so.shutdown_timeout || 30000
+        // never hang on an unresponsive exchange or database
+        setTimeout(function () {
+          console.error('\nshutdown timed out after ' + (timeout * 2) + 'ms, exiting')
+          process.exit(1)
+        }, timeout * 2).unref()
+        engine.exit(function () {
+          engine.shutdown({keep_orders: so.keep_orders_on_exit}, function (err) {
+            if (err) console.error(('\n' + err.message).red)
+            engine.syncBalance(function (err) {
+              if (err) console.error('\nerror syncing balance on shutdown')
+              persistSession(function () {
+                printLog('Writing statistics...'.grey)
+                printTrade(true)
+              })
+            })
+          })
+        })
+      }
+      process.on('SIGINT', function () { shutdown('SIGINT') })
+      process.on('SIGTERM', function () { shutdown('SIGTERM') })
+
       var db_cursor, trade_cursor
-      var query_start = tb().resize(so.period_length).subtract(so.min_periods * 2).toMilliseconds()
+      var query_start = timeframes.start(s.strategy, s, new Date().getTime(), so.min_periods * 2)
       var days = Math.ceil((new Date().getTime() - query_start) / 86400000)
       var session = null
       var sessions = collectionServiceInstance.getSessions()
@@ -468,6 +570,64 @@ module.exports = function (program, conf) {
       var my_trades = collectionServiceInstance.getMyTrades()
       var periods = collectionServiceInstance.getPeriods()
 
+      // a risk halt outlives restarts, only --reset_risk lifts it
+      var risk_states = collectionServiceInstance.getRiskStates()
+      var risk_state_id = so.selector.normalized + '-' + so.mode
+      conf.eventBus.on('riskState', function (state) {
+        var doc = Object.assign({_id: risk_state_id, selector: so.selector.normalized, mode: so.mode}, state)
+        risk_states.replaceOne({_id: risk_state_id}, doc, {upsert: true}, function (err) {
+          if (err) {
+            console.error('\n' + moment().format('YYYY-MM-DD HH:mm:ss') + ' - error saving risk state')
+            console.error(err)
+          }
+        })
+      })
+      if (cmd.reset_risk) {
+        engine.resetRisk()
+      }
+      else {
+        risk_states.find({_id: risk_state_id}).limit(1).toArray(function (err, risk_docs) {
+          if (err) throw err
+          if (risk_docs.length) {
+            engine.loadRiskState(risk_docs[0])
+            if (risk_docs[0].halted) {
+              console.log(('trading halted since ' + moment(risk_docs[0].halted.time).format('YYYY-MM-DD HH:mm:ss') + ': ' + risk_docs[0].halted.reason + ' (use --reset_risk to lift)').red)
+            }
+          }
+        })
+      }
+
+      // working orders and the open position of a live run, re-adopted on the
+      // next start so a crash or restart does not lose track of them
+      var order_states = collectionServiceInstance.getOrderStates()
+      var order_state_id = so.selector.normalized + '-' + so.mode
+      if (so.mode === 'live') {
+        conf.eventBus.on('orderState', function (state) {
+          var doc = Object.assign({_id: order_state_id, selector: so.selector.normalized, mode: so.mode}, state)
+          order_states.replaceOne({_id: order_state_id}, doc, {upsert: true}, function (err) {
+            if (err) {
+              console.error('\n' + moment().format('YYYY-MM-DD HH:mm:ss') + ' - error saving order state')
+              console.error(err)
+            }
+          })
+        })
+      }
+
+      function recoverOrders (cb) {
+        if (so.mode !== 'live') return cb()
+        order_states.find({_id: order_state_id}).limit(1).toArray(function (err, order_docs) {
+          if (err) throw err
+          if (!order_docs.length) return cb()
+          engine.recoverOrders(order_docs[0], function (err) {
+            if (err) {
+              console.error('\n' + moment().format('YYYY-MM-DD HH:mm:ss') + ' - error recovering orders')
+              console.error(err)
+            }
+            cb()
+          })
+        })
+      }
+
       console.log('fetching pre-roll data:')
       var zenbot_cmd = process.platform === 'win32' ? 'zenbot.bat' : 'zenbot.sh' // Use 'win32' for 64 bit windows too
       var command_args = ['backfill', so.selector.normalized, '--days', days || 1]
@@ -512,6 +672,7 @@ module.exports = function (program, conf) {
                 if (err) throw err
                 if (my_prev_trades.length) {
                   s.my_prev_trades = my_prev_trades.reverse().slice(0) // simple copy, less recent executed first
+                  if (recorder) recorder.state({my_prev_trades: s.my_prev_trades})
                 }
               })
             }
@@ -551,20 +712,23 @@ module.exports = function (program, conf) {
                       }
                     }
                   }
+                  if (recorder) recorder.state({orig_capital: s.orig_capital, orig_price: s.orig_price, balance: s.balance})
                   if(s.lookback.length > so.keep_lookback_periods){
                     s.lookback.splice(-1,1)
                   }
 
-                  forwardScan()
-                  setInterval(forwardScan, so.poll_trades)
-                  if (!so.non_interactive) {
-                    engine.onMessage(executeCommand)
-                  }
-                  readline.emitKeypressEvents(process.stdin)
-                  if (!so.non_interactive && process.stdin.setRawMode) {
-                    process.stdin.setRawMode(true)
-                    process.stdin.on('keypress', executeKey)
-                  }
+                  recoverOrders(function () {
+                    forwardScan()
+                    scan_interval = setInterval(forwardScan, so.poll_trades)
+                    if (!so.non_interactive) {
+                      engine.onMessage(executeCommand)
+                    }
+                    readline.emitKeypressEvents(process.stdin)
+                    if (!so.non_interactive && process.stdin.setRawMode) {
+                      process.stdin.setRawMode(true)
+                      process.stdin.on('keypress', executeKey)
+                    }
+                  })
                 })
               })
               return
@@ -581,6 +745,54 @@ module.exports = function (program, conf) {
         getNext()
       })
 
+      // saves the session, and a balance snapshot per balance_snapshot_period
+      function persistSession (cb) {
+        cb = cb || function () {}
+        if (!session) return cb()
+        session.updated = new Date().getTime()
+        session.start_capital = s.start_capital
+        session.start_price = s.start_price
+        session.num_trades = s.my_trades.length
+        if (so.deposit) session.deposit = so.deposit
+        if (!session.orig_capital) session.orig_capital = s.start_capital
+        if (!session.orig_price) session.orig_price = s.start_price
+        session.balance = {currency: s.balance.currency, asset: s.balance.asset}
+        if (shutting_down) session.stopped = session.updated
+        function saveSessionDoc () {
+          sessions.replaceOne({_id: session.id}, session, {upsert: true}, function (err) {
+            if (err) {
+              console.error('\n' + moment().format('YYYY-MM-DD HH:mm:ss') + ' - error saving session')
+              console.error(err)
+            }
+            cb()
+          })
+        }
+        if (!s.period) return saveSessionDoc()
+        session.price = s.period.close
+        var d = tb().resize(conf.balance_snapshot_period)
+        var b = {
+          id: so.selector.normalized + '-' + d.toString(),
+          selector: so.selector.normalized,
+          time: d.toMilliseconds(),
+          currency: s.balance.currency,
+          asset: s.balance.asset,
+          price: s.period.close,
+          start_capital: session.orig_capital,
+          start_price: session.orig_price
+        }
+        b._id = b.id
+        b.consolidated = n(s.balance.asset).subtract(s.margin.borrowed).subtract(s.margin.interest).multiply(s.period.close).add(s.balance.currency).value()
+        b.profit = (b.consolidated - session.orig_capital) / session.orig_capital
+        if (so.mode !== 'live' || !b.consolidated) return saveSessionDoc()
+        balances.replaceOne({_id: b.id}, b, {upsert: true}, function (err) {
+          if (err) {
+            console.error('\n' + moment().format('YYYY-MM-DD HH:mm:ss') + ' - error saving balance')
+            console.error(err)
+          }
+          saveSessionDoc()
+        })
+      }
+
       var prev_timeout = null
       function forwardScan () {
         function saveSession () {
@@ -596,13 +808,9 @@ module.exports = function (program, conf) {
               console.error(err)
             }
             if (botStartTime && botStartTime - moment() < 0 ) {
-              // Not sure if I should just handle exit code directly or thru printTrade.  Decided on printTrade being if code is added there for clean exits this can just take advantage of it.
-              engine.exit(() => {
-                printTrade(true)
-              })
+              return shutdown('run_for')
             }
-            
-            // Add code here to handle session saving
+            persistSession()
           })
         }
         
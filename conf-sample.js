@@ -1,5 +1,12 @@
 var c = module.exports = {}
 
+// storage of trades, sessions and sim results: mongo, or file for an embedded
+// store under c.storage.path that needs no database server
+c.storage = {}
+c.storage.driver = process.env.ZENBOT_STORAGE_DRIVER || 'mongo'
+// for the file storage, its directory, relative to the zenbot directory
+c.storage.path = process.env.ZENBOT_STORAGE_PATH || 'data'
+
 // mongo configuration
 c.mongo = {}
 c.mongo.db = process.env.ZENBOT_MONGODB_DATABASE || 'zenbot4'
@@ -37,11 +44,76 @@ c.buy_stop_pct = process.env.ZENBOT_BUY_STOP_PCT || -0.3
 c.profit_stop_enable_pct = process.env.ZENBOT_PROFIT_STOP_ENABLE_PCT || 10
 // maintain a trailing stop this % below the high-water mark of profit
 c.profit_stop_pct = process.env.ZENBOT_PROFIT_STOP_PCT || 50
+// keep stops as stop-limit (or OCO with take_profit_pct) orders on the exchange, so they hold if zenbot dies
+c.native_stops = process.env.ZENBOT_NATIVE_STOPS || false
+// limit price of a native stop this % below its trigger price
+c.native_stop_limit_pct = process.env.ZENBOT_NATIVE_STOP_LIMIT_PCT || 0.5
+
+// Positions:
+// which positions strategies may open: long (spot only), short (borrow and sell only) or both
+c.position_mode = process.env.ZENBOT_POSITION_MODE || 'long'
+// daily interest % charged on borrowed asset in sim/paper mode
+c.margin_interest_pct = process.env.ZENBOT_MARGIN_INTEREST_PCT || 0.02
+
+// Position sizing:
+// how entries are sized: fixed (buy_pct), risk_pct, atr or kelly. buy_pct stays the cap per entry.
+c.sizer = process.env.ZENBOT_SIZER || 'fixed'
+// for risk_pct and atr sizing, % of equity to risk between entry and stop
+c.risk_pct = process.env.ZENBOT_RISK_PCT || 1
+// for atr sizing, number of periods to average the true range over
+c.atr_periods = process.env.ZENBOT_ATR_PERIODS || 14
+// for atr sizing, stop distance in average true ranges
+c.atr_multiplier = process.env.ZENBOT_ATR_MULTIPLIER || 2
+// for kelly sizing, fraction of the full Kelly bet to take
+c.kelly_fraction = process.env.ZENBOT_KELLY_FRACTION || 0.5
+// for kelly sizing, closed trades needed before leaving fixed sizing
+c.kelly_min_trades = process.env.ZENBOT_KELLY_MIN_TRADES || 20
+
+// Market regime (s.regime, and the P&L by regime in the sim report):
+// how periods are classified: thresholds (ADX and Bollinger band width), hmm (hidden Markov model of the returns) or off
+c.regime = process.env.ZENBOT_REGIME || 'thresholds'
+// ADX from which a period is trending
+c.regime_adx = process.env.ZENBOT_REGIME_ADX || 25
+// volatility, against its average, from which a period is high-volatility
+c.regime_high_vol = process.env.ZENBOT_REGIME_HIGH_VOL || 1.5
+// volatility, against its average, up to which a period is low-volatility
+c.regime_low_vol = process.env.ZENBOT_REGIME_LOW_VOL || 0.7
+// for hmm, number of returns the model is fitted on
+c.regime_hmm_window = process.env.ZENBOT_REGIME_HMM_WINDOW || 200
+
+// Lots (scaling in and out of a position):
+// buy with this % of currency balance when scaling into a position (0 to use buy_pct)
+c.buy_more_pct = process.env.ZENBOT_BUY_MORE_PCT || 0
+// maximum number of lots held at once when scaling into a position (0 for no limit)
+c.max_open_positions = process.env.ZENBOT_MAX_OPEN_POSITIONS || 0
+// sell a lot once price rises this % above its entry price (0 to disable)
+c.take_profit_pct = process.env.ZENBOT_TAKE_PROFIT_PCT || 0
+
+// Account risk limits (0 to disable):
+// halt new entries for the day once realized losses reach this % of the day's starting equity
+c.max_daily_loss_pct = process.env.ZENBOT_MAX_DAILY_LOSS_PCT || 0
+// halt new entries once equity falls this % below its high-water mark (lift with --reset_risk)
+c.max_drawdown_pct = process.env.ZENBOT_MAX_DRAWDOWN_PCT || 0
+// refuse new entries after this many fills within an hour
+c.max_trades_per_hour = process.env.ZENBOT_MAX_TRADES_PER_HOUR || 0
+// refuse new entries while the position is worth this % of equity or more
+c.max_exposure_pct = process.env.ZENBOT_MAX_EXPOSURE_PCT || 0
+// close the position with a market order when trading is halted
+c.risk_flatten = process.env.ZENBOT_RISK_FLATTEN || false
 
 // Order execution rules:
 
 // avoid trading at a slippage above this pct
 c.max_slippage_pct = process.env.ZENBOT_MAX_SLIPPAGE_PCT || 0.01
+// price limit orders from the order book (binance, binanceus, kraken and bitfinex) and refuse
+// taker orders whose slippage through the book is expected above max_slippage_pct
+c.book_pricing = process.env.ZENBOT_BOOK_PRICING || false
+// order book levels to fetch
+c.book_depth = process.env.ZENBOT_BOOK_DEPTH || 20
+// join the queue this many levels behind the best price
+c.book_join_level = process.env.ZENBOT_BOOK_JOIN_LEVEL || 0
+// skip levels holding less than this % of the average level size
+c.book_thin_pct = process.env.ZENBOT_BOOK_THIN_PCT || 10
 // buy with this % of currency balance (WARNING : sim won't work properly if you set this value to 100)
 c.buy_pct = process.env.ZENBOT_BUY_PCT || 99
 // sell with this % of asset balance (WARNING : sim won't work properly if you set this value to 100)
@@ -66,6 +138,16 @@ c.order_type = process.env.ZENBOT_ORDER_TYPE || 'taker'
 c.post_only = process.env.ZENBOT_POST_ONLY || false
 // use separated fee currency such as binance's BNB.
 c.use_fee_asset = process.env.ZENBOT_USE_FEE_ASSET || true
+// split orders into child orders: simple (one order), twap, iceberg or ladder
+c.exec_algo = process.env.ZENBOT_EXEC_ALGO || 'simple'
+// number of twap child orders, or ladder price levels
+c.exec_slices = process.env.ZENBOT_EXEC_SLICES || 5
+// ms between twap child orders
+c.exec_interval = process.env.ZENBOT_EXEC_INTERVAL || 60000
+// % of an iceberg order shown at a time
+c.exec_display_pct = process.env.ZENBOT_EXEC_DISPLAY_PCT || 20
+// % between the price levels of a ladder
+c.exec_ladder_step_pct = process.env.ZENBOT_EXEC_LADDER_STEP_PCT || 0.05
 
 // Misc options:
 
@@ -75,18 +157,56 @@ c.days = process.env.ZENBOT_DAYS || 14
 c.keep_lookback_periods = process.env.ZENBOT_KEEP_LOOKBACK_PERIODS || 500
 // ms to poll new trades at
 c.poll_trades = process.env.ZENBOT_POLL_TRADES || 100000
+// leave working orders open on the exchange when shutting down (default cancels them)
+c.keep_orders_on_exit = process.env.ZENBOT_KEEP_ORDERS_ON_EXIT || false
+// ms to wait for cancel confirmations and notifications on shutdown
+c.shutdown_timeout = process.env.ZENBOT_SHUTDOWN_TIMEOUT || 30000
 // amount of currency to start simulations with
 c.currency_capital = process.env.ZENBOT_CURRENCY_CAPITAL || 1000
 // amount of asset to start simulations with
 c.asset_capital = process.env.ZENBOT_ASSET_CAPITAL || 0
 // for sim, reverse time at the end of the graph, normalizing buy/hold to 0
 c.symmetrical = process.env.ZENBOT_SYMMETRICAL || false
+// for sim, replay raw trades or OHLCV candles (trades/candles)
+c.source = process.env.ZENBOT_SOURCE || 'trades'
+// for sim with candles, the candle size, period_length must be a multiple of it
+c.candle_size = process.env.ZENBOT_CANDLE_SIZE || '1m'
+// for sim with candles, the path through a candle: ohlc, or worst (against the open position first)
+c.intrabar = process.env.ZENBOT_INTRABAR || 'ohlc'
+// for sim, number of Monte Carlo runs over the round trips at the end, 0 to skip
+c.montecarlo = process.env.ZENBOT_MONTECARLO || 0
+// for montecarlo, number of runs
+c.montecarlo_runs = process.env.ZENBOT_MONTECARLO_RUNS || 1000
+// for montecarlo, resample the round trips with replacement, or shuffle them (resample/shuffle)
+c.montecarlo_method = process.env.ZENBOT_MONTECARLO_METHOD || 'resample'
+// for montecarlo, average extra slippage per fill, drawn at random
+c.montecarlo_slippage_pct = process.env.ZENBOT_MONTECARLO_SLIPPAGE_PCT || 0
+// for montecarlo, chance of a round trip not filling
+c.montecarlo_skip_pct = process.env.ZENBOT_MONTECARLO_SKIP_PCT || 0
+// for montecarlo, loss of equity counted as ruin
+c.montecarlo_ruin_pct = process.env.ZENBOT_MONTECARLO_RUIN_PCT || 50
+// for audit, period length the gaps are counted in
+c.audit_period_length = process.env.ZENBOT_AUDIT_PERIOD_LENGTH || '1m'
+// for audit, report gaps of more than this many periods without a trade
+c.audit_gap_periods = process.env.ZENBOT_AUDIT_GAP_PERIODS || 15
+// for audit, report prices more than this many standard deviations of the recent returns away
+c.audit_sigma = process.env.ZENBOT_AUDIT_SIGMA || 10
+// for audit, number of recent returns the spikes are measured against
+c.audit_window = process.env.ZENBOT_AUDIT_WINDOW || 100
 // number of periods to calculate RSI at
 c.rsi_periods = process.env.ZENBOT_RSI_PERIODS || 14
 // period to record balances for stats
 c.balance_snapshot_period = process.env.ZENBOT_BALANCE_SNAPSHOT_PERIOD || '14m'
 // avg. amount of slippage to apply to sim trades
 c.avg_slippage_pct = process.env.ZENBOT_AVG_SLIPPAGE_PCT || 0.045
+// how sim and paper trades fill: optimistic (any trade through the price fills), queue or volume_share
+c.fill_model = process.env.ZENBOT_FILL_MODEL || 'optimistic'
+// share of the traded volume a sim order can take (queue/volume_share)
+c.participation_pct = process.env.ZENBOT_PARTICIPATION_PCT || 10
+// size queued ahead of a new sim maker order, as % of the average period volume (queue)
+c.queue_ahead_pct = process.env.ZENBOT_QUEUE_AHEAD_PCT || 5
+// extra sim taker slippage in % per period volume worth of order size (queue/volume_share)
+c.slippage_impact_pct = process.env.ZENBOT_SLIPPAGE_IMPACT_PCT || 1
 // time to leave an order open, default to 1 day (this feature is not supported on all exchanges, currently: GDAX)
 c.cancel_after = process.env.ZENBOT_CANCEL_AFTER || 'day'
 // load and use previous trades for stop-order triggers and loss protection (live/paper mode only)
@@ -62,6 +62,7 @@ function authedClient () {
   }
 
   var orders = {}
+  var stops = {}
 
   var exchange = {
     name: 'binance',
@@ -154,10 +155,18 @@ function authedClient () {
         })
     },
 
+    // {bids, asks} as [price, size] levels, best first
+    getOrderBook: function (opts, cb) {
+      exchange.getDepth(opts, function (err, result) {
+        if (err) return cb(err)
+        cb(null, { bids: result.bids, asks: result.asks })
+      })
+    },
+
     getDepth: function (opts, cb) {
       var func_args = [].slice.call(arguments)
       var client = publicClient()
-      client.fetchOrderBook(joinProduct(opts.product_id), {limit: opts.limit}).then(result => {
+      client.fetchOrderBook(joinProduct(opts.product_id), opts.limit).then(result => {
         cb(null, result)
       })
         .catch(function(error) {
@@ -314,6 +323,17 @@ function authedClient () {
       var client = authedClient()
       var order = orders['~' + opts.order_id]
       client.fetchOrder(opts.order_id, joinProduct(opts.product_id)).then(function (body) {
+        if (!order) {
+          // placed by an earlier run, e.g. re-adopted after a restart
+          order = orders['~' + opts.order_id] = {
+            id: body.id,
+            status: 'open',
+            price: parseFloat(body.price),
+            size: parseFloat(body.amount),
+            created_at: body.timestamp
+          }
+        }
+        order.filled_size = parseFloat(body.filled) || 0
         if (body.status !== 'open' && body.status !== 'canceled') {
           order.status = 'done'
           order.done_at = new Date().getTime()
@@ -321,12 +341,146 @@ function authedClient () {
           order.filled_size = parseFloat(body.amount) - parseFloat(body.remaining)
           return cb(null, order)
         }
+        if (body.status === 'canceled') {
+          order.status = 'cancelled'
+        }
         cb(null, order)
       }, function(err) {
         return retry('getOrder', func_args, err)
       })
     },
 
+    // exchange-side stop-limit sell, or an OCO (take-profit limit + stop-limit)
+    // when opts.target_price is given. both legs are tracked under one id.
+    placeStop: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      var symbol = joinProduct(opts.product_id)
+      var size = this.roundToNearest(opts.size, opts)
+      client.loadMarkets().then(() => {
+        if (opts.target_price) {
+          return client.privatePostOrderOco({
+            symbol: client.marketId(symbol),
+            side: 'SELL',
+            quantity: client.amountToPrecision(symbol, size),
+            price: client.priceToPrecision(symbol, opts.target_price),
+            stopPrice: client.priceToPrecision(symbol, opts.stop_price),
+            stopLimitPrice: client.priceToPrecision(symbol, opts.price),
+            stopLimitTimeInForce: 'GTC'
+          }).then(result => ({
+            id: 'oco-' + result.orderListId,
+            legs: result.orders.map(order => String(order.orderId))
+          }))
+        }
+        return client.createOrder(symbol, 'STOP_LOSS_LIMIT', 'sell', size, opts.price, {stopPrice: opts.stop_price, timeInForce: 'GTC'}).then(result => ({
+          id: result.id,
+          legs: [result.id]
+        }))
+      }).then(result => {
+        var order = {
+          id: result.id,
+          legs: result.legs,
+          status: 'open',
+          price: opts.price,
+          stop_price: opts.stop_price,
+          target_price: opts.target_price || null,
+          size: size,
+          created_at: new Date().getTime(),
+          filled_size: '0'
+        }
+        stops['~' + result.id] = order
+        cb(null, order)
+      }).catch(function (error) {
+        console.error('An error occurred', error)
+        // {"code":-2010,"msg":"Stop price would trigger immediately."}
+        if (error.message.match(new RegExp(/-1013|MIN_NOTIONAL|-2010/))) {
+          return cb(null, {
+            status: 'rejected',
+            reject_reason: 'balance'
+          })
+        }
+        return retry('placeStop', func_args)
+      })
+    },
+
+    cancelStop: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      var symbol = joinProduct(opts.product_id)
+      var order = stops['~' + opts.order_id]
+      var request
+      if (String(opts.order_id).indexOf('oco-') === 0) {
+        request = client.loadMarkets().then(() => client.privateDeleteOrderList({
+          symbol: client.marketId(symbol),
+          orderListId: String(opts.order_id).replace('oco-', '')
+        }))
+      } else {
+        request = client.cancelOrder(opts.order_id, symbol)
+      }
+      request.then(function () {
+        if (order) order.status = 'cancelled'
+        cb()
+      }, function (err) {
+        if (err.message && err.message.match(new RegExp(/-2011|UNKNOWN_ORDER/))) {
+          console.error(('\ncancelStop retry - unknown Order: ' + JSON.stringify(opts) + ' - ' + err).cyan)
+          return cb()
+        }
+        return retry('cancelStop', func_args, err)
+      })
+    },
+
+    // done once either leg has filled, reporting the filled leg's price
+    getStop: function (opts, cb) {
+      var func_args = [].slice.call(arguments)
+      var client = authedClient()
+      var symbol = joinProduct(opts.product_id)
+      var order = stops['~' + opts.order_id]
+      var request
+      if (order) {
+        request = Promise.resolve(order.legs)
+      } else if (String(opts.order_id).indexOf('oco-') === 0) {
+        // placed by an earlier run, e.g. re-adopted after a restart
+        request = client.loadMarkets().then(() => client.privateGetOrderList({
+          orderListId: String(opts.order_id).replace('oco-', '')
+        })).then(list => list.orders.map(leg => String(leg.orderId)))
+      } else {
+        request = Promise.resolve([String(opts.order_id)])
+      }
+      request.then(ids => Promise.all(ids.map(id => client.fetchOrder(id, symbol))).then(function (legs) {
+        if (!order) {
+          var stop = legs.find(leg => leg.stopPrice) || legs[0]
+          order = stops['~' + opts.order_id] = {
+            id: opts.order_id,
+            legs: ids,
+            status: 'open',
+            price: parseFloat(stop.price),
+            stop_price: parseFloat(stop.stopPrice),
+            size: parseFloat(stop.amount),
+            created_at: stop.timestamp,
+            filled_size: '0'
+          }
+        }
+        var filled = legs.find(leg => leg.status === 'closed')
+        if (filled) {
+          order.status = 'done'
+          order.done_at = filled.lastTradeTimestamp || new Date().getTime()
+          order.price = parseFloat(filled.average || filled.price)
+          order.filled_size = parseFloat(filled.filled)
+          order.leg = filled.type && filled.type.toLowerCase() === 'limit_maker' ? 'target' : 'stop'
+        }
+        else if (legs.every(leg => leg.status === 'canceled' || leg.status === 'expired')) {
+          order.status = 'cancelled'
+        }
+        cb(null, order)
+      })).catch(function (err) {
+        // gone from the exchange, the engine places a new one
+        if (!order && err.message && err.message.match(new RegExp(/-2011|-2013|UNKNOWN_ORDER|does not exist/))) {
+          return cb(null, {id: opts.order_id, status: 'cancelled', filled_size: 0})
+        }
+        return retry('getStop', func_args, err)
+      })
+    },
+
     getCursor: function (trade) {
       return (trade.time || trade)
     }
@@ -1,4 +1,5 @@
 const BFX = require('bitfinex-api-node')
+const ccxt = require('ccxt')
 var minimist = require('minimist')
   , path = require('path')
   , n = require('numbro')
@@ -13,7 +14,7 @@ module.exports = function bitfinex(conf) {
   var ws_retry = 10000
   const getTrades_timeout = 2000
 
-  var pair, public_client, ws_client
+  var pair, public_client, ws_client, book_client
 
   var ws_trades = []
   var ws_balance = []
@@ -28,6 +29,13 @@ module.exports = function bitfinex(conf) {
     return public_client
   }
 
+  // the order book comes from ccxt, bitfinex-api-node would need a websocket
+  // subscription per pair
+  function bookClient() {
+    if (!book_client) book_client = new ccxt.bitfinex()
+    return book_client
+  }
+
   function wsUpdateTrades(pair, trades) {
     trades.forEach(function (trade) {
       var newTrade = {
@@ -530,6 +538,19 @@ module.exports = function bitfinex(conf) {
       cb(null, { bid: String(ws_ticker.bid), ask: String(ws_ticker.ask) })
     },
 
+    // {bids, asks} as [price, size] levels, best first
+    getOrderBook: function (opts, cb) {
+      var client = bookClient()
+      var split = opts.product_id.split('-')
+      var symbol = client.safeCurrencyCode(split[0]) + '/' + client.safeCurrencyCode(split[1])
+      client.fetchOrderBook(symbol, opts.limit).then(function (book) {
+        cb(null, { bids: book.bids, asks: book.asks })
+      }, function (err) {
+        if (so.debug) console.warn(('\nWarning: cannot fetch the order book: ' + err.message).red)
+        cb(err)
+      })
+    },
+
     cancelOrder: function (opts, cb) {
       var order = ws_orders['~' + opts.order_id]
       ws_orders['~' + opts.order_id].reject_reason = 'zenbot cancel'
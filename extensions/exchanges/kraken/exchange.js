@@ -1,4 +1,5 @@
 var KrakenClient = require('kraken-api'),
+  ccxt = require('ccxt'),
   minimist = require('minimist'),
   moment = require('moment'),
   n = require('numbro'),
@@ -11,7 +12,7 @@ module.exports = function container(conf) {
   }
   var so = s.options
 
-  var public_client, authed_client
+  var public_client, authed_client, book_client
   // var recoverableErrors = new RegExp(/(ESOCKETTIMEDOUT|ETIMEDOUT|ECONNRESET|ECONNREFUSED|ENOTFOUND|API:Invalid nonce|API:Rate limit exceeded|between Cloudflare and the origin web server)/)
   var recoverableErrors = new RegExp(/(ESOCKETTIMEDOUT|ETIMEDOUT|ECONNRESET|ECONNREFUSED|ENOTFOUND|API:Invalid nonce|between Cloudflare and the origin web server|The web server reported a gateway time-out|The web server reported a bad gateway|525: SSL handshake failed|Service:Unavailable|api.kraken.com \| 522:)/)
   var silencedRecoverableErrors = new RegExp(/(ESOCKETTIMEDOUT|ETIMEDOUT)/)
@@ -23,6 +24,14 @@ module.exports = function container(conf) {
     return public_client
   }
 
+  // kraken-api has no order book call, ccxt is used for that
+  function bookClient() {
+    if (!book_client) {
+      book_client = new ccxt.kraken()
+    }
+    return book_client
+  }
+
   function authedClient() {
     if (!authed_client) {
       if (!conf.kraken || !conf.kraken.key || conf.kraken.key === 'YOUR-API-KEY') {
@@ -173,6 +182,27 @@ module.exports = function container(conf) {
       })
     },
 
+    // {bids, asks} as [price, size] levels, best first
+    getOrderBook: function(opts, cb) {
+      var args = [].slice.call(arguments)
+      var client = bookClient()
+      var split = opts.product_id.split('-')
+      var symbol = client.safeCurrencyCode(split[0]) + '/' + client.safeCurrencyCode(split[1])
+      client.fetchOrderBook(symbol, opts.limit).then(function(book) {
+        cb(null, {
+          bids: book.bids,
+          asks: book.asks
+        })
+      }, function(error) {
+        if (error.message.match(recoverableErrors)) {
+          return retry('getOrderBook', args, error)
+        }
+        console.error(('\ngetOrderBook error:').red)
+        console.error(error)
+        cb(error)
+      })
+    },
+
     getQuote: function(opts, cb) {
       var args = [].slice.call(arguments)
       var client = publicClient()
@@ -1,20 +1,26 @@
 let path = require('path')
   , n = require('numbro')
   , _ = require('lodash')
+  , fillModel = require('../../../lib/fill_models')
 
 module.exports = function sim (conf, s) {
 
   let latency = 100 // In milliseconds, enough to be realistic without being disruptive
   let so = s.options
+  let fill_model = fillModel(s)
   let exchange_id = so.selector.exchange_id
   let real_exchange = require(path.resolve(__dirname, `../${exchange_id}/exchange`))(conf)
 
   var now
   var balance = { asset: so.asset_capital, currency: so.currency_capital, asset_hold: 0, currency_hold: 0 }
+  // borrowed asset lives outside the spot balance, interest accrues on the principal
+  var margin = { borrowed: 0, interest: 0, accrued_at: null }
 
   var last_order_id = 1001
   var orders = {}
   var openOrders = {}
+  // stop orders wait here until triggered, then rest in openOrders as a limit sell
+  var stopOrders = {}
 
   // When orders change in any way, it's likely our "_hold" values have changed. Recalculate them
   function recalcHold() {
@@ -28,6 +34,9 @@ module.exports = function sim (conf, s) {
         balance.asset_hold += n(order.remaining_size).value()
       }
     })
+    _.each(stopOrders, function(order) {
+      balance.asset_hold += n(order.remaining_size).value()
+    })
   }
 
   var exchange = {
@@ -82,13 +91,57 @@ module.exports = function sim (conf, s) {
       }
     },
 
+    // only paper trading sees a real order book
+    getOrderBook: so.mode === 'paper' && real_exchange.getOrderBook ? function (opts, cb) {
+      return real_exchange.getOrderBook(opts, cb)
+    } : undefined,
+
+    getMargin: function (opts, cb) {
+      setImmediate(function() {
+        accrueInterest(now)
+        return cb(null, { borrowed: margin.borrowed, interest: margin.interest })
+      })
+    },
+
+    borrow: function (opts, cb) {
+      setImmediate(function() {
+        let amount = n(opts.amount).value()
+        if (!(amount > 0)) {
+          return cb(new Error('invalid borrow amount: ' + opts.amount))
+        }
+        accrueInterest(now)
+        if (so.debug) console.log(`borrowing ${amount} ${s.asset}`)
+        margin.borrowed = n(margin.borrowed).add(amount).value()
+        balance.asset = n(balance.asset).add(amount).format('0.00000000')
+        cb(null, { borrowed: margin.borrowed, interest: margin.interest })
+      })
+    },
+
+    repay: function (opts, cb) {
+      setImmediate(function() {
+        accrueInterest(now)
+        let available = n(balance.asset).subtract(balance.asset_hold).value()
+        let amount = Math.min(n(opts.amount).value(), available, n(margin.borrowed).add(margin.interest).value())
+        if (!(amount > 0)) {
+          return cb(null, { borrowed: margin.borrowed, interest: margin.interest })
+        }
+        if (so.debug) console.log(`repaying ${amount} ${s.asset}`)
+        // interest is settled before principal
+        let to_interest = Math.min(amount, margin.interest)
+        margin.interest = n(margin.interest).subtract(to_interest).value()
+        margin.borrowed = Math.max(0, n(margin.borrowed).subtract(amount - to_interest).value())
+        balance.asset = n(balance.asset).subtract(amount).format('0.00000000')
+        cb(null, { borrowed: margin.borrowed, interest: margin.interest })
+      })
+    },
+
     cancelOrder: function (opts, cb) {
       // Remove artificial delay in simulation
       setImmediate(function() {
         var order_id = '~' + opts.order_id
         var order = orders[order_id]
 
-        if (order.status === 'open') {
+        if (order && order.status === 'open') {
           order.status = 'cancelled'
           delete openOrders[order_id]
           recalcHold()
@@ -129,6 +182,7 @@ module.exports = function sim (conf, s) {
 
         orders['~' + result.id] = order
         openOrders['~' + result.id] = order
+        if (fill_model.onPlace) fill_model.onPlace(order)
         recalcHold()
         cb(null, order)
       })
@@ -164,6 +218,7 @@ module.exports = function sim (conf, s) {
         }
         orders['~' + result.id] = order
         openOrders['~' + result.id] = order
+        if (fill_model.onPlace) fill_model.onPlace(order)
         recalcHold()
         cb(null, order)
       })
@@ -177,6 +232,52 @@ module.exports = function sim (conf, s) {
       })
     },
 
+    placeStop: function (opts, cb) {
+      setImmediate(function() {
+        if (opts.size > (balance.asset - balance.asset_hold)) {
+          return cb(null, { status: 'rejected', reject_reason: 'balance'})
+        }
+        var order = {
+          id: last_order_id++,
+          status: 'open',
+          price: opts.price,
+          stop_price: opts.stop_price,
+          target_price: opts.target_price || null,
+          size: opts.size,
+          orig_size: opts.size,
+          remaining_size: opts.size,
+          filled_size: 0,
+          tradetype: 'sell',
+          orig_time: now,
+          time: now,
+          created_at: now
+        }
+        orders['~' + order.id] = order
+        stopOrders['~' + order.id] = order
+        recalcHold()
+        cb(null, order)
+      })
+    },
+
+    cancelStop: function (opts, cb) {
+      setImmediate(function() {
+        var order = orders['~' + opts.order_id]
+        if (order && order.status === 'open') {
+          order.status = 'cancelled'
+          delete stopOrders['~' + order.id]
+          delete openOrders['~' + order.id]
+          recalcHold()
+        }
+        cb(null)
+      })
+    },
+
+    getStop: function (opts, cb) {
+      setImmediate(function() {
+        cb(null, orders['~' + opts.order_id])
+      })
+    },
+
     setFees: function(opts) {
       if (so.mode === 'paper') {
         // Ensure opts has the selector property that some exchanges might expect
@@ -198,19 +299,34 @@ module.exports = function sim (conf, s) {
       var orders_changed = false
       
       now = trade.time
+      accrueInterest(now)
+
+      _.each(stopOrders, function(order) {
+        if (order.target_price && trade.price >= order.target_price) {
+          triggerStop(order, 'target', order.target_price)
+          orders_changed = true
+        }
+        else if (trade.price <= order.stop_price) {
+          triggerStop(order, 'stop', order.price)
+          orders_changed = true
+        }
+      })
 
       _.each(openOrders, function(order) {
-        if (trade.time - order.time < so.order_adjust_time) {
+        if (trade.time - order.time < latency) {
           return // Not time yet
         }
-        if (order.tradetype === 'buy' && trade.price <= order.price) {
-          processBuy(order, trade)
-          orders_changed = true
+        let fill = fill_model.fill(order, trade)
+        if (!fill || !(fill.size > 0)) {
+          return
         }
-        else if (order.tradetype === 'sell' && trade.price >= order.price) {
-          processSell(order, trade)
-          orders_changed = true
+        if (order.tradetype === 'buy') {
+          processBuy(order, fill, trade)
+        }
+        else {
+          processSell(order, fill, trade)
         }
+        orders_changed = true
       })
 
       if (orders_changed)
@@ -218,15 +334,34 @@ module.exports = function sim (conf, s) {
     }
   }
 
-  function processBuy (buy_order, trade) {
-    let fee = 0
-    let size = Math.min(buy_order.remaining_size, trade.size)
-    let price = buy_order.price
-
-    // Add estimated slippage to price
-    if (so.order_type === 'maker') {
-      price = n(price).add(n(price).multiply(so.avg_slippage_pct / 100)).format('0.00000000')
+  // --margin_interest_pct is a daily rate, charged pro rata on the borrowed principal
+  function accrueInterest (time) {
+    if (!time) return
+    if (margin.borrowed > 0 && margin.accrued_at && so.margin_interest_pct) {
+      let days = (time - margin.accrued_at) / 86400000
+      if (days > 0) {
+        margin.interest = n(margin.borrowed).multiply(so.margin_interest_pct / 100).multiply(days).add(margin.interest).value()
+      }
     }
+    margin.accrued_at = time
+  }
+
+  // a triggered leg becomes a resting limit sell, which fills right away
+  // when the trade price allows it; the other OCO leg is gone
+  function triggerStop (order, leg, price) {
+    if (so.debug) console.log(`${leg} leg triggered at ${price}`)
+    delete stopOrders['~' + order.id]
+    order.leg = leg
+    order.price = price
+    order.time = now - so.order_adjust_time
+    openOrders['~' + order.id] = order
+  }
+
+  // fill is {size, price} as decided by the fill model
+  function processBuy (buy_order, fill, trade) {
+    let fee = 0
+    let size = fill.size
+    let price = fill.price
 
     let total = n(price).multiply(size)
 
@@ -246,11 +381,15 @@ module.exports = function sim (conf, s) {
     let order = buy_order
     order.filled_size = order.filled_size + size
     order.remaining_size = order.size - order.filled_size
+    order.executed_value = n(order.executed_value || 0).add(total).value()
 
     if (order.remaining_size <= 0) {
       if (so.debug) console.log('full fill bought')
       order.status = 'done'
       order.done_at = trade.time
+      if (fill_model.reports_fill_price) {
+        order.price = n(order.executed_value).divide(order.filled_size).format('0.00000000')
+      }
       delete openOrders['~' + order.id]
     }
     else {
@@ -258,15 +397,10 @@ module.exports = function sim (conf, s) {
     }
   }
 
-  function processSell (sell_order, trade) {
+  function processSell (sell_order, fill, trade) {
     let fee = 0
-    let size = Math.min(sell_order.remaining_size, trade.size)
-    let price = sell_order.price
-
-    // Add estimated slippage to price
-    if (so.order_type === 'maker') {
-      price = n(price).subtract(n(price).multiply(so.avg_slippage_pct / 100)).format('0.00000000')
-    }
+    let size = fill.size
+    let price = fill.price
 
     let total = n(price).multiply(size)
 
@@ -286,11 +420,15 @@ module.exports = function sim (conf, s) {
     let order = sell_order
     order.filled_size = order.filled_size + size
     order.remaining_size = order.size - order.filled_size
+    order.executed_value = n(order.executed_value || 0).add(total).value()
 
     if (order.remaining_size <= 0) {
       if (so.debug) console.log('full fill sold')
       order.status = 'done'
       order.done_at = trade.time
+      if (fill_model.reports_fill_price) {
+        order.price = n(order.executed_value).divide(order.filled_size).format('0.00000000')
+      }
       delete openOrders['~' + order.id]
     }
     else {
@@ -2,13 +2,14 @@ var request = require('request')
 
 module.exports = function ifttt (config) {
   var ifttt = {
-    pushMessage: function(title, message) {
+    pushMessage: function(title, message, done) {
       var postData = {'value1': title , 'value2': message }
 
       function callback(error) {
         if (error) {
           console.log('Error happened: '+ error)
         }
+        if (done) done()
       }
 
       var options = {
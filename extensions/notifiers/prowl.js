@@ -2,9 +2,10 @@ var Prowl = require('node-prowl')
 
 module.exports = function prowl (config) {
   var prowl = {
-    pushMessage: function(title, message) {
+    pushMessage: function(title, message, done) {
       var p = new Prowl(config.key)
       p.push(message, title, function(err) {
+        if (done) done()
         if (err) {
           console.log('error: Push message failed, ' + err)
           return
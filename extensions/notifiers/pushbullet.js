@@ -2,9 +2,10 @@ var pusher = require('pushbullet')
 
 module.exports = function pushbullet (config) {
   var pushbullet = {
-    pushMessage: function(title, message) {
+    pushMessage: function(title, message, done) {
       var pb = new pusher(config.key)
       pb.note(config.deviceID, title, message, (err) => {
+        if (done) done()
         if (err) {
           console.log('error: Push message failed, ' + err)
           return
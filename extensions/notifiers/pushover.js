@@ -2,7 +2,7 @@ var request = require('request')
 
 module.exports = function pushover (config) {
   var pushover = {
-    pushMessage: function(title, message) {
+    pushMessage: function(title, message, done) {
       var postData = {
         'token': config.token,
         'user': config.user,
@@ -15,6 +15,7 @@ module.exports = function pushover (config) {
         if (error) {
           console.log('Error happened: '+ error)
         }
+        if (done) done()
       }
 
       var options = {
@@ -2,13 +2,14 @@ var IncomingWebhook = require('@slack/client').IncomingWebhook
 
 module.exports = function slack (config) {
   var slack = {
-    pushMessage: function(title, message) {
+    pushMessage: function(title, message, done) {
       var slackWebhook = new IncomingWebhook(config.webhook_url || '', {})
       slackWebhook.send(title + ': ' + message, function (err) {
         if (err) {
           console.error('\nerror: slack webhook')
           console.error(err)
         }
+        if (done) done()
       })
     }
   }
@@ -14,10 +14,12 @@ module.exports = function telegram (config) {
     }
   }
   var telegram = {
-    pushMessage: function(title, message) {
+    pushMessage: function(title, message, done) {
       bot.sendMessage(config.chat_id, title + ': ' + message).catch(function (error) {
         console.error('\nerror: telegram notification')
         console.log(error.response.body) // => { ok: false, error_code: 400, description: 'Bad Request: chat not found' }
+      }).then(function () {
+        if (done) done()
       })
     },
     onMessage: function (callback) {
@@ -2,13 +2,14 @@ var request = require('request')
 
 module.exports = function textbelt (config) {
   var textbelt = {
-    pushMessage: function(title, message) {
+    pushMessage: function(title, message, done) {
       var postData = {'number': config.phone, 'message': title+': '+message, 'key': config.key }
 
       function callback(error) {
         if (error) {
           console.log('Error happened: '+ error)
         }
+        if (done) done()
       }
 
       var options = {
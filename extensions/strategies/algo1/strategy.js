@@ -20,81 +20,6 @@
 // CUSTOM INDICATOR IMPLEMENTATIONS
 // ======================================================================
 
-/**
- * Custom ATR (Average True Range) implementation with performance optimization and error resilience
- * 
- * @param {Object} s - Strategy state object
- * @param {Number} period - Period for ATR calculation
- * @returns {Number} - Calculated ATR value
- */
-function calculateATR(s, period) {
-  if (!s.lookback || s.lookback.length < period) return;
-  
-  try {
-    // Performance optimization: Only recalculate if we have new data
-    if (s._last_atr_time === s.period.time) {
-      return s.period.atr;
-    }
-    
-    // Calculate True Range for current period
-    let tr = 0;
-    if (s.lookback.length >= 1) {
-      const prevClose = s.lookback[0].close;
-      const high = s.period.high;
-      const low = s.period.low;
-      
-      // Validate inputs to prevent NaN results
-      if (isNaN(high) || isNaN(low) || isNaN(prevClose)) {
-        throw new Error('Invalid price data for ATR calculation');
-      }
-      
-      const tr1 = Math.abs(high - low);
-      const tr2 = Math.abs(high - prevClose);
-      const tr3 = Math.abs(low - prevClose);
-      
-      tr = Math.max(tr1, tr2, tr3);
-    } else {
-      tr = s.period.high - s.period.low; // First period
-    }
-    
-    // Validate TR calculation
-    if (isNaN(tr) || tr < 0) {
-      throw new Error('Invalid TR calculation result');
-    }
-    
-    // Initialize ATR or calculate using EMA
-    if (!s.period.atr) {
-      s.period.atr = tr;
-    } else {
-      // Use EMA formula for ATR: ATR = ((period-1) * prevATR + TR) / period
-      s.period.atr = ((period - 1) * s.lookback[0].atr + tr) / period;
-    }
-    
-    // Validate final ATR value
-    if (isNaN(s.period.atr) || s.period.atr < 0) {
-      throw new Error('Invalid ATR calculation result');
-    }
-    
-    // Mark as calculated for this period
-    s._last_atr_time = s.period.time;
-    
-    return s.period.atr;
-  } catch (error) {
-    // Fallback if calculation fails
-    if (s.lookback && s.lookback[0] && s.lookback[0].atr && !isNaN(s.lookback[0].atr)) {
-      s.period.atr = s.lookback[0].atr;
-    } else if (tr > 0) {
-      s.period.atr = tr;
-    } else {
-      // Last resort fallback - use a small default value
-      s.period.atr = (s.period.close || 1) * 0.001; // 0.1% of price as default ATR
-    }
-    
-    trackError(s, 'calculation', 'ATR calculation error: ' + error.message);
-    return s.period.atr;
-  }
-}
-
 /**
  * Custom MACD (Moving Average Convergence Divergence) implementation
  * with performance optimization and error resilience
@@ -828,7 +753,6 @@ function initializeState(s) {
     s.trailing_stop_active = false;
     
     // Initialize performance optimization caches
-    s._last_atr_time = null;
     s._last_macd_time = null;
     s._last_regime_time = null;
     s._last_pattern_time = null;
@@ -1074,6 +998,12 @@ var z = require('zero-fill')
 module.exports = {
   name: 'algo1',
   description: 'Price Action Pattern Recognition System for HFT - Detects directional movements, flash crashes, and stagnation patterns',
+
+  // ATR over --atr_period: the volatility of the market regime, the flash
+  // crash confirmation and the entry filter all compare it across periods
+  indicators: function (s) {
+    return { atr: { type: 'atr', period: s.options.atr_period } }
+  },
   
   getOptions: function () {
     this.option('period', 'period length, same as --period_length', String, '5m')
@@ -1174,7 +1104,6 @@ module.exports = {
       ema(s, 'ema_long', s.options.ema_long)
       
       bollingerBands(s, 'bb', s.options.bb_period, s.options.bb_stddev)
-      calculateATR(s, s.options.atr_period) // Use our custom ATR implementation
       calculateMACD(s, s.options.macd_fast, s.options.macd_slow, s.options.macd_signal) // Use our custom MACD implementation
       adx(s, s.options.adx_period)
       rsi(s, 'rsi', s.options.oversold_rsi_periods)
@@ -1293,8 +1222,11 @@ module.exports = {
         return cb();
       }
       
-      // Entry logic
-      if (!s.in_position && s.open_positions < s.options.max_open_positions && 
+      // Entry logic - while in position, further entries below the average
+      // entry price scale in with another lot (up to max_open_positions)
+      const scaling_in = s.in_position;
+      const prev_entry_price = s.entry_price;
+      if ((!s.in_position || s.period.close < s.entry_price) && s.open_positions < s.options.max_open_positions && 
           s.period.trading_allowed && !s.period.daily_trade_limit_reached) {
         // Get dynamic risk parameters
         const dynamic_risk = s.period.dynamic_risk || {
@@ -1341,13 +1273,14 @@ module.exports = {
           s.trailing_stop_active = false;
           
           // Calculate position size based on risk
-          s.position_size = s.balance * (dynamic_risk.position_size_pct / 100);
+          s.position_size = dynamic_risk.position_size_pct;
+          s.sizing = { pct: s.position_size, stop_price: s.stop };
           
           if (s.options.log_trades && (s.options.mode !== 'sim' || s.options.verbose)) {
             console.log(('\nFlash Crash pattern detected with confidence ' + s.period.pattern_confidence + 
                         ', buying at ' + n(s.period.close).format('0.00000000') + 
                         ' with stop at ' + n(s.stop).format('0.00000000') + 
-                        ' and position size ' + n(s.position_size).format('0.00000000') + 
+                        ' and position size ' + n(s.position_size).format('0.0') + '%' + 
                         ' [Regime: ' + s.market_regime.volatility + '/' + s.market_regime.trend + ']\n').cyan);
           }
         }
@@ -1369,13 +1302,14 @@ module.exports = {
           s.trailing_stop_active = false;
           
           // Calculate position size based on risk
-          s.position_size = s.balance * (dynamic_risk.position_size_pct / 100);
+          s.position_size = dynamic_risk.position_size_pct;
+          s.sizing = { pct: s.position_size, stop_price: s.stop };
           
           if (s.options.log_trades && (s.options.mode !== 'sim' || s.options.verbose)) {
             console.log(('\nPost-Stagnation pattern detected with confidence ' + s.period.pattern_confidence + 
                         ', buying at ' + n(s.period.close).format('0.00000000') + 
                         ' with stop at ' + n(s.stop).format('0.00000000') + 
-                        ' and position size ' + n(s.position_size).format('0.00000000') + 
+                        ' and position size ' + n(s.position_size).format('0.0') + '%' + 
                         ' [Regime: ' + s.market_regime.volatility + '/' + s.market_regime.trend + ']\n').cyan);
           }
         }
@@ -1397,13 +1331,14 @@ module.exports = {
           s.trailing_stop_active = false;
           
           // Calculate position size based on risk
-          s.position_size = s.balance * (dynamic_risk.position_size_pct * 0.9 / 100);
+          s.position_size = dynamic_risk.position_size_pct * 0.9;
+          s.sizing = { pct: s.position_size, stop_price: s.stop };
           
           if (s.options.log_trades && (s.options.mode !== 'sim' || s.options.verbose)) {
             console.log(('\nUnsteady Decline pattern detected with confidence ' + s.period.pattern_confidence + 
                         ', buying at ' + n(s.period.close).format('0.00000000') + 
                         ' with stop at ' + n(s.stop).format('0.00000000') + 
-                        ' and position size ' + n(s.position_size).format('0.00000000') + 
+                        ' and position size ' + n(s.position_size).format('0.0') + '%' + 
                         ' [Regime: ' + s.market_regime.volatility + '/' + s.market_regime.trend + ']\n').cyan);
           }
         }
@@ -1424,19 +1359,27 @@ module.exports = {
           s.trailing_stop_active = false;
           
           // Calculate position size based on risk (smaller for RSI signals)
-          s.position_size = s.balance * (dynamic_risk.position_size_pct * 0.7 / 100);
+          s.position_size = dynamic_risk.position_size_pct * 0.7;
+          s.sizing = { pct: s.position_size, stop_price: s.stop };
           
           if (s.options.log_trades && (s.options.mode !== 'sim' || s.options.verbose)) {
             console.log(('\nOversold RSI detected at ' + s.period.rsi + 
                         ', buying at ' + n(s.period.close).format('0.00000000') + 
                         ' with stop at ' + n(s.stop).format('0.00000000') + 
-                        ' and position size ' + n(s.position_size).format('0.00000000') + 
+                        ' and position size ' + n(s.position_size).format('0.0') + '%' + 
                         ' [Regime: ' + s.market_regime.volatility + '/' + s.market_regime.trend + ']\n').cyan);
           }
         }
       }
+      
+      if (s.signal === 'buy' && scaling_in) {
+        s.signal = 'buy_more';
+        // Track the average entry across the open lots
+        s.entry_price = (prev_entry_price * (s.open_positions - 1) + s.period.close) / s.open_positions;
+      }
+      
       // Exit logic
-      else if (s.in_position) {
+      if (s.in_position && s.signal !== 'buy_more') {
         let exit_reason = null;
         let is_win = false;
         let profit_pct = 0;
@@ -1567,7 +1510,7 @@ module.exports = {
       }
       
       // Update position state
-      if (s.signal === 'buy') {
+      if (s.signal === 'buy' || s.signal === 'buy_more') {
         s.in_position = true;
         s.entry_confidence = s.period.pattern_confidence;
       } else if (s.signal === 'sell') {
@@ -1579,12 +1522,8 @@ module.exports = {
         s.entry_price = null;
         s.entry_time = null;
         s.entry_confidence = null;
-        s.open_positions--;
-        
-        // Ensure open_positions doesn't go negative
-        if (s.open_positions < 0) {
-          s.open_positions = 0;
-        }
+        // A sell closes every open lot
+        s.open_positions = 0;
       }
       
       // Store current market regime for next period comparison
@@ -30,44 +30,6 @@ var adx = require("../../../lib/adx");
 // HELPER FUNCTIONS
 // ======================================================================
 
-/**
- * Custom ATR (Average True Range) implementation with performance optimization
- * @param {Object} s - Strategy state object
- * @param {Number} period - Period for ATR calculation
- * @returns {Number} - Calculated ATR value
- */
-function calculateATR(s, period) {
-  if (!s.lookback || s.lookback.length < period) return s.period.atr || 0;
-  try {
-    // Cache check for performance
-    if (s._last_atr_time === s.period.time) return s.period.atr;
-    
-    let tr = 0;
-    const high = s.period.high;
-    const low = s.period.low;
-    const prevClose = s.lookback[0] ? s.lookback[0].close : s.period.open;
-    
-    if (isNaN(high) || isNaN(low) || isNaN(prevClose)) throw new Error("Invalid price data for ATR");
-    
-    tr = Math.max(Math.abs(high - low), Math.abs(high - prevClose), Math.abs(low - prevClose));
-    if (isNaN(tr) || tr < 0) throw new Error("Invalid TR result");
-    
-    const prevATR = s.lookback[0] && !isNaN(s.lookback[0].atr) ? s.lookback[0].atr : tr;
-    s.period.atr = ((period - 1) * prevATR + tr) / period;
-    
-    if (isNaN(s.period.atr) || s.period.atr < 0) throw new Error("Invalid ATR result");
-    
-    s._last_atr_time = s.period.time;
-    return s.period.atr;
-  } catch (error) {
-    // Fallback logic
-    s.period.atr = (s.lookback[0] && s.lookback[0].atr && !isNaN(s.lookback[0].atr)) ? 
-                   s.lookback[0].atr : (s.period.close || 1) * 0.001;
-    trackError(s, "calculation", "ATR error: " + error.message);
-    return s.period.atr;
-  }
-}
-
 /**
  * Custom MACD (Moving Average Convergence Divergence) implementation
  * @param {Object} s - Strategy state object
@@ -588,6 +550,12 @@ module.exports = {
   name: "algo1meta",
   description: "Meta-strategy combining Flash Crash, Post-Stagnation, and Unsteady Decline patterns",
 
+  // ATR over --atr_period, against its 20 period average for the volatility
+  // regime and against the last period for the flash crash confidence
+  indicators: function (s) {
+    return { atr: { type: "atr", period: s.options.atr_period } };
+  },
+
   getOptions: function () {
     this.option("period", "period length, same as --period_length", String, "1m");
     this.option("period_length", "period length, same as --period", String, "1m");
@@ -677,7 +645,6 @@ module.exports = {
       ema(s, "ema_long", s.options.unsteady_decline.ema_long);
       
       bollingerBands(s, "bb", s.options.bb_period, s.options.bb_stddev);
-      calculateATR(s, s.options.atr_period);
       calculateMACD(s, s.options.macd_fast, s.options.macd_slow, s.options.macd_signal);
       adx(s, s.options.adx_period);
       rsi(s, "rsi", s.options.oversold_rsi_periods);
@@ -0,0 +1,90 @@
+var z = require('zero-fill')
+  , n = require('numbro')
+  , ensemble = require('../../../lib/ensemble')
+  , Phenotypes = require('../../../lib/phenotype')
+
+module.exports = {
+  name: 'ensemble',
+  description: 'Combine the signals of other strategies by weighted vote, quorum or confidence-weighted score.',
+
+  timeframes: function (s) {
+    return ensemble.timeframes(s)
+  },
+
+  getOptions: function () {
+    this.option('period', 'period length, same as --period_length', String, '5m')
+    this.option('period_length', 'period length, same as --period', String, '5m')
+    this.option('min_periods', 'min. number of history periods', Number, 100)
+    this.option('members', 'strategies to combine with their weights, set their own options with --<strategy>.<option>', String, 'cci_srsi,stddev,algo1')
+    this.option('combine', 'how to combine the signals: ' + ensemble.COMBINE.join(', '), String, 'vote')
+    this.option('vote_pct', 'vote: % of the total weight a side needs', Number, 50)
+    this.option('quorum', 'quorum: number of members that must agree with none against', Number, 2)
+    this.option('min_score', 'score: confidence-weighted score needed, from 0 to 1', Number, 0.25)
+    this.option('accuracy_periods', 'periods after which the signals of a member are scored', Number, 3)
+  },
+
+  calculate: function (s) {
+    if (!s.ensemble) {
+      s.ensemble = ensemble(s)
+    }
+    s.ensemble.calculate()
+  },
+
+  calculateTimeframe: function (s, tf) {
+    if (s.ensemble) {
+      s.ensemble.calculateTimeframe(tf)
+    }
+  },
+
+  onTimeframePeriod: function (s, tf, cb) {
+    if (!s.ensemble) return cb()
+    s.ensemble.onTimeframePeriod(tf, cb)
+  },
+
+  onPeriod: function (s, cb) {
+    if (!s.ensemble) return cb()
+    s.ensemble.onPeriod(function (signal) {
+      s.signal = signal
+      if (s.signal == 'buy' && s.stopTriggered) {
+        s.stopTriggered = false
+      }
+      if (s.signal == 'sell' && s.stopTriggered) {
+        s.signal = null
+      }
+      cb()
+    })
+  },
+
+  // the hit rate of every member, in the color of its last signal
+  onReport: function (s) {
+    var cols = []
+    if (s.ensemble) {
+      s.ensemble.members.forEach(function (member) {
+        var rate = s.ensemble.rate(member)
+        var color = member.last_signal === 'buy' ? 'green' : member.last_signal === 'sell' ? 'red' : 'grey'
+        cols.push(z(5, rate === null ? '-' : n(rate).format('0%'), ' ')[color])
+      })
+    }
+    return cols
+  },
+
+  phenotypes: {
+    // -- common
+    period_length: Phenotypes.RangePeriod(1, 60, 'm'),
+    min_periods: Phenotypes.Range(1, 200),
+    markdown_buy_pct: Phenotypes.RangeFloat(-1, 5),
+    markup_sell_pct: Phenotypes.RangeFloat(-1, 5),
+    order_type: Phenotypes.ListOption(['maker', 'taker']),
+    sell_stop_pct: Phenotypes.Range0(1, 50),
+    buy_stop_pct: Phenotypes.Range0(1, 50),
+    profit_stop_enable_pct: Phenotypes.Range0(1, 20),
+    profit_stop_pct: Phenotypes.Range(1,20),
+
+    // -- strategy
+    combine: Phenotypes.ListOption(['vote', 'quorum', 'score']),
+    vote_pct: Phenotypes.Range(30, 100),
+    quorum: Phenotypes.Range(1, 3),
+    min_score: Phenotypes.RangeFloat(0.1, 1),
+    accuracy_periods: Phenotypes.Range(1, 10)
+  }
+}
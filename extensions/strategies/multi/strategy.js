@@ -1,10 +1,9 @@
-var pivot = require('../pivot/strategy')
-var macd = require('../macd/strategy')
-var ehlers_ft = require('../ehlers_ft/strategy')
-var momentum = require('../momentum/strategy')
+var ensemble = require('../ensemble/strategy')
 
 var Phenotypes = require('../../../lib/phenotype')
 
+// the ensemble strategy with pivot, macd, ehlers_ft and momentum as members,
+// two of them agreeing with none against
 module.exports = {
   name: 'multi',
   description: 'This strategy utilize: pivot macd momentum ehlers_ft.',
@@ -12,6 +11,12 @@ module.exports = {
   getOptions: function () {
     this.option('period', 'period length, same as --period_length', String, '30m')
     this.option('period_length', 'period length, same as --period', String, '30m')
+    this.option('members', 'strategies to combine with their weights, set their own options with --<strategy>.<option>', String, 'pivot,macd,ehlers_ft,momentum')
+    this.option('combine', 'how to combine the signals: vote, quorum, score', String, 'quorum')
+    this.option('vote_pct', 'vote: % of the total weight a side needs', Number, 50)
+    this.option('quorum', 'quorum: number of members that must agree with none against', Number, 2)
+    this.option('min_score', 'score: confidence-weighted score needed, from 0 to 1', Number, 0.25)
+    this.option('accuracy_periods', 'periods after which the signals of a member are scored', Number, 3)
     
     // PIVOT
     // this.option('period_length', 'period length', String, '30m')
@@ -45,59 +50,12 @@ module.exports = {
     this.option('momentum_size', 'number of periods to look back for momentum', Number, 5)
   },
 
-  calculate: function (s) {
-    pivot.calculate(s)
-    macd.calculate(s)
-    ehlers_ft.calculate(s)
-    momentum.calculate(s)
-  },
-
-  onPeriod: function (s, cb) {
-    let totalBuy = 0
-    let totalSell = 0
-    if(s && s.lookback && s.lookback.constructor === Array && s.lookback.length > 5 && s.lookback[1].high && s.lookback[5].high) {
-      pivot.onPeriod(s, function(){})
-      if(s.signal == 'buy') 
-        totalBuy += 1
-      if(s.signal == 'sell') 
-        totalSell += 1
-    }
-    macd.onPeriod(s, function(){})
-    if(s.signal == 'buy') 
-      totalBuy += 1
-    if(s.signal == 'sell') 
-      totalSell += 1
-    ehlers_ft.onPeriod(s, function(){})
-    if(s.signal == 'buy') 
-      totalBuy += 1
-    if(s.signal == 'sell') 
-      totalSell += 1
-    momentum.onPeriod(s, function(){})
-    if(s.signal == 'buy') 
-      totalBuy += 1
-    if(s.signal == 'sell') 
-      totalSell += 1
-    
-    s.signal = null
-    if(totalBuy >= 2 && totalBuy >= totalSell && totalSell == 0)
-      s.signal = 'buy'
-    if(totalSell >= 2 && totalSell >= totalBuy && totalBuy == 0)
-      s.signal = 'sell'
-
-    if(s.signal == 'buy' && s.stopTriggered) {
-      s.stopTriggered = false
-    }
-
-    if(s.signal == 'sell' && s.stopTriggered) {
-      s.signal = null
-    }
-    return cb()
-  },
-
-  onReport: function (s) {
-    var cols = []
-    return cols.concat(pivot.onReport(s), macd.onReport(s), ehlers_ft.onReport(s), momentum.onReport(s))
-  },
+  timeframes: ensemble.timeframes,
+  calculate: ensemble.calculate,
+  calculateTimeframe: ensemble.calculateTimeframe,
+  onTimeframePeriod: ensemble.onTimeframePeriod,
+  onPeriod: ensemble.onPeriod,
+  onReport: ensemble.onReport,
 
   phenotypes: {
     // -- common
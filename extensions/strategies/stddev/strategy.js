@@ -583,6 +583,7 @@ module.exports = {
       // Real execution
       s.signal = "buy"
       s.buy_pct = s.options.auto_buy_pct
+      s.sizing = { pct: s.buy_pct * 100 }
       
       // Take pre-execution balance snapshot
       this.takeBalanceSnapshot(s, "pre_execution")
@@ -1149,6 +1150,7 @@ module.exports = {
           // Apply adaptive position sizing if enabled
           if (s.options.enable_adaptive_sizing) {
             s.buy_pct = this.calculatePositionSize(s)
+            s.sizing = { pct: s.buy_pct * 100 }
             if (s.options.debug_log) {
               debug.msg(`BUY signal with adaptive sizing: ${(s.buy_pct * 100).toFixed(0)}% position`)
             }
@@ -0,0 +1,187 @@
+let moment = require('moment')
+  , n = require('numbro')
+  , crypto = require('crypto')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+
+// Data quality of the trades of a selector, fed in time order one trade at a
+// time so a collection of any size is scanned without loading it, keeping
+// only examples of each issue, the runs and the hourly coverage. It finds
+//   gaps          no trade for more than gap_ms
+//   spikes        a log return beyond sigma standard deviations of the last
+//                 window returns. A spike does not enter the window and the
+//                 next return is taken from the last price before it, so
+//                 the way back from a bad print is not a spike too.
+//   out of order  numeric trade ids going backwards in time
+//   zero size     trades of no size
+// Duplicate trade ids are found by the command with an aggregation, they are
+// not next to each other in time order. The runs between gaps become the
+// resume markers when they are repaired.
+//
+// opts: gap_ms, sigma, window, examples (kept of each issue)
+let HOUR = 3600000
+let DAY = 24 * HOUR
+
+module.exports = function audit (opts) {
+  let examples = opts.examples || 10
+  let window = opts.window || 100
+  let returns = [], sum = 0, sumsq = 0
+  let prev = null, good_price = null, max_id = null
+  let runs = [], run = null
+  let cells = {}
+  let report = {
+    trades: 0,
+    first_time: null,
+    last_time: null,
+    gaps: {count: 0, ms: 0, examples: []},
+    spikes: {count: 0, examples: []},
+    out_of_order: {count: 0, examples: []},
+    zero_size: {count: 0, examples: []},
+    duplicates: {count: 0, examples: []}
+  }
+
+  function issue (kind, example) {
+    report[kind].count++
+    if (report[kind].examples.length < examples) report[kind].examples.push(example)
+  }
+
+  function spike (trade) {
+    if (!(trade.price > 0)) return
+    if (good_price === null) {
+      good_price = trade.price
+      return
+    }
+    let r = Math.log(trade.price / good_price)
+    if (returns.length >= window) {
+      let mean = sum / returns.length
+      let sd = Math.sqrt(Math.max(0, sumsq / returns.length - mean * mean))
+      if (sd > 0 && Math.abs(r - mean) > opts.sigma * sd) {
+        issue('spikes', {time: trade.time, trade_id: trade.trade_id, price: trade.price, prev_price: good_price, sigma: Math.abs(r - mean) / sd})
+        return
+      }
+      let old = returns.shift()
+      sum -= old
+      sumsq -= old * old
+    }
+    returns.push(r)
+    sum += r
+    sumsq += r * r
+    good_price = trade.price
+  }
+
+  return {
+    add: function (trade) {
+      report.trades++
+      if (report.first_time === null) report.first_time = trade.time
+      report.last_time = trade.time
+      let cell = Math.floor(trade.time / HOUR)
+      cells[cell] = (cells[cell] || 0) + 1
+
+      if (prev && trade.time - prev.time > opts.gap_ms) {
+        report.gaps.ms += trade.time - prev.time
+        issue('gaps', {from: prev.time, to: trade.time, ms: trade.time - prev.time})
+        runs.push(run)
+        run = null
+      }
+      if (!run) run = {first: trade, last: trade, trades: 0}
+      run.last = trade
+      run.trades++
+
+      if (!(trade.size > 0)) issue('zero_size', {time: trade.time, trade_id: trade.trade_id, size: trade.size})
+      if (typeof trade.trade_id === 'number') {
+        if (max_id !== null && trade.trade_id < max_id) issue('out_of_order', {time: trade.time, trade_id: trade.trade_id, after: max_id})
+        max_id = Math.max(max_id === null ? trade.trade_id : max_id, trade.trade_id)
+      }
+      spike(trade)
+      prev = trade
+    },
+
+    // groups of {_id: trade_id, n} from the aggregation
+    duplicates: function (groups) {
+      groups.forEach(function (group) {
+        report.duplicates.count += group.n - 1
+        if (report.duplicates.examples.length < examples) report.duplicates.examples.push({trade_id: group._id, n: group.n})
+      })
+    },
+
+    report: function () {
+      return Object.assign({}, report, {
+        runs: run ? runs.concat([run]) : runs.slice(),
+        cells: cells
+      })
+    }
+  }
+}
+
+// one resume marker per run of trades without a gap, so backfill fetches the
+// gaps again
+module.exports.markers = function (runs, selector, getCursor) {
+  return runs.map(function (run) {
+    let id = crypto.randomBytes(4).toString('hex')
+    return {
+      _id: id,
+      id: id,
+      selector: selector,
+      from: getCursor(run.first),
+      to: getCursor(run.last),
+      oldest_time: run.first.time,
+      newest_time: run.last.time
+    }
+  })
+}
+
+// a row of hourly cells per day, or of daily cells per week over 90 days
+module.exports.coverage = function (report) {
+  if (!report.trades) return []
+  let daily = report.last_time - report.first_time > 90 * DAY
+  let cell_ms = daily ? DAY : HOUR
+  let row_ms = daily ? 7 * DAY : DAY
+  let counts = {}
+  Object.keys(report.cells).forEach(function (hour) {
+    let cell = Math.floor(hour * HOUR / cell_ms)
+    counts[cell] = (counts[cell] || 0) + report.cells[hour]
+  })
+  let lines = []
+  for (let row = Math.floor(report.first_time / row_ms) * row_ms; row <= report.last_time; row += row_ms) {
+    let line = ''
+    for (let t = row; t < row + row_ms; t += cell_ms) {
+      if (t + cell_ms <= report.first_time || t > report.last_time) line += ' '
+      else line += counts[t / cell_ms] ? '█'.green : '·'.red
+    }
+    lines.push(moment.utc(row).format('YYYY-MM-DD') + ' ' + line)
+  }
+  return [('coverage, a cell per ' + (daily ? 'day, a row per week' : 'hour, a row per day') + ' (UTC):').grey].concat(lines)
+}
+
+module.exports.lines = function (report) {
+  function time (t) {
+    return moment(t).format('YYYY-MM-DD HH:mm:ss')
+  }
+  function count (value) {
+    return value ? String(value).red : String(value).green
+  }
+  let lines = [
+    report.trades + ' trades from ' + time(report.first_time) + ' to ' + time(report.last_time),
+    'gaps:          ' + count(report.gaps.count) + (report.gaps.count ? ' missing ' + moment.duration(report.gaps.ms).humanize() : ''),
+    'duplicate ids: ' + count(report.duplicates.count),
+    'out of order:  ' + count(report.out_of_order.count),
+    'price spikes:  ' + count(report.spikes.count),
+    'zero size:     ' + count(report.zero_size.count)
+  ]
+  report.gaps.examples.forEach(function (gap) {
+    lines.push('  gap of ' + moment.duration(gap.ms).humanize() + ' from ' + time(gap.from) + ' to ' + time(gap.to))
+  })
+  report.duplicates.examples.forEach(function (dup) {
+    lines.push('  trade id ' + dup.trade_id + ' stored ' + dup.n + ' times')
+  })
+  report.out_of_order.examples.forEach(function (trade) {
+    lines.push('  trade id ' + trade.trade_id + ' at ' + time(trade.time) + ' after trade id ' + trade.after)
+  })
+  report.spikes.examples.forEach(function (trade) {
+    lines.push('  price ' + trade.price + ' at ' + time(trade.time) + ' after ' + trade.prev_price + ' (' + n(trade.sigma).format('0.0') + ' sigma)')
+  })
+  report.zero_size.examples.forEach(function (trade) {
+    lines.push('  size ' + trade.size + ' of trade id ' + trade.trade_id + ' at ' + time(trade.time))
+  })
+  return lines
+}
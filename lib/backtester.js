@@ -32,6 +32,7 @@ let processOutput = function (output, taskStrategyName, pheno) {
   let endBalance
   let buyHold
   let vsBuyHold
+  let metrics
   //let wlMatch
   //let errMatch
   let wins
@@ -77,6 +78,7 @@ let processOutput = function (output, taskStrategyName, pheno) {
 
     buyHold = simulationResults.simresults.buy_hold
     vsBuyHold = simulationResults.simresults.vs_buy_hold
+    metrics = simulationResults.simresults
     //wlMatch = (simulationResults.simresults.total_sells - simulationResults.simresults.total_losses) +'/'+ simulationResults.simresults.total_losses
     wins = simulationResults.simresults.total_sells - simulationResults.simresults.total_losses
     losses = simulationResults.simresults.total_losses
@@ -97,6 +99,11 @@ let processOutput = function (output, taskStrategyName, pheno) {
       endBalance: 0,
       buyHold: 0,
       vsBuyHold: 0,
+      sharpe: -1000,
+      sortino: -1000,
+      calmar: -1000,
+      maxDrawdown: 1,
+      profitFactor: 0,
       lastAssestValue: 0,
       assetPriceLastBuy:0,
       wins: 0,
@@ -186,6 +193,11 @@ let processOutput = function (output, taskStrategyName, pheno) {
     endBalance: parseFloat(endBalance),
     buyHold: parseFloat(buyHold),
     vsBuyHold: parseFloat(vsBuyHold) || vsBuyHold,
+    sharpe: parseFloat(metrics.sharpe) || 0,
+    sortino: parseFloat(metrics.sortino) || 0,
+    calmar: parseFloat(metrics.calmar) || 0,
+    maxDrawdown: parseFloat(metrics.max_drawdown) || 0,
+    profitFactor: parseFloat(metrics.profit_factor) || 0,
     wins: wins,
     losses: losses,
     errorRate: parseFloat(errorRate),
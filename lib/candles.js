@@ -0,0 +1,112 @@
+let tb = require('timebucket')
+
+// OHLCV bars for the sim. A bar is replayed as four trades walking its open,
+// high, low and close within the bar's time, each with a quarter of its
+// volume, so the engine builds its periods and the sim exchange fills orders
+// just like it does from raw trades. The intrabar convention sets the walk:
+//   ohlc   open, high, low, close
+//   worst  against the open position first: the low before the high while
+//          long, the high before the low while short, so stops are hit
+//          before targets. Flat it walks like ohlc.
+function sizeMs (size) {
+  return tb(0).resize(size).add(1).toMilliseconds()
+}
+
+module.exports = {
+  sizeMs: sizeMs,
+
+  // the trades replaying a bar of candle_size, position is 'long', 'short' or null
+  toTrades: function (candle, candle_size, intrabar, position) {
+    let prices = [candle.open, candle.high, candle.low, candle.close]
+    if (intrabar === 'worst' && position === 'long') prices = [candle.open, candle.low, candle.high, candle.close]
+    let ms = sizeMs(candle_size)
+    let times = [0, Math.floor(ms / 3), Math.floor(ms * 2 / 3), ms - 1]
+    return prices.map(function (price, i) {
+      return {
+        trade_id: candle.time + '-' + i,
+        selector: candle.selector,
+        time: candle.time + times[i],
+        price: price,
+        size: candle.volume / 4,
+        side: i && price < prices[i - 1] ? 'sell' : 'buy'
+      }
+    })
+  },
+
+  // aggregates the trades between start and end into bars of candle_size,
+  // stored in the candles collection for the next sims. A bar start or end
+  // cuts is left out, and so is one keep (of the bar's time) rejects.
+  aggregate: function (trades, candles, selector, candle_size, start, end, keep) {
+    let ms = sizeMs(candle_size)
+    let match = {selector: selector}
+    if (start || end) match.time = {}
+    if (start) match.time.$gte = start
+    if (end) match.time.$lte = end
+    let bars = []
+    return trades.aggregate([
+      {$match: match},
+      {$sort: {time: 1}},
+      {$group: {
+        _id: {$subtract: ['$time', {$mod: ['$time', ms]}]},
+        open: {$first: '$price'},
+        high: {$max: '$price'},
+        low: {$min: '$price'},
+        close: {$last: '$price'},
+        volume: {$sum: '$size'}
+      }},
+      {$sort: {_id: 1}}
+    ], {allowDiskUse: true}).toArray()
+      .then(function (groups) {
+        bars = groups.filter(function (group) {
+          if (start && group._id < start) return false
+          if (end && group._id + ms - 1 > end) return false
+          return !keep || keep(group._id)
+        }).map(function (group) {
+          return {
+            _id: selector + '-' + candle_size + '-' + group._id,
+            selector: selector,
+            size: candle_size,
+            time: group._id,
+            open: group.open,
+            high: group.high,
+            low: group.low,
+            close: group.close,
+            volume: group.volume
+          }
+        })
+        if (!bars.length) return
+        return candles.bulkWrite(bars.map(bar => ({replaceOne: {filter: {_id: bar._id}, replacement: bar, upsert: true}})), {ordered: false})
+      })
+      .then(function () {
+        return bars.length
+      })
+  },
+
+  // aggregates the bars between start and end the candles collection lacks,
+  // in one pass over the trades from the first missing bar to the last. Only
+  // bars the trades fully cover are stored: not the ones start or end cut,
+  // nor the ones of the oldest and newest trade, which a backfill may not
+  // have completed. Bars without trades are looked for again on the next
+  // run, for a backfill to fill them in.
+  fill: function (trades, candles, selector, candle_size, start, end) {
+    let ms = sizeMs(candle_size)
+    let edge = sort => trades.find({selector: selector}).sort({time: sort}).limit(1).toArray()
+    return Promise.all([edge(1), edge(-1)]).then(function ([oldest, newest]) {
+      if (!oldest.length) return 0
+      let from = Math.max(start || 0, oldest[0].time)
+      from = Math.ceil(from / ms) * ms
+      let to = Math.floor(newest[0].time / ms) * ms - ms
+      if (end) to = Math.min(to, Math.floor((end + 1) / ms) * ms - ms)
+      if (from > to) return 0
+      return candles.find({selector: selector, size: candle_size, time: {$gte: from, $lte: to}}).toArray().then(function (cached) {
+        let have = new Set(cached.map(candle => candle.time))
+        let missing = []
+        for (let time = from; time <= to; time += ms) {
+          if (!have.has(time)) missing.push(time)
+        }
+        if (!missing.length) return 0
+        return module.exports.aggregate(trades, candles, selector, candle_size, missing[0], missing[missing.length - 1] + ms - 1, time => !have.has(time))
+      })
+    })
+  }
+}
@@ -0,0 +1,115 @@
+let n = require('numbro')
+  , fs = require('fs')
+  , path = require('path')
+  , timeframes = require('./timeframes')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+
+// Compares strategies and confs on the same trades. Every candidate is a
+// strategy, a conf overrides file or both; zenbot compare loads the trades
+// once and replays them for each candidate in a worker process
+// (compare_worker.js), then ranks what the workers send back.
+let LOWER_IS_BETTER = ['max_drawdown', 'max_drawdown_duration']
+let CURVE_POINTS = 500
+
+module.exports = {
+  // every strategy with every conf, or each alone when only one list is given
+  candidates: function (strategies, confs) {
+    let list = []
+    if (!strategies.length) strategies = [null]
+    if (!confs.length) confs = [null]
+    strategies.forEach(function (strategy) {
+      confs.forEach(function (conf) {
+        list.push({
+          name: [strategy, conf && path.basename(conf, '.js')].filter(Boolean).join(' + '),
+          strategy: strategy,
+          conf: conf
+        })
+      })
+    })
+    return list
+  },
+
+  // the sim options of a candidate: the shared options, its conf overrides,
+  // its strategy and then the strategy's defaults for what is still unset
+  options: function (shared, candidate) {
+    let so = Object.assign({}, shared)
+    if (candidate.conf) Object.assign(so, require(path.resolve(process.cwd(), candidate.conf)))
+    if (candidate.strategy) so.strategy = candidate.strategy
+    let strategy_path = path.resolve(__dirname, '..', 'extensions', 'strategies', String(so.strategy), 'strategy.js')
+    if (!fs.existsSync(strategy_path)) throw new Error('strategy ' + so.strategy + ' not found')
+    let strategy = require(strategy_path)
+    if (strategy.getOptions) {
+      strategy.getOptions.call({
+        option: function (name, desc, type, def) {
+          if (typeof so[name] === 'undefined') so[name] = def
+        }
+      }, {options: so})
+    }
+    if (typeof so.period_length === 'undefined') so.period_length = so.period
+    if (!so.min_periods) so.min_periods = 1
+    return so
+  },
+
+  // the first trade a candidate needs, preroll included, like zenbot sim
+  queryStart: function (so) {
+    let strategy = so.strategy ? require(path.resolve(__dirname, '..', 'extensions', 'strategies', String(so.strategy), 'strategy.js')) : {}
+    return so.start ? timeframes.start(strategy, {options: so}, so.start, so.min_periods + 2) : null
+  },
+
+  // keeps at most max points of an equity curve, the first and last included
+  thin: function (curve, max) {
+    max = max || CURVE_POINTS
+    if (curve.length <= max) return curve
+    let step = (curve.length - 1) / (max - 1)
+    let points = []
+    for (let i = 0; i < max; i++) {
+      points.push(curve[Math.round(i * step)])
+    }
+    return points
+  },
+
+  // best first by the metric, candidates that failed last
+  rank: function (results, by) {
+    let sign = LOWER_IS_BETTER.indexOf(by) === -1 ? -1 : 1
+    return results.slice().sort(function (a, b) {
+      if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0)
+      return sign * ((a[by] || 0) - (b[by] || 0))
+    })
+  },
+
+  lines: function (ranked) {
+    let width = Math.max.apply(null, ranked.map(result => result.name.length).concat([9]))
+    let columns = [
+      ['profit', 'profit', '0.00%'],
+      ['vs. b&h', 'vs_buy_hold', '0.00%'],
+      ['max dd', 'max_drawdown', '0.00%'],
+      ['sharpe', 'sharpe', '0.00'],
+      ['sortino', 'sortino', '0.00'],
+      ['calmar', 'calmar', '0.00'],
+      ['pf', 'profit_factor', '0.00'],
+      ['win rate', 'win_rate', '0.00%'],
+      ['trips', 'round_trips', '0']
+    ]
+    let lines = [('  # ' + 'candidate'.padEnd(width) + columns.map(column => column[0].padStart(10)).join('')).grey]
+    ranked.forEach(function (result, i) {
+      let line = String(i + 1).padStart(3) + ' ' + result.name.padEnd(width)
+      if (result.error) return lines.push(line + ('  ' + result.error).red)
+      lines.push(line + columns.map(function (column) {
+        let cell = n(result[column[1]]).format(column[2]).padStart(10)
+        return column[1] === 'profit' ? (result.profit >= 0 ? cell.green : cell.red) : cell
+      }).join(''))
+    })
+    return lines
+  },
+
+  // the html report, ranked table and the equity curves on one chart
+  html: function (ranked, title) {
+    let tpl = fs.readFileSync(path.resolve(__dirname, '..', 'templates', 'compare_result.html.tpl'), {encoding: 'utf8'})
+    let output = module.exports.lines(ranked).map(line => colors.stripColors(line)).join('\n')
+    return tpl
+      .replace('{{code}}', 'var results = ' + JSON.stringify(ranked) + ';\n')
+      .replace('{{output}}', output)
+      .replace(/\{\{title\}\}/g, title)
+  }
+}
@@ -0,0 +1,60 @@
+let fs = require('fs')
+  , readline = require('readline')
+  , EventEmitter = require('events')
+  , engineFactory = require('./engine')
+  , metrics = require('./metrics')
+  , settle = require('./settle')
+  , compare = require('./compare')
+
+// One candidate of zenbot compare, forked by the command. It gets the conf,
+// the candidate's sim options and the file of trades the command loaded,
+// replays them in batches through its own engine and sends its results back.
+let BATCH = 1000
+
+process.on('message', function (task) {
+  let conf = Object.assign({}, task.conf, {eventBus: new EventEmitter()})
+  let s = {options: task.options}
+  let engine = engineFactory(s, conf)
+  let query_start = compare.queryStart(s.options)
+  let batch = []
+
+  function flush (cb) {
+    batch.forEach(trade => conf.eventBus.emit('trade', trade))
+    batch = []
+    engine.idle(cb)
+  }
+
+  function finish () {
+    if (!s.period) return done({error: 'no trades'})
+    let settled = settle(s)
+    let curve = s.equity.concat([{time: s.period.time, equity: Number(s.balance.currency)}])
+    done(Object.assign({
+      trades: s.my_trades.length,
+      start_capital: s.start_capital,
+      end_balance: Number(s.balance.currency),
+      equity: compare.thin(curve)
+    }, settled, metrics(s)))
+  }
+
+  function done (result) {
+    process.send(Object.assign({name: task.name, strategy: s.options.strategy, conf: task.conf_file}, result), function () {
+      process.exit(0)
+    })
+  }
+
+  let lines = readline.createInterface({input: fs.createReadStream(task.trades_file)})
+  lines.on('line', function (line) {
+    let trade = JSON.parse(line)
+    if (query_start && trade.time < query_start) return
+    batch.push(trade)
+    if (batch.length >= BATCH) {
+      lines.pause()
+      flush(() => lines.resume())
+    }
+  })
+  lines.on('close', function () {
+    flush(function () {
+      engine.exit(finish)
+    })
+  })
+})
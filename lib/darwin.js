@@ -0,0 +1,69 @@
+let Phenotypes = require('./phenotype')
+
+let ELITE_SHARE = 0.10 // Share of a generation carried over unchanged, sim results and all
+let CROSSOVER_CHANCE = 0.50 // Chance of a child being bred from two parents rather than mutated from one
+
+// Genetic search over the phenotypes a strategy exports. A population is a
+// list of phenotypes, the evaluated ones carry their results in .sim. Every
+// generation keeps its fittest as they are and breeds the rest from
+// tournament winners, so only the children need a new sim.
+function fitnessOf (phenotype) {
+  let fitness = Phenotypes.fitness(phenotype)
+  // a sim that crashed leaves an empty result behind
+  return isNaN(fitness) ? -Infinity : fitness
+}
+
+function tournament (ranked) {
+  let a = ranked[Math.floor(Math.random() * ranked.length)]
+  let b = ranked[Math.floor(Math.random() * ranked.length)]
+  return Phenotypes.competition(a, b) ? a : b
+}
+
+module.exports = {
+  // just the parameters of a phenotype, without its results or run settings
+  genes: function (phenotype, ranges) {
+    let r = {}
+    for (let k in ranges) {
+      if (typeof phenotype[k] !== 'undefined') r[k] = phenotype[k]
+    }
+    return r
+  },
+
+  seed: function (ranges, size) {
+    let population = []
+    while (population.length < size) {
+      population.push(Phenotypes.create(ranges))
+    }
+    return population
+  },
+
+  // fittest first
+  rank: function (population) {
+    return population.slice().sort(function (a, b) {
+      let fa = fitnessOf(a), fb = fitnessOf(b)
+      if (fa === fb) return 0
+      return fa > fb ? -1 : 1
+    })
+  },
+
+  evolve: function (population, ranges, size) {
+    let ranked = module.exports.rank(population)
+    if (!ranked.length) return module.exports.seed(ranges, size)
+    let next = ranked.slice(0, Math.max(1, Math.round(size * ELITE_SHARE)))
+    while (next.length < size) {
+      let a = module.exports.genes(tournament(ranked), ranges)
+      if (Math.random() < CROSSOVER_CHANCE) {
+        let b = module.exports.genes(tournament(ranked), ranges)
+        Phenotypes.crossover(a, b, ranges).forEach(function (child) {
+          if (next.length < size) next.push(child)
+        })
+      }
+      else {
+        next.push(Phenotypes.mutation(a, ranges))
+      }
+    }
+    return next
+  },
+
+  fitness: fitnessOf
+}
@@ -10,6 +10,13 @@ let tb = require('timebucket')
   , _ = require('lodash')
   , notify = require('./notify')
   , rsi = require('./rsi')
+  , lots = require('./lots')
+  , sizing = require('./sizing')
+  , execution = require('./execution')
+  , risk = require('./risk')
+  , timeframes = require('./timeframes')
+  , indicators = require('./indicators')
+  , regime = require('./regime')
   , async = require('async')
   , lolex = require('lolex')
   , { formatAsset, formatPercent, formatCurrency } = require('./format')
@@ -38,7 +45,8 @@ module.exports = function (s, conf) {
       s.exchange = require(path.resolve(__dirname, `../extensions/exchanges/${so.selector.exchange_id}/exchange`))(conf)
     }
   }
-  else if (so.mode === 'paper') {
+  // a replayed paper session answers from the journal of its sim exchange
+  else if (so.mode === 'paper' && !so.replay) {
     s.exchange = require(path.resolve(__dirname, '../extensions/exchanges/sim/exchange'))(conf, s)
   }
   if (!s.exchange) {
@@ -74,6 +82,18 @@ module.exports = function (s, conf) {
   else {
     s.balance = {asset: 0, currency: 0, deposit: 0}
   }
+  // borrowed asset (and the interest owed on it) is kept apart from the spot balances
+  so.position_mode = so.position_mode || 'long'
+  s.margin = {borrowed: 0, interest: 0}
+  if (so.position_mode !== 'long' && (!s.exchange.borrow || !s.exchange.repay || !s.exchange.getMargin)) {
+    console.error('cannot use --position_mode ' + so.position_mode + ': ' + s.exchange.name + ' does not support margin borrowing')
+    process.exit(1)
+  }
+  // exchange-side stops need placeStop/cancelStop/getStop in the adapter
+  if (so.native_stops && (!s.exchange.placeStop || !s.exchange.cancelStop || !s.exchange.getStop)) {
+    console.error(('warning: ' + s.exchange.name + ' does not support native stop orders, stops are kept in memory only').yellow)
+    so.native_stops = false
+  }
 
   function memDump () {
     if (!debug.on) return
@@ -95,9 +115,22 @@ module.exports = function (s, conf) {
   let deposit_col_width = 0
   let currency_col_width = 0
   s.lookback = []
+  s.equity = []
   s.day_count = 1
   s.my_trades = []
   s.my_prev_trades = []
+  let ledger = lots(s)
+  let position_sizer = sizing(s)
+  let risk_guard = risk(s)
+  let executor = execution(s, {
+    quote: getQuote,
+    price: function (type, quote) {
+      return type === 'buy' ? nextBuyForQuote(s, quote) : nextSellForQuote(s, quote)
+    },
+    now: now,
+    post_only: conf.post_only,
+    onChange: saveOrderState
+  })
   s.vol_since_last_blink = 0
   s.last_signal_time = null
   if (so.mode !== 'sim' && conf.output.api.on) {
@@ -117,6 +150,9 @@ module.exports = function (s, conf) {
       })
     }
   }
+  let series = timeframes(s)
+  let declared = indicators.registry(s)
+  let regimes = regime(s)
 
   var notifier = notify(conf)
 
@@ -152,18 +188,56 @@ module.exports = function (s, conf) {
     }
   }
 
+  // with --book_pricing the order joins the book --book_join_level levels
+  // deep, not counting levels thinner than --book_thin_pct of the average
+  // visible level. --markdown_buy_pct and --markup_sell_pct still apply on
+  // top of the level.
+  function bookLevel(levels) {
+    let avg = levels.reduce((sum, level) => sum + Number(level[1]), 0) / levels.length
+    let thick = levels.filter(level => Number(level[1]) >= avg * (so.book_thin_pct || 0) / 100)
+    if (!thick.length) return levels[0][0]
+    return thick[Math.min(so.book_join_level || 0, thick.length - 1)][0]
+  }
+
+  // expected slippage in % of a market order over the other side of the
+  // book. past the visible depth the last level's price is assumed.
+  function expectedSlippage(type, size, book) {
+    let levels = type === 'buy' ? book.asks : book.bids
+    let best = Number(levels[0][0])
+    let left = Number(size), cost = 0
+    levels.forEach(function (level) {
+      let take = Math.min(left, Number(level[1]))
+      cost += take * Number(level[0])
+      left -= take
+    })
+    cost += left * Number(levels[levels.length - 1][0])
+    let avg = cost / Number(size)
+    return (type === 'buy' ? avg - best : best - avg) / best * 100
+  }
+
+  // refuses a taker order the book cannot fill within max_slippage_pct.
+  // maker orders rest at their limit price and are not estimated.
+  function checkBookSlippage(type, size, quote, is_taker) {
+    if (!quote.book || so.max_slippage_pct == null || !(is_taker || so.order_type === 'taker')) return null
+    let expected = expectedSlippage(type, size, quote.book)
+    if (expected <= so.max_slippage_pct) return null
+    let err = new Error('\nslippage protection')
+    err.desc = 'refusing to ' + type + ' ' + formatAsset(size, s.asset) + ', expected slippage of ' + formatPercent(expected / 100) + ' through the order book'
+    return err
+  }
+
   function nextBuyForQuote(s, quote) {
     if (s.next_buy_price)
       return n(s.next_buy_price).format(s.product.increment, Math.floor)
-    else
-      return n(quote.bid).subtract(n(quote.bid).multiply(s.options.markdown_buy_pct / 100)).format(s.product.increment, Math.floor)
+    let bid = quote.book ? bookLevel(quote.book.bids) : quote.bid
+    return n(bid).subtract(n(bid).multiply(s.options.markdown_buy_pct / 100)).format(s.product.increment, Math.floor)
   }
 
   function nextSellForQuote(s, quote) {
     if (s.next_sell_price)
       return n(s.next_sell_price).format(s.product.increment, Math.ceil)
-    else
-      return n(quote.ask).add(n(quote.ask).multiply(s.options.markup_sell_pct / 100)).format(s.product.increment, Math.ceil)
+    let ask = quote.book ? bookLevel(quote.book.asks) : quote.ask
+    return n(ask).add(n(ask).multiply(s.options.markup_sell_pct / 100)).format(s.product.increment, Math.ceil)
   }
 
   function updatePeriod(trade) {
@@ -172,6 +246,9 @@ module.exports = function (s, conf) {
     s.period.close = trade.price
     s.period.volume += trade.size
     s.period.latest_trade_time = trade.time
+    series.update(trade)
+    declared.update()
+    regimes.update()
     s.strategy.calculate(s)
     s.vol_since_last_blink += trade.size
     if (s.trades && s.last_trade_id !== trade.trade_id) {
@@ -182,7 +259,13 @@ module.exports = function (s, conf) {
 
   function executeStop (do_sell_stop) {
     let stop_signal
-    if (s.my_trades.length || s.my_prev_trades.length) {
+    if (s.short_position) {
+      stop_signal = executeShortStop(do_sell_stop)
+    }
+    else if (ledger.count()) {
+      stop_signal = executeLotStop(do_sell_stop)
+    }
+    else if (s.my_trades.length || s.my_prev_trades.length) {
       var last_trade
       if (s.my_trades.length) {
         last_trade = s.my_trades[s.my_trades.length - 1]
@@ -216,7 +299,7 @@ module.exports = function (s, conf) {
     }
     if (stop_signal) {
       if(so.reverse) {
-        s.signal = (stop_signal == 'sell') ? 'buy' : 'sell'
+        s.signal = (stop_signal == 'sell' || stop_signal == 'partial_sell') ? 'buy' : 'sell'
         s.acted_on_stop = true
       } else {
         s.signal = stop_signal
@@ -228,17 +311,105 @@ module.exports = function (s, conf) {
     return stop_signal
   }
 
+  // mirror of the long stops for an open short: a buy stop above the entry
+  // and a trailing profit stop above the low-water mark
+  function executeShortStop (do_sell_stop) {
+    let entry_price = s.short_position.price
+    s.last_trade_worth = (entry_price - s.period.close) / entry_price
+    if (s.acted_on_stop) return
+    if (do_sell_stop && s.short_stop && s.period.close > s.short_stop) {
+      console.log(('\nshort stop triggered at ' + formatPercent(s.last_trade_worth) + ' trade worth\n').red)
+      s.stopTriggered = true
+      return 'buy'
+    }
+    if (so.profit_stop_enable_pct && s.last_trade_worth >= (so.profit_stop_enable_pct / 100)) {
+      s.profit_stop_low = Math.min(s.profit_stop_low || s.period.close, s.period.close)
+      s.profit_stop = s.profit_stop_low + (s.profit_stop_low * (so.profit_stop_pct / 100))
+    }
+    if (s.profit_stop && s.period.close > s.profit_stop && s.last_trade_worth > 0) {
+      console.log(('\nshort profit stop triggered at ' + formatPercent(s.last_trade_worth) + ' trade worth\n').green)
+      return 'buy'
+    }
+  }
+
+  // stops are kept per lot; a triggered lot is sold on its own with a
+  // partial_sell, or with a plain sell when it is the only lot left
+  function executeLotStop (do_sell_stop) {
+    let latest = s.lots[s.lots.length - 1]
+    s.last_trade_worth = (s.period.close - latest.entry_price) / latest.entry_price
+    if (s.acted_on_stop) return
+    let triggered = ledger.evaluate(s.period.close)
+    if (!triggered || (triggered.reason === 'sell stop' && !do_sell_stop)) return
+    console.log(('\nlot ' + triggered.lot.id + ' ' + triggered.reason + ' triggered at ' + formatPercent(triggered.lot.worth) + ' trade worth\n')[triggered.reason === 'sell stop' ? 'red' : 'green'])
+    if (triggered.reason === 'sell stop') {
+      s.stopTriggered = true
+    }
+    if (ledger.count() === 1) return 'sell'
+    s.sell_lot_id = triggered.lot.id
+    return 'partial_sell'
+  }
+
+  // decides whether a signal opens or closes a short, given the current
+  // spot balance and borrowed asset. returns null for a plain spot order,
+  // or false when the signal should be ignored in this position mode.
+  function positionActionFor (signal) {
+    if (so.position_mode === 'long') return null
+    let owed = marginOwed()
+    if (signal === 'buy') {
+      if (s.short_position || owed > 0) return 'close'
+      return so.position_mode === 'short' ? false : null
+    }
+    let free_asset = n(s.balance.asset).subtract(s.balance.asset_hold || 0).subtract(owed).value()
+    if (!s.short_position && (owed > 0 || isOrderTooSmall(s.product, free_asset, s.period.close))) return 'open'
+    return so.position_mode === 'short' ? false : null
+  }
+
+  function marginOwed () {
+    return n(s.margin.borrowed).add(s.margin.interest).value()
+  }
+
+  // the value of the account in currency, at a price of the asset
+  function equityAt (price) {
+    return n(s.balance.currency).add(n(s.balance.asset).subtract(marginOwed()).multiply(price)).value()
+  }
+
+  // one point of the equity curve per period, for lib/metrics
+  function recordEquity () {
+    if (s.in_preroll || !s.start_capital) return
+    s.equity.push({time: s.period.time, equity: equityAt(s.period.close), regime: s.period.regime})
+  }
+
+  function getMargin (cb) {
+    if (so.position_mode === 'long') return cb(null, s.margin)
+    s.exchange.getMargin({asset: s.asset, product_id: s.product_id}, function (err, margin) {
+      if (err) return cb(err)
+      cb(null, {borrowed: Number(margin.borrowed) || 0, interest: Number(margin.interest) || 0})
+    })
+  }
+
   function syncBalance (cb) {
     let pre_asset = so.mode === 'sim' ? s.sim_asset : s.balance.asset
+    let pre_borrowed = s.margin.borrowed
+    let pre_interest = s.margin.interest
     s.exchange.getBalance({currency: s.currency, asset: s.asset}, function (err, balance) {
       if (err) return cb(err)
-      let diff_asset = n(pre_asset).subtract(balance.asset)
-      s.balance = balance
+      getMargin(function (err, margin) {
+        if (err) return cb(err)
+        // borrowing credits asset to the spot balance without spending currency,
+        // and repaying interest consumes asset without earning any
+        let paid_interest = Math.max(0, pre_interest - margin.interest)
+        let diff_asset = n(pre_asset).subtract(balance.asset).add(n(margin.borrowed).subtract(pre_borrowed)).subtract(paid_interest)
+        s.balance = balance
+        s.margin = margin
+        onBalance(diff_asset)
+      })
+    })
+    function onBalance (diff_asset) {
       getQuote(function (err, quote) {
         if (err) return cb(err)
 
         let post_currency = n(diff_asset).multiply(quote.ask)
-        s.asset_capital = n(s.balance.asset).multiply(quote.ask).value()
+        s.asset_capital = n(s.balance.asset).subtract(marginOwed()).multiply(quote.ask).value()
         let deposit = so.deposit ? Math.max(0, n(so.deposit).subtract(s.asset_capital)) : s.balance.currency // zero on negative
         s.balance.deposit = n(deposit < s.balance.currency ? deposit : s.balance.currency).value()
         if (!s.start_capital) {
@@ -254,9 +425,9 @@ module.exports = function (s, conf) {
           s.net_currency = n(s.net_currency).add(post_currency).value()
         }
 
-        cb(null, { balance, quote })
+        cb(null, { balance: s.balance, quote })
       })
-    })
+    }
   }
 
   function placeOrder (type, opts, cb) {
@@ -277,6 +448,8 @@ module.exports = function (s, conf) {
     order.size = opts.size
     order.fee = opts.fee
     order.remaining_size = opts.size
+    order.position_action = opts.position_action || null
+    if (opts.lot_id !== undefined) order.lot_id = opts.lot_id
 
 
     if (isNaN(order.size) || isNaN(order.price) || isNaN(order.fee)) {
@@ -320,6 +493,7 @@ module.exports = function (s, conf) {
       order.time = new Date(api_order.created_at).getTime()
       order.local_time = now()
       order.status = api_order.status
+      saveOrderState()
       //console.log('\ncreated ' + order.status + ' ' + type + ' order: ' + formatAsset(order.size) + ' at ' + formatCurrency(order.price) + ' (total ' + formatCurrency(n(order.price).multiply(order.size)) + ')\n')
 
       setTimeout(function() { checkOrder(order, type, cb) }, so.order_poll_time)
@@ -330,7 +504,35 @@ module.exports = function (s, conf) {
     s.exchange.getQuote({product_id: s.product_id}, function (err, quote) {
       if (err) return cb(err)
       s.quote = quote
-      cb(null, quote)
+      if (!so.book_pricing || !s.exchange.getOrderBook) return cb(null, quote)
+      s.exchange.getOrderBook({product_id: s.product_id, limit: so.book_depth || 20}, function (err, book) {
+        // without a book, pricing falls back to the top of book
+        if (!err && book && book.bids.length && book.asks.length) quote.book = book
+        cb(null, quote)
+      })
+    })
+  }
+
+  function repayMargin (cb) {
+    let free_asset = n(s.balance.asset).subtract(s.balance.asset_hold || 0).value()
+    let amount = Math.min(marginOwed(), free_asset)
+    if (amount <= 0) return cb(null)
+    debug.msg('repaying ' + formatAsset(amount, s.asset))
+    s.exchange.repay({asset: s.asset, amount: amount, product_id: s.product_id}, function (err) {
+      if (err) return cb(err)
+      syncBalance(function (err) {
+        cb(err)
+      })
+    })
+  }
+
+  function syncAfterFill (order, cb) {
+    syncBalance(function () {
+      if (order.position_action !== 'close') return cb(null, order)
+      repayMargin(function (err) {
+        if (err) err.desc = 'could not repay borrowed ' + s.asset
+        cb(err, order)
+      })
     })
   }
 
@@ -353,10 +555,43 @@ module.exports = function (s, conf) {
   // 8. if not filled after timer, repeat process
   // 9. if filled, record order stats
   function executeSignal (signal, _cb, size, is_reorder, is_taker, reverseCalled) {
+    // a native stop holds the asset on the exchange, release it before selling
+    let sells_asset = so.reverse ? /^buy/.test(signal) : !/^buy/.test(signal)
+    if (s.native_stop && sells_asset && !is_reorder) {
+      return cancelNativeStop(function () {
+        executeSignal(signal, _cb, size, is_reorder, is_taker, reverseCalled)
+      })
+    }
+    // buy_more scales into the position with another lot, partial_sell
+    // sells a single lot (s.sell_lot_id, or the oldest one)
+    let buy_more = false, lot_id
+    if (signal === 'buy_more') {
+      signal = 'buy'
+      buy_more = true
+    }
+    else if (signal === 'partial_sell') {
+      signal = 'sell'
+      lot_id = s.sell_lot_id || (ledger.oldest() || {}).id
+      delete s.sell_lot_id
+      if (!lot_id) {
+        debug.msg('partial_sell without an open lot, ignoring')
+        _cb && _cb(null, null)
+        return
+      }
+    }
+    else if (signal === 'sell' && is_reorder && s.sell_order) {
+      lot_id = s.sell_order.lot_id
+    }
     if(so.reverse && !reverseCalled && !size && !is_reorder) {
       console.log(('\nREVERSE SIGNAL MODE ON!\n').red)
       return executeSignal(signal == 'buy' ? 'sell' : 'buy', _cb, size, is_reorder, is_taker, true)
     }
+    // the sizing the strategy gave goes with this signal only, even refused
+    let sizing_override
+    if (!is_reorder) {
+      sizing_override = s.sizing
+      delete s.sizing
+    }
 
     // Prevent duplicate signals in quick succession
     if (!is_reorder && s.last_signal === signal && s.last_signal_time && (now() - s.last_signal_time) < (so.period_length * 1000)) {
@@ -365,7 +600,7 @@ module.exports = function (s, conf) {
       return
     }
 
-    let price, expected_fee, buy_pct, sell_pct, trades
+    let price, expected_fee, buy_pct, sell_pct, trades, position_action
     delete s[(signal === 'buy' ? 'sell' : 'buy') + '_order']
     s.last_signal = signal
     s.last_signal_time = now()  // Track when the signal was executed
@@ -381,6 +616,7 @@ module.exports = function (s, conf) {
       if (!order) {
         if (signal === 'buy') delete s.buy_order
         else delete s.sell_order
+        saveOrderState()
       }
       if (_cb)
         _cb(err, order)
@@ -402,7 +638,24 @@ module.exports = function (s, conf) {
         err.desc = 'could not execute ' + signal + ': error fetching quote'
         return cb(err)
       }
-      if (is_reorder && s[signal + '_order']) {
+      position_action = positionActionFor(signal)
+      if (position_action === false) {
+        debug.msg('ignoring ' + signal + ' signal in ' + so.position_mode + ' position mode')
+        return cb(null, null)
+      }
+      if (signal === 'buy' && !position_action && !is_reorder && so.max_open_positions && ledger.count() >= so.max_open_positions) {
+        debug.msg('ignoring ' + signal + ' signal, ' + ledger.count() + ' of ' + so.max_open_positions + ' positions open')
+        return cb(null, null)
+      }
+      let exits = (signal === 'sell' && position_action !== 'open') || position_action === 'close'
+      if (!is_reorder && !exits) {
+        let refusal = risk_guard.check(quote.ask, now())
+        if (refusal) {
+          debug.msg('ignoring ' + signal + ' signal, ' + refusal)
+          return cb(null, null)
+        }
+      }
+      if (is_reorder && s[signal + '_order'] && !position_action) {
         if (signal === 'buy') {
           reorder_pct = n(size).multiply(s.buy_order.price).add(s.buy_order.fee).divide(s.balance.deposit).multiply(100)
         } else {
@@ -421,8 +674,10 @@ module.exports = function (s, conf) {
 
         if (is_reorder) {
           buy_pct = reorder_pct
-        } else {
+        } else if (position_action === 'close') {
           buy_pct = so.buy_pct
+        } else {
+          buy_pct = position_sizer.entryPct(price, 'long', buy_more && so.buy_more_pct ? so.buy_more_pct : so.buy_pct, sizing_override)
         }
         if (so.use_fee_asset) {
           fee = 0
@@ -434,7 +689,24 @@ module.exports = function (s, conf) {
         trade_balance = n(s.balance.deposit).divide(100).multiply(buy_pct)
         tradeable_balance = n(s.balance.deposit).divide(100 + fee).multiply(buy_pct)
         expected_fee = n(trade_balance).subtract(tradeable_balance).format('0.00000000', Math.ceil) // round up as the exchange will too
-        if (buy_pct + fee < 100) {
+        if (position_action === 'close') {
+          // buy back whatever is owed that the spot balance cannot already repay
+          let shortfall = n(marginOwed()).subtract(n(s.balance.asset).subtract(s.balance.asset_hold || 0)).value()
+          if (shortfall <= 0) {
+            return repayMargin(function (err) {
+              if (!err) closeShortPosition()
+              cb(err, null)
+            })
+          }
+          if (!so.use_fee_asset) {
+            shortfall = n(shortfall).divide(1 - fee / 100).value()
+          }
+          size = n(shortfall).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000', Math.ceil)
+          tradeable_balance = n(size).multiply(price).value()
+          buy_pct = n(tradeable_balance).divide(s.balance.deposit).multiply(100).value()
+          expected_fee = so.use_fee_asset ? 0 : n(tradeable_balance).multiply(fee / 100).format('0.00000000', Math.ceil)
+        }
+        else if (buy_pct + fee < 100) {
           size = n(tradeable_balance).divide(price).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
         } else {
           size = n(trade_balance).subtract(expected_fee).divide(price).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
@@ -448,7 +720,7 @@ module.exports = function (s, conf) {
         }
         debug.msg('preparing buy order over ' + formatAsset(size, s.asset) + ' of ' + formatCurrency(tradeable_balance, s.currency) + ' (' + buy_pct + '%) tradeable balance with a expected fee of ' + formatCurrency(expected_fee, s.currency) + ' (' + fee + '%)')
 
-        if (so.quarentine_time > 0 && s.buy_quarentine_time && moment.duration(moment(now()).diff(s.buy_quarentine_time)).asMinutes() < so.quarentine_time){
+        if (position_action !== 'close' && so.quarentine_time > 0 && s.buy_quarentine_time && moment.duration(moment(now()).diff(s.buy_quarentine_time)).asMinutes() < so.quarentine_time){
           console.log(('\nbuy cancel quarentine time: '+moment(s.buy_quarentine_time).format('YYYY-MM-DD HH:mm:ss')).red)
           return cb(null, null)
         }
@@ -469,12 +741,18 @@ module.exports = function (s, conf) {
             return cb(err)
           }
         }
+        let book_err = checkBookSlippage('buy', size, quote, is_taker)
+        if (book_err) return cb(book_err)
         if (n(s.balance.deposit).subtract(s.balance.currency_hold || 0).value() < n(price).multiply(size).value() && s.balance.currency_hold > 0) {
           debug.msg('buy delayed: ' + formatPercent(n(s.balance.currency_hold || 0).divide(s.balance.deposit).value()) + ' of funds (' + formatCurrency(s.balance.currency_hold, s.currency) + ') on hold')
           return setImmediate(function () {
             if (s.last_signal === signal) {
               executeSignal(signal, cb, size, true)
             }
+            else {
+              // another signal took over, give up on this one
+              cb(null, null)
+            }
           })
         }
 
@@ -489,10 +767,25 @@ module.exports = function (s, conf) {
 
         if (is_reorder) {
           sell_pct = reorder_pct
+        } else if (risk_guard.halted()) {
+          // once halted, sells close the whole position
+          sell_pct = 100
         } else {
           sell_pct = so.sell_pct
         }
-        size = n(s.balance.asset).multiply(sell_pct / 100).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        if (position_action === 'open') {
+          // shorts are sized against the currency deposit, like a buy
+          if (!is_reorder) {
+            size = n(s.balance.deposit).multiply(position_sizer.entryPct(price, 'short', so.sell_pct, sizing_override) / 100).divide(price).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+          }
+        }
+        else if (lot_id && !is_reorder) {
+          let lot = ledger.find(lot_id)
+          size = n(Math.min(lot ? lot.size : 0, s.balance.asset)).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        }
+        else {
+          size = n(s.balance.asset).multiply(sell_pct / 100).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        }
 
         if (isOrderTooSmall(s.product, size, price))
           return cb(null, null)
@@ -500,13 +793,14 @@ module.exports = function (s, conf) {
         if (s.product.max_size && Number(size) > Number(s.product.max_size)) {
           size = s.product.max_size
         }
-        let latest_high_buy = _.chain(trades).dropRightWhile(['type','sell']).takeRightWhile(['type','buy']).sortBy(['price']).reverse().head().value() // return highest price
+        let sell_lot = lot_id ? ledger.find(lot_id) : null
+        let latest_high_buy = position_action === 'open' ? null : sell_lot ? {price: sell_lot.entry_price} : _.chain(trades).dropRightWhile(['type','sell']).takeRightWhile(['type','buy']).sortBy(['price']).reverse().head().value() // return highest price
         let sell_loss = latest_high_buy ? (Number(price) - latest_high_buy.price) / latest_high_buy.price * -100 : null
         if (latest_high_buy && so.sell_cancel_pct != null && Math.abs(sell_loss) < so.sell_cancel_pct) {
           console.log(('\nsell_cancel_pct: refusing to sell at ' + formatCurrency(latest_high_buy.price, s.currency) + '-' + formatCurrency(price, s.currency) + ', sell loss of ' + formatPercent(sell_loss/100) + ' - ' + formatPercent(so.sell_cancel_pct/100)+'\n').red)
           return cb(null, null)
         }
-        if (so.max_sell_loss_pct != null && sell_loss > so.max_sell_loss_pct) {
+        if (latest_high_buy && so.max_sell_loss_pct != null && sell_loss > so.max_sell_loss_pct) {
           let err = new Error('\nloss protection')
           err.desc = 'refusing to sell at ' + formatCurrency(price, s.currency) + ', sell loss of ' + formatPercent(sell_loss / 100)
           return cb(err)
@@ -520,6 +814,21 @@ module.exports = function (s, conf) {
             return cb(err)
           }
         }
+        let book_err = checkBookSlippage('sell', size, quote, is_taker)
+        if (book_err) return cb(book_err)
+
+        if (position_action === 'open') {
+          if(conf.notifiers && !conf.notifiers.only_completed_trades){
+            pushMessage('Shorting ' + formatAsset(size, s.asset) + ' on ' + s.exchange.name.toUpperCase(), 'placing short sell order at ' + formatCurrency(price, s.currency) + ', ' + formatCurrency(Number(price) - quote.bid, s.currency) + ' over best ask\n')
+          }
+          return borrowForShort(size, function (err) {
+            if (err) {
+              err.desc = 'could not execute ' + signal + ': error borrowing ' + s.asset
+              return cb(err)
+            }
+            doOrder()
+          })
+        }
 
         if (n(s.balance.asset).subtract(s.balance.asset_hold || 0).value() < n(size).value()) {
           debug.msg('sell delayed: ' + formatPercent(n(s.balance.asset_hold || 0).divide(s.balance.asset).value()) + ' of funds (' + formatAsset(s.balance.asset_hold, s.asset) + ') on hold')
@@ -527,6 +836,10 @@ module.exports = function (s, conf) {
             if (s.last_signal === signal) {
               executeSignal(signal, cb, size, true)
             }
+            else {
+              // another signal took over, give up on this one
+              cb(null, null)
+            }
           })
         }
 
@@ -537,12 +850,28 @@ module.exports = function (s, conf) {
 
       }
     })
+    function borrowForShort (size, cb) {
+      let shortfall = n(size).subtract(n(s.balance.asset).subtract(s.balance.asset_hold || 0)).value()
+      if (shortfall <= 0) return cb(null)
+      debug.msg('borrowing ' + formatAsset(shortfall, s.asset) + ' to short')
+      s.exchange.borrow({asset: s.asset, amount: shortfall, product_id: s.product_id}, function (err) {
+        if (err) return cb(err)
+        syncBalance(function (err) {
+          cb(err)
+        })
+      })
+    }
     function doOrder () {
+      if (so.exec_algo && so.exec_algo !== 'simple' && !is_taker && !is_reorder) {
+        return doAlgoOrder()
+      }
       placeOrder(signal, {
         size: size,
         price: price,
         fee: expected_fee || null,
         is_taker: is_taker,
+        position_action: position_action,
+        lot_id: lot_id,
         cancel_after: so.cancel_after || 'day'
       }, function (err, order) {
         if (err) {
@@ -571,6 +900,35 @@ module.exports = function (s, conf) {
         cb(null, order)
       })
     }
+    // splits the order into child orders with --exec_algo, their fills are
+    // recorded as one trade
+    function doAlgoOrder () {
+      let order = s[signal + '_order'] = {
+        price: price,
+        size: size,
+        fee: expected_fee || null,
+        orig_size: size,
+        remaining_size: size,
+        orig_price: price,
+        order_type: so.order_type,
+        position_action: position_action || null,
+        exec_algo: so.exec_algo,
+        cancel_after: so.cancel_after || 'day'
+      }
+      if (lot_id !== undefined) order.lot_id = lot_id
+      debug.msg('working ' + signal + ' order with ' + so.exec_algo)
+      executor.run(signal, order, function (err, filled) {
+        if (order.stopped) debug.msg(so.exec_algo + ' ' + signal + ' stopped: ' + order.stopped)
+        // what filled before an error is still a trade
+        if (filled) executeOrder(filled, signal)
+        if (err) {
+          err.desc = 'could not execute ' + signal + ': error working ' + so.exec_algo + ' order'
+          return cb(err)
+        }
+        if (!filled) return cb(null, false)
+        syncAfterFill(filled, cb)
+      })
+    }
   }
 
   // Called after an order has been completed.
@@ -592,6 +950,9 @@ module.exports = function (s, conf) {
       fee = n(order.size).multiply(percentage_fee / 100).value()
 
     s.action = trade_type === 'sell' ? 'sold' : 'bought'
+    if (order.position_action) {
+      s.action = order.position_action === 'open' ? 'shorted' : 'covered'
+    }
 
     // Compute profit from the last order price.
     let last_price_type = `last_${trade_type}_price`
@@ -602,6 +963,13 @@ module.exports = function (s, conf) {
     }
     let profit = s[last_price_type] && (s[last_price_type] - price) / s[last_price_type]
     s[last_price_type] = price
+    if (order.position_action === 'close' && s.short_position) {
+      profit = (s.short_position.price - price) / s.short_position.price
+    }
+    let sold_lot = order.lot_id ? ledger.find(order.lot_id) : null
+    if (trade_type === 'sell' && sold_lot) {
+      profit = (price - sold_lot.entry_price) / sold_lot.entry_price
+    }
 
     let my_trade = {
       order_id: order.order_id,
@@ -615,11 +983,28 @@ module.exports = function (s, conf) {
       fee: fee,
       price: price,
       order_type: order_type,
-      profit: profit
+      profit: profit,
+      // what the round trip puts in is weighed against it in lib/metrics
+      equity: equityAt(price)
     }
     if (trade_type === 'buy')
       my_trade.cancel_after = so.cancel_after || 'day'
+    if (order.position_action)
+      my_trade.position = 'short'
+    else if (trade_type === 'buy')
+      my_trade.lot_id = ledger.open({price: price, size: so.use_fee_asset ? order.orig_size : n(order.orig_size).subtract(fee).value(), time: order.time}, s.lot_opts).id
+    else
+      reduceLots(order)
+    if (trade_type === 'sell' && order.lot_id)
+      my_trade.lot_id = order.lot_id
+    if (order.exec_algo) {
+      my_trade.exec_algo = order.exec_algo
+      my_trade.child_orders = order.children.length
+    }
+    delete s.lot_opts
     s.my_trades.push(my_trade)
+    risk_guard.onFill(my_trade)
+    eventBus.emit('riskState', risk_guard.state())
 
     if (so.stats) {
       let execution_time = moment.duration(my_trade.execution_time).humanize()
@@ -638,7 +1023,7 @@ module.exports = function (s, conf) {
       pushMessage(`${trade_type} ${s.exchange.name.toUpperCase()}`, order_complete)
     }
 
-    if(trade_type == 'sell' && !isNaN(profit) && profit <= 0) {
+    if(trade_type == 'sell' && !order.position_action && !isNaN(profit) && profit <= 0) {
       s.buy_quarentine_time = now()
     }
 
@@ -649,17 +1034,188 @@ module.exports = function (s, conf) {
 
     delete s.buy_stop
     delete s.sell_stop
-    if (trade_type === 'buy' && so.sell_stop_pct) {
+    if (order.position_action === 'open') {
+      s.short_position = {price: price, size: order.orig_size, time: order.time}
+      if (so.sell_stop_pct) {
+        s.short_stop = n(price).add(n(price).multiply(so.sell_stop_pct / 100)).value()
+      }
+    } else if (order.position_action === 'close') {
+      closeShortPosition()
+    } else if (trade_type === 'buy' && so.sell_stop_pct) {
       s.sell_stop = n(price).subtract(n(price).multiply(so.sell_stop_pct / 100)).value()
     } else if (trade_type === 'sell' && so.buy_stop_pct) {
       s.buy_stop = n(price).add(n(price).multiply(so.buy_stop_pct / 100)).value()
     }
     delete s.profit_stop
     delete s.profit_stop_high
+    saveOrderState()
 
     eventBus.emit('orderExecuted', trade_type)
   }
 
+  // the stop (and take-profit target, placed as OCO) the exchange should hold
+  // for the current long position. with several lots it is a backstop at the
+  // lowest lot stop, the per-lot stops keep running in memory.
+  function nativeStopTarget () {
+    if (s.short_position) return null
+    let stops = ledger.count() ? s.lots.map(function (lot) {
+      return Math.max(lot.sell_stop || 0, lot.profit_stop || 0)
+    }) : [Math.max(s.sell_stop || 0, s.profit_stop || 0)]
+    stops = stops.filter(Boolean)
+    if (!stops.length) return null
+    let stop_price = Math.min.apply(null, stops)
+    let size = ledger.count() ? Math.min(ledger.size(), s.balance.asset) : s.balance.asset
+    if (isOrderTooSmall(s.product, size, stop_price)) return null
+    let targets = s.lots.map(lot => lot.target).filter(Boolean)
+    return {
+      stop_price: n(stop_price).format(s.product.increment, Math.floor),
+      price: n(stop_price).subtract(n(stop_price).multiply(so.native_stop_limit_pct / 100)).format(s.product.increment, Math.floor),
+      target_price: targets.length ? n(Math.min.apply(null, targets)).format(s.product.increment, Math.ceil) : null,
+      size: n(size).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+    }
+  }
+
+  // keeps the exchange-side stop in step with the stops tracked in memory, so
+  // the position stays protected when zenbot is not running
+  function syncNativeStop () {
+    if (!so.native_stops || s.native_stop_busy || s.buy_order || s.sell_order) return
+    let placed = s.native_stop
+    if (placed && now() - placed.checked_at >= so.order_poll_time) {
+      s.native_stop_busy = true
+      return s.exchange.getStop({order_id: placed.order_id, product_id: s.product_id}, function (err, api_order) {
+        s.native_stop_busy = false
+        placed.checked_at = now()
+        if (err) {
+          console.error('\nerror checking native stop')
+          console.error(err)
+          return
+        }
+        if (api_order.status === 'done') return executeNativeStop(api_order)
+        if (api_order.status !== 'open') delete s.native_stop
+      })
+    }
+    let target = nativeStopTarget()
+    if (!placed) {
+      if (target && !(s.native_stop_retry_at > now())) placeNativeStop(target)
+      return
+    }
+    if (target && placed.stop_price === target.stop_price && placed.size === target.size && placed.target_price === target.target_price) return
+    // trailing stops move often, re-place at most once per order_adjust_time
+    if (target && now() - placed.placed_at < so.order_adjust_time) return
+    cancelNativeStop(function () {
+      if (target) placeNativeStop(target)
+    })
+  }
+
+  function placeNativeStop (target) {
+    s.native_stop_busy = true
+    s.exchange.placeStop(Object.assign({product_id: s.product_id}, target), function (err, api_order) {
+      s.native_stop_busy = false
+      if (err) {
+        console.error('\nerror placing native stop')
+        console.error(err)
+        return
+      }
+      if (api_order.status === 'rejected') {
+        debug.msg('native stop rejected: ' + api_order.reject_reason)
+        s.native_stop_retry_at = now() + so.order_adjust_time
+        return
+      }
+      s.native_stop = Object.assign({order_id: api_order.id, placed_at: now(), checked_at: now()}, target)
+      saveOrderState()
+      debug.msg('native stop placed at ' + formatCurrency(target.stop_price, s.currency) + (target.target_price ? ', target at ' + formatCurrency(target.target_price, s.currency) : ''))
+    })
+  }
+
+  function cancelNativeStop (cb) {
+    let placed = s.native_stop
+    if (!placed) return cb()
+    s.native_stop_busy = true
+    s.exchange.cancelStop({order_id: placed.order_id, product_id: s.product_id}, function () {
+      // the stop may have filled before the cancel reached the exchange
+      s.exchange.getStop({order_id: placed.order_id, product_id: s.product_id}, function (err, api_order) {
+        s.native_stop_busy = false
+        if (!err && api_order && (api_order.status === 'done' || Number(api_order.filled_size) > 0)) {
+          return executeNativeStop(api_order, cb)
+        }
+        delete s.native_stop
+        saveOrderState()
+        cb()
+      })
+    })
+  }
+
+  // records a fill of the native stop as a regular sell
+  function executeNativeStop (api_order, cb) {
+    let placed = s.native_stop
+    delete s.native_stop
+    let order = {
+      order_id: api_order.id,
+      price: Number(api_order.price),
+      size: Number(api_order.filled_size),
+      orig_size: Number(api_order.filled_size),
+      orig_price: Number(placed.stop_price),
+      time: api_order.done_at || now(),
+      orig_time: placed.placed_at
+    }
+    let leg = api_order.leg || 'stop'
+    console.log(('\nnative ' + leg + ' order filled at ' + formatCurrency(order.price, s.currency) + '\n')[leg === 'target' ? 'green' : 'red'])
+    s.acted_on_stop = true
+    executeOrder(order, 'sell')
+    syncBalance(function () {
+      cb && cb()
+    })
+  }
+
+  // halts trading on a daily loss or drawdown breach, and flattens the
+  // position with a market order when --risk_flatten is set
+  function checkRisk (trade) {
+    let breach = risk_guard.update(trade.price, trade.time)
+    if (breach) {
+      console.log(('\n' + breach + ', trading halted\n').red)
+      pushMessage('Trading halted on ' + s.exchange.name.toUpperCase(), breach + '\n')
+      eventBus.emit('riskState', risk_guard.state())
+    }
+    if (so.risk_flatten && risk_guard.halted()) flatten(trade)
+  }
+
+  // tried again on every trade while halted, until no position or borrowed
+  // margin is left: the order may have failed or been cancelled, or another
+  // one was in flight
+  let flattening = false
+  function flatten (trade) {
+    if (flattening || s.buy_order || s.sell_order) return
+    let signal
+    if (s.short_position || marginOwed() > 0) signal = 'buy'
+    else if (!isOrderTooSmall(s.product, s.balance.asset, trade.price)) signal = 'sell'
+    else return
+    flattening = true
+    executeSignal(signal, function (err) {
+      flattening = false
+      if (err) {
+        console.error('\nerror flattening the position')
+        console.error(err)
+      }
+    }, null, false, true, true)
+  }
+
+  // lots too small to be sold on their own are dropped from the ledger
+  function reduceLots (order) {
+    ledger.reduce(order.orig_size, order.lot_id)
+    s.lots.filter(function (lot) {
+      return isOrderTooSmall(s.product, lot.size, order.price)
+    }).forEach(function (lot) {
+      ledger.reduce(lot.size, lot.id)
+    })
+  }
+
+  function closeShortPosition () {
+    delete s.short_position
+    delete s.short_stop
+    delete s.profit_stop
+    delete s.profit_stop_low
+  }
+
   function now () {
     return new Date().getTime()
   }
@@ -738,7 +1294,7 @@ module.exports = function (s, conf) {
       process.stdout.write(z(9, 'selling', ' ').red)
     }
     else if (s.action) {
-      process.stdout.write(z(9, s.action, ' ')[s.action === 'bought' ? 'green' : 'red'])
+      process.stdout.write(z(9, s.action, ' ')[s.action === 'bought' || s.action === 'covered' ? 'green' : 'red'])
     }
     else if (s.signal) {
       process.stdout.write(z(9, s.signal || '', ' ')[s.signal ? s.signal === 'buy' ? 'green' : 'red' : 'grey'])
@@ -765,7 +1321,7 @@ module.exports = function (s, conf) {
         let circulating = s.balance.currency > 0 ? n(s.balance.deposit).divide(s.balance.currency) : n(0)
         process.stdout.write(z(8, n(circulating).format('0.00%'), ' ').grey)
       }
-      let consolidated = n(s.net_currency).add(n(s.balance.asset).multiply(s.period.close))
+      let consolidated = n(s.net_currency).add(n(s.balance.asset).subtract(marginOwed()).multiply(s.period.close))
       let profit = n(consolidated).divide(orig_capital).subtract(1).value()
       process.stdout.write(z(8, formatPercent(profit), ' ')[profit >= 0 ? 'green' : 'red'])
       let buy_hold = n(orig_capital).divide(orig_price).multiply(s.period.close)
@@ -790,6 +1346,7 @@ module.exports = function (s, conf) {
     if (!s.in_preroll) {
       if (so.mode !== 'live')
         s.exchange.processTrade(trade)
+      checkRisk(trade)
 
       if (!so.manual) {
         // Get stop signal and apply it if no existing signal
@@ -815,6 +1372,7 @@ module.exports = function (s, conf) {
           s.signal = null
         }
       }
+      syncNativeStop()
     }
     s.last_period_id = period_id
     cb()
@@ -830,9 +1388,7 @@ module.exports = function (s, conf) {
               order.price = api_order.price || order.price // Use actual price if possible. In market order the actual price (api_order.price) could be very different from trade price
               debug.msg('cancel failed, order done, executing')
               executeOrder(order, type)
-              return syncBalance(function () {
-                cb(null, order)
-              })
+              return syncAfterFill(order, cb)
             }
 
             s.api_order = api_order
@@ -859,6 +1415,47 @@ module.exports = function (s, conf) {
       checkHold(do_reorder, cb)
     })
   }
+  // cancels the working orders (or leaves them with keep_orders) and waits for
+  // the exchange to confirm each cancel, then flushes the notifiers. a native
+  // stop is always left in place to protect the position.
+  function shutdown (opts, cb) {
+    let deadline = now() + (so.shutdown_timeout || 30000)
+    let types = ['buy', 'sell'].filter(type => s[type + '_order'] && (s[type + '_order'].order_id || s[type + '_order'].exec_algo))
+    async.eachSeries(opts.keep_orders ? [] : types, function (type, next) {
+      let order = s[type + '_order']
+      // checkOrder stops re-ordering once the order is gone from s
+      delete s[type + '_order']
+      // and an execution algo cancels its children
+      if (order.exec_algo) return executor.stop(type, next)
+      debug.msg('cancelling ' + type + ' order ' + order.order_id)
+      cancelOrder(order, type, false, function (err) {
+        if (err) return next(err)
+        waitForCancel(order, type, deadline, next)
+      })
+    }, function (err) {
+      let message = opts.keep_orders && types.length ? 'left ' + types.join(' and ') + ' order open on the exchange' : 'no orders left open'
+      if (err) message = 'error cancelling orders: ' + err.message
+      saveOrderState()
+      console.log(('\nshutdown: ' + message + '\n').grey)
+      pushMessage('Shutdown ' + s.exchange.name.toUpperCase(), message + '\n')
+      notifier.flush(Math.max(0, deadline - now()), function () {
+        cb(err)
+      })
+    })
+  }
+
+  function waitForCancel (order, type, deadline, cb) {
+    s.exchange.getOrder({order_id: order.order_id, product_id: s.product_id}, function (err, api_order) {
+      if (!err && api_order && api_order.status !== 'open') return cb()
+      if (now() >= deadline) {
+        return cb(new Error('no cancel confirmation for ' + type + ' order ' + order.order_id))
+      }
+      setTimeout(function () {
+        waitForCancel(order, type, deadline, cb)
+      }, 1000)
+    })
+  }
+
   function checkOrder (order, type, cb) {
     if (!s[type + '_order']) {
       // signal switched, stop checking order
@@ -870,13 +1467,15 @@ module.exports = function (s, conf) {
       s.api_order = api_order
       order.status = api_order.status
       if (api_order.reject_reason) order.reject_reason = api_order.reject_reason
+      if (Number(api_order.filled_size) > 0 && api_order.filled_size !== order.filled_size) {
+        order.filled_size = api_order.filled_size
+        saveOrderState()
+      }
       if (api_order.status === 'done') {
         order.time = new Date(api_order.done_at).getTime()
         order.price = api_order.price || order.price // Use actual price if possible. In market order the actual price (api_order.price) could be very different from trade price
         executeOrder(order, type)
-        return syncBalance(function () {
-          cb(null, order)
-        })
+        return syncAfterFill(order, cb)
       }
       if (order.status === 'rejected' && (order.reject_reason === 'post only' || api_order.reject_reason === 'post only')) {
         debug.msg('post-only ' + type + ' failed, re-ordering')
@@ -931,6 +1530,100 @@ module.exports = function (s, conf) {
     })
   }
 
+  // what a restart needs to carry on: the working orders and what is known
+  // about the open position
+  let order_state_fields = ['buy_order', 'sell_order', 'lots', 'sell_stop', 'buy_stop', 'short_position', 'short_stop', 'native_stop']
+
+  function saveOrderState () {
+    let state = {time: now()}
+    order_state_fields.forEach(function (k) {
+      state[k] = typeof s[k] === 'undefined' ? null : s[k]
+    })
+    eventBus.emit('orderState', state)
+  }
+
+  // re-adopts the working orders of a previous run. orders still open go back
+  // into the poll/adjust loop, fills that happened while the bot was down are
+  // recorded into my_trades.
+  function recoverOrders (saved, cb) {
+    order_state_fields.forEach(function (k) {
+      if (!/_order$/.test(k) && saved[k] !== null && typeof saved[k] !== 'undefined') s[k] = saved[k]
+    })
+    let types = ['buy', 'sell'].filter(type => saved[type + '_order'] && (saved[type + '_order'].order_id || saved[type + '_order'].exec_algo))
+    async.eachSeries(types, function (type, next) {
+      if (saved[type + '_order'].exec_algo) return recoverAlgoOrder(saved[type + '_order'], type, next)
+      recoverOrder(saved[type + '_order'], type, next)
+    }, function (err) {
+      if (err) return cb(err)
+      saveOrderState()
+      syncBalance(function (err) {
+        cb(err)
+      })
+    })
+  }
+
+  function recoverOrder (order, type, cb) {
+    s.exchange.getOrder({order_id: order.order_id, product_id: s.product_id}, function (err, api_order) {
+      if (err) return cb(err)
+      let filled = Number(api_order.filled_size) || 0
+      if (api_order.status === 'open') {
+        if (filled) {
+          order.remaining_size = n(order.size).subtract(filled).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000')
+        }
+        s[type + '_order'] = order
+        adoptOrder(order, type)
+        return cb()
+      }
+      if (api_order.status !== 'done' && !filled) {
+        debug.msg(type + ' order ' + order.order_id + ' ' + api_order.status + ' while stopped, dropping it')
+        return cb()
+      }
+      // done, or cancelled after a partial fill
+      if (api_order.status !== 'done') order.orig_size = filled
+      order.time = api_order.done_at ? new Date(api_order.done_at).getTime() : now()
+      order.price = api_order.price || order.price
+      console.log(('\n' + type + ' order ' + order.order_id + ' filled while stopped, recording it\n').cyan)
+      executeOrder(order, type)
+      cb()
+    })
+  }
+
+  // an execution algo is not resumed, its open children are cancelled and
+  // what filled is recorded
+  function recoverAlgoOrder (order, type, cb) {
+    executor.settle(type, order, function (err, filled) {
+      if (err) return cb(err)
+      if (filled) {
+        console.log(('\n' + order.exec_algo + ' ' + type + ' order filled ' + formatAsset(filled.size, s.asset) + ' while stopped, recording it\n').cyan)
+        executeOrder(filled, type)
+      }
+      cb()
+    })
+  }
+
+  // puts a recovered order back into the loop placeOrder starts
+  function adoptOrder (order, type) {
+    order.local_time = now()
+    s.last_signal = type
+    s.last_signal_time = now()
+    console.log(('\nre-adopted open ' + type + ' order ' + order.order_id + ' at ' + formatCurrency(order.price, s.currency) + '\n').cyan)
+    checkOrder(order, type, function (err, result) {
+      if (err) {
+        console.error('\nerror checking recovered ' + type + ' order')
+        console.error(err)
+        return
+      }
+      if (result === null && s.last_signal === type && s[type + '_order']) {
+        // timed out, re-price what is left like executeSignal does
+        return executeSignal(type, null, s[type + '_order'].remaining_size, true)
+      }
+      if (!result) {
+        delete s[type + '_order']
+        saveOrderState()
+      }
+    })
+  }
+
   var tradeProcessingQueue = async.queue(function({trade, is_preroll}, callback){
     onTrade(trade, is_preroll, callback)
   })
@@ -955,6 +1648,13 @@ module.exports = function (s, conf) {
     if (!s.period.last_try_trade && !s.in_preroll) {
       s.period.last_try_trade = now()
     }
+    series.roll(trade, function () {
+      closePeriod(trade, cb)
+    })
+  }
+
+  // the other timeframes have rolled, so onPeriod sees the ones closing with it
+  function closePeriod (trade, cb) {
     if(trade.time > s.period.close_time ||
       (!s.in_preroll && so.mode != 'sim' && moment.duration(moment(now()).diff(s.period.last_try_trade)).asMinutes() >= so.interval_trade)){
       var period_id = tb(trade.time).resize(so.period_length).toString()
@@ -971,6 +1671,9 @@ module.exports = function (s, conf) {
         //s.action = null
         s.signal = null
         if (trade.time > s.period.close_time) {
+          declared.close()
+          regimes.close()
+          recordEquity()
           s.lookback.unshift(s.period)
           initBuffer(trade)
         }
@@ -1014,6 +1717,20 @@ module.exports = function (s, conf) {
       ].join('') + '\n')
     },
     update: onTrades,
+    // cb once the queued trades are processed
+    idle: function (cb) {
+      if (tradeProcessingQueue.idle()) return cb()
+      tradeProcessingQueue.drain().then(() => cb())
+    },
+    shutdown: shutdown,
+    recoverOrders: recoverOrders,
+    loadRiskState: function (state) {
+      risk_guard.load(state)
+    },
+    resetRisk: function () {
+      risk_guard.reset()
+      eventBus.emit('riskState', risk_guard.state())
+    },
     exit: function (cb) {
       if(tradeProcessingQueue.length()){
         tradeProcessingQueue.drain(() => {
@@ -0,0 +1,205 @@
+let path = require('path')
+  , indicators = require('./indicators')
+
+// fields of the engine's period the members' own periods follow
+let CANDLE = ['period_id', 'size', 'time', 'open', 'high', 'low', 'close', 'volume', 'close_time', 'latest_trade_time']
+let COMBINE = ['vote', 'quorum', 'score']
+
+// "cci_srsi:2,stddev,algo1:0.5" -> [{name, weight}], a weight of 1 by default
+function parse (spec) {
+  return String(spec || '').split(',').map(item => item.trim()).filter(Boolean).map(function (item) {
+    let parts = item.split(':')
+    let weight = parts.length > 1 ? Number(parts[1]) : 1
+    if (isNaN(weight) || weight < 0) throw new Error('ensemble member ' + item + ' has an invalid weight')
+    return {name: parts[0], weight: weight}
+  })
+}
+
+function load (name) {
+  try {
+    return require(path.resolve(__dirname, `../extensions/strategies/${name}/strategy`))
+  }
+  catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND' && err.message.split('\n')[0].indexOf(`strategies/${name}/strategy`) !== -1) {
+      throw new Error('ensemble member ' + name + ' is not a strategy')
+    }
+    throw err
+  }
+}
+
+// the sizes of the timeframes the members declare, for the ensemble's own
+function timeframes (s) {
+  let sizes = []
+  parse(s.options.members).forEach(function (spec) {
+    let strategy = load(spec.name)
+    let declared = typeof strategy.timeframes === 'function' ? strategy.timeframes(s) : strategy.timeframes
+    sizes = sizes.concat(declared || [])
+  })
+  return sizes
+}
+
+// Combines the signals of {signal, weight, confidence} votes into a buy, a
+// sell or null:
+//   vote    the side with the most weight, if it has vote_pct % of the total
+//   quorum  quorum members on one side and none on the other
+//   score   the weighted average of +confidence for buys and -confidence for
+//           sells, if it reaches min_score either way
+function combine (votes, so) {
+  let side = signal => votes.filter(vote => vote.signal === signal)
+  let weight = list => list.reduce((sum, vote) => sum + vote.weight, 0)
+  let buys = side('buy')
+  let sells = side('sell')
+  let total = weight(votes)
+  switch (so.combine) {
+  case 'quorum':
+    if (buys.length >= so.quorum && !sells.length) return 'buy'
+    if (sells.length >= so.quorum && !buys.length) return 'sell'
+    return null
+  case 'score': {
+    if (!total) return null
+    let score = (buys.reduce((sum, vote) => sum + vote.weight * vote.confidence, 0) - sells.reduce((sum, vote) => sum + vote.weight * vote.confidence, 0)) / total
+    if (score >= so.min_score) return 'buy'
+    if (score <= -so.min_score) return 'sell'
+    return null
+  }
+  default:
+    if (!total) return null
+    if (weight(buys) > weight(sells) && weight(buys) / total * 100 >= so.vote_pct) return 'buy'
+    if (weight(sells) > weight(buys) && weight(sells) / total * 100 >= so.vote_pct) return 'sell'
+    return null
+  }
+}
+
+// Runs the strategies listed in so.members side by side. Each member gets its
+// own state inheriting from s, so what it sets (signal, trend, ...) stays its
+// own, its own period and lookback following the engine's candles, and its
+// own options: the ones of the bot, then the ones given as
+// --<member>.<option>, then the member's defaults. The members declaring
+// `indicators` get them kept on their periods as the engine would.
+//
+// The signal of every member is scored accuracy_periods periods later, a hit
+// when the price moved its way. The confidence of a member in the score mode
+// is the one it sets in s.signal_confidence (0 to 1), or else its hit rate,
+// one half until a signal of it is scored.
+function ensemble (s) {
+  let so = s.options
+  if (COMBINE.indexOf(so.combine) === -1) throw new Error('unknown ensemble combine mode ' + so.combine + ', use one of ' + COMBINE.join(', '))
+
+  let members = parse(so.members).map(function (spec) {
+    let strategy = load(spec.name)
+    let namespace = so[spec.name] !== null && typeof so[spec.name] === 'object' ? so[spec.name] : {}
+    let options = Object.assign({}, so, namespace)
+    let ctx = {
+      option: function (name, desc, type, def) {
+        if (typeof options[name] === 'undefined') {
+          options[name] = def
+        }
+      }
+    }
+    let state = Object.create(s)
+    Object.assign(state, {options: options, strategy: strategy, ctx: ctx, period: null, lookback: [], signal: null})
+    if (strategy.getOptions) strategy.getOptions.call(ctx, state)
+    return {
+      name: spec.name,
+      weight: spec.weight,
+      state: state,
+      declared: indicators.registry(state),
+      pending: [],
+      hits: 0,
+      scored: 0,
+      last_signal: null
+    }
+  })
+
+  // closes the member's period when the engine has moved to the next one,
+  // scoring the signals that are due, then follows the open one
+  function follow (member) {
+    let state = member.state
+    if (state.period && state.period.time !== s.period.time) {
+      member.declared.close()
+      let closed = state.period
+      member.pending = member.pending.filter(function (pending) {
+        if (pending.time >= closed.time || --pending.periods_left > 0) return true
+        member.scored++
+        if ((pending.signal === 'buy' && closed.close > pending.price) || (pending.signal === 'sell' && closed.close < pending.price)) member.hits++
+        return false
+      })
+      state.lookback.unshift(closed)
+      if (so.keep_lookback_periods && state.lookback.length > so.keep_lookback_periods) {
+        state.lookback.splice(-1, 1)
+      }
+      state.period = null
+    }
+    if (!state.period) state.period = {}
+    CANDLE.forEach(key => state.period[key] = s.period[key])
+    member.declared.update()
+  }
+
+  function rate (member) {
+    return member.scored ? member.hits / member.scored : null
+  }
+
+  return {
+    members: members,
+
+    calculate: function () {
+      members.forEach(function (member) {
+        follow(member)
+        member.state.strategy.calculate(member.state)
+      })
+    },
+
+    calculateTimeframe: function (tf) {
+      members.forEach(function (member) {
+        if (member.state.strategy.calculateTimeframe) member.state.strategy.calculateTimeframe(member.state, tf)
+      })
+    },
+
+    onTimeframePeriod: function (tf, cb) {
+      let queue = members.filter(member => member.state.strategy.onTimeframePeriod)
+      ;(function next () {
+        let member = queue.shift()
+        if (!member) return cb()
+        member.state.strategy.onTimeframePeriod.call(member.state.ctx, member.state, tf, next)
+      })()
+    },
+
+    // runs the members' onPeriod one after the other and gives the combined
+    // signal
+    onPeriod: function (cb) {
+      let queue = members.slice()
+      ;(function next () {
+        let member = queue.shift()
+        if (!member) {
+          return cb(combine(members.map(function (member) {
+            let confidence = member.state.signal_confidence
+            if (typeof confidence !== 'number') confidence = member.scored ? rate(member) : 0.5
+            return {signal: member.last_signal, weight: member.weight, confidence: confidence}
+          }), so))
+        }
+        let state = member.state
+        if (!state.period) return next()
+        state.strategy.onPeriod.call(state.ctx, state, function () {
+          let signal = state.signal === 'buy' || state.signal === 'sell' ? state.signal : null
+          // taken like the engine takes the bot's
+          state.signal = null
+          member.last_signal = signal
+          if (signal) {
+            // a signal given again in the same period replaces the first
+            member.pending = member.pending.filter(pending => pending.time !== state.period.time)
+            member.pending.push({signal: signal, price: state.period.close, time: state.period.time, periods_left: so.accuracy_periods})
+          }
+          next()
+        })
+      })()
+    },
+
+    rate: rate
+  }
+}
+
+module.exports = ensemble
+module.exports.parse = parse
+module.exports.combine = combine
+module.exports.timeframes = timeframes
+module.exports.COMBINE = COMBINE
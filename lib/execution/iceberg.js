@@ -0,0 +1,11 @@
+// shows --exec_display_pct of the size at a time, the next piece goes up
+// once the visible one has filled
+module.exports = function iceberg (s, ctx) {
+  let so = s.options
+  let pieces = Math.min(Math.ceil(100 / (so.exec_display_pct || 20)), ctx.max_pieces)
+  let waves = []
+  for (let i = 0; i < pieces; i++) {
+    waves.push({rungs: 1, at: null})
+  }
+  return waves
+}
@@ -0,0 +1,266 @@
+let n = require('numbro')
+  , async = require('async')
+
+let algos = {
+  twap: require('./twap'),
+  iceberg: require('./iceberg'),
+  ladder: require('./ladder')
+}
+
+// Execution algorithms for orders that should not hit the book at once.
+// An algo plans waves of child orders: each wave is an equal share of the
+// size, split over one or more price levels, placed at a time offset from the
+// start (or, with at: null, once the previous wave has filled). The runner
+// places and polls the children, re-prices a wave the market moved away from
+// and stops at the slippage protection. All child fills roll up into the
+// parent order, which the engine records as one trade.
+//
+// opts.quote(cb) fetches the quote, opts.price(type, quote) is the best price
+// to work at, opts.now() the clock and opts.onChange() is called whenever the
+// children change.
+module.exports = function execution (s, opts) {
+  let so = s.options
+  let running = {}
+
+  function formatSize (size) {
+    return n(size).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000', Math.floor)
+  }
+
+  // splits size into pieces of whole asset increments, the last one takes
+  // what is left over
+  function split (size, pieces) {
+    let increment = Number(s.product.asset_increment || '0.00000001')
+    let units = Math.round(size / increment)
+    let piece = Math.floor(units / pieces)
+    let sizes = []
+    for (let i = 0; i < pieces; i++) {
+      let piece_units = i < pieces - 1 ? piece : units - piece * (pieces - 1)
+      sizes.push(n(piece_units * increment).format(s.product.asset_increment ? s.product.asset_increment : '0.00000000'))
+    }
+    return sizes
+  }
+
+  function isTooSmall (size, price) {
+    if (!(Number(size) > 0)) return true
+    if (s.product.min_size && Number(size) < Number(s.product.min_size)) return true
+    if (s.product.min_total && n(size).multiply(price).value() < Number(s.product.min_total)) return true
+    return false
+  }
+
+  // how many children the size can be split into, given min_size/min_total
+  function maxPieces (size, price) {
+    let max = Infinity
+    if (s.product.min_size) max = Math.min(max, n(size).divide(s.product.min_size).value())
+    if (s.product.min_total) max = Math.min(max, n(size).multiply(price).divide(s.product.min_total).value())
+    // 1e-9 absorbs float error, 0.3 / 0.1 is 2.9999999999999996
+    return Math.max(1, Math.floor(max + 1e-9))
+  }
+
+  function levelPrice (type, base, level, step_pct) {
+    let offset = n(base).multiply(level * step_pct / 100).value()
+    if (type === 'buy') return n(base).subtract(offset).format(s.product.increment, Math.floor)
+    return n(base).add(offset).format(s.product.increment, Math.ceil)
+  }
+
+  function slippagePct (type, orig_price, price) {
+    if (type === 'buy') return n(price).subtract(orig_price).divide(orig_price).multiply(100).value()
+    return n(orig_price).subtract(price).divide(price).multiply(100).value()
+  }
+
+  function filledOf (children) {
+    return children.reduce((sum, child) => sum + child.filled, 0)
+  }
+
+  function isOpen (child) {
+    return child.status === 'open'
+  }
+
+  function checkChild (child, cb) {
+    s.exchange.getOrder({order_id: child.order_id, product_id: s.product_id}, function (err, api_order) {
+      if (err) return cb(err)
+      let status = api_order.status
+      let filled = Number(api_order.filled_size) || (status === 'done' ? Number(child.size) : 0)
+      if (status === child.status && filled === child.filled) return cb()
+      child.status = status
+      child.filled = filled
+      if (filled) child.fill_price = Number(api_order.price) || Number(child.price)
+      if (api_order.done_at) child.done_at = new Date(api_order.done_at).getTime()
+      opts.onChange()
+      cb()
+    })
+  }
+
+  // cancels and then re-reads the child, it may have filled in the meantime
+  function cancelChild (child, cb) {
+    s.exchange.cancelOrder({order_id: child.order_id, product_id: s.product_id}, function () {
+      checkChild(child, function (err) {
+        if (!err && isOpen(child)) child.status = 'cancelled'
+        cb(err)
+      })
+    })
+  }
+
+  function placeWave (run, wave, size, base, cb) {
+    wave.placed_at = opts.now()
+    wave.base_price = base
+    wave.stale = false
+    if (isTooSmall(size, base)) return cb()
+    let levels = split(size, Math.min(wave.rungs, maxPieces(size, base)))
+    async.eachOfSeries(levels, function (child_size, level, next) {
+      let price = levelPrice(run.type, base, level, so.exec_ladder_step_pct || 0.05)
+      s.exchange[run.type]({
+        product_id: s.product_id,
+        price: price,
+        size: child_size,
+        post_only: wave.post_only || opts.post_only,
+        order_type: so.order_type,
+        cancel_after: so.cancel_after || 'day'
+      }, function (err, api_order) {
+        if (err) return next(err)
+        if (api_order.status === 'rejected') {
+          // a post-only child crossed the book, re-price the wave next poll
+          if (api_order.reject_reason === 'post only') wave.stale = true
+          return next()
+        }
+        let child = {order_id: api_order.id, wave: run.waves.indexOf(wave), price: price, size: child_size, filled: 0, status: api_order.status}
+        wave.children.push(child)
+        run.parent.children.push(child)
+        next()
+      })
+    }, function (err) {
+      opts.onChange()
+      cb(err)
+    })
+  }
+
+  // places the waves that are due and re-prices the ones left behind
+  function step (run, cb) {
+    opts.quote(function (err, quote) {
+      if (err) return cb(err)
+      let base = opts.price(run.type, quote)
+      let elapsed = opts.now() - run.start
+      async.eachSeries(run.waves, function (wave, next) {
+        let i = run.waves.indexOf(wave)
+        if (wave.placed_at === null) {
+          let due = wave.at === null ? run.waves.slice(0, i).every(settled) : elapsed >= wave.at
+          if (!due) return next()
+          if (slipped(run, base)) return next()
+          return placeWave(run, wave, wave.size, base, next)
+        }
+        let moved = run.type === 'buy' ? Number(base) > Number(wave.base_price) : Number(base) < Number(wave.base_price)
+        let open = wave.children.filter(isOpen)
+        if (!wave.stale && (!open.length || !moved || opts.now() - wave.placed_at < so.order_adjust_time)) return next()
+        if (slipped(run, base)) return next()
+        async.eachSeries(open, cancelChild, function (err) {
+          if (err) return next(err)
+          let remaining = n(wave.size).subtract(filledOf(wave.children)).value()
+          placeWave(run, wave, formatSize(remaining), base, next)
+        })
+      }, cb)
+    })
+  }
+
+  function settled (wave) {
+    return wave.placed_at !== null && !wave.stale && !wave.children.some(isOpen)
+  }
+
+  function slipped (run, price) {
+    if (so.max_slippage_pct == null) return false
+    let slippage = slippagePct(run.type, run.parent.orig_price, price)
+    if (slippage <= so.max_slippage_pct) return false
+    run.stopped = 'slippage of ' + n(slippage / 100).format('0.000%') + ' over max_slippage_pct'
+    return true
+  }
+
+  function poll (run) {
+    // the signal switched, or the engine is shutting down
+    if (s[run.type + '_order'] !== run.parent) run.stopped = run.stopped || 'order withdrawn'
+    if (run.stopped) return finish(run)
+    async.eachSeries(run.parent.children.filter(isOpen), checkChild, function (err) {
+      if (err) return finish(run, err)
+      step(run, function (err) {
+        if (err) return finish(run, err)
+        if (run.stopped || run.waves.every(settled)) return finish(run)
+        let next_wave = run.waves.find(wave => wave.placed_at === null && wave.at !== null)
+        let wait = so.order_poll_time
+        if (next_wave) wait = Math.min(wait, Math.max(0, run.start + next_wave.at - opts.now()))
+        run.timer = setTimeout(function () {
+          run.timer = null
+          poll(run)
+        }, wait)
+      })
+    })
+  }
+
+  // rolls the child fills up into the parent order, false if nothing filled
+  function rollUp (parent, start) {
+    let filled = parent.children.filter(child => child.filled > 0)
+    let size = filledOf(filled)
+    if (!(size > 0)) return false
+    let total = filled.reduce((sum, child) => sum + child.filled * child.fill_price, 0)
+    parent.order_id = filled[0].order_id
+    parent.price = n(total / size).format(s.product.increment)
+    parent.size = parent.orig_size = formatSize(size)
+    parent.remaining_size = 0
+    parent.orig_time = parent.orig_time || start
+    parent.time = Math.max.apply(null, filled.map(child => child.done_at || opts.now()))
+    return parent
+  }
+
+  function finish (run, err) {
+    async.eachSeries(run.parent.children.filter(isOpen), cancelChild, function (cancel_err) {
+      delete running[run.type]
+      if (run.stopped) run.parent.stopped = run.stopped
+      run.cb(err || cancel_err, rollUp(run.parent, run.start))
+      run.on_stopped.forEach(cb => cb())
+    })
+  }
+
+  return {
+    // works parent.size through the --exec_algo children, cb(err, order)
+    // gets the rolled up parent, or false when nothing filled
+    run: function (type, parent, cb) {
+      let size = Number(parent.size)
+      let algo = algos[so.exec_algo]
+      let run = {type: type, parent: parent, start: opts.now(), cb: cb, on_stopped: []}
+      let waves = algo(s, {max_pieces: maxPieces(size, parent.price)})
+      let sizes = split(size, waves.length)
+      run.waves = waves.map(function (wave, i) {
+        return Object.assign({}, wave, {size: sizes[i], placed_at: null, children: []})
+      })
+      parent.children = []
+      parent.orig_time = run.start
+      running[type] = run
+      poll(run)
+    },
+
+    // winds the run of type down now instead of at its next poll
+    stop: function (type, cb) {
+      let run = running[type]
+      if (!run) return cb()
+      run.on_stopped.push(cb)
+      run.stopped = run.stopped || 'order withdrawn'
+      if (run.timer) {
+        clearTimeout(run.timer)
+        run.timer = null
+        poll(run)
+      }
+    },
+
+    // settles a parent left over from an earlier run: cancels what is still
+    // open and rolls up what filled
+    settle: function (type, parent, cb) {
+      let children = parent.children || []
+      async.eachSeries(children, function (child, next) {
+        checkChild(child, function (err) {
+          if (err || !isOpen(child)) return next(err)
+          cancelChild(child, next)
+        })
+      }, function (err) {
+        cb(err, rollUp(parent, parent.orig_time))
+      })
+    }
+  }
+}
+
+module.exports.algos = ['simple'].concat(Object.keys(algos))
@@ -0,0 +1,7 @@
+// post-only orders over --exec_slices price levels, --exec_ladder_step_pct
+// apart, starting at the best price. the whole ladder moves when the market
+// moves away from it.
+module.exports = function ladder (s, ctx) {
+  let so = s.options
+  return [{rungs: Math.min(so.exec_slices || 5, ctx.max_pieces), at: 0, post_only: true}]
+}
@@ -0,0 +1,11 @@
+// time-weighted: --exec_slices equal child orders, one every --exec_interval
+// ms, each working at the best price until filled
+module.exports = function twap (s, ctx) {
+  let so = s.options
+  let slices = Math.min(so.exec_slices || 5, ctx.max_pieces)
+  let waves = []
+  for (let i = 0; i < slices; i++) {
+    waves.push({rungs: 1, at: i * (so.exec_interval || 60000)})
+  }
+  return waves
+}
@@ -0,0 +1,53 @@
+let n = require('numbro')
+
+let models = {
+  optimistic: require('./optimistic'),
+  queue: require('./queue'),
+  volume_share: require('./volume_share')
+}
+
+// Fill models for the sim exchange. A model decides how much of a resting
+// order a trade fills and at what price: fill(order, trade) returns
+// {size, price} or null, onPlace(order) is called once for new orders. With
+// reports_fill_price a filled order reports its average fill price, like a
+// real exchange, instead of its limit price.
+module.exports = function fillModel (s) {
+  let so = s.options
+
+  // average volume of the last periods, the yardstick for queue depth and
+  // market impact
+  function avgVolume () {
+    let periods = s.lookback.slice(0, 20).filter(period => period.volume > 0)
+    if (!periods.length) return s.period.volume || 0
+    return periods.reduce((sum, period) => sum + period.volume, 0) / periods.length
+  }
+
+  function crosses (order, trade) {
+    if (order.tradetype === 'buy') return Number(trade.price) <= Number(order.price)
+    return Number(trade.price) >= Number(order.price)
+  }
+
+  function isTaker (order) {
+    return order.ordertype === 'taker'
+  }
+
+  // market orders fill at the trade price, slipped by avg_slippage_pct plus
+  // slippage_impact_pct for every period's volume worth of size
+  function takerPrice (order, trade) {
+    let volume = avgVolume()
+    let impact = volume > 0 ? (so.slippage_impact_pct || 0) * order.remaining_size / volume : 0
+    let slippage = ((so.avg_slippage_pct || 0) + impact) / 100
+    return n(trade.price).multiply(order.tradetype === 'buy' ? 1 + slippage : 1 - slippage).format('0.00000000')
+  }
+
+  let model = models[String(so.fill_model || 'optimistic').toLowerCase()] || models.optimistic
+  return model(s, {
+    avgVolume: avgVolume,
+    crosses: crosses,
+    isTaker: isTaker,
+    takerPrice: takerPrice,
+    participation: (so.participation_pct || 100) / 100
+  })
+}
+
+module.exports.models = Object.keys(models)
@@ -0,0 +1,19 @@
+let n = require('numbro')
+
+// the classic sim: once order_adjust_time has passed, any trade through the
+// limit price fills up to its size, maker orders slipped by avg_slippage_pct
+module.exports = function optimistic (s, ctx) {
+  let so = s.options
+  return {
+    fill: function (order, trade) {
+      if (trade.time - order.time < so.order_adjust_time) return null
+      if (!ctx.crosses(order, trade)) return null
+      let price = order.price
+      if (so.order_type === 'maker') {
+        let slippage = n(price).multiply(so.avg_slippage_pct / 100)
+        price = order.tradetype === 'buy' ? n(price).add(slippage).format('0.00000000') : n(price).subtract(slippage).format('0.00000000')
+      }
+      return {size: Math.min(order.remaining_size, trade.size), price: price}
+    }
+  }
+}
@@ -0,0 +1,32 @@
+// a maker order joins the back of the queue at its price. the size ahead of
+// it is estimated at --queue_ahead_pct of the average period volume; trades at
+// the price work through that first, a trade through the price clears the
+// level. the order takes --participation_pct of what reaches it. taker orders
+// fill on the next trade, slipped in proportion to their size.
+module.exports = function queue (s, ctx) {
+  let so = s.options
+  return {
+    reports_fill_price: true,
+
+    onPlace: function (order) {
+      order.queue_ahead = ctx.isTaker(order) ? 0 : ctx.avgVolume() * (so.queue_ahead_pct || 0) / 100
+    },
+
+    fill: function (order, trade) {
+      if (ctx.isTaker(order)) return {size: order.remaining_size, price: ctx.takerPrice(order, trade)}
+      if (!ctx.crosses(order, trade)) return null
+      let available = trade.size
+      if (Number(trade.price) === Number(order.price)) {
+        let used = Math.min(order.queue_ahead || 0, available)
+        order.queue_ahead = (order.queue_ahead || 0) - used
+        available -= used
+      }
+      else {
+        order.queue_ahead = 0
+      }
+      let size = Math.min(order.remaining_size, available * ctx.participation)
+      if (!(size > 0)) return null
+      return {size: size, price: order.price}
+    }
+  }
+}
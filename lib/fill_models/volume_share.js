@@ -0,0 +1,13 @@
+// every trade through the limit price fills --participation_pct of its size,
+// taker orders fill on the next trade, slipped in proportion to their size
+module.exports = function volume_share (s, ctx) {
+  return {
+    reports_fill_price: true,
+
+    fill: function (order, trade) {
+      if (ctx.isTaker(order)) return {size: order.remaining_size, price: ctx.takerPrice(order, trade)}
+      if (!ctx.crosses(order, trade)) return null
+      return {size: Math.min(order.remaining_size, trade.size * ctx.participation), price: order.price}
+    }
+  }
+}
@@ -0,0 +1,223 @@
+let candles = require('./candles')
+
+// Parses trade and kline dumps for zenbot import. A file is CSV, NDJSON
+// (one object or array per line) or a JSON array, and its columns come from
+// a header line, the keys of its objects, or for headerless rows their count:
+//   binance_trades      id, price, qty, quote_qty, time, is_buyer_maker[, is_best_match]
+//   binance_agg_trades  agg_id, price, qty, first_id, last_id, time, is_buyer_maker, is_best_match
+//   binance_klines      open_time, open, high, low, close, volume, close_time, ...
+//   trades              time, price, size[, side[, trade_id]]
+let LAYOUTS = {
+  binance_trades: {kind: 'trades', columns: {trade_id: 0, price: 1, size: 2, time: 4, buyer_maker: 5}},
+  binance_agg_trades: {kind: 'trades', columns: {trade_id: 0, price: 1, size: 2, time: 5, buyer_maker: 6}},
+  binance_klines: {kind: 'klines', columns: {time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5, close_time: 6}},
+  trades: {kind: 'trades', columns: {time: 0, price: 1, size: 2, side: 3, trade_id: 4}}
+}
+let LAYOUT_BY_COUNT = {3: 'trades', 4: 'trades', 5: 'trades', 6: 'binance_trades', 7: 'binance_trades', 8: 'binance_agg_trades', 12: 'binance_klines'}
+
+// the names a column goes by in headers and objects
+let ALIASES = {
+  trade_id: ['trade_id', 'id', 'agg_trade_id'],
+  time: ['time', 'timestamp', 'date', 'datetime', 'transact_time', 'open_time'],
+  price: ['price'],
+  size: ['size', 'amount', 'qty', 'quantity'],
+  side: ['side', 'type'],
+  buyer_maker: ['is_buyer_maker', 'buyer_maker'],
+  open: ['open'],
+  high: ['high'],
+  low: ['low'],
+  close: ['close'],
+  volume: ['volume'],
+  close_time: ['close_time']
+}
+// the one letter keys of the Binance API, where case matters: M is not m,
+// and t and T are the id and time of a trade but the open and close of a kline
+let BINANCE_KEYS = {
+  trades: {a: 'trade_id', t: 'trade_id', p: 'price', q: 'size', T: 'time', m: 'buyer_maker'},
+  klines: {t: 'time', T: 'close_time', o: 'open', h: 'high', l: 'low', c: 'close', v: 'volume'}
+}
+let CANDLE_SIZES = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w']
+
+function role (name, kind) {
+  name = String(name).trim()
+  if (name.length === 1) return BINANCE_KEYS[kind][name] || null
+  // isBuyerMaker and the like are is_buyer_maker
+  name = name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase()
+  return Object.keys(ALIASES).find(k => ALIASES[k].indexOf(name) !== -1) || null
+}
+
+// the columns of a header or an object by role
+function columns (names) {
+  names = names.map(name => String(name).trim())
+  let kind = names.indexOf('o') !== -1 && names.indexOf('c') !== -1 ? 'klines' : 'trades'
+  let map = {}
+  names.forEach(function (name, i) {
+    let r = role(name, kind)
+    if (r && typeof map[r] === 'undefined') map[r] = i
+  })
+  return map
+}
+
+function splitCsv (line) {
+  return line.split(',').map(field => field.trim().replace(/^"(.*)"$/, '$1'))
+}
+
+// epoch seconds, milliseconds or microseconds, or a date string, in ms
+function time (value) {
+  if (value === null || value === undefined || value === '') return NaN
+  let num = Number(value)
+  if (isNaN(num)) return Date.parse(value)
+  if (num < 1e11) return Math.round(num * 1000)
+  if (num > 1e14) return Math.floor(num / 1000)
+  return num
+}
+
+function side (value) {
+  let v = String(value).trim().toLowerCase()
+  if (v === 'buy' || v === 'b' || v === 'bid') return 'buy'
+  if (v === 'sell' || v === 's' || v === 'ask') return 'sell'
+  return null
+}
+
+// the candle size of a kline from its open and close times
+function candleSize (open_time, close_time) {
+  let ms = close_time - open_time + 1
+  return CANDLE_SIZES.find(size => candles.sizeMs(size) === ms) || null
+}
+
+function isHeader (fields) {
+  return fields.some(field => field !== '' && isNaN(Number(field)) && !/^(true|false)$/i.test(field) && isNaN(Date.parse(field)))
+}
+
+module.exports = {
+  LAYOUTS: LAYOUTS,
+  time: time,
+  candleSize: candleSize,
+
+  // how to read a file from its first line: {type, kind, columns, header}.
+  // format forces a layout for headerless rows, 'auto' picks it by count.
+  detect: function (first_line, format) {
+    let line = first_line.trim()
+    let detected = {type: 'csv', kind: null, columns: null, header: false}
+    let fields
+    if (line[0] === '{' || line[0] === '[') {
+      let value = JSON.parse(line)
+      detected.type = 'json'
+      if (!Array.isArray(value)) {
+        detected.columns = columns(Object.keys(value))
+        detected.keyed = true
+      }
+      else fields = value.map(String)
+    }
+    else {
+      fields = splitCsv(line)
+      if (isHeader(fields)) {
+        detected.header = true
+        detected.columns = columns(fields)
+      }
+    }
+    if (!detected.columns) {
+      let name = format && format !== 'auto' ? format : LAYOUT_BY_COUNT[fields.length]
+      if (!LAYOUTS[name]) throw new Error('cannot tell the layout of rows with ' + fields.length + ' columns, give it with --format')
+      detected.columns = LAYOUTS[name].columns
+      detected.kind = LAYOUTS[name].kind
+      detected.layout = name
+    }
+    else {
+      detected.kind = typeof detected.columns.open !== 'undefined' && typeof detected.columns.close !== 'undefined' ? 'klines' : 'trades'
+    }
+    if (typeof detected.columns.time === 'undefined') throw new Error('no time column')
+    if (detected.kind === 'trades' && (typeof detected.columns.price === 'undefined' || typeof detected.columns.size === 'undefined')) {
+      throw new Error('no price or size column')
+    }
+    return detected
+  },
+
+  // a function turning a row (a CSV line, an array or an object) into a
+  // trades or candles document, or null for a row it cannot use
+  parser: function (detected, selector, candle_size) {
+    let prev_price = null
+    // trades without an id get one from what they are, numbered when the
+    // same trade shows up again in the same ms
+    let last_key = null, repeats = 0
+    let keys = null
+
+    function field (row, r) {
+      if (detected.keyed) {
+        // the key of each column, taken from the first object
+        if (!keys) {
+          let names = Object.keys(row)
+          let map = columns(names)
+          keys = {}
+          Object.keys(map).forEach(function (r) {
+            keys[r] = names[map[r]]
+          })
+        }
+        return keys[r] ? row[keys[r]] : undefined
+      }
+      return typeof detected.columns[r] === 'undefined' ? undefined : row[detected.columns[r]]
+    }
+
+    function trade (row) {
+      let doc = {time: time(field(row, 'time')), price: Number(field(row, 'price')), size: Number(field(row, 'size'))}
+      if (!isFinite(doc.time) || !(doc.price > 0) || !(doc.size >= 0)) return null
+      doc.side = side(field(row, 'side'))
+      let buyer_maker = field(row, 'buyer_maker')
+      // the buyer was the maker, so the taker sold
+      if (!doc.side && typeof buyer_maker !== 'undefined') doc.side = String(buyer_maker).toLowerCase() === 'true' ? 'sell' : 'buy'
+      if (!doc.side) doc.side = prev_price !== null && doc.price < prev_price ? 'sell' : 'buy'
+      prev_price = doc.price
+      let trade_id = field(row, 'trade_id')
+      if (trade_id === undefined || trade_id === '') {
+        let key = [doc.time, doc.price, doc.size, doc.side].join('-')
+        repeats = key === last_key ? repeats + 1 : 0
+        last_key = key
+        trade_id = repeats ? key + '-' + repeats : key
+      }
+      doc.trade_id = isNaN(Number(trade_id)) ? String(trade_id) : Number(trade_id)
+      doc.id = selector + '-' + String(doc.trade_id)
+      doc._id = doc.id
+      doc.selector = selector
+      return doc
+    }
+
+    function candle (row) {
+      let open_time = time(field(row, 'time'))
+      let size = candle_size || candleSize(open_time, time(field(row, 'close_time')))
+      if (!size) throw new Error('cannot tell the candle size of the klines, give it with --candle_size')
+      candle_size = size
+      let doc = {
+        _id: selector + '-' + size + '-' + open_time,
+        selector: selector,
+        size: size,
+        time: open_time,
+        open: Number(field(row, 'open')),
+        high: Number(field(row, 'high')),
+        low: Number(field(row, 'low')),
+        close: Number(field(row, 'close')),
+        volume: Number(field(row, 'volume')) || 0
+      }
+      if (!isFinite(doc.time) || ![doc.open, doc.high, doc.low, doc.close].every(v => v > 0)) return null
+      return doc
+    }
+
+    return function (row) {
+      if (typeof row === 'string') {
+        row = row.trim()
+        if (!row) return null
+        if (detected.type === 'csv') row = splitCsv(row)
+        else {
+          // a line cut off in the dump, counted as rejected
+          try {
+            row = JSON.parse(row)
+          }
+          catch (err) {
+            if (err instanceof SyntaxError) return null
+            throw err
+          }
+        }
+      }
+      return detected.kind === 'klines' ? candle(row) : trade(row)
+    }
+  }
+}
@@ -0,0 +1,33 @@
+let window = require('./window')
+  , { indicator } = require('./indicator')
+  , { ma } = require('./ma')
+
+// Bollinger bands {upper, middle, lower}: the middle band is a moving
+// average of any MA type, the width the population standard deviation of
+// the last period values
+function bbands (period, dev_up, dev_down, type) {
+  let middle_ma = ma(type, period)
+  let values = window(period)
+  let sum = 0
+  let squares = 0
+  return indicator(Math.max(middle_ma.lookback, period - 1), function (x, commit) {
+    let dropped = values.full() ? values.oldest() : 0
+    let next_sum = sum + x - dropped
+    let next_squares = squares + x * x - dropped * dropped
+    let count = Math.min(values.length + 1, period)
+    let middle = middle_ma.step(x, commit)
+    if (commit) {
+      values.push(x)
+      sum = next_sum
+      squares = next_squares
+    }
+    if (count < period || middle === undefined) return undefined
+    let mean = next_sum / period
+    let dev = Math.sqrt(Math.max(next_squares / period - mean * mean, 0))
+    return {upper: middle + dev_up * dev, middle: middle, lower: middle - dev_down * dev}
+  })
+}
+
+module.exports = {
+  bbands: bbands
+}
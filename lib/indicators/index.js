@@ -0,0 +1,54 @@
+let window = require('./window')
+  , base = require('./indicator')
+  , ma = require('./ma')
+  , momentum = require('./momentum')
+  , bands = require('./bands')
+  , volatility = require('./volatility')
+  , volume = require('./volume')
+  , registry = require('./registry')
+
+// Pure JavaScript indicators, for the ta_* and ti_* helpers that used the
+// native talib and tulind bindings. They follow talib's definitions (and
+// tulind's where the ti_* helpers differ) and update in constant time per
+// period instead of recomputing over the whole history.
+let HISTORY = 100
+
+// Keeps an indicator over the closed periods of s, under key in
+// s.indicator_state. The periods closed since the last call are fed to it
+// once, then the open period is peeked at. last is the output of the newest
+// closed period, series() gives the outputs of the last HISTORY closed
+// periods and the open one, oldest first, for the helpers that return series
+// like talib did. Strategies declaring their indicators get them from
+// registry() instead, fed by the engine.
+function track (s, key, create, input) {
+  if (!s.indicator_state) s.indicator_state = {}
+  let state = s.indicator_state[key]
+  let newest = s.lookback[0]
+  // a lookback that went back in time was replaced, start over
+  if (!state || (newest && state.time !== null && newest.time < state.time)) {
+    state = s.indicator_state[key] = {ind: create(), time: null, count: 0, last: undefined, outputs: window(HISTORY)}
+  }
+  let fresh = 0
+  while (fresh < s.lookback.length && (state.time === null || s.lookback[fresh].time > state.time)) fresh++
+  for (let i = fresh - 1; i >= 0; i--) {
+    let output = state.last = state.ind.update(input(s.lookback[i]))
+    if (output !== undefined) state.outputs.push(output)
+    state.count++
+  }
+  if (fresh) state.time = newest.time
+  let value = state.ind.peek(input(s.period))
+  return {
+    count: state.count,
+    value: value,
+    last: state.last,
+    series: function () {
+      return state.outputs.toArray().concat(value === undefined ? [] : [value])
+    }
+  }
+}
+
+module.exports = Object.assign({
+  window: window,
+  track: track,
+  registry: registry
+}, base, ma, momentum, bands, volatility, volume)
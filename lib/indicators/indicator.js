@@ -0,0 +1,74 @@
+// An indicator is a step function of its next input and whether to keep it.
+// update() feeds a closed period and returns the output, peek() returns what
+// the output would be with one more input without changing the state, which
+// gives the value of the period still open. The output is undefined until
+// lookback inputs have been seen, the same warm up as talib.
+function indicator (lookback, step) {
+  return {
+    lookback: lookback,
+    step: step,
+    update: x => step(x, true),
+    peek: x => step(x, false)
+  }
+}
+
+// feeds the outputs of one indicator into the next
+function chain (first, second) {
+  return indicator(first.lookback + second.lookback, function (x, commit) {
+    let value = first.step(x, commit)
+    return value === undefined ? undefined : second.step(value, commit)
+  })
+}
+
+// ignores the first inputs, to line up moving averages of different
+// lookbacks on the same first output like talib does
+function delayed (ind, skip) {
+  let seen = 0
+  return indicator(ind.lookback + skip, function (x, commit) {
+    if (seen < skip) {
+      if (commit) seen++
+      return undefined
+    }
+    return ind.step(x, commit)
+  })
+}
+
+function map (ind, fn) {
+  return indicator(ind.lookback, function (x, commit) {
+    let value = ind.step(x, commit)
+    return value === undefined ? undefined : fn(value)
+  })
+}
+
+// starts a fresh indicator after an input that is not a number, for inputs
+// with gaps like the values of another indicator during its warm up
+function gapless (create) {
+  let ind = create()
+  return indicator(ind.lookback, function (x, commit) {
+    if (typeof x !== 'number' || isNaN(x)) {
+      if (commit) ind = create()
+      return undefined
+    }
+    return ind.step(x, commit)
+  })
+}
+
+// the outputs of a fresh indicator over a whole series, from the first one
+// that is defined, like talib and tulind return them
+function run (ind, inputs) {
+  let out = []
+  inputs.forEach(function (x) {
+    let value = ind.update(x)
+    if (value !== undefined) out.push(value)
+  })
+  return out
+}
+
+module.exports = {
+  indicator: indicator,
+  chain: chain,
+  delayed: delayed,
+  map: map,
+  gapless: gapless,
+  run: run
+}
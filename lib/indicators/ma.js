@@ -0,0 +1,248 @@
+let window = require('./window')
+  , { indicator, chain, map } = require('./indicator')
+
+// The moving averages of talib's MA types, in the order of their numbers:
+// 0 SMA, 1 EMA, 2 WMA, 3 DEMA, 4 TEMA, 5 TRIMA, 6 KAMA, 7 MAMA, 8 T3.
+let MA_TYPES = ['SMA', 'EMA', 'WMA', 'DEMA', 'TEMA', 'TRIMA', 'KAMA', 'MAMA', 'T3']
+
+function sma (period) {
+  let values = window(period)
+  let sum = 0
+  return indicator(period - 1, function (x, commit) {
+    let next = sum + x - (values.full() ? values.oldest() : 0)
+    let count = Math.min(values.length + 1, period)
+    if (commit) {
+      values.push(x)
+      sum = next
+    }
+    return count === period ? next / period : undefined
+  })
+}
+
+// seeded with the average of the first period inputs like talib, or with the
+// first input like tulind (seed: 'first')
+function ema (period, opts) {
+  opts = opts || {}
+  let k = opts.k || 2 / (period + 1)
+  let first = opts.seed === 'first'
+  let count = 0
+  let sum = 0
+  let prev
+  return indicator(first ? 0 : period - 1, function (x, commit) {
+    let value
+    let next_sum = sum
+    if (first) {
+      value = count ? (x - prev) * k + prev : x
+    }
+    else if (count >= period) {
+      value = (x - prev) * k + prev
+    }
+    else {
+      next_sum += x
+      if (count === period - 1) value = next_sum / period
+    }
+    if (commit) {
+      count++
+      sum = next_sum
+      if (value !== undefined) prev = value
+    }
+    return value
+  })
+}
+
+function wma (period) {
+  let values = window(period)
+  let divisor = period * (period + 1) / 2
+  let sum = 0
+  let weighted = 0
+  return indicator(period - 1, function (x, commit) {
+    let full = values.full()
+    // every older value loses a weight, the oldest its last one
+    let next_weighted = full ? weighted - sum + period * x : weighted + (values.length + 1) * x
+    let next_sum = sum + x - (full ? values.oldest() : 0)
+    let count = Math.min(values.length + 1, period)
+    if (commit) {
+      values.push(x)
+      sum = next_sum
+      weighted = next_weighted
+    }
+    return count === period ? next_weighted / divisor : undefined
+  })
+}
+
+// steps x through a cascade of indicators, the outputs of each or undefined
+function cascade (inds, x, commit) {
+  let outputs = []
+  for (let i = 0; i < inds.length; i++) {
+    x = inds[i].step(x, commit)
+    if (x === undefined) return undefined
+    outputs.push(x)
+  }
+  return outputs
+}
+
+function dema (period) {
+  let emas = [ema(period), ema(period)]
+  return indicator(2 * (period - 1), function (x, commit) {
+    let e = cascade(emas, x, commit)
+    return e && 2 * e[0] - e[1]
+  })
+}
+
+function tema (period) {
+  let emas = [ema(period), ema(period), ema(period)]
+  return indicator(3 * (period - 1), function (x, commit) {
+    let e = cascade(emas, x, commit)
+    return e && 3 * e[0] - 3 * e[1] + e[2]
+  })
+}
+
+// the weights rise and fall linearly, which is an SMA of an SMA
+function trima (period) {
+  let half = Math.floor(period / 2)
+  return period % 2 ? chain(sma(half + 1), sma(half + 1)) : chain(sma(half + 1), sma(half))
+}
+
+// Kaufman's adaptive MA, between the EMAs of 2 and 30 periods depending on
+// the efficiency ratio of the last period moves
+function kama (period) {
+  let fastest = 2 / (2 + 1)
+  let slowest = 2 / (30 + 1)
+  let closes = window(period)
+  let moves = window(period)
+  let moved = 0
+  let prev
+  return indicator(period, function (x, commit) {
+    let move = closes.length ? Math.abs(x - closes.get(0)) : 0
+    let next_moved = closes.length ? moved + move - (moves.full() ? moves.oldest() : 0) : 0
+    let value
+    if (closes.full()) {
+      let change = x - closes.oldest()
+      let ratio = next_moved <= change || next_moved === 0 ? 1 : Math.abs(change / next_moved)
+      let sc = Math.pow(ratio * (fastest - slowest) + slowest, 2)
+      let last = prev === undefined ? closes.get(0) : prev
+      value = last + sc * (x - last)
+    }
+    if (commit) {
+      if (closes.length) moves.push(move)
+      closes.push(x)
+      moved = next_moved
+      if (value !== undefined) prev = value
+    }
+    return value
+  })
+}
+
+// Ehlers' MESA adaptive MA, {mama, fama}, after the formulas of his paper.
+// It warms up for 32 inputs like talib.
+function mama (fast_limit, slow_limit) {
+  fast_limit = fast_limit || 0.5
+  slow_limit = slow_limit || 0.05
+  let DEG = 180 / Math.PI
+  let st = {count: 0, price: [], smooth: [], detrender: [], i1: [], q1: [], i2: 0, q2: 0, re: 0, im: 0, period: 0, smooth_period: 0, phase: 0}
+
+  // the last 7 values of a series, newest first
+  function push (list, value) {
+    return [value].concat(list.slice(0, 6))
+  }
+  function at (list, i) {
+    return list[i] || 0
+  }
+  function hilbert (list, adjust) {
+    return (0.0962 * at(list, 0) + 0.5769 * at(list, 2) - 0.5769 * at(list, 4) - 0.0962 * at(list, 6)) * adjust
+  }
+
+  return indicator(32, function (x, commit) {
+    let next = Object.assign({}, st, {count: st.count + 1})
+    next.price = push(st.price, x)
+    next.smooth = push(st.smooth, (4 * x + 3 * at(st.price, 0) + 2 * at(st.price, 1) + at(st.price, 2)) / 10)
+    let adjust = 0.075 * st.period + 0.54
+    next.detrender = push(st.detrender, hilbert(next.smooth, adjust))
+    next.q1 = push(st.q1, hilbert(next.detrender, adjust))
+    next.i1 = push(st.i1, at(next.detrender, 3))
+    let ji = hilbert(next.i1, adjust)
+    let jq = hilbert(next.q1, adjust)
+    next.i2 = 0.2 * (next.i1[0] - jq) + 0.8 * st.i2
+    next.q2 = 0.2 * (next.q1[0] + ji) + 0.8 * st.q2
+    next.re = 0.2 * (next.i2 * st.i2 + next.q2 * st.q2) + 0.8 * st.re
+    next.im = 0.2 * (next.i2 * st.q2 - next.q2 * st.i2) + 0.8 * st.im
+    let period = st.period
+    if (next.im !== 0 && next.re !== 0) period = 360 / (Math.atan(next.im / next.re) * DEG)
+    period = Math.min(Math.max(period, 0.67 * st.period), 1.5 * st.period)
+    period = Math.min(Math.max(period, 6), 50)
+    next.period = 0.2 * period + 0.8 * st.period
+    next.smooth_period = 0.33 * next.period + 0.67 * st.smooth_period
+    next.phase = next.i1[0] !== 0 ? Math.atan(next.q1[0] / next.i1[0]) * DEG : st.phase
+    let delta = Math.max(st.phase - next.phase, 1)
+    let alpha = Math.max(fast_limit / delta, slow_limit)
+    next.mama = st.mama === undefined ? x : alpha * x + (1 - alpha) * st.mama
+    next.fama = st.fama === undefined ? x : 0.5 * alpha * next.mama + (1 - 0.5 * alpha) * st.fama
+    if (commit) st = next
+    return next.count > 32 ? {mama: next.mama, fama: next.fama} : undefined
+  })
+}
+
+// Tillson's T3, six EMAs combined with the volume factor
+function t3 (period, vfactor) {
+  let a = vfactor === undefined ? 0.7 : vfactor
+  let c1 = -a * a * a
+  let c2 = 3 * a * a + 3 * a * a * a
+  let c3 = -6 * a * a - 3 * a - 3 * a * a * a
+  let c4 = 1 + 3 * a + a * a * a + 3 * a * a
+  let emas = [0, 1, 2, 3, 4, 5].map(() => ema(period))
+  return indicator(6 * (period - 1), function (x, commit) {
+    let e = cascade(emas, x, commit)
+    return e && c1 * e[5] + c2 * e[4] + c3 * e[3] + c4 * e[2]
+  })
+}
+
+// Hull MA like tulind: the WMA of sqrt(period) of 2 WMA(period / 2) - WMA(period)
+function hma (period) {
+  let half = wma(Math.floor(period / 2))
+  let full = wma(period)
+  let smooth = wma(Math.floor(Math.sqrt(period)))
+  return indicator(period + Math.floor(Math.sqrt(period)) - 2, function (x, commit) {
+    let a = half.step(x, commit)
+    let b = full.step(x, commit)
+    return b === undefined ? undefined : smooth.step(2 * a - b, commit)
+  })
+}
+
+// talib's MA type from its name or number, SMA when unknown
+function maType (type) {
+  if (typeof type === 'number') return MA_TYPES[type] || 'SMA'
+  let name = String(type || '').toUpperCase()
+  return MA_TYPES.indexOf(name) >= 0 ? name : 'SMA'
+}
+
+function ma (type, period) {
+  let name = maType(type)
+  if (period === 1 && name !== 'MAMA') return indicator(0, x => x)
+  switch (name) {
+  case 'EMA': return ema(period)
+  case 'WMA': return wma(period)
+  case 'DEMA': return dema(period)
+  case 'TEMA': return tema(period)
+  case 'TRIMA': return trima(period)
+  case 'KAMA': return kama(period)
+  case 'MAMA': return map(mama(), value => value.mama)
+  case 'T3': return t3(period)
+  default: return sma(period)
+  }
+}
+
+module.exports = {
+  MA_TYPES: MA_TYPES,
+  maType: maType,
+  ma: ma,
+  sma: sma,
+  ema: ema,
+  wma: wma,
+  dema: dema,
+  tema: tema,
+  trima: trima,
+  kama: kama,
+  mama: mama,
+  t3: t3,
+  hma: hma
+}
@@ -0,0 +1,270 @@
+let window = require('./window')
+  , { indicator, delayed } = require('./indicator')
+  , { ma, ema } = require('./ma')
+
+// two moving averages lined up on the same first output, the slower first,
+// like talib's MACDEXT and PPO
+function pair (fast, slow, fast_type, slow_type) {
+  if (slow < fast) return pair(slow, fast, slow_type, fast_type)
+  let fast_ma = ma(fast_type, fast)
+  let slow_ma = ma(slow_type, slow)
+  let lookback = Math.max(fast_ma.lookback, slow_ma.lookback)
+  return {
+    lookback: lookback,
+    fast: delayed(fast_ma, lookback - fast_ma.lookback),
+    slow: delayed(slow_ma, lookback - slow_ma.lookback)
+  }
+}
+
+// {macd, signal, histogram} with moving averages of any MA type
+function macdext (fast, slow, signal, fast_type, slow_type, signal_type) {
+  let mas = pair(fast, slow, fast_type, slow_type)
+  let signal_ma = ma(signal_type, signal)
+  return indicator(mas.lookback + signal_ma.lookback, function (x, commit) {
+    let f = mas.fast.step(x, commit)
+    let s = mas.slow.step(x, commit)
+    if (f === undefined || s === undefined) return undefined
+    let line = f - s
+    let sig = signal_ma.step(line, commit)
+    return sig === undefined ? undefined : {macd: line, signal: sig, histogram: line - sig}
+  })
+}
+
+// talib's MACD, or tulind's with seed: 'first', whose EMAs start at the
+// first input and use 0.15 and 0.075 for the usual 12 and 26 periods
+function macd (fast, slow, signal, opts) {
+  if (!opts || opts.seed !== 'first') return macdext(fast, slow, signal, 'EMA', 'EMA', 'EMA')
+  let classic = fast === 12 && slow === 26
+  let fast_ema = ema(fast, {seed: 'first', k: classic ? 0.15 : null})
+  let slow_ema = ema(slow, {seed: 'first', k: classic ? 0.075 : null})
+  let signal_ema = delayed(ema(signal, {seed: 'first'}), slow - 1)
+  return indicator(slow - 1, function (x, commit) {
+    let line = fast_ema.step(x, commit) - slow_ema.step(x, commit)
+    let sig = signal_ema.step(line, commit)
+    return sig === undefined ? undefined : {macd: line, signal: sig, histogram: line - sig}
+  })
+}
+
+// percentage price oscillator
+function ppo (fast, slow, type) {
+  let mas = pair(fast, slow, type, type)
+  return indicator(mas.lookback, function (x, commit) {
+    let f = mas.fast.step(x, commit)
+    let s = mas.slow.step(x, commit)
+    if (f === undefined || s === undefined) return undefined
+    return s ? (f - s) / s * 100 : 0
+  })
+}
+
+// 1 period rate of change of a triple EMA, in %
+function trix (period) {
+  let emas = [ema(period), ema(period), ema(period)]
+  let prev
+  return indicator(3 * (period - 1) + 1, function (x, commit) {
+    for (let i = 0; i < emas.length && x !== undefined; i++) x = emas[i].step(x, commit)
+    if (x === undefined) return undefined
+    let value = prev === undefined ? undefined : (prev ? (x - prev) / prev * 100 : 0)
+    if (commit) prev = x
+    return value
+  })
+}
+
+// Wilder's RSI
+function rsi (period) {
+  let count = 0
+  let prev
+  let gain = 0
+  let loss = 0
+  return indicator(period, function (x, commit) {
+    let value
+    let next_gain = gain
+    let next_loss = loss
+    if (count) {
+      let up = Math.max(x - prev, 0)
+      let down = Math.max(prev - x, 0)
+      if (count < period) {
+        next_gain += up
+        next_loss += down
+      }
+      if (count === period) {
+        next_gain = (gain + up) / period
+        next_loss = (loss + down) / period
+      }
+      if (count > period) {
+        next_gain = (gain * (period - 1) + up) / period
+        next_loss = (loss * (period - 1) + down) / period
+      }
+      if (count >= period) value = next_gain + next_loss ? 100 * next_gain / (next_gain + next_loss) : 0
+    }
+    if (commit) {
+      count++
+      prev = x
+      gain = next_gain
+      loss = next_loss
+    }
+    return value
+  })
+}
+
+// the highest high and lowest low of the last period bars, the new one included
+function range (bars, bar, period) {
+  let high = bar.high
+  let low = bar.low
+  for (let i = 0; i < Math.min(bars.length, period - 1); i++) {
+    high = Math.max(high, bars.get(i).high)
+    low = Math.min(low, bars.get(i).low)
+  }
+  return {high: high, low: low}
+}
+
+// raw stochastic %K of {high, low, close} bars
+function fastK (period) {
+  let bars = window(period)
+  return indicator(period - 1, function (bar, commit) {
+    let count = Math.min(bars.length + 1, period)
+    let r = range(bars, bar, period)
+    if (commit) bars.push(bar)
+    if (count < period) return undefined
+    return r.high > r.low ? (bar.close - r.low) / (r.high - r.low) * 100 : 0
+  })
+}
+
+// slow stochastic {k, d}
+function stoch (k_period, slow_k_period, slow_k_type, slow_d_period, slow_d_type) {
+  let raw = fastK(k_period)
+  let k_ma = ma(slow_k_type, slow_k_period)
+  let d_ma = ma(slow_d_type, slow_d_period)
+  return indicator(raw.lookback + k_ma.lookback + d_ma.lookback, function (bar, commit) {
+    let fast = raw.step(bar, commit)
+    let k = fast === undefined ? undefined : k_ma.step(fast, commit)
+    let d = k === undefined ? undefined : d_ma.step(k, commit)
+    return d === undefined ? undefined : {k: k, d: d}
+  })
+}
+
+// the fast stochastic {k, d} of the RSI
+function stochrsi (period, k_period, d_period, d_type) {
+  let r = rsi(period)
+  let raw = fastK(k_period)
+  let d_ma = ma(d_type, d_period)
+  return indicator(r.lookback + raw.lookback + d_ma.lookback, function (x, commit) {
+    let value = r.step(x, commit)
+    let k = value === undefined ? undefined : raw.step({high: value, low: value, close: value}, commit)
+    let d = k === undefined ? undefined : d_ma.step(k, commit)
+    return d === undefined ? undefined : {k: k, d: d}
+  })
+}
+
+// Williams' %R, from 0 down to -100
+function willr (period) {
+  let bars = window(period)
+  return indicator(period - 1, function (bar, commit) {
+    let count = Math.min(bars.length + 1, period)
+    let r = range(bars, bar, period)
+    if (commit) bars.push(bar)
+    if (count < period) return undefined
+    return r.high > r.low ? (r.high - bar.close) / (r.high - r.low) * -100 : 0
+  })
+}
+
+// ultimate oscillator, the averages of the three periods weighted 4, 2 and 1
+// from the shortest
+function ultosc (period1, period2, period3) {
+  let periods = [period1, period2, period3].sort((a, b) => a - b)
+  let longest = periods[2]
+  let pressure = window(longest)
+  let ranges = window(longest)
+  let pressure_sums = [0, 0, 0]
+  let range_sums = [0, 0, 0]
+  let prev_close
+  return indicator(longest, function (bar, commit) {
+    if (prev_close === undefined) {
+      if (commit) prev_close = bar.close
+      return undefined
+    }
+    let true_low = Math.min(bar.low, prev_close)
+    let bp = bar.close - true_low
+    let tr = Math.max(bar.high, prev_close) - true_low
+    let next_pressure = periods.map((p, i) => pressure_sums[i] + bp - (pressure.length >= p ? pressure.get(p - 1) : 0))
+    let next_ranges = periods.map((p, i) => range_sums[i] + tr - (ranges.length >= p ? ranges.get(p - 1) : 0))
+    let count = pressure.length + 1
+    if (commit) {
+      pressure.push(bp)
+      ranges.push(tr)
+      pressure_sums = next_pressure
+      range_sums = next_ranges
+      prev_close = bar.close
+    }
+    if (count < longest) return undefined
+    let total = 0
+    ;[4, 2, 1].forEach(function (weight, i) {
+      if (next_ranges[i]) total += weight * next_pressure[i] / next_ranges[i]
+    })
+    return 100 * total / 7
+  })
+}
+
+// Wilder's average directional index {adx, plus_di, minus_di} like talib:
+// the directional movements and true range summed over the first period - 1
+// bars, then smoothed, and the ADX the average of the first period DX
+function adx (period) {
+  let prev
+  let count = 0
+  let sums = {plus: 0, minus: 0, tr: 0}
+  let dx_count = 0
+  let dx_sum = 0
+  let prev_adx
+  return indicator(2 * period - 1, function (bar, commit) {
+    if (!prev) {
+      if (commit) prev = bar
+      return undefined
+    }
+    let up = bar.high - prev.high
+    let down = prev.low - bar.low
+    let plus = up > down && up > 0 ? up : 0
+    let minus = down > up && down > 0 ? down : 0
+    let tr = Math.max(bar.high, prev.close) - Math.min(bar.low, prev.close)
+    let smooth = (sum, x) => count < period - 1 ? sum + x : sum - sum / period + x
+    let next = {plus: smooth(sums.plus, plus), minus: smooth(sums.minus, minus), tr: smooth(sums.tr, tr)}
+    let value
+    let next_dx_count = dx_count
+    let next_dx_sum = dx_sum
+    let next_adx = prev_adx
+    if (count >= period - 1) {
+      let plus_di = next.tr ? 100 * next.plus / next.tr : 0
+      let minus_di = next.tr ? 100 * next.minus / next.tr : 0
+      let dx = plus_di + minus_di ? 100 * Math.abs(plus_di - minus_di) / (plus_di + minus_di) : 0
+      if (dx_count < period) {
+        next_dx_count++
+        next_dx_sum += dx
+        if (next_dx_count === period) next_adx = next_dx_sum / period
+      }
+      else {
+        next_adx = (prev_adx * (period - 1) + dx) / period
+      }
+      if (next_dx_count === period) value = {adx: next_adx, plus_di: plus_di, minus_di: minus_di}
+    }
+    if (commit) {
+      prev = bar
+      count++
+      sums = next
+      dx_count = next_dx_count
+      dx_sum = next_dx_sum
+      prev_adx = next_adx
+    }
+    return value
+  })
+}
+
+module.exports = {
+  macd: macd,
+  macdext: macdext,
+  ppo: ppo,
+  trix: trix,
+  rsi: rsi,
+  stoch: stoch,
+  stochrsi: stochrsi,
+  willr: willr,
+  ultosc: ultosc,
+  adx: adx
+}
@@ -0,0 +1,86 @@
+let { gapless } = require('./indicator')
+  , ma = require('./ma')
+  , momentum = require('./momentum')
+  , bands = require('./bands')
+  , volatility = require('./volatility')
+  , volume = require('./volume')
+
+// The indicators a strategy can declare, by type. The ones of a single value
+// read it from the `source` field of the periods (close by default), the
+// ones of bars get the whole period.
+let TYPES = {
+  sma: p => ma.sma(p.period),
+  ema: p => ma.ema(p.period),
+  wma: p => ma.wma(p.period),
+  dema: p => ma.dema(p.period),
+  tema: p => ma.tema(p.period),
+  trima: p => ma.trima(p.period),
+  kama: p => ma.kama(p.period),
+  t3: p => ma.t3(p.period, p.vfactor),
+  hma: p => ma.hma(p.period),
+  rsi: p => momentum.rsi(p.period || 14),
+  macd: p => momentum.macd(p.fast || 12, p.slow || 26, p.signal || 9),
+  ppo: p => momentum.ppo(p.fast || 12, p.slow || 26, p.ma),
+  trix: p => momentum.trix(p.period),
+  stochrsi: p => momentum.stochrsi(p.period || 14, p.k || 5, p.d || 3, p.ma),
+  bbands: p => bands.bbands(p.period || 20, p.up || 2, p.down || 2, p.ma),
+  stddev: p => volatility.stddev(p.period)
+}
+let BAR_TYPES = {
+  tr: () => volatility.tr(),
+  atr: p => volatility.atr(p.period || 14),
+  adx: p => momentum.adx(p.period || 14),
+  willr: p => momentum.willr(p.period || 14),
+  stoch: p => momentum.stoch(p.k || 5, p.slow_k || 3, p.slow_k_ma, p.d || 3, p.d_ma),
+  ultosc: p => momentum.ultosc(p.period1 || 7, p.period2 || 14, p.period3 || 28),
+  obv: () => volume.obv(),
+  ad: () => volume.ad(),
+  adosc: p => volume.adosc(p.fast || 3, p.slow || 10)
+}
+
+// The indicators a strategy declares in `indicators`, an object of keys to
+// {type, ...params}, or a function of s returning one:
+//
+//   indicators: {
+//     atr: {type: 'atr', period: 14},
+//     trend: {type: 'ema', period: 50, source: 'hl2'}
+//   }
+//
+// The engine calls update() on every trade before strategy.calculate, which
+// puts the value of the open period in s.period[key], and close() when the
+// period closes, which feeds it to the indicators once. Nothing is computed
+// over s.lookback, and the closed periods keep their values there. A source
+// computed by the strategy is read as its last calculate left it.
+function registry (s) {
+  let strategy = s.strategy || {}
+  let declared = typeof strategy.indicators === 'function' ? strategy.indicators(s) : strategy.indicators
+  let entries = Object.keys(declared || {}).map(function (key) {
+    let params = declared[key]
+    if (BAR_TYPES[params.type]) {
+      return {key: key, ind: BAR_TYPES[params.type](params), input: period => period}
+    }
+    if (!TYPES[params.type]) throw new Error('strategy ' + strategy.name + ' declares ' + key + ' of an unknown indicator type ' + params.type)
+    let source = params.source || 'close'
+    return {key: key, ind: gapless(() => TYPES[params.type](params)), input: period => period[source]}
+  })
+
+  // in declaration order, so a source can be a key declared before
+  function feed (commit) {
+    entries.forEach(function (entry) {
+      let value = entry.ind.step(entry.input(s.period), commit)
+      if (value !== undefined) s.period[entry.key] = value
+    })
+  }
+
+  return {
+    update: function () {
+      feed(false)
+    },
+    close: function () {
+      feed(true)
+    }
+  }
+}
+
+module.exports = registry
+module.exports.TYPES = Object.keys(TYPES).concat(Object.keys(BAR_TYPES))
@@ -0,0 +1,67 @@
+let window = require('./window')
+  , { indicator, chain } = require('./indicator')
+
+// true range of {high, low, close} bars, from the second one like talib
+function tr () {
+  let prev_close
+  return indicator(1, function (bar, commit) {
+    let value
+    if (prev_close !== undefined) {
+      value = Math.max(bar.high, prev_close) - Math.min(bar.low, prev_close)
+    }
+    if (commit) prev_close = bar.close
+    return value
+  })
+}
+
+// Wilder's average true range, seeded with the average of the first period
+// true ranges like talib
+function atr (period) {
+  let count = 0
+  let sum = 0
+  let prev
+  return chain(tr(), indicator(period - 1, function (x, commit) {
+    let value
+    let next_sum = sum
+    if (count >= period) {
+      value = (prev * (period - 1) + x) / period
+    }
+    else {
+      next_sum += x
+      if (count === period - 1) value = next_sum / period
+    }
+    if (commit) {
+      count++
+      sum = next_sum
+      if (value !== undefined) prev = value
+    }
+    return value
+  }))
+}
+
+// population standard deviation of the last period inputs
+function stddev (period) {
+  let values = window(period)
+  let sum = 0
+  let squares = 0
+  return indicator(period - 1, function (x, commit) {
+    let dropped = values.full() ? values.oldest() : 0
+    let next_sum = sum + x - dropped
+    let next_squares = squares + x * x - dropped * dropped
+    let count = Math.min(values.length + 1, period)
+    if (commit) {
+      values.push(x)
+      sum = next_sum
+      squares = next_squares
+    }
+    if (count < period) return undefined
+    let mean = next_sum / period
+    return Math.sqrt(Math.max(next_squares / period - mean * mean, 0))
+  })
+}
+
+module.exports = {
+  tr: tr,
+  atr: atr,
+  stddev: stddev
+}
@@ -0,0 +1,55 @@
+let { indicator } = require('./indicator')
+  , { ema } = require('./ma')
+
+// on balance volume of {close, volume} bars, starting at the first volume
+function obv () {
+  let prev_close
+  let total
+  return indicator(0, function (bar, commit) {
+    let value = bar.volume
+    if (prev_close !== undefined) {
+      value = total
+      if (bar.close > prev_close) value += bar.volume
+      if (bar.close < prev_close) value -= bar.volume
+    }
+    if (commit) {
+      prev_close = bar.close
+      total = value
+    }
+    return value
+  })
+}
+
+// Chaikin accumulation/distribution line of {high, low, close, volume} bars
+function ad () {
+  let total = 0
+  return indicator(0, function (bar, commit) {
+    let range = bar.high - bar.low
+    let value = total + (range > 0 ? ((bar.close - bar.low) - (bar.high - bar.close)) / range * bar.volume : 0)
+    if (commit) total = value
+    return value
+  })
+}
+
+// Chaikin oscillator, the difference of two EMAs of the A/D line started at
+// its first value like talib
+function adosc (fast, slow) {
+  let line = ad()
+  let fast_ema = ema(fast, {seed: 'first'})
+  let slow_ema = ema(slow, {seed: 'first'})
+  let lookback = Math.max(fast, slow) - 1
+  let count = 0
+  return indicator(lookback, function (bar, commit) {
+    let value = line.step(bar, commit)
+    let diff = fast_ema.step(value, commit) - slow_ema.step(value, commit)
+    let seen = count + 1
+    if (commit) count = seen
+    return seen > lookback ? diff : undefined
+  })
+}
+
+module.exports = {
+  obv: obv,
+  ad: ad,
+  adosc: adosc
+}
@@ -0,0 +1,44 @@
+// A ring buffer of the last size values, get(0) being the newest. Pushing
+// into a full window overwrites the oldest value, so the indicators keep
+// their windows in constant memory however long they run.
+module.exports = function window (size) {
+  let values = new Array(size)
+  let start = 0
+  let length = 0
+
+  return {
+    size: size,
+    get length () {
+      return length
+    },
+    full: function () {
+      return length === size
+    },
+    push: function (value) {
+      if (!size) return
+      if (length < size) {
+        values[(start + length) % size] = value
+        length++
+      }
+      else {
+        values[start] = value
+        start = (start + 1) % size
+      }
+    },
+    // i periods back from the newest value
+    get: function (i) {
+      if (i < 0 || i >= length) return undefined
+      return values[(start + length - 1 - i) % size]
+    },
+    // the value the next push drops, once the window is full
+    oldest: function () {
+      return length === size ? values[start] : undefined
+    },
+    // oldest first
+    toArray: function () {
+      let out = []
+      for (let i = length - 1; i >= 0; i--) out.push(this.get(i))
+      return out
+    }
+  }
+}
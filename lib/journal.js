@@ -0,0 +1,256 @@
+let fs = require('fs')
+  , _ = require('lodash')
+
+// Journal of a trade session for zenbot replay, one JSON entry per line:
+//   header    the options, products and exchange properties at the start
+//   call      an exchange call with its arguments
+//   response  what that call got back, matched by id
+//   sync      the result of an exchange call without a callback
+//   engine    a call the command made into the engine, like the trades it fed
+//             it, a balance sync or a key press
+//   state     what the command restored into s from an earlier session
+// Every entry has the time it was written (t). Entries are written
+// synchronously, so a crash or process.exit keeps them.
+//
+// The replay feeds the engine entries back at their times on a fake clock and
+// answers the engine's exchange calls from the journal, in the order they were
+// made. A call the journal does not have, or made with other arguments, is a
+// divergence: the replayed engine decided differently.
+
+// the engine methods trade.js calls that change what the engine does
+let ENGINE_METHODS = ['update', 'executeSignal', 'syncBalance', 'recoverOrders', 'loadRiskState', 'resetRisk', 'exit', 'shutdown']
+// calls the command makes to fetch the trades, they reach the engine through update
+let FEED_METHODS = ['getTrades', 'getCursor']
+
+function plain (value) {
+  return typeof value === 'undefined' ? null : JSON.parse(JSON.stringify(value))
+}
+
+function serializeError (err) {
+  if (!err) return null
+  if (!(err instanceof Error)) return plain(err)
+  return Object.assign(plain(err) || {}, {message: err.message, error: true})
+}
+
+function reviveError (err) {
+  if (!err || !err.error) return err
+  let revived = new Error(err.message)
+  Object.keys(err).forEach(function (k) {
+    if (k !== 'error' && k !== 'message') revived[k] = err[k]
+  })
+  return revived
+}
+
+// local clock readings drift by milliseconds between a session and its
+// replay, they do not count as a different call
+function comparable (value) {
+  if (Array.isArray(value)) return value.map(comparable)
+  if (!_.isPlainObject(value)) return value
+  let copy = {}
+  Object.keys(value).forEach(function (k) {
+    if (!/(^|_)time$/.test(k)) copy[k] = comparable(value[k])
+  })
+  return copy
+}
+
+function splitCallback (args) {
+  args = Array.prototype.slice.call(args)
+  let cb = typeof args[args.length - 1] === 'function' ? args.pop() : null
+  return {args: args, cb: cb}
+}
+
+module.exports = {
+  ENGINE_METHODS: ENGINE_METHODS,
+  FEED_METHODS: FEED_METHODS,
+
+  recorder: function (file) {
+    let fd = fs.openSync(file, 'w')
+    let next_id = 1
+
+    function write (entry) {
+      entry.t = new Date().getTime()
+      fs.writeSync(fd, JSON.stringify(entry) + '\n')
+    }
+
+    return {
+      file: file,
+
+      // the options are kept without nested objects, which may hold credentials
+      header: function (s) {
+        let exchange = s.exchange
+        write({
+          type: 'header',
+          options: _.pickBy(s.options, (v, k) => k === 'selector' || !_.isObject(v)),
+          products: exchange.getProducts(),
+          properties: _.pickBy(exchange, v => typeof v !== 'function'),
+          methods: Object.keys(exchange).filter(k => typeof exchange[k] === 'function')
+        })
+      },
+
+      // the exchange with every call and response journaled
+      exchange: function (exchange) {
+        let recorded = {}
+        Object.keys(exchange).forEach(function (method) {
+          if (typeof exchange[method] !== 'function') {
+            // fees may be updated on the exchange after this
+            return Object.defineProperty(recorded, method, {enumerable: true, get: () => exchange[method]})
+          }
+          recorded[method] = function () {
+            let call = splitCallback(arguments)
+            if (!call.cb) {
+              let result = exchange[method].apply(exchange, call.args)
+              if (typeof result !== 'undefined') write({type: 'sync', method: method, result: plain(result)})
+              return result
+            }
+            let id = next_id++
+            write({type: 'call', id: id, method: method, args: plain(call.args)})
+            return exchange[method].apply(exchange, call.args.concat([function (err, result) {
+              write({type: 'response', id: id, method: method, err: serializeError(err), result: plain(result)})
+              call.cb.apply(this, arguments)
+            }]))
+          }
+        })
+        return recorded
+      },
+
+      // journals the calls into the engine from outside it
+      engine: function (engine) {
+        ENGINE_METHODS.forEach(function (method) {
+          let fn = engine[method]
+          if (typeof fn !== 'function') return
+          engine[method] = function () {
+            let call = splitCallback(arguments)
+            write({type: 'engine', method: method, args: plain(call.args), cb: !!call.cb})
+            return fn.apply(engine, arguments)
+          }
+        })
+        return engine
+      },
+
+      state: function (state) {
+        write({type: 'state', state: plain(state)})
+      }
+    }
+  },
+
+  // the entries of a journal, a last line cut off by a crash is skipped
+  read: function (file) {
+    let entries = []
+    fs.readFileSync(file, {encoding: 'utf8'}).split('\n').forEach(function (line) {
+      if (!line.trim()) return
+      try {
+        entries.push(JSON.parse(line))
+      }
+      catch (err) {
+        // only the last line can be partly written
+        if (!(err instanceof SyntaxError)) throw err
+      }
+    })
+    return entries
+  },
+
+  // an exchange answering from the journal, responses come back on the
+  // clock at the time they came in the session
+  player: function (entries) {
+    let header = entries[0]
+    let calls = {}, syncs = {}, responses = {}
+    let matched = 0
+    let divergences = []
+    entries.forEach(function (entry) {
+      if (entry.type === 'call') (calls[entry.method] = calls[entry.method] || []).push(entry)
+      else if (entry.type === 'sync') (syncs[entry.method] = syncs[entry.method] || []).push(entry)
+      else if (entry.type === 'response') responses[entry.id] = entry
+    })
+
+    let exchange = Object.assign({}, header.properties, {
+      getProducts: function () {
+        return header.products
+      }
+    })
+    header.methods.forEach(function (method) {
+      if (method === 'getProducts') return
+      exchange[method] = function () {
+        let call = splitCallback(arguments)
+        if (!call.cb) {
+          let entry = (syncs[method] || []).shift()
+          return entry ? entry.result : undefined
+        }
+        let recorded = (calls[method] || []).shift()
+        if (!recorded) {
+          divergences.push({method: method, t: new Date().getTime(), args: plain(call.args), recorded: null})
+          return
+        }
+        matched++
+        if (!_.isEqual(comparable(plain(call.args)), comparable(recorded.args))) {
+          divergences.push({method: method, t: new Date().getTime(), args: plain(call.args), recorded: recorded.args})
+        }
+        let response = responses[recorded.id]
+        // the session ended before the exchange answered
+        if (!response) return
+        setTimeout(function () {
+          call.cb(reviveError(response.err), response.result)
+        }, Math.max(0, response.t - new Date().getTime()))
+      }
+    })
+
+    return {
+      exchange: exchange,
+      report: function () {
+        let unplayed = 0
+        Object.keys(calls).forEach(function (method) {
+          if (FEED_METHODS.indexOf(method) === -1) unplayed += calls[method].length
+        })
+        return {matched: matched, unplayed: unplayed, divergences: divergences}
+      }
+    }
+  },
+
+  // feeds the engine and state entries back at their times. The clock is a
+  // lolex clock faking the timers and Date; between steps the engine gets
+  // real event loop turns to finish what it started.
+  replay: function (entries, engine, s, clock, cb) {
+    let steps = entries.filter(entry => entry.type === 'engine' || entry.type === 'state')
+    let end = entries.length ? entries[entries.length - 1].t : clock.now
+
+    function settle (done) {
+      let turns = 0, drained = false
+      engine.idle(function () {
+        drained = true
+      })
+      function spin () {
+        turns++
+        if ((turns > 10 && drained) || turns > 1000) return done()
+        setImmediate(spin)
+      }
+      spin()
+    }
+
+    // runs the timers due until t one at a time, settling after each
+    function advance (t, done) {
+      let reached = false
+      clock.setTimeout(function () {
+        reached = true
+      }, Math.max(0, t - clock.now))
+      function step () {
+        clock.next()
+        settle(function () {
+          if (reached) return done()
+          step()
+        })
+      }
+      step()
+    }
+
+    let i = 0
+    function next () {
+      if (i >= steps.length) return advance(end, cb)
+      let entry = steps[i++]
+      advance(entry.t, function () {
+        if (entry.type === 'state') Object.assign(s, entry.state)
+        else engine[entry.method].apply(engine, entry.cb ? entry.args.concat([function () {}]) : entry.args)
+        settle(next)
+      })
+    }
+    next()
+  }
+}
@@ -0,0 +1,108 @@
+let crypto = require('crypto')
+
+// sizes below this are treated as fully closed
+let DUST = 0.00000001
+
+// Ledger of the open long lots, each with its own entry price, size, stop
+// and target. The engine opens a lot on every filled buy and reduces lots on
+// every filled sell; executeStop evaluates the stops lot by lot.
+module.exports = function lots (s) {
+  if (!s.lots) s.lots = []
+
+  function find (id) {
+    return s.lots.find(function (lot) {
+      return lot.id === id
+    })
+  }
+
+  function remove (lot) {
+    s.lots.splice(s.lots.indexOf(lot), 1)
+  }
+
+  return {
+    // opts.stop and opts.target are absolute prices and override the
+    // stop/target derived from sell_stop_pct/take_profit_pct
+    open: function (trade, opts) {
+      let so = s.options
+      opts = opts || {}
+      let lot = {
+        id: crypto.randomBytes(4).toString('hex'),
+        entry_price: Number(trade.price),
+        size: Number(trade.size),
+        orig_size: Number(trade.size),
+        time: trade.time
+      }
+      if (opts.stop) lot.sell_stop = Number(opts.stop)
+      else if (so.sell_stop_pct) lot.sell_stop = lot.entry_price - (lot.entry_price * (so.sell_stop_pct / 100))
+      if (opts.target) lot.target = Number(opts.target)
+      else if (so.take_profit_pct) lot.target = lot.entry_price + (lot.entry_price * (so.take_profit_pct / 100))
+      s.lots.push(lot)
+      return lot
+    },
+
+    // removes size from the given lot, or first-in-first-out across lots.
+    // returns the closed portions as [{lot, size}].
+    reduce: function (size, lot_id) {
+      let remaining = Number(size)
+      let closed = []
+      let targeted = lot_id ? find(lot_id) : null
+      let queue = targeted ? [targeted].concat(s.lots.filter(lot => lot !== targeted)) : s.lots.slice()
+      queue.forEach(function (lot) {
+        if (remaining <= DUST) return
+        let take = Math.min(lot.size, remaining)
+        lot.size -= take
+        remaining -= take
+        closed.push({lot: lot, size: take})
+        if (lot.size <= DUST) remove(lot)
+      })
+      return closed
+    },
+
+    find: find,
+
+    oldest: function () {
+      return s.lots[0]
+    },
+
+    count: function () {
+      return s.lots.length
+    },
+
+    size: function () {
+      return s.lots.reduce(function (sum, lot) {
+        return sum + lot.size
+      }, 0)
+    },
+
+    clear: function () {
+      s.lots.length = 0
+    },
+
+    // walks the lots for a triggered sell stop, trailing profit stop or
+    // target at the given price. returns {lot, reason} for the first one.
+    evaluate: function (price) {
+      let so = s.options
+      let triggered = null
+      s.lots.forEach(function (lot) {
+        if (triggered) return
+        lot.worth = (price - lot.entry_price) / lot.entry_price
+        if (lot.sell_stop && price < lot.sell_stop) {
+          triggered = {lot: lot, reason: 'sell stop'}
+          return
+        }
+        if (lot.target && price >= lot.target) {
+          triggered = {lot: lot, reason: 'target'}
+          return
+        }
+        if (so.profit_stop_enable_pct && lot.worth >= (so.profit_stop_enable_pct / 100)) {
+          lot.profit_stop_high = Math.max(lot.profit_stop_high || price, price)
+          lot.profit_stop = lot.profit_stop_high - (lot.profit_stop_high * (so.profit_stop_pct / 100))
+        }
+        if (lot.profit_stop && price < lot.profit_stop && lot.worth > 0) {
+          triggered = {lot: lot, reason: 'profit stop'}
+        }
+      })
+      return triggered
+    }
+  }
+}
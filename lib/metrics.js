@@ -0,0 +1,184 @@
+let n = require('numbro')
+  , moment = require('moment')
+  , { REGIMES } = require('./regime')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+
+let YEAR = 365 * 86400000
+
+// Performance metrics of a run, shared by sim, trade and the backtester. The
+// ratios come from the equity curve the engine records at every period close
+// (s.equity), the trade statistics from the round trips in s.my_trades: a
+// round trip runs from the first entry out of a flat position until the
+// position is flat again. Ratios that cannot be computed, like a Sortino
+// without a losing period, are 0.
+function mean (values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0
+}
+
+function deviation (values) {
+  if (values.length < 2) return 0
+  let m = mean(values)
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / (values.length - 1))
+}
+
+function drawdown (curve) {
+  let peak = null, peak_time = null
+  let max = {pct: 0, duration: 0, peak_time: null}
+  curve.forEach(function (point) {
+    if (peak !== null && point.equity < peak && (peak - point.equity) / peak > max.pct) {
+      max.pct = (peak - point.equity) / peak
+      max.peak_time = peak_time
+    }
+    // the deepest drawdown lasts from its peak until equity is back there
+    if (max.peak_time !== null && max.peak_time === peak_time) max.duration = point.time - peak_time
+    if (peak === null || point.equity >= peak) {
+      peak = point.equity
+      peak_time = point.time
+    }
+  })
+  return {pct: max.pct, duration: max.duration}
+}
+
+// rebuilds the round trips, longs and shorts, with their profit in currency
+// and as a fraction of what went in, and what went in as a fraction of the
+// equity at the first entry (null for trades recorded without it). Buy fees
+// are paid in asset, out of the size bought unless use_fee_asset pays them in
+// another asset.
+function roundTrips (trades, use_fee_asset) {
+  let trips = []
+  let open = null
+  trades.forEach(function (trade) {
+    let size = Number(trade.size), price = Number(trade.price), fee = Number(trade.fee) || 0
+    if (!(size > 0)) return
+    let is_short = trade.position === 'short'
+    let entry = is_short ? trade.type === 'sell' : trade.type === 'buy'
+    if (entry) {
+      if (!open) open = {short: is_short, open_time: trade.time, equity: Number(trade.equity) || 0, entered: 0, size: 0, cost: 0, closed_cost: 0, profit: 0}
+      let held = trade.type === 'buy' && !use_fee_asset ? size - fee : size
+      open.entered += held
+      open.size += held
+      open.cost += trade.type === 'buy' ? size * price + (use_fee_asset ? fee * price : 0) : size * price - fee
+      return
+    }
+    if (!open || open.short !== is_short) return
+    let closed = Math.min(size, open.size)
+    let cost = open.cost * closed / open.size
+    let value = trade.type === 'buy' ? closed * price + fee * price : closed * price - fee
+    open.profit += is_short ? cost - value : value - cost
+    open.closed_cost += cost
+    open.cost -= cost
+    open.size -= closed
+    // what is left after rounding does not keep the position open
+    if (open.size <= open.entered * 1e-6) {
+      trips.push({
+        short: open.short,
+        open_time: open.open_time,
+        close_time: trade.time,
+        profit: open.profit,
+        return: open.closed_cost ? open.profit / open.closed_cost : 0,
+        exposure: open.equity > 0 ? open.closed_cost / open.equity : null
+      })
+      open = null
+    }
+  })
+  return {trips: trips, open: open}
+}
+
+// the P&L by market regime (see lib/regime): the change of equity over the
+// periods of each regime, and the round trips by the regime they were
+// entered in
+function byRegime (curve, trips) {
+  let regimes = {}
+  let get = name => regimes[name] || (regimes[name] = {periods: 0, profit: 0, round_trips: 0, wins: 0})
+  for (let i = 1; i < curve.length; i++) {
+    if (!curve[i].regime) continue
+    let regime = get(curve[i].regime)
+    regime.periods++
+    regime.profit += curve[i].equity - curve[i - 1].equity
+  }
+  let point = -1
+  trips.forEach(function (trip) {
+    while (point + 1 < curve.length && curve[point + 1].time <= trip.open_time) point++
+    if (point < 0 || !curve[point].regime) return
+    let regime = get(curve[point].regime)
+    regime.round_trips++
+    if (trip.profit > 0) regime.wins++
+  })
+  Object.keys(regimes).forEach(function (name) {
+    let regime = regimes[name]
+    regime.win_rate = regime.round_trips ? regime.wins / regime.round_trips : 0
+    delete regime.wins
+  })
+  return regimes
+}
+
+module.exports = function metrics (s) {
+  let curve = (s.equity || []).slice()
+  if (s.period) {
+    let owed = s.margin ? n(s.margin.borrowed).add(s.margin.interest).value() : 0
+    let equity = n(s.balance.currency).add(n(s.balance.asset).subtract(owed).multiply(s.period.close)).value()
+    if (!curve.length || curve[curve.length - 1].time < s.period.time) curve.push({time: s.period.time, equity: equity, regime: s.period.regime})
+  }
+  let span = curve.length > 1 ? curve[curve.length - 1].time - curve[0].time : 0
+
+  let returns = []
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i - 1].equity > 0) returns.push(curve[i].equity / curve[i - 1].equity - 1)
+  }
+  let periods_per_year = returns.length && span ? YEAR / (span / returns.length) : 0
+  let annualize = Math.sqrt(periods_per_year)
+  let mean_return = mean(returns)
+  let return_deviation = deviation(returns)
+  let downside = Math.sqrt(mean(returns.map(r => Math.pow(Math.min(r, 0), 2))))
+
+  let dd = drawdown(curve)
+  let total_return = curve.length > 1 && curve[0].equity > 0 ? curve[curve.length - 1].equity / curve[0].equity - 1 : 0
+  let annual_return = span && total_return > -1 ? Math.pow(1 + total_return, YEAR / span) - 1 : 0
+
+  let round_trips = roundTrips(s.my_trades || [], s.options && s.options.use_fee_asset)
+  let trips = round_trips.trips
+  let wins = trips.filter(trip => trip.profit > 0)
+  let losses = trips.filter(trip => trip.profit <= 0)
+  let gross_win = wins.reduce((sum, trip) => sum + trip.profit, 0)
+  let gross_loss = -losses.reduce((sum, trip) => sum + trip.profit, 0)
+  let held = trips.reduce((sum, trip) => sum + trip.close_time - trip.open_time, 0)
+  let exposed = held + (round_trips.open && s.period ? s.period.time - round_trips.open.open_time : 0)
+
+  return {
+    total_return: total_return,
+    annual_return: annual_return,
+    max_drawdown: dd.pct,
+    max_drawdown_duration: dd.duration,
+    sharpe: return_deviation ? mean_return / return_deviation * annualize : 0,
+    sortino: downside ? mean_return / downside * annualize : 0,
+    calmar: dd.pct ? annual_return / dd.pct : 0,
+    round_trips: trips.length,
+    win_rate: trips.length ? wins.length / trips.length : 0,
+    avg_win: mean(wins.map(trip => trip.return)),
+    avg_loss: mean(losses.map(trip => trip.return)),
+    profit_factor: gross_loss ? gross_win / gross_loss : 0,
+    expectancy: mean(trips.map(trip => trip.return)),
+    exposure: span ? Math.min(1, exposed / span) : 0,
+    avg_holding_time: trips.length ? held / trips.length : 0,
+    regimes: byRegime(curve, trips)
+  }
+}
+
+// the metrics as output lines, for the console and the html report
+module.exports.lines = function (m) {
+  return [
+    'max drawdown: ' + n(m.max_drawdown).format('0.00%').yellow + ' over ' + moment.duration(m.max_drawdown_duration).humanize(),
+    'sharpe: ' + n(m.sharpe).format('0.00').yellow + ', sortino: ' + n(m.sortino).format('0.00').yellow + ', calmar: ' + n(m.calmar).format('0.00').yellow,
+    'profit factor: ' + n(m.profit_factor).format('0.00').yellow + ', expectancy: ' + n(m.expectancy).format('0.00%').yellow + ' per round trip',
+    'avg. win: ' + n(m.avg_win).format('0.00%').yellow + ', avg. loss: ' + n(m.avg_loss).format('0.00%').yellow + ', win rate: ' + n(m.win_rate).format('0.00%').yellow + ' of ' + m.round_trips + ' round trips',
+    'exposure: ' + n(m.exposure).format('0.00%').yellow + ', avg. holding time: ' + moment.duration(m.avg_holding_time).humanize()
+  ].concat(REGIMES.filter(name => m.regimes && m.regimes[name]).map(function (name) {
+    let regime = m.regimes[name]
+    return name + ': ' + n(regime.profit).format('+0.00000000').yellow + ' over ' + regime.periods + ' periods, win rate: ' + n(regime.win_rate).format('0.00%').yellow + ' of ' + regime.round_trips + ' round trips'
+  }))
+}
+
+module.exports.roundTrips = roundTrips
+module.exports.drawdown = drawdown
+module.exports.byRegime = byRegime
@@ -0,0 +1,108 @@
+let n = require('numbro')
+  // eslint-disable-next-line no-unused-vars
+  , colors = require('colors')
+  , metrics = require('./metrics')
+
+let PERCENTILES = [5, 25, 50, 75, 95]
+
+// Monte Carlo robustness of a sim. Its round trips are drawn again in a
+// random order, either resampled with replacement or shuffled, optionally
+// with random extra slippage and skipped round trips, and their returns
+// compounded into equity paths, each on the share of equity it put in (its
+// exposure, see lib/metrics). The spread of those paths shows how much the
+// one sim owed to the order its trades came in.
+//
+// opts: runs, method (resample/shuffle), slippage_pct (average per fill),
+// skip_pct, ruin_pct (loss of equity counted as ruin), buy_pct (% of equity
+// of the round trips without an exposure) and random()
+function percentiles (values) {
+  let sorted = values.slice().sort((a, b) => a - b)
+  let r = {}
+  PERCENTILES.forEach(function (p) {
+    let rank = (sorted.length - 1) * p / 100
+    let lower = Math.floor(rank)
+    let upper = Math.min(lower + 1, sorted.length - 1)
+    r[p] = sorted.length ? sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower) : 0
+  })
+  return r
+}
+
+function path (trips, opts, random) {
+  let equity = 1
+  let curve = [{time: 0, equity: equity}]
+  let ruined = false
+  trips.forEach(function (trip, i) {
+    if (opts.skip_pct && random() < opts.skip_pct / 100) return
+    let r = trip.return
+    // entry and exit each slip between none and twice the average
+    if (opts.slippage_pct) r -= 2 * opts.slippage_pct / 100 * (random() + random())
+    let exposure = trip.exposure != null ? trip.exposure : opts.buy_pct / 100
+    equity = Math.max(0, equity * (1 + r * exposure))
+    curve.push({time: i + 1, equity: equity})
+    if (equity <= 1 - opts.ruin_pct / 100) ruined = true
+  })
+  return {final_equity: equity, max_drawdown: metrics.drawdown(curve).pct, ruined: ruined}
+}
+
+module.exports = function montecarlo (trips, opts) {
+  let random = opts.random || Math.random
+  let finals = [], drawdowns = [], ruined = 0
+  for (let run = 0; run < opts.runs; run++) {
+    let order
+    if (opts.method === 'shuffle') {
+      order = trips.slice()
+      for (let i = order.length - 1; i > 0; i--) {
+        let j = Math.floor(random() * (i + 1))
+        let swap = order[i]
+        order[i] = order[j]
+        order[j] = swap
+      }
+    }
+    else {
+      order = trips.map(() => trips[Math.floor(random() * trips.length)])
+    }
+    let result = path(order, opts, random)
+    finals.push(result.final_equity)
+    drawdowns.push(result.max_drawdown)
+    if (result.ruined) ruined++
+  }
+  let actual = path(trips, {buy_pct: opts.buy_pct, ruin_pct: opts.ruin_pct}, random)
+  return {
+    runs: opts.runs,
+    round_trips: trips.length,
+    method: opts.method,
+    final_equity: percentiles(finals),
+    max_drawdown: percentiles(drawdowns),
+    ruin_pct: opts.ruin_pct,
+    risk_of_ruin: opts.runs ? ruined / opts.runs : 0,
+    // the sim itself, and the share of runs it did better than
+    actual: {
+      final_equity: actual.final_equity,
+      max_drawdown: actual.max_drawdown,
+      luck: finals.length ? finals.filter(equity => equity < actual.final_equity).length / finals.length : 0
+    }
+  }
+}
+
+// the round trips in a list of sim trades
+module.exports.trips = function (trades, use_fee_asset) {
+  return metrics.roundTrips(trades, use_fee_asset).trips
+}
+
+module.exports.lines = function (mc) {
+  function row (label, values, format) {
+    return label + PERCENTILES.map(p => n(values[p]).format(format).padStart(10)).join('')
+  }
+  let returns = {}
+  PERCENTILES.forEach(function (p) {
+    returns[p] = mc.final_equity[p] - 1
+  })
+  return [
+    'monte carlo: ' + mc.runs + ' runs of ' + mc.round_trips + ' round trips (' + mc.method + ')',
+    ('               ' + PERCENTILES.map(p => (p + '%').padStart(10)).join('')).grey,
+    row('return         ', returns, '0.00%'),
+    row('max drawdown   ', mc.max_drawdown, '0.00%'),
+    'risk of ruin (losing ' + mc.ruin_pct + '%): ' + n(mc.risk_of_ruin).format('0.00%').yellow,
+    'the sim returned ' + n(mc.actual.final_equity - 1).format('0.00%').yellow + ' with a max drawdown of ' + n(mc.actual.max_drawdown).format('0.00%').yellow + ', better than ' + n(mc.actual.luck).format('0.00%').yellow + ' of the runs'
+  ]
+}
@@ -1,6 +1,9 @@
 module.exports = function notifier (conf) {
   var active_notifiers = []
   var interactive_notifiers = []
+  // messages still being sent by notifiers that report completion, see flush()
+  var pending = 0
+  var on_drained = []
 
   for (var notifier in conf.notifiers) {
     if (conf.notifiers[notifier].on) {
@@ -24,9 +27,33 @@ module.exports = function notifier (conf) {
         if (conf.debug) {
           console.log(`Sending push message via ${notifier.notifier_name}`)
         }
-        notifier.pushMessage(title, message)
+        if (notifier.pushMessage.length < 3) {
+          return notifier.pushMessage(title, message)
+        }
+        var settled = false
+        pending++
+        notifier.pushMessage(title, message, function () {
+          if (settled) return
+          settled = true
+          if (--pending === 0) {
+            on_drained.splice(0).forEach(function (cb) { cb() })
+          }
+        })
       })
     },
+    // calls back once the messages in flight are sent, or after timeout ms
+    flush: function (timeout, cb) {
+      if (!pending) return cb()
+      var timer = setTimeout(function () {
+        on_drained.splice(on_drained.indexOf(done), 1)
+        cb()
+      }, timeout)
+      function done () {
+        clearTimeout(timer)
+        cb()
+      }
+      on_drained.push(done)
+    },
     onMessage: function (callback) {
       interactive_notifiers.forEach((notifier) => {
         if (conf.debug) {
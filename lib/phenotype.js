@@ -137,7 +137,7 @@ module.exports = {
 
       rate = profit
     }  
-    if (phenotype.fitnessCalcType == 'wl')
+    else if (phenotype.fitnessCalcType == 'wl')
     {
       //let vsBuyHoldRate = phenotype.sim.profit 
       // if minTrades is set use an alternate fitness calculation to hone in on a trade stratagy that has the minimum trade count
@@ -154,6 +154,16 @@ module.exports = {
       let wlRatioRate = 1.0 / (1.0 + Math.pow(Math.E,-wlRatio))
       rate = ( wlRatioRate )
     }
+    else if (['sharpe', 'sortino', 'calmar'].indexOf(phenotype.fitnessCalcType) !== -1)
+    {
+      // risk adjusted ratios of the equity curve, see lib/metrics
+      if (phenotype.minTrades > 0)
+      {
+        if (phenotype.sim.wins < phenotype.minTrades && phenotype.sim.wins == 0) return 0.0
+        if (phenotype.sim.wins < phenotype.minTrades) return (phenotype.sim.wins/phenotype.minTrades)/100
+      }
+      rate = phenotype.sim[phenotype.fitnessCalcType] || 0
+    }
     else
     {
 
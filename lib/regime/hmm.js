@@ -0,0 +1,142 @@
+let indicators = require('../indicators')
+
+let STATES = 3
+let ITERATIONS = 20
+// closed periods between two fits, and returns needed for the first one
+let REFIT = 10
+let MIN_RETURNS = 50
+// the mean return of a trending state, in deviations of the state
+let TREND = 0.1
+
+function mean (values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length
+}
+
+function variance (values) {
+  let m = mean(values)
+  return values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / values.length
+}
+
+function density (x, m, v) {
+  return Math.max(Math.exp(-(x - m) * (x - m) / (2 * v)) / Math.sqrt(2 * Math.PI * v), 1e-300)
+}
+
+function normalize (values) {
+  let sum = values.reduce((a, b) => a + b, 0)
+  return {values: values.map(v => v / sum), scale: sum}
+}
+
+// the probabilities of the states after one more return
+function forward (model, alpha, x) {
+  return normalize(model.means.map(function (m, j) {
+    let p = alpha ? alpha.reduce((sum, a, i) => sum + a * model.trans[i][j], 0) : model.start[j]
+    return p * density(x, m, model.vars[j])
+  }))
+}
+
+// Baum-Welch on the returns, the states started on their terciles
+function fit (x) {
+  let n = x.length
+  let sorted = x.slice().sort((a, b) => a - b)
+  let min_var = (variance(x) || 1e-12) * 1e-3
+  let model = {start: [], trans: [], means: [], vars: []}
+  for (let j = 0; j < STATES; j++) {
+    let chunk = sorted.slice(Math.floor(j * n / STATES), Math.floor((j + 1) * n / STATES))
+    model.start.push(1 / STATES)
+    model.trans.push(Array.from({length: STATES}, (v, i) => i === j ? 0.9 : 0.1 / (STATES - 1)))
+    model.means.push(mean(chunk))
+    model.vars.push(Math.max(variance(chunk), min_var))
+  }
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    let alphas = []
+    let scales = []
+    x.forEach(function (v, t) {
+      let step = forward(model, t ? alphas[t - 1] : null, v)
+      alphas.push(step.values)
+      scales.push(step.scale)
+    })
+    let betas = new Array(n)
+    betas[n - 1] = model.means.map(() => 1)
+    for (let t = n - 2; t >= 0; t--) {
+      betas[t] = model.means.map(function (m, i) {
+        return model.means.reduce((sum, m2, j) => sum + model.trans[i][j] * density(x[t + 1], m2, model.vars[j]) * betas[t + 1][j], 0) / scales[t + 1]
+      })
+    }
+    let gammas = alphas.map((alpha, t) => normalize(alpha.map((a, i) => a * betas[t][i])).values)
+    let transitions = model.means.map(() => model.means.map(() => 0))
+    for (let t = 0; t < n - 1; t++) {
+      for (let i = 0; i < STATES; i++) {
+        for (let j = 0; j < STATES; j++) {
+          transitions[i][j] += alphas[t][i] * model.trans[i][j] * density(x[t + 1], model.means[j], model.vars[j]) * betas[t + 1][j] / scales[t + 1]
+        }
+      }
+    }
+    model.start = gammas[0]
+    model.trans = transitions.map(row => normalize(row.map(v => v + 1e-12)).values)
+    for (let j = 0; j < STATES; j++) {
+      let weight = gammas.reduce((sum, gamma) => sum + gamma[j], 0) || 1e-12
+      let m = gammas.reduce((sum, gamma, t) => sum + gamma[j] * x[t], 0) / weight
+      model.means[j] = m
+      model.vars[j] = Math.max(gammas.reduce((sum, gamma, t) => sum + gamma[j] * (x[t] - m) * (x[t] - m), 0) / weight, min_var)
+    }
+  }
+  return model
+}
+
+// Classifies the periods with a three state Gaussian hidden Markov model of
+// the log returns of the last --regime_hmm_window closes, fitted again every
+// REFIT periods. A period gets the label of its most likely state: a state
+// deviating --regime_high_vol times the returns overall is high volatility,
+// one with a mean return of TREND of its deviation a trend, one deviating
+// --regime_low_vol times the returns or less low volatility, and the rest
+// ranging.
+module.exports = function hmm (so) {
+  let returns = indicators.window(Math.max(so.regime_hmm_window, MIN_RETURNS))
+  let prev_close
+  let model = null
+  let labels
+  let alpha
+  let since_fit = 0
+
+  function label (x) {
+    let deviation = Math.sqrt(variance(x))
+    labels = model.means.map(function (m, j) {
+      let state_deviation = Math.sqrt(model.vars[j])
+      if (state_deviation >= so.regime_high_vol * deviation) return 'high-volatility'
+      if (Math.abs(m) >= TREND * state_deviation) return m > 0 ? 'trending-up' : 'trending-down'
+      if (state_deviation <= so.regime_low_vol * deviation) return 'low-volatility'
+      return 'ranging'
+    })
+  }
+
+  return indicators.indicator(MIN_RETURNS, function (bar, commit) {
+    if (prev_close === undefined) {
+      if (commit) prev_close = bar.close
+      return undefined
+    }
+    let x = Math.log(bar.close / prev_close)
+    if (!isFinite(x)) x = 0
+    let value
+    if (model) {
+      let next = forward(model, alpha, x).values
+      value = labels[next.indexOf(Math.max.apply(null, next))]
+      if (commit) alpha = next
+    }
+    if (commit) {
+      prev_close = bar.close
+      returns.push(x)
+      since_fit++
+      if (returns.length >= MIN_RETURNS && (!model || since_fit >= REFIT)) {
+        let series = returns.toArray()
+        model = fit(series)
+        label(series)
+        alpha = null
+        series.forEach(v => alpha = forward(model, alpha, v).values)
+        since_fit = 0
+      }
+    }
+    return value
+  })
+}
+
+module.exports.fit = fit
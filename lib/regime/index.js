@@ -0,0 +1,42 @@
+let methods = {
+  thresholds: require('./thresholds'),
+  hmm: require('./hmm')
+}
+
+let REGIMES = ['trending-up', 'trending-down', 'ranging', 'high-volatility', 'low-volatility']
+let DEFAULTS = {regime_adx: 25, regime_high_vol: 1.5, regime_low_vol: 0.7, regime_hmm_window: 200}
+
+// Market regime of every period, shared by the strategies: one of REGIMES in
+// s.regime, null until the method has seen enough periods, and in the regime
+// of each period. The method is chosen with --regime (thresholds or hmm, off
+// to skip it). Like the declared indicators, the engine calls update() on
+// every trade before strategy.calculate and close() when the period closes.
+module.exports = function regime (s) {
+  let so = s.options
+  let params = {}
+  Object.keys(DEFAULTS).forEach(function (key) {
+    params[key] = so[key] != null ? Number(so[key]) : DEFAULTS[key]
+  })
+  let create = methods[String(so.regime).toLowerCase()]
+  let method = create ? create(params) : null
+  s.regime = null
+
+  function feed (commit) {
+    if (!method) return
+    let value = method.step(s.period, commit)
+    s.regime = value || null
+    if (value) s.period.regime = value
+  }
+
+  return {
+    update: function () {
+      feed(false)
+    },
+    close: function () {
+      feed(true)
+    }
+  }
+}
+
+module.exports.methods = Object.keys(methods)
+module.exports.REGIMES = REGIMES
@@ -0,0 +1,28 @@
+let indicators = require('../indicators')
+
+let ADX_PERIODS = 14
+let BB_PERIODS = 20
+let WIDTH_PERIODS = 50
+
+// Classifies the periods by thresholds on the ADX and on the width of the
+// Bollinger bands against its average over WIDTH_PERIODS: an ADX of
+// --regime_adx or more is a trend in the direction of the stronger DI, else
+// bands widened --regime_high_vol times are high volatility, bands narrowed
+// to --regime_low_vol times low volatility, and the rest ranging.
+module.exports = function thresholds (so) {
+  let adx = indicators.adx(ADX_PERIODS)
+  let bands = indicators.bbands(BB_PERIODS, 2, 2)
+  let average = indicators.sma(WIDTH_PERIODS)
+  return indicators.indicator(Math.max(adx.lookback, bands.lookback + average.lookback), function (bar, commit) {
+    let trend = adx.step(bar, commit)
+    let band = bands.step(bar.close, commit)
+    if (band === undefined) return undefined
+    let width = band.middle ? (band.upper - band.lower) / band.middle : 0
+    let average_width = average.step(width, commit)
+    if (trend === undefined || average_width === undefined) return undefined
+    if (trend.adx >= so.regime_adx) return trend.plus_di >= trend.minus_di ? 'trending-up' : 'trending-down'
+    if (width >= so.regime_high_vol * average_width) return 'high-volatility'
+    if (width <= so.regime_low_vol * average_width) return 'low-volatility'
+    return 'ranging'
+  })
+}
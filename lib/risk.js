@@ -0,0 +1,130 @@
+let n = require('numbro')
+
+let DAY = 86400000
+let HOUR = 3600000
+
+// Account-wide risk guard. The engine feeds it every trade (for equity and the
+// high-water mark) and every fill (for realized P&L per UTC day) and asks it
+// before acting on a signal. A daily loss or drawdown breach halts new entries:
+// daily halts lift at the next UTC day, drawdown halts only with --reset_risk.
+// Exits are always let through. The state is plain data so it can be persisted.
+module.exports = function risk (s) {
+  let so = s.options
+  let state = {
+    halted: null,
+    day: null,
+    day_start_equity: null,
+    realized: 0,
+    high_water: null,
+    // average cost of the open long and short positions
+    long_cost: {size: 0, price: 0},
+    short_cost: {size: 0, price: 0},
+    fills: []
+  }
+
+  function equityAt (price) {
+    let owed = s.margin ? n(s.margin.borrowed).add(s.margin.interest).value() : 0
+    return n(s.balance.currency).add(n(s.balance.asset).subtract(owed).multiply(price)).value()
+  }
+
+  function halt (reason, time, until) {
+    state.halted = {reason: reason, time: time, until: until || null}
+    return reason
+  }
+
+  function average (cost, size, price) {
+    let total = cost.size + size
+    cost.price = total > 0 ? (cost.price * cost.size + price * size) / total : 0
+    cost.size = total
+  }
+
+  return {
+    state: function () {
+      return state
+    },
+
+    load: function (saved) {
+      if (!saved) return
+      Object.keys(state).forEach(function (k) {
+        if (typeof saved[k] !== 'undefined') state[k] = saved[k]
+      })
+    },
+
+    reset: function () {
+      state.halted = null
+      state.high_water = null
+    },
+
+    halted: function () {
+      return !!state.halted
+    },
+
+    // realized P&L in currency, against the average cost of the position
+    onFill: function (trade) {
+      let size = Number(trade.size), price = Number(trade.price), fee = Number(trade.fee) || 0
+      state.fills.push(trade.time)
+      if (trade.position === 'short') {
+        if (trade.type === 'sell') {
+          average(state.short_cost, size, price)
+          state.realized -= fee
+        }
+        else {
+          let covered = Math.min(size, state.short_cost.size)
+          state.realized += (state.short_cost.price - price) * covered - fee * price
+          state.short_cost.size = Math.max(0, state.short_cost.size - size)
+        }
+      }
+      else if (trade.type === 'buy') {
+        // buy fees are paid in asset, so they raise the cost per unit held
+        let net = so.use_fee_asset ? size : size - fee
+        average(state.long_cost, net, price * size / net)
+      }
+      else {
+        let sold = Math.min(size, state.long_cost.size)
+        state.realized += (price - state.long_cost.price) * sold - fee
+        state.long_cost.size = Math.max(0, state.long_cost.size - size)
+      }
+    },
+
+    // called on every trade, returns the reason of a new breach
+    update: function (price, time) {
+      let equity = equityAt(price)
+      let day = Math.floor(time / DAY)
+      if (state.day !== day) {
+        state.day = day
+        state.day_start_equity = equity
+        state.realized = 0
+        if (state.halted && state.halted.until && state.halted.until <= time) {
+          state.halted = null
+        }
+      }
+      state.high_water = Math.max(state.high_water || equity, equity)
+      if (state.halted) return null
+      if (so.max_daily_loss_pct && state.realized < 0 && -state.realized >= state.day_start_equity * so.max_daily_loss_pct / 100) {
+        return halt('daily loss of ' + n(-state.realized).format('0.00000000') + ' ' + s.currency + ' over max_daily_loss_pct ' + so.max_daily_loss_pct + '%', time, (day + 1) * DAY)
+      }
+      if (so.max_drawdown_pct && equity <= state.high_water * (1 - so.max_drawdown_pct / 100)) {
+        return halt('drawdown of ' + n((state.high_water - equity) / state.high_water).format('0.00%') + ' from the high-water mark over max_drawdown_pct ' + so.max_drawdown_pct + '%', time)
+      }
+      return null
+    },
+
+    // null when an entry may go through, else why not
+    check: function (price, time) {
+      if (state.halted) return 'trading halted: ' + state.halted.reason
+      state.fills = state.fills.filter(fill_time => fill_time > time - HOUR)
+      if (so.max_trades_per_hour && state.fills.length >= so.max_trades_per_hour) {
+        return state.fills.length + ' trades in the last hour, max_trades_per_hour is ' + so.max_trades_per_hour
+      }
+      if (so.max_exposure_pct) {
+        let equity = equityAt(price)
+        let owed = s.margin ? n(s.margin.borrowed).add(s.margin.interest).value() : 0
+        let exposure = Math.abs(n(s.balance.asset).subtract(owed).multiply(price).value()) / equity * 100
+        if (exposure >= so.max_exposure_pct) {
+          return 'exposure of ' + n(exposure).format('0.00') + '% over max_exposure_pct ' + so.max_exposure_pct + '%'
+        }
+      }
+      return null
+    }
+  }
+}
@@ -1,33 +1,49 @@
+// the collections of the storage conf.storage.driver picked, see storage/index.js.
+// callers that only set conf.db.mongo keep working.
 module.exports = function (conf) {
+  let db = () => conf.db.storage || conf.db.mongo
   return {
     getTrades: () => {
-      conf.db.mongo.collection('trades').createIndex({selector: 1, time: 1})
-      return conf.db.mongo.collection('trades')
+      db().collection('trades').createIndex({selector: 1, time: 1})
+      return db().collection('trades')
     },	
 
+    getCandles: () => {
+      db().collection('candles').createIndex({selector: 1, size: 1, time: 1})
+      return db().collection('candles')
+    },
+
     getResumeMarkers: () => {
-      conf.db.mongo.collection('resume_markers').createIndex({selector: 1, to: -1})
-      return conf.db.mongo.collection('resume_markers')
+      db().collection('resume_markers').createIndex({selector: 1, to: -1})
+      return db().collection('resume_markers')
     },
 
     getBalances: () => {
-      return conf.db.mongo.collection('balances')
+      return db().collection('balances')
     },
 
     getSessions: () => {
-      return conf.db.mongo.collection('sessions')
+      return db().collection('sessions')
     },
 
     getPeriods: () => {
-      return conf.db.mongo.collection('periods')
+      return db().collection('periods')
     },
 
     getMyTrades: () => {
-      return conf.db.mongo.collection('my_trades')
+      return db().collection('my_trades')
     },
 
     getSimResults: () => {
-      return conf.db.mongo.collection('sim_results')
+      return db().collection('sim_results')
+    },
+
+    getRiskStates: () => {
+      return db().collection('risk_states')
+    },
+
+    getOrderStates: () => {
+      return db().collection('order_states')
     }
   }
 }
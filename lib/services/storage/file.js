@@ -0,0 +1,486 @@
+var fs = require('fs')
+  , path = require('path')
+  , crypto = require('crypto')
+  , stream = require('stream')
+  , StringDecoder = require('string_decoder').StringDecoder
+  , _ = require('lodash')
+  , query = require('./query')
+
+// Embedded storage, for running zenbot without a MongoDB server. Every
+// collection is a file of one JSON line per write in conf.storage.path: a
+// stored document, or {$deleted: _id}. It is read into memory when the
+// collection is first used, so it suits the data of a laptop rather than
+// years of trades, and compacted when most of its lines are stale.
+//
+// Collections answer the calls zenbot makes of mongo collections, with a
+// promise or a node style callback: find with sort/limit/skip, toArray,
+// count and stream, findOne, countDocuments, the insert, replace, update and
+// delete calls with upsert, bulkWrite, createIndex and aggregate. Indexes
+// are kept as sorted arrays, so the sims' queries of trades by selector and
+// time are binary searches.
+//
+// It is a single process store: a collection is read once per process, so
+// lines other processes append later are not seen, and the compaction when
+// it is opened can drop lines appended meanwhile. darwin's sims can still
+// share one: they only read the trades and insert their results, and a
+// collection only ever inserted into is never compacted.
+
+// bounds of an index range below and above every value
+var MIN = {min: true}
+var MAX = {max: true}
+
+function clone (doc) {
+  return JSON.parse(JSON.stringify(doc))
+}
+
+// splits the optional options and callback off the arguments of a call
+function callArgs (args, count) {
+  args = Array.prototype.slice.call(args)
+  var cb = typeof args[args.length - 1] === 'function' ? args.pop() : null
+  while (args.length < count) args.push(undefined)
+  return {args: args, cb: cb}
+}
+
+// the result of fn as a promise, and to the callback when there is one
+function respond (fn, cb) {
+  var promise = new Promise(resolve => resolve(fn()))
+  if (!cb) return promise
+  promise.then(result => setImmediate(cb, null, result), err => setImmediate(cb, err))
+}
+
+function duplicateKey (name, id) {
+  var err = new Error('E11000 duplicate key error collection: ' + name + ' _id: ' + JSON.stringify(id))
+  err.code = 11000
+  return err
+}
+
+function readLines (file, onLine) {
+  var fd
+  try {
+    fd = fs.openSync(file, 'r')
+  }
+  catch (err) {
+    if (err.code === 'ENOENT') return
+    throw err
+  }
+  var decoder = new StringDecoder('utf8')
+  var buf = Buffer.alloc(1 << 20)
+  var rest = '', bytes
+  while ((bytes = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+    var lines = (rest + decoder.write(buf.slice(0, bytes))).split('\n')
+    rest = lines.pop()
+    lines.forEach(onLine)
+  }
+  rest += decoder.end()
+  if (rest) onLine(rest)
+  fs.closeSync(fd)
+}
+
+function indexName (spec) {
+  return Object.keys(spec).map(k => k + '_' + spec[k]).join('_')
+}
+
+function compareKeys (a, b, dirs) {
+  for (var i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue
+    if (a[i] === MIN || b[i] === MAX) return -1
+    if (a[i] === MAX || b[i] === MIN) return 1
+    var c = query.compareValues(a[i], b[i]) * dirs[i]
+    if (c) return c
+  }
+  return 0
+}
+
+function index (spec) {
+  var fields = Object.keys(spec)
+  var dirs = fields.map(f => (spec[f] < 0 ? -1 : 1))
+  var sorted = []
+
+  function key (doc) {
+    return fields.map(f => _.get(doc, f))
+  }
+
+  // the first position whose key is above key, or at or above it
+  function bound (k, above) {
+    var lo = 0, hi = sorted.length
+    while (lo < hi) {
+      var mid = (lo + hi) >>> 1
+      var c = compareKeys(key(sorted[mid]), k, dirs)
+      if (c < 0 || (above && c === 0)) lo = mid + 1
+      else hi = mid
+    }
+    return lo
+  }
+
+  return {
+    name: indexName(spec),
+    fields: fields,
+    dirs: dirs,
+    insert: function (doc) {
+      sorted.splice(bound(key(doc), true), 0, doc)
+    },
+    remove: function (doc) {
+      var k = key(doc)
+      for (var i = bound(k, false); i < sorted.length && compareKeys(key(sorted[i]), k, dirs) === 0; i++) {
+        if (sorted[i] === doc) return sorted.splice(i, 1)
+      }
+    },
+    // the docs between two keys, in index order
+    range: function (lower, lower_open, upper, upper_open) {
+      return sorted.slice(bound(lower, lower_open), bound(upper, !upper_open))
+    }
+  }
+}
+
+function isEquality (condition) {
+  if (condition === undefined) return false
+  if (!query.isOperatorObject(condition)) return true
+  return Object.keys(condition).length === 1 && '$eq' in condition
+}
+
+function collection (name, file) {
+  var docs = new Map()
+  var indexes = []
+
+  // replays the file, compacting it when most of its lines are stale
+  var lines = 0
+  readLines(file, function (line) {
+    if (!line.trim()) return
+    var entry
+    try {
+      entry = JSON.parse(line)
+    }
+    catch (err) {
+      // a line cut off by a crash
+      if (err instanceof SyntaxError) return
+      throw err
+    }
+    lines++
+    if (Object.prototype.hasOwnProperty.call(entry, '$deleted')) docs.delete(entry.$deleted)
+    else docs.set(entry._id, entry)
+  })
+  if (lines > 2 * docs.size + 1000) {
+    var tmp = file + '.tmp'
+    fs.writeFileSync(tmp, '')
+    var batch = []
+    docs.forEach(function (doc) {
+      batch.push(JSON.stringify(doc))
+      if (batch.length >= 10000) {
+        fs.appendFileSync(tmp, batch.join('\n') + '\n')
+        batch = []
+      }
+    })
+    if (batch.length) fs.appendFileSync(tmp, batch.join('\n') + '\n')
+    fs.renameSync(tmp, file)
+  }
+
+  function put (doc, log) {
+    var old = docs.get(doc._id)
+    if (old) indexes.forEach(ix => ix.remove(old))
+    docs.set(doc._id, doc)
+    indexes.forEach(ix => ix.insert(doc))
+    log.push(JSON.stringify(doc))
+  }
+
+  function del (doc, log) {
+    docs.delete(doc._id)
+    indexes.forEach(ix => ix.remove(doc))
+    log.push(JSON.stringify({$deleted: doc._id}))
+  }
+
+  function flush (log) {
+    if (log.length) fs.appendFileSync(file, log.join('\n') + '\n')
+  }
+
+  // the docs matching q in sort order, through the index that narrows them
+  // down the most
+  function select (q, sort, skip, limit) {
+    q = q || {}
+    sort = sort || {}
+    var natural = sort.$natural
+    var best = null
+    if (!natural) {
+      indexes.forEach(function (ix) {
+        var eq = 0
+        while (eq < ix.fields.length && isEquality(q[ix.fields[eq]])) eq++
+        var next = ix.fields[eq]
+        var range = eq < ix.fields.length && query.isOperatorObject(q[next]) && ['$gt', '$gte', '$lt', '$lte'].some(op => op in q[next])
+        // the sort is the index order after its equality fields, forward or reversed
+        var sort_keys = Object.keys(sort).filter(k => ix.fields.indexOf(k) === -1 || ix.fields.indexOf(k) >= eq)
+        var reverse = null
+        var ordered = sort_keys.every(function (k, i) {
+          if (ix.fields[eq + i] !== k) return false
+          var flip = (sort[k] < 0 ? -1 : 1) !== ix.dirs[eq + i]
+          if (reverse === null) reverse = flip
+          return reverse === flip
+        })
+        var score = eq * 2 + (range ? 1 : 0) + (ordered && sort_keys.length ? 0.5 : 0)
+        if (score > 0 && (!best || score > best.score)) best = {ix: ix, eq: eq, range: range, ordered: ordered, reverse: !!reverse, score: score}
+      })
+    }
+
+    var results
+    if (best) {
+      var ix = best.ix
+      var lower = [], upper = []
+      var lower_open = false, upper_open = false
+      for (var i = 0; i < best.eq; i++) {
+        var value = query.isOperatorObject(q[ix.fields[i]]) ? q[ix.fields[i]].$eq : q[ix.fields[i]]
+        lower.push(value)
+        upper.push(value)
+      }
+      if (best.range) {
+        var c = q[ix.fields[best.eq]]
+        var from = '$gte' in c ? c.$gte : ('$gt' in c ? c.$gt : MIN)
+        var to = '$lte' in c ? c.$lte : ('$lt' in c ? c.$lt : MAX)
+        var from_open = !('$gte' in c) && '$gt' in c
+        var to_open = !('$lte' in c) && '$lt' in c
+        if (ix.dirs[best.eq] < 0) {
+          lower.push(to === MAX ? MIN : to)
+          upper.push(from === MIN ? MAX : from)
+          lower_open = to_open
+          upper_open = from_open
+        }
+        else {
+          lower.push(from)
+          upper.push(to)
+          lower_open = from_open
+          upper_open = to_open
+        }
+      }
+      var padded = lower.length < ix.fields.length
+      while (lower.length < ix.fields.length) {
+        // an open bound on a value also excludes the keys continuing it
+        lower.push(lower_open ? MAX : MIN)
+        upper.push(upper_open ? MIN : MAX)
+      }
+      results = ix.range(lower, !padded && lower_open, upper, !padded && upper_open).filter(doc => query.match(doc, q))
+      if (best.ordered && best.reverse) results.reverse()
+      else if (!best.ordered) results.sort(query.comparator(sort))
+    }
+    else {
+      results = []
+      docs.forEach(function (doc) {
+        if (query.match(doc, q)) results.push(doc)
+      })
+      if (natural < 0) results.reverse()
+      if (Object.keys(sort).length && !natural) results.sort(query.comparator(sort))
+    }
+    if (skip) results = results.slice(skip)
+    if (limit) results = results.slice(0, limit)
+    return results
+  }
+
+  function first (filter) {
+    if (filter && Object.keys(filter).length === 1 && isEquality(filter._id)) {
+      var doc = docs.get(query.isOperatorObject(filter._id) ? filter._id.$eq : filter._id)
+      return doc || null
+    }
+    return select(filter, null, 0, 1)[0] || null
+  }
+
+  // applies bulkWrite style operations, logging them in one append
+  function write (ops) {
+    var result = {insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {}}
+    var log = []
+    try {
+      ops.forEach(function (op, i) {
+        var type = Object.keys(op)[0]
+        var arg = op[type]
+        var doc, found
+        switch (type) {
+        case 'insertOne':
+          doc = arg.document
+          if (doc._id === undefined) doc._id = crypto.randomBytes(12).toString('hex')
+          if (docs.has(doc._id)) throw duplicateKey(name, doc._id)
+          put(clone(doc), log)
+          result.insertedCount++
+          result.insertedIds[i] = doc._id
+          break
+        case 'replaceOne':
+        case 'updateOne':
+        case 'updateMany':
+          found = type === 'updateMany' ? select(arg.filter) : [first(arg.filter)].filter(Boolean)
+          if (!found.length) {
+            if (!arg.upsert) break
+            doc = query.upsertBase(arg.filter)
+            doc = type === 'replaceOne' ? Object.assign({_id: doc._id}, arg.replacement) : query.update(doc, arg.update)
+            if (doc._id === undefined) doc._id = crypto.randomBytes(12).toString('hex')
+            put(clone(doc), log)
+            result.upsertedCount++
+            result.upsertedIds[i] = doc._id
+            break
+          }
+          found.forEach(function (old) {
+            doc = type === 'replaceOne' ? Object.assign({_id: old._id}, _.omit(arg.replacement, '_id')) : query.update(clone(old), arg.update)
+            result.matchedCount++
+            if (!_.isEqual(clone(doc), old)) result.modifiedCount++
+            put(clone(doc), log)
+          })
+          break
+        case 'deleteOne':
+        case 'deleteMany':
+          found = type === 'deleteMany' ? select(arg.filter) : [first(arg.filter)].filter(Boolean)
+          found.forEach(old => del(old, log))
+          result.deletedCount += found.length
+          break
+        default:
+          throw new Error('bulk operation ' + type + ' is not supported by the file storage')
+        }
+      })
+    }
+    finally {
+      flush(log)
+    }
+    return result
+  }
+
+  function cursor (q, options) {
+    options = options || {}
+    var sort = options.sort || null, skip = options.skip || 0, limit = options.limit || 0
+    var c = {
+      sort: function (spec) {
+        sort = spec
+        return c
+      },
+      skip: function (n) {
+        skip = n
+        return c
+      },
+      limit: function (n) {
+        limit = n
+        return c
+      },
+      toArray: function (cb) {
+        return respond(() => select(q, sort, skip, limit).map(clone), cb)
+      },
+      count: function (applySkipLimit) {
+        var call = callArgs(arguments, 1)
+        return respond(() => (applySkipLimit ? select(q, sort, skip, limit) : select(q)).length, call.cb)
+      },
+      // a readable of the docs as they are when it is opened
+      stream: function () {
+        var list = select(q, sort, skip, limit)
+        var i = 0
+        var readable = new stream.Readable({
+          objectMode: true,
+          read: function () {
+            this.push(i < list.length ? clone(list[i++]) : null)
+          }
+        })
+        readable.close = function () {
+          readable.destroy()
+        }
+        return readable
+      }
+    }
+    return c
+  }
+
+  return {
+    collectionName: name,
+
+    find: function (q, options) {
+      return cursor(q, options)
+    },
+    findOne: function (q) {
+      var call = callArgs(arguments, 2)
+      return respond(function () {
+        var opts = call.args[1] || {}
+        var doc = opts.sort ? select(q, opts.sort, 0, 1)[0] : first(q)
+        return doc ? clone(doc) : null
+      }, call.cb)
+    },
+    countDocuments: function (q) {
+      var call = callArgs(arguments, 2)
+      return respond(() => select(q).length, call.cb)
+    },
+    estimatedDocumentCount: function () {
+      var call = callArgs(arguments, 1)
+      return respond(() => docs.size, call.cb)
+    },
+    insertOne: function (doc) {
+      var call = callArgs(arguments, 2)
+      return respond(function () {
+        var result = write([{insertOne: {document: doc}}])
+        return {acknowledged: true, insertedId: result.insertedIds[0]}
+      }, call.cb)
+    },
+    insertMany: function (list) {
+      var call = callArgs(arguments, 2)
+      return respond(function () {
+        var result = write(list.map(doc => ({insertOne: {document: doc}})))
+        return {acknowledged: true, insertedCount: result.insertedCount, insertedIds: result.insertedIds}
+      }, call.cb)
+    },
+    replaceOne: function (filter, replacement) {
+      var call = callArgs(arguments, 3)
+      var opts = call.args[2] || {}
+      return respond(() => write([{replaceOne: {filter: filter, replacement: replacement, upsert: opts.upsert}}]), call.cb)
+    },
+    updateOne: function (filter, update) {
+      var call = callArgs(arguments, 3)
+      var opts = call.args[2] || {}
+      return respond(() => write([{updateOne: {filter: filter, update: update, upsert: opts.upsert}}]), call.cb)
+    },
+    updateMany: function (filter, update) {
+      var call = callArgs(arguments, 3)
+      var opts = call.args[2] || {}
+      return respond(() => write([{updateMany: {filter: filter, update: update, upsert: opts.upsert}}]), call.cb)
+    },
+    deleteOne: function (filter) {
+      var call = callArgs(arguments, 2)
+      return respond(() => write([{deleteOne: {filter: filter}}]), call.cb)
+    },
+    deleteMany: function (filter) {
+      var call = callArgs(arguments, 2)
+      return respond(() => write([{deleteMany: {filter: filter}}]), call.cb)
+    },
+    bulkWrite: function (ops) {
+      var call = callArgs(arguments, 2)
+      return respond(() => write(ops), call.cb)
+    },
+    createIndex: function (spec) {
+      var call = callArgs(arguments, 2)
+      return respond(function () {
+        var name = indexName(spec)
+        if (!indexes.some(ix => ix.name === name)) {
+          var ix = index(spec)
+          docs.forEach(doc => ix.insert(doc))
+          indexes.push(ix)
+        }
+        return name
+      }, call.cb)
+    },
+    // a leading $match goes through the indexes
+    aggregate: function (pipeline) {
+      pipeline = pipeline || []
+      return {
+        toArray: function (cb) {
+          return respond(function () {
+            var start = pipeline[0] && pipeline[0].$match ? select(pipeline[0].$match) : select({})
+            return query.aggregate(start.map(clone), pipeline[0] && pipeline[0].$match ? pipeline.slice(1) : pipeline)
+          }, cb)
+        }
+      }
+    }
+  }
+}
+
+module.exports = function (conf, cb) {
+  var dir = path.resolve(__dirname, '..', '..', '..', _.get(conf, 'storage.path') || 'data')
+  try {
+    fs.mkdirSync(dir, {recursive: true})
+  }
+  catch (err) {
+    return cb(err)
+  }
+  var collections = {}
+  cb(null, {
+    path: dir,
+    collection: function (name) {
+      if (!collections[name]) collections[name] = collection(name, path.resolve(dir, name + '.ndjson'))
+      return collections[name]
+    }
+  })
+}
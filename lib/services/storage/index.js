@@ -0,0 +1,18 @@
+var _ = require('lodash')
+
+// The storage behind collection-service, chosen by conf.storage.driver:
+//   mongo  a MongoDB server (default)
+//   file   embedded in files under conf.storage.path, no server needed
+// A driver is a function (conf, cb) calling back with a db whose
+// collection(name) answers like a mongo collection, or with null when
+// zenbot should run without storage.
+var DRIVERS = {
+  mongo: () => require('./mongo'),
+  file: () => require('./file')
+}
+
+module.exports = function (conf, cb) {
+  var driver = _.get(conf, 'storage.driver') || 'mongo'
+  if (!DRIVERS[driver]) return cb(new Error('unknown storage driver ' + driver + ', use ' + Object.keys(DRIVERS).join(' or ')))
+  DRIVERS[driver]()(conf, cb)
+}
@@ -0,0 +1,82 @@
+// the server conf.mongo points at: its connectionString, else one built from
+// host, port, the credentials and replicaSet, localhost when nothing is set
+function uri (mongo) {
+  if (mongo.connectionString) return mongo.connectionString
+  let auth = '', authMechanism
+  if (mongo.username) {
+    auth = encodeURIComponent(mongo.username)
+    if (mongo.password) auth += ':' + encodeURIComponent(mongo.password)
+    auth += '@'
+    authMechanism = mongo.authMechanism || 'DEFAULT'
+  }
+  let params = []
+  if (mongo.replicaSet) params.push('replicaSet=' + mongo.replicaSet)
+  if (authMechanism) params.push('authMechanism=' + authMechanism)
+  return 'mongodb://' + auth + (mongo.host || '127.0.0.1') + ':' + (mongo.port || 27017) + '/' + (mongo.db || 'zenbot4') + (params.length ? '?' + params.join('&') : '')
+}
+
+// MongoDB storage, the default. Without a server zenbot still starts, with
+// no storage, as it always did.
+module.exports = function (conf, cb) {
+  const mongo = conf.mongo || {}
+  const connectionString = uri(mongo)
+  // the credentials are left out of the logs
+  const shown = connectionString.replace(/\/\/[^@/]*@/, '//***@')
+  const db = mongo.db || 'zenbot4'
+
+  // Connect to MongoDB with simplified options and compatibility with MongoDB 3.6
+  try {
+    // Try to use an older MongoDB client that's compatible with MongoDB 3.6
+    const MongoClient = require('mongodb').MongoClient
+    console.log('Attempting to connect to MongoDB with compatibility mode for MongoDB 3.6')
+    
+    // Use options compatible with MongoDB 3.6
+    const options = { 
+      useNewUrlParser: true, 
+      useUnifiedTopology: true,
+      // Force MongoDB driver to use wire protocol compatible with MongoDB 3.6
+      serverApi: null
+    }
+    
+    MongoClient.connect(connectionString, options, function(err, client) {
+      if (err) {
+        console.error('WARNING: MongoDB Connection Error: ', err)
+        console.error('WARNING: without MongoDB some features (such as backfilling/simulation) may be disabled.')
+        console.error('Attempted authentication string: ' + shown)
+        
+        // Try to connect with a fallback method for older MongoDB versions
+        console.log('Attempting fallback connection method for MongoDB 3.6...')
+        
+        // Try to require an older version of the MongoDB driver if available
+        try {
+          // This is a workaround to force compatibility
+          const oldMongoClient = require('mongodb').MongoClient
+          const oldOptions = { useNewUrlParser: true }
+          
+          oldMongoClient.connect(connectionString, oldOptions, function(oldErr, oldClient) {
+            if (oldErr) {
+              console.error('WARNING: Fallback MongoDB Connection Error: ', oldErr)
+              cb(null, null)
+              return
+            }
+            
+            console.log('Successfully connected to MongoDB at ' + shown + ' using fallback method')
+            cb(null, oldClient.db(db))
+          })
+        } catch (fallbackErr) {
+          console.error('WARNING: Fallback MongoDB connection also failed: ', fallbackErr)
+          cb(null, null)
+        }
+        return
+      }
+      
+      console.log('Successfully connected to MongoDB at ' + shown)
+      cb(null, client.db(db))
+    })
+  } catch (e) {
+    console.error('ERROR: Failed to initialize MongoDB client: ', e)
+    cb(null, null)
+  }
+}
+
+module.exports.uri = uri
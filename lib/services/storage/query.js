@@ -0,0 +1,180 @@
+var _ = require('lodash')
+
+// The part of the MongoDB query language zenbot uses, for the embedded
+// storage: filters with comparison, $in/$nin/$exists and $and/$or, sorts,
+// update operators and the aggregation stages of candles and audit.
+
+function isOperatorObject (value) {
+  return _.isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(k => k[0] === '$')
+}
+
+// orders values like mongo does for the types zenbot stores: missing and
+// null first, then numbers, strings, booleans
+function typeRank (value) {
+  if (value === undefined || value === null) return 0
+  if (typeof value === 'number') return 1
+  if (typeof value === 'string') return 2
+  if (typeof value === 'boolean') return 4
+  return 3
+}
+
+function compareValues (a, b) {
+  var ra = typeRank(a), rb = typeRank(b)
+  if (ra !== rb) return ra - rb
+  if (ra === 0) return 0
+  if (ra === 3) {
+    a = JSON.stringify(a)
+    b = JSON.stringify(b)
+  }
+  return a < b ? -1 : (a > b ? 1 : 0)
+}
+
+function equals (a, b) {
+  if (a === undefined) a = null
+  if (b === undefined) b = null
+  return _.isEqual(a, b)
+}
+
+function matchCondition (value, condition) {
+  if (!isOperatorObject(condition)) return equals(value, condition)
+  return Object.keys(condition).every(function (op) {
+    var arg = condition[op]
+    switch (op) {
+    case '$eq': return equals(value, arg)
+    case '$ne': return !equals(value, arg)
+    case '$gt': return value !== undefined && value !== null && typeRank(value) === typeRank(arg) && compareValues(value, arg) > 0
+    case '$gte': return value !== undefined && value !== null && typeRank(value) === typeRank(arg) && compareValues(value, arg) >= 0
+    case '$lt': return value !== undefined && value !== null && typeRank(value) === typeRank(arg) && compareValues(value, arg) < 0
+    case '$lte': return value !== undefined && value !== null && typeRank(value) === typeRank(arg) && compareValues(value, arg) <= 0
+    case '$in': return arg.some(v => equals(value, v))
+    case '$nin': return !arg.some(v => equals(value, v))
+    case '$exists': return (value !== undefined) === !!arg
+    default: throw new Error('query operator ' + op + ' is not supported by the file storage')
+    }
+  })
+}
+
+function match (doc, query) {
+  return Object.keys(query || {}).every(function (key) {
+    if (key === '$and') return query.$and.every(q => match(doc, q))
+    if (key === '$or') return query.$or.some(q => match(doc, q))
+    return matchCondition(_.get(doc, key), query[key])
+  })
+}
+
+// a comparator of docs for a sort spec, {$natural: -1} is left to the caller
+function comparator (sort) {
+  var keys = Object.keys(sort || {}).filter(k => k !== '$natural')
+  return function (a, b) {
+    for (var i = 0; i < keys.length; i++) {
+      var c = compareValues(_.get(a, keys[i]), _.get(b, keys[i]))
+      if (c) return c * (sort[keys[i]] < 0 ? -1 : 1)
+    }
+    return 0
+  }
+}
+
+function update (doc, spec) {
+  if (!isOperatorObject(spec)) return Object.assign({_id: doc._id}, spec)
+  Object.keys(spec).forEach(function (op) {
+    Object.keys(spec[op]).forEach(function (key) {
+      var arg = spec[op][key]
+      switch (op) {
+      case '$set': return _.set(doc, key, arg)
+      case '$unset': return _.unset(doc, key)
+      case '$inc': return _.set(doc, key, (_.get(doc, key) || 0) + arg)
+      case '$setOnInsert': return
+      default: throw new Error('update operator ' + op + ' is not supported by the file storage')
+      }
+    })
+  })
+  return doc
+}
+
+// the fields an upsert takes from its filter
+function upsertBase (filter) {
+  var doc = {}
+  Object.keys(filter || {}).forEach(function (key) {
+    if (key[0] !== '$' && !isOperatorObject(filter[key])) _.set(doc, key, filter[key])
+  })
+  return doc
+}
+
+function expression (doc, expr) {
+  if (typeof expr === 'string' && expr[0] === '$') return _.get(doc, expr.slice(1))
+  if (!_.isPlainObject(expr)) return expr
+  var op = Object.keys(expr)[0]
+  var args = [].concat(expr[op]).map(arg => expression(doc, arg))
+  switch (op) {
+  case '$add': return args.reduce((a, b) => a + b)
+  case '$subtract': return args[0] - args[1]
+  case '$multiply': return args.reduce((a, b) => a * b)
+  case '$divide': return args[0] / args[1]
+  case '$mod': return args[0] % args[1]
+  default: throw new Error('aggregation operator ' + op + ' is not supported by the file storage')
+  }
+}
+
+function group (docs, spec) {
+  var groups = new Map()
+  docs.forEach(function (doc) {
+    var id = expression(doc, spec._id === undefined ? null : spec._id)
+    var key = JSON.stringify(id === undefined ? null : id)
+    var out = groups.get(key)
+    if (!out) {
+      out = {_id: id === undefined ? null : id}
+      groups.set(key, out)
+    }
+    Object.keys(spec).forEach(function (field) {
+      if (field === '_id') return
+      var op = Object.keys(spec[field])[0]
+      var value = expression(doc, spec[field][op])
+      switch (op) {
+      case '$sum':
+        out[field] = (out[field] || 0) + (typeof value === 'number' ? value : 0)
+        break
+      case '$first':
+        if (!(field in out)) out[field] = value
+        break
+      case '$last':
+        out[field] = value
+        break
+      case '$max':
+        if (!(field in out) || compareValues(value, out[field]) > 0) out[field] = value
+        break
+      case '$min':
+        if (!(field in out) || compareValues(value, out[field]) < 0) out[field] = value
+        break
+      case '$push':
+        (out[field] = out[field] || []).push(value)
+        break
+      default: throw new Error('accumulator ' + op + ' is not supported by the file storage')
+      }
+    })
+  })
+  return Array.from(groups.values())
+}
+
+function aggregate (docs, pipeline) {
+  return pipeline.reduce(function (docs, stage) {
+    var op = Object.keys(stage)[0]
+    switch (op) {
+    case '$match': return docs.filter(doc => match(doc, stage.$match))
+    case '$sort': return docs.slice().sort(comparator(stage.$sort))
+    case '$group': return group(docs, stage.$group)
+    case '$limit': return docs.slice(0, stage.$limit)
+    case '$skip': return docs.slice(stage.$skip)
+    default: throw new Error('aggregation stage ' + op + ' is not supported by the file storage')
+    }
+  }, docs)
+}
+
+module.exports = {
+  isOperatorObject: isOperatorObject,
+  compareValues: compareValues,
+  match: match,
+  comparator: comparator,
+  update: update,
+  upsertBase: upsertBase,
+  aggregate: aggregate
+}
@@ -0,0 +1,35 @@
+let n = require('numbro')
+
+// ends a sim: what it holds is sold (or the borrowed asset bought back) at
+// the last close, leaving all of its equity in currency. Returns its profit
+// and that of buying and holding over the same periods.
+module.exports = function settle (s) {
+  let owed = n(s.margin.borrowed).add(s.margin.interest).value()
+  if (s.short_position) {
+    s.my_trades.push({
+      price: s.period.close,
+      size: owed,
+      type: 'buy',
+      position: 'short',
+      time: s.period.time
+    })
+  }
+  else if (s.my_trades.length) {
+    s.my_trades.push({
+      price: s.period.close,
+      size: s.balance.asset,
+      type: 'sell',
+      time: s.period.time
+    })
+  }
+  s.balance.currency = n(s.net_currency).add(n(s.period.close).multiply(n(s.balance.asset).subtract(owed))).format('0.00000000')
+  s.balance.asset = 0
+
+  let buy_hold = s.start_price ? n(s.period.close).multiply(n(s.start_capital).divide(s.start_price)).value() : n(s.balance.currency).value()
+  return {
+    profit: s.start_capital ? n(s.balance.currency).subtract(s.start_capital).divide(s.start_capital).value() : 0,
+    buy_hold: buy_hold,
+    buy_hold_profit: s.start_capital ? n(buy_hold).subtract(s.start_capital).divide(s.start_capital).value() : 0,
+    vs_buy_hold: n(s.balance.currency).subtract(buy_hold).divide(buy_hold).value()
+  }
+}
@@ -0,0 +1,18 @@
+let n = require('numbro')
+
+// risks --risk_pct of equity with the stop --atr_multiplier average true
+// ranges away, so positions shrink as volatility grows
+module.exports = function atr (s, ctx) {
+  let so = s.options
+  let periods = so.atr_periods || 14
+  if (s.lookback.length < periods + 1) return ctx.max_pct
+  let true_range = 0
+  for (let i = 0; i < periods; i++) {
+    let period = s.lookback[i], prev = s.lookback[i + 1]
+    true_range += Math.max(period.high - period.low, Math.abs(period.high - prev.close), Math.abs(period.low - prev.close))
+  }
+  let stop_distance = (true_range / periods) * (so.atr_multiplier || 2) / ctx.price
+  if (!stop_distance) return ctx.max_pct
+  let position = n(ctx.equity).multiply(so.risk_pct / 100).divide(stop_distance).value()
+  return n(position).divide(ctx.deposit).multiply(100).value()
+}
@@ -0,0 +1,4 @@
+// the classic sizing: always buy_pct (sell_pct for shorts) of the deposit
+module.exports = function fixed (s, ctx) {
+  return ctx.max_pct
+}
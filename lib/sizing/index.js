@@ -0,0 +1,47 @@
+let n = require('numbro')
+
+let sizers = {
+  fixed: require('./fixed'),
+  risk_pct: require('./risk_pct'),
+  atr: require('./atr'),
+  kelly: require('./kelly')
+}
+
+// Position sizing for entries (buys and short opens). A sizer returns the %
+// of the currency deposit to spend, worked out from the account equity, the
+// distance to the stop and recent volatility. The result never exceeds
+// buy_pct (sell_pct for shorts), which stays the hard cap per entry.
+//
+// Strategies can override the sizing of their next entry with
+//   s.sizing = {pct: 25}                      // spend exactly this %
+//   s.sizing = {sizer: 'risk_pct', stop_price: 95}
+// which the engine takes off s with the signal it comes with and hands to
+// entryPct, so a signal it refuses does not leave it to a later entry.
+module.exports = function sizing (s) {
+  let so = s.options
+
+  return {
+    entryPct: function (price, side, max_pct, override) {
+      override = override || {}
+      let pct
+      if (override.pct != null) {
+        pct = Number(override.pct)
+      }
+      else {
+        let sizer = sizers[String(override.sizer || so.sizer).toLowerCase()] || sizers.fixed
+        pct = sizer(s, {
+          price: Number(price),
+          side: side,
+          equity: n(s.balance.deposit).add(s.asset_capital || 0).value(),
+          deposit: Number(s.balance.deposit),
+          stop_price: override.stop_price || (s.lot_opts && s.lot_opts.stop),
+          max_pct: max_pct
+        })
+      }
+      if (isNaN(pct)) return max_pct
+      return Math.max(0, Math.min(pct, max_pct))
+    }
+  }
+}
+
+module.exports.sizers = Object.keys(sizers)
@@ -0,0 +1,23 @@
+let n = require('numbro')
+
+// fraction of equity from the Kelly criterion over the closed trades so far,
+// scaled down by --kelly_fraction. falls back to buy_pct until
+// --kelly_min_trades trades have closed.
+module.exports = function kelly (s, ctx) {
+  let so = s.options
+  let closed = s.my_trades.filter(function (trade) {
+    let closes_long = trade.type === 'sell' && !trade.position
+    let closes_short = trade.type === 'buy' && trade.position === 'short'
+    return (closes_long || closes_short) && typeof trade.profit === 'number' && !isNaN(trade.profit)
+  }).map(trade => trade.profit)
+  if (closed.length < (so.kelly_min_trades || 20)) return ctx.max_pct
+  let wins = closed.filter(profit => profit > 0)
+  let losses = closed.filter(profit => profit <= 0)
+  let win_rate = wins.length / closed.length
+  let avg_win = wins.length ? wins.reduce((sum, profit) => sum + profit, 0) / wins.length : 0
+  let avg_loss = losses.length ? Math.abs(losses.reduce((sum, profit) => sum + profit, 0) / losses.length) : 0
+  let fraction = avg_loss && avg_win ? win_rate - (1 - win_rate) / (avg_win / avg_loss) : win_rate
+  if (fraction <= 0) return 0
+  let position = n(ctx.equity).multiply(fraction).multiply(so.kelly_fraction || 0.5).value()
+  return n(position).divide(ctx.deposit).multiply(100).value()
+}
@@ -0,0 +1,11 @@
+let n = require('numbro')
+
+// risks --risk_pct of equity between the entry and the stop. the stop is the
+// one given with the signal, else sell_stop_pct away from the entry.
+module.exports = function risk_pct (s, ctx) {
+  let so = s.options
+  let stop_distance = ctx.stop_price ? Math.abs(ctx.price - ctx.stop_price) / ctx.price : so.sell_stop_pct / 100
+  if (!stop_distance) return ctx.max_pct
+  let position = n(ctx.equity).multiply(so.risk_pct / 100).divide(stop_distance).value()
+  return n(position).divide(ctx.deposit).multiply(100).value()
+}
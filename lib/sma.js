@@ -1,13 +1,13 @@
+let indicators = require('./indicators')
+
+// the average of source_key over the last length closed periods, kept as
+// they close instead of summed over the lookback on every call
 module.exports = function sma (s, key, length, source_key) {
   if (!source_key) source_key = 'close'
   if (s.lookback.length >= length) {
-    let SMA = s.lookback
-      .slice(0, length)
-      .reduce((sum, cur) => {
-        return sum + cur[source_key]
-      }, 0)
-
-    s.period[key] = SMA / length
+    let tracked = indicators.track(s, ['sma', key, length, source_key].join(':'), function () {
+      return indicators.gapless(() => indicators.sma(length))
+    }, period => period[source_key])
+    if (tracked.last !== undefined) s.period[key] = tracked.last
   }
 }
-
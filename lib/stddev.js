@@ -1,22 +1,31 @@
+let indicators = require('./indicators')
+
+// The deviation of source_key around the mean of the open period and up to
+// length closed ones, back to the first without a value. As it always has,
+// it sums the squared deviations of the closed periods only.
+function deviation (length) {
+  let values = indicators.window(length)
+  let sum = 0
+  let squares = 0
+  return indicators.indicator(0, function (x, commit) {
+    let count = values.length + 1
+    let mean = (sum + x) / count
+    let value = Math.sqrt(Math.max((squares - 2 * mean * sum + (count - 1) * mean * mean) / count, 0))
+    if (commit) {
+      let dropped = values.full() ? values.oldest() : 0
+      values.push(x)
+      sum += x - dropped
+      squares += x * x - dropped * dropped
+    }
+    return value
+  })
+}
+
 module.exports = function stddev (s, key, length, source_key) {
   if (typeof s.period[source_key] === 'number') {
-    var sum = s.period[source_key]
-    var sum_len = 1
-    for (var idx = 0; idx < length; idx++) {
-      if (typeof s.lookback[idx][source_key] === 'number') {
-        sum += s.lookback[idx][source_key]
-        sum_len++
-      }
-      else {
-        break
-      }
-    }
-    var avg = sum / sum_len
-    var var_sum = 0
-    for (idx = 0; idx < sum_len - 1; idx++) {
-      var_sum += Math.pow(s.lookback[idx][source_key] - avg, 2)
-    }
-    var variance = var_sum / sum_len
-    s.period[key] = Math.sqrt(variance)
+    let tracked = indicators.track(s, ['stddev', key, length, source_key].join(':'), function () {
+      return indicators.gapless(() => deviation(length))
+    }, period => period[source_key])
+    s.period[key] = tracked.value
   }
 }
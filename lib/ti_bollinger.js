@@ -1,55 +1,30 @@
-var tulind = require('tulind')
-
+var indicators = require('./indicators')
 
+// the bands of the last periods, the current one last
 module.exports = function ti_bollinger(s, key, rsi_periods, StdDev, optMarket) 
 {
- 
   return new Promise(function(resolve, reject) {
-
-    //dont calculate until we have enough data
- 
-    let tmpMarket = optMarket
-    if (!tmpMarket)
-    {
-      tmpMarket = s.lookback.slice(0, 1000).map(x=>x.close)
-      tmpMarket.reverse()
-      //add current period
-      tmpMarket.push(s.period.close)
+    let create = () => indicators.bbands(rsi_periods, StdDev, StdDev, 'SMA')
+    let values, count
+    if (optMarket) {
+      values = indicators.run(create(), optMarket.map(x => x.close))
+      count = optMarket.length
     }
-    else
-    {
-      tmpMarket = tmpMarket.map(x=>x.close)
+    else {
+      let bands = indicators.track(s, ['ti_bollinger', rsi_periods, StdDev].join(':'), create, period => period.close)
+      values = bands.series()
+      count = bands.count + 1
     }
-    if ( tmpMarket.length >= rsi_periods) {
-      //doublecheck length.
-      if (tmpMarket.length >= rsi_periods) {
-        // extract int from string input for ma_type
-         
-        tulind.indicators.bbands.indicator(
-          [tmpMarket],
-          [rsi_periods, StdDev]
-          , function (err, result) {
-            if (err) {
-              console.log(err)
-              reject(err, result)
-              return
-            }
 
-            resolve({
-              LowerBand: result[0],
-              MiddleBand: result[1],
-              UpperBand: result[2]
-           
-            })
-          })
-      }
-      else {
-        reject('MarketLenth not populated enough')
-      }
- 
-    } else {
-      reject('MarketLenth not populated enough')}
+    //dont calculate until we have enough data
+    if (count < rsi_periods) {
+      reject('MarketLenth not populated enough')
+      return
+    }
+    resolve({
+      LowerBand: values.map(x => x.lower),
+      MiddleBand: values.map(x => x.middle),
+      UpperBand: values.map(x => x.upper)
+    })
   })
 }
-
-
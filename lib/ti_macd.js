@@ -1,46 +1,26 @@
-var tulind = require('tulind')
+var indicators = require('./indicators')
 
-
-module.exports = function macd(s, key, shortPeriod, longPeriod, signalPeriod ,optMarket) 
+// tulind's MACD, its EMAs start at the first close. The values of the last
+// periods, the current one last.
+module.exports = function macd(s, key, shortPeriod, longPeriod, signalPeriod, optMarket) 
 {
   return new Promise(function(resolve, reject) {
-  
-    if (s.lookback.length >= Math.max(shortPeriod,longPeriod) ) {
-
-      let tmpMarket = optMarket
-      if (!tmpMarket)
-      {
-        tmpMarket = s.lookback.slice(0, 1000).map(x=>x.close)
-        tmpMarket.reverse()
-        //add current period
-        tmpMarket.push(s.period.close)
-      }
-      else
-      {
-        tmpMarket = tmpMarket.map(x=>x.close)
-      }
-      tulind.indicators.macd.indicator(
-        [tmpMarket],
-        [shortPeriod, longPeriod, signalPeriod]
-        , function (err, result) {
-          if (err) {
-            console.log(err)
-            reject(err, result)
-            return
-          }
-
-          resolve({
-            macd: result[0],
-            macd_signal: result[1],
-            macd_histogram: result[2]
-          })
-        })
-         
-    }
-    else
-    { 
+    if (s.lookback.length < Math.max(shortPeriod, longPeriod)) {
       reject()
+      return
     }
+    let create = () => indicators.macd(shortPeriod, longPeriod, signalPeriod, {seed: 'first'})
+    let values
+    if (optMarket) {
+      values = indicators.run(create(), optMarket.map(x => x.close))
+    }
+    else {
+      values = indicators.track(s, ['ti_macd', shortPeriod, longPeriod, signalPeriod].join(':'), create, period => period.close).series()
+    }
+    resolve({
+      macd: values.map(x => x.macd),
+      macd_signal: values.map(x => x.signal),
+      macd_histogram: values.map(x => x.histogram)
+    })
   })
 }
-
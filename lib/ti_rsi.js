@@ -1,52 +1,28 @@
-var tulind = require('tulind')
+var indicators = require('./indicators')
 
-
-module.exports = function ti_rsi(s, key, rsi_period,  optMarket) 
+// the RSI of the last periods, the current one last
+module.exports = function ti_rsi(s, key, rsi_period, optMarket) 
 {
- 
   return new Promise(function(resolve, reject) {
-
-    //dont calculate until we have enough data
- 
-    let tmpMarket = optMarket
-    if (!tmpMarket)
-    {
-      tmpMarket = s.lookback.slice(0, 1000).map(x=>x.close)
-      tmpMarket.reverse()
-      //add current period
-      tmpMarket.push(s.period.close)
+    let create = () => indicators.rsi(rsi_period)
+    let values, count
+    if (optMarket) {
+      values = indicators.run(create(), optMarket.map(x => x.close))
+      count = optMarket.length
     }
-    else
-    {
-      tmpMarket = tmpMarket.map(x=>x.close)
+    else {
+      let rsi = indicators.track(s, 'ti_rsi:' + rsi_period, create, period => period.close)
+      values = rsi.series()
+      count = rsi.count + 1
     }
 
-    if ( tmpMarket.length >= rsi_period) {
-      //doublecheck length.
-      if (tmpMarket.length >= rsi_period) {
-        // extract int from string input for ma_type
-         
-        tulind.indicators.rsi.indicator(
-          [tmpMarket],
-          [rsi_period]
-          , function (err, result) {
-            if (err) {
-              console.log(err)
-              reject(err, result)
-              return
-            }
-            resolve({
-              rsi: result[0]
-            })
-          })
-      }
-      else {
-        reject('MarketLenth not populated enough')
-      }
- 
-    } else {
-      reject('MarketLenth not populated enough')}
+    //dont calculate until we have enough data
+    if (count < rsi_period) {
+      reject('MarketLenth not populated enough')
+      return
+    }
+    resolve({
+      rsi: values
+    })
   })
 }
-
-
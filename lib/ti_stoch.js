@@ -1,50 +1,24 @@
-var tulind = require('tulind')
-
+var indicators = require('./indicators')
 
+// k and d of the last periods, the current one last
 module.exports = function stoch(s, key, k_periods, sk_periods, d_periods, optMarket) 
 {
-  return new Promise(function(resolve, reject) {
-  
-    if (s.lookback.length >= Math.max(k_periods,d_periods,sk_periods) ) {
-
-      //dont calculate until we have enough data
-      let tmpMarket = optMarket
-      if (!tmpMarket)
-      {
-        
-        tmpMarket = s.lookback.slice(0, 1000)
-        tmpMarket.reverse()
-        //add current period
-        tmpMarket.push(s.period)
-      }
-
-      let tmpMarketHigh = tmpMarket.map(x => x.high)
-      let tmpMarketClose = tmpMarket.map(x => x.close)
-      let tmpMarketLow = tmpMarket.map(x => x.low)
-      // addCurrentPeriod
-
-
-      tulind.indicators.stoch.indicator(
-        [tmpMarketHigh,tmpMarketLow, tmpMarketClose ],
-        [k_periods, sk_periods, d_periods]
-        , function (err, result) {
-          if (err) {
-            console.log(err)
-            reject(err, result)
-            return
-          }
-
-          resolve({
-            k: result[0],
-            d: result[1]
-          })
-        })
-         
-    }
-    else
-    { 
+  return new Promise(function(resolve) {
+    if (s.lookback.length < Math.max(k_periods, d_periods, sk_periods)) {
       resolve()
+      return
+    }
+    let create = () => indicators.stoch(k_periods, sk_periods, 'SMA', d_periods, 'SMA')
+    let values
+    if (optMarket) {
+      values = indicators.run(create(), optMarket)
     }
+    else {
+      values = indicators.track(s, ['ti_stoch', k_periods, sk_periods, d_periods].join(':'), create, period => period).series()
+    }
+    resolve({
+      k: values.map(x => x.k),
+      d: values.map(x => x.d)
+    })
   })
 }
-
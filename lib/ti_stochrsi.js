@@ -1,89 +1,41 @@
-var tulind = require('tulind')
-
+var indicators = require('./indicators')
 
+// The stochastic of the RSI over rsi_period periods, from 0 to 1, %K its SMA
+// over k_periods and %D the SMA of %K over d_periods. Each holds the values of
+// the last k_periods + d_periods - 1 periods, newest (the current one) first.
 module.exports = function ti_stochrsi(s, key, rsi_period, k_periods, d_periods, optMarket) 
 {
- 
   return new Promise(function(resolve, reject) {
-
-    //dont calculate until we have enough data
- 
-    let tmpMarket = optMarket
-    if (!tmpMarket)
-    {
-      tmpMarket = s.lookback.slice(0, 1000).map(x=>x.close)
-      tmpMarket.reverse()
-      //add current period
-      tmpMarket.push(s.period.close)
+    let create = function () {
+      let srsi = indicators.stochrsi(rsi_period, rsi_period, k_periods, 'SMA')
+      let d_ma = indicators.sma(d_periods)
+      return indicators.indicator(srsi.lookback + d_ma.lookback, function (x, commit) {
+        let value = srsi.step(x, commit)
+        let d = value === undefined ? undefined : d_ma.step(value.d, commit)
+        return d === undefined ? undefined : {stochRSI: value.k / 100, stochk: value.d / 100, stochd: d / 100}
+      })
     }
-    else
-    {
-      tmpMarket = tmpMarket.map(x=>x.close)
+    let values, count
+    if (optMarket) {
+      values = indicators.run(create(), optMarket.map(x => x.close))
+      count = optMarket.length
+    }
+    else {
+      let srsi = indicators.track(s, ['ti_stochrsi', rsi_period, k_periods, d_periods].join(':'), create, period => period.close)
+      values = srsi.series()
+      count = srsi.count + 1
     }
 
-    if ( tmpMarket.length >= rsi_period) {
-      //doublecheck length.
-      if (tmpMarket.length >= rsi_period) {
-        // extract int from string input for ma_type
-         
-        tulind.indicators.rsi.indicator(
-          [tmpMarket],
-          [rsi_period]
-          , function (err, result) {
-            if (err) {
-              console.log(err)
-              reject(err, result)
-              return
-            }
-            let trsi = result[0]
-            // 0 oldest -- end newest
-            trsi.reverse()
-            let stochRSI = []
-
-            for(let i = 0; i < (k_periods + d_periods - 1); i++) {
-              let rsiForPeriod = trsi.slice(i, rsi_period + i)
-              let highestRSI = Math.max(...rsiForPeriod)
-              let lowestRSI = Math.min(...rsiForPeriod)
-              
-              if(highestRSI == lowestRSI) {
-                stochRSI.push(0)
-              } else {
-                stochRSI.push(((trsi[ (rsi_period - 1) + i] - lowestRSI) / (highestRSI - lowestRSI)) )
-              }
-            }
-        
-            let percentK = []
-            for(let i = 0; i < k_periods; i++) {
-              let kData = stochRSI.slice(i, k_periods + i)
-              if(kData.length == k_periods) {
-                percentK.push(kData.reduce((a,b) => a + b, 0) / kData.length )
-              }
-            }
-      
-            let percentD = []
-            for(let i = 0; i < d_periods; i++) {
-              let dData = stochRSI.slice(i, d_periods + i)
-              if(dData.length == d_periods) {
-                percentD.push(dData.reduce((a,b) => a + b, 0) / dData.length)
-              }
-            }
-      
-   
-
-            resolve({
-              stochRSI: stochRSI,
-              stochk :percentK,
-              stochd :percentD
-            })
-          })
-      }
-      else {
-        reject('MarketLenth not populated enough')
-      }
- 
-    } else {
-      reject('MarketLenth not populated enough')}
+    //dont calculate until we have enough data
+    if (count < rsi_period) {
+      reject('MarketLenth not populated enough')
+      return
+    }
+    values = values.slice(-(k_periods + d_periods - 1)).reverse()
+    resolve({
+      stochRSI: values.map(x => x.stochRSI),
+      stochk: values.map(x => x.stochk),
+      stochd: values.map(x => x.stochd)
+    })
   })
 }
-
-
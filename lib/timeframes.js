@@ -0,0 +1,106 @@
+let tb = require('timebucket')
+  , candles = require('./candles')
+
+// Candle series of other sizes next to the one of --period_length, for the
+// strategies that declare `timeframes`: an array of sizes like
+// ['15m', '4h'], or a function of s returning one. Each series lives in
+// s.tf[size] as {size, period, lookback, options}, shaped like s so the
+// indicator helpers run on it, e.g. ema(s.tf['4h'], 'ema', 20). The entry of
+// period_length itself is an alias of s.period and s.lookback.
+//
+// The engine feeds every trade through roll() before its own period closes
+// and through update() before strategy.calculate, so a strategy sees the
+// closed 4h candle in the onPeriod of the primary period ending with it.
+// The periods are aligned to the epoch like the primary ones, and close only
+// on trades: a timeframe without trades is skipped, not filled in.
+function timeframes (s) {
+  let so = s.options
+  let strategy = s.strategy || {}
+  let series = []
+  s.tf = {}
+  sizes(strategy, s).forEach(function (size) {
+    if (size === so.period_length) {
+      s.tf[size] = Object.defineProperties({size: size, options: so}, {
+        period: {enumerable: true, get: () => s.period},
+        lookback: {enumerable: true, get: () => s.lookback}
+      })
+      return
+    }
+    let tf = {size: size, period: null, lookback: [], options: so}
+    s.tf[size] = tf
+    series.push(tf)
+  })
+
+  function open (tf, trade) {
+    let d = tb(trade.time).resize(tf.size)
+    tf.period = {
+      period_id: d.toString(),
+      size: tf.size,
+      time: d.toMilliseconds(),
+      open: trade.price,
+      high: trade.price,
+      low: trade.price,
+      close: trade.price,
+      volume: 0,
+      close_time: d.add(1).toMilliseconds() - 1
+    }
+  }
+
+  return {
+    // closes the periods the trade is past, shortest timeframe first, and
+    // opens the ones it starts
+    roll: function (trade, cb) {
+      let due = series.filter(tf => !tf.period || trade.time > tf.period.close_time)
+      ;(function next () {
+        let tf = due.shift()
+        if (!tf) return cb()
+        if (!tf.period) {
+          open(tf, trade)
+          return next()
+        }
+        let close = strategy.onTimeframePeriod ? strategy.onTimeframePeriod.bind(s.ctx, s, tf) : done => done()
+        close(function () {
+          tf.lookback.unshift(tf.period)
+          if (so.keep_lookback_periods && tf.lookback.length > so.keep_lookback_periods) {
+            tf.lookback.splice(-1, 1)
+          }
+          open(tf, trade)
+          next()
+        })
+      })()
+    },
+
+    update: function (trade) {
+      series.forEach(function (tf) {
+        if (!tf.period || trade.time < tf.period.time) return
+        tf.period.high = Math.max(trade.price, tf.period.high)
+        tf.period.low = Math.min(trade.price, tf.period.low)
+        tf.period.close = trade.price
+        tf.period.volume += trade.size
+        tf.period.latest_trade_time = trade.time
+        if (strategy.calculateTimeframe) strategy.calculateTimeframe(s, tf)
+      })
+    }
+  }
+}
+
+// the sizes a strategy declares and period_length, shortest first
+function sizes (strategy, s) {
+  let so = s.options
+  let declared = typeof strategy.timeframes === 'function' ? strategy.timeframes(s) : strategy.timeframes
+  let list = [so.period_length].concat(declared || []).filter((size, i, all) => all.indexOf(size) === i)
+  list.forEach(function (size) {
+    if (size !== so.period_length && !candles.sizeMs(size)) throw new Error('strategy ' + strategy.name + ' declares an invalid timeframe ' + size)
+  })
+  return list.sort((a, b) => candles.sizeMs(a) - candles.sizeMs(b))
+}
+
+// the time of the first trade needed for the given number of periods of
+// every timeframe before time: the preroll of sim, compare and trade
+function start (strategy, s, time, periods) {
+  return Math.min.apply(null, sizes(strategy, s).map(size => tb(time).resize(size).subtract(periods).toMilliseconds()))
+}
+
+module.exports = timeframes
+module.exports.sizes = sizes
+module.exports.start = start
@@ -0,0 +1,75 @@
+let DAY = 86400000
+
+// Walk-forward validation. History is split into folds of an in-sample window,
+// to optimize on, and the out-of-sample window right after it, to re-run the
+// winner on. The folds roll forward by the out-of-sample length, so the
+// out-of-sample windows line up into one unseen stretch of history.
+function mean (values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length
+}
+
+function deviation (values) {
+  let m = mean(values)
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - m, 2), 0) / values.length)
+}
+
+module.exports = {
+  // [{in_start, in_end, out_start, out_end}] in ms, for the folds fitting
+  // between start and end
+  folds: function (start, end, in_sample_days, out_of_sample_days) {
+    let folds = []
+    let in_start = start
+    while (in_start + (in_sample_days + out_of_sample_days) * DAY <= end) {
+      let in_end = in_start + in_sample_days * DAY
+      folds.push({in_start: in_start, in_end: in_end, out_start: in_end, out_end: in_end + out_of_sample_days * DAY})
+      in_start += out_of_sample_days * DAY
+    }
+    return folds
+  },
+
+  // compounds the out-of-sample profit of each fold into one equity curve,
+  // starting at 1
+  stitch: function (profits) {
+    let equity = [1]
+    profits.forEach(function (profit) {
+      equity.push(equity[equity.length - 1] * (1 + (profit || 0)))
+    })
+    return {equity: equity, profit: equity[equity.length - 1] - 1}
+  },
+
+  // out-of-sample profit per day over in-sample profit per day, near 1 when
+  // the winners kept their edge on unseen data
+  efficiency: function (in_profits, in_days, out_profits, out_days) {
+    let in_rate = mean(in_profits) / in_days
+    if (!(in_rate > 0)) return 0
+    return mean(out_profits) / out_days / in_rate
+  },
+
+  // how much the winning value of each phenotype moved between folds: 1 when
+  // every fold picked the same value, 0 when it spread over the whole range.
+  // Options score the share of folds picking the most common one.
+  stability: function (winners, ranges) {
+    let params = {}
+    Object.keys(ranges).forEach(function (k) {
+      let values = winners.map(w => w[k]).filter(v => typeof v !== 'undefined')
+      if (!values.length) return
+      let range = ranges[k]
+      let param = {values: values}
+      if (typeof range.min === 'number' && typeof range.max === 'number') {
+        let numbers = values.map(v => parseFloat(v))
+        param.mean = mean(numbers)
+        param.deviation = deviation(numbers)
+        param.score = range.max > range.min ? Math.max(0, 1 - param.deviation / (range.max - range.min)) : 1
+      }
+      else {
+        let counts = {}
+        values.forEach(v => { counts[v] = (counts[v] || 0) + 1 })
+        param.mode = Object.keys(counts).reduce((a, b) => counts[a] >= counts[b] ? a : b)
+        param.score = counts[param.mode] / values.length
+      }
+      params[k] = param
+    })
+    let scores = Object.keys(params).map(k => params[k].score)
+    return {params: params, score: scores.length ? mean(scores) : 0}
+  }
+}
@@ -0,0 +1,71 @@
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>{{title}}</title>
+  <style>
+    body { font-family: sans-serif; margin: 20px; color: #222; }
+    pre { font-size: 13px; }
+    #chart { border: 1px solid #ddd; }
+    .legend span { display: inline-block; margin-right: 16px; font-size: 13px; }
+    .legend i { display: inline-block; width: 12px; height: 12px; margin-right: 4px; vertical-align: middle; }
+  </style>
+</head>
+<body>
+  <h2>{{title}}</h2>
+  <pre>{{output}}</pre>
+  <h3>equity, as a share of the starting capital</h3>
+  <svg id="chart" width="1000" height="400"></svg>
+  <div class="legend" id="legend"></div>
+  <script>
+    {{code}}
+    (function () {
+      var colors = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf']
+      var svg = document.getElementById('chart')
+      var legend = document.getElementById('legend')
+      var width = 1000, height = 400, pad = 40
+      var curves = results.filter(function (r) { return r.equity && r.equity.length && r.equity[0].equity > 0 }).map(function (r) {
+        var start = r.equity[0].equity
+        return { name: r.name, points: r.equity.map(function (p) { return { time: p.time, value: p.equity / start } }) }
+      })
+      if (!curves.length) return
+      var all = [].concat.apply([], curves.map(function (c) { return c.points }))
+      var t0 = Math.min.apply(null, all.map(function (p) { return p.time }))
+      var t1 = Math.max.apply(null, all.map(function (p) { return p.time }))
+      var v0 = Math.min.apply(null, all.map(function (p) { return p.value }).concat([1]))
+      var v1 = Math.max.apply(null, all.map(function (p) { return p.value }).concat([1]))
+      function x (t) { return pad + (t1 > t0 ? (t - t0) / (t1 - t0) : 0) * (width - 2 * pad) }
+      function y (v) { return height - pad - (v1 > v0 ? (v - v0) / (v1 - v0) : 0.5) * (height - 2 * pad) }
+      function line (points, color, dashed) {
+        var el = document.createElementNS('http://www.w3.org/2000/svg', 'polyline')
+        el.setAttribute('points', points.map(function (p) { return x(p.time).toFixed(1) + ',' + y(p.value).toFixed(1) }).join(' '))
+        el.setAttribute('fill', 'none')
+        el.setAttribute('stroke', color)
+        if (dashed) el.setAttribute('stroke-dasharray', '4 4')
+        svg.appendChild(el)
+      }
+      function label (text, lx, ly) {
+        var el = document.createElementNS('http://www.w3.org/2000/svg', 'text')
+        el.setAttribute('x', lx)
+        el.setAttribute('y', ly)
+        el.setAttribute('font-size', '11')
+        el.textContent = text
+        svg.appendChild(el)
+      }
+      line([{ time: t0, value: 1 }, { time: t1, value: 1 }], '#999', true)
+      label(v1.toFixed(2), 2, y(v1) + 4)
+      label(v0.toFixed(2), 2, y(v0) + 4)
+      label(new Date(t0).toISOString().slice(0, 10), pad, height - 10)
+      label(new Date(t1).toISOString().slice(0, 10), width - pad - 60, height - 10)
+      curves.forEach(function (c, i) {
+        var color = colors[i % colors.length]
+        line(c.points, color)
+        var item = document.createElement('span')
+        item.innerHTML = '<i style="background:' + color + '"></i>'
+        item.appendChild(document.createTextNode(c.name))
+        legend.appendChild(item)
+      })
+    })()
+  </script>
+</body>
+</html>
@@ -33,5 +33,17 @@ describe('Collections Service', function() {
 
       expect(rtn).toBeDefined()
     })
+  }),
+
+  describe(' storage ', function() {
+
+    it('prefers the storage driver over mongo', function() {
+
+      var storage = { name: 'storage', createIndex: function() { } }
+      var mongo = { name: 'mongo', createIndex: function() { } }
+      var instance = service({db:{storage:{collection: function() { return storage }}, mongo:{collection: function() { return mongo }}}})
+
+      expect(instance.getTrades()).toBe(storage)
+    })
   })
 })
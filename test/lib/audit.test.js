@@ -0,0 +1,57 @@
+let colors = require('colors')
+  , audit = require('../../lib/audit')
+
+describe('Audit', () => {
+  let MIN = 60000
+
+  function scan (trades, opts) {
+    let auditor = audit(Object.assign({ gap_ms: 5 * MIN, sigma: 6, window: 20 }, opts))
+    trades.forEach(trade => auditor.add(trade))
+    return auditor
+  }
+
+  function series (count, start, first_id) {
+    return Array.from({ length: count }, (v, i) => ({ trade_id: first_id + i, time: start + i * MIN, price: 100 + (i % 2 ? 0.1 : -0.1), size: 1 }))
+  }
+
+  it('finds gaps and splits the trades into runs', () => {
+    let trades = series(30, 0, 1).concat(series(30, 60 * MIN, 31))
+    let report = scan(trades).report()
+    expect(report.gaps.count).toBe(1)
+    expect(report.gaps.examples[0]).toEqual({ from: 29 * MIN, to: 60 * MIN, ms: 31 * MIN })
+    expect(report.runs.map(run => [run.first.trade_id, run.last.trade_id, run.trades])).toEqual([[1, 30, 30], [31, 60, 30]])
+    let markers = audit.markers(report.runs, 'x.A-B', trade => trade.trade_id)
+    expect(markers.map(m => [m.from, m.to, m.oldest_time, m.newest_time])).toEqual([[1, 30, 0, 29 * MIN], [31, 60, 60 * MIN, 89 * MIN]])
+    expect(markers[0]._id).toBe(markers[0].id)
+  })
+
+  it('reports a bad print once and not the way back from it', () => {
+    let trades = series(40, 0, 1)
+    trades[30].price = 150
+    let report = scan(trades).report()
+    expect(report.spikes.count).toBe(1)
+    expect(report.spikes.examples[0].trade_id).toBe(31)
+    expect(report.spikes.examples[0].prev_price).toBe(trades[29].price)
+  })
+
+  it('reports zero sizes, ids going backwards and duplicates', () => {
+    let trades = series(10, 0, 1)
+    trades[3].size = 0
+    trades[6].trade_id = 2
+    let auditor = scan(trades)
+    auditor.duplicates([{ _id: 2, n: 2 }, { _id: 9, n: 3 }])
+    let report = auditor.report()
+    expect(report.zero_size.count).toBe(1)
+    expect(report.out_of_order.examples).toEqual([{ time: 6 * MIN, trade_id: 2, after: 6 }])
+    expect(report.duplicates.count).toBe(3)
+    expect(audit.lines(report).length).toBe(6 + 1 + 1 + 2)
+  })
+
+  it('maps the hours with trades', () => {
+    let DAY = 24 * 60 * MIN
+    let trades = [{ time: DAY + 30 * MIN }, { time: DAY + 150 * MIN }].map((t, i) => Object.assign({ trade_id: i, price: 1, size: 1 }, t))
+    let lines = audit.coverage(scan(trades).report()).map(line => colors.stripColors(line))
+    expect(lines.length).toBe(2)
+    expect(lines[1]).toBe('1970-01-02 █·█' + ' '.repeat(21))
+  })
+})
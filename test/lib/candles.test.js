@@ -0,0 +1,48 @@
+let candles = require('../../lib/candles')
+
+describe('Candles', () => {
+  let candle = { selector: 'gdax.BTC-USD', time: 60000, open: 100, high: 110, low: 90, close: 105, volume: 8 }
+
+  it('knows the size of a candle in ms', () => {
+    expect(candles.sizeMs('1m')).toBe(60000)
+    expect(candles.sizeMs('1h')).toBe(3600000)
+  })
+
+  it('walks open, high, low, close within the candle', () => {
+    let trades = candles.toTrades(candle, '1m', 'ohlc', 'long')
+    expect(trades.map(t => t.price)).toEqual([100, 110, 90, 105])
+    expect(trades.map(t => t.time)).toEqual([60000, 80000, 100000, 119999])
+    expect(trades.every(t => t.size === 2)).toBe(true)
+  })
+
+  it('walks against the open position first in the worst case', () => {
+    expect(candles.toTrades(candle, '1m', 'worst', 'long').map(t => t.price)).toEqual([100, 90, 110, 105])
+    expect(candles.toTrades(candle, '1m', 'worst', 'short').map(t => t.price)).toEqual([100, 110, 90, 105])
+    expect(candles.toTrades(candle, '1m', 'worst', null).map(t => t.price)).toEqual([100, 110, 90, 105])
+  })
+
+  it('stores the aggregated trades as candles', (done) => {
+    let pipeline, written
+    let trades = {
+      aggregate: (p) => {
+        pipeline = p
+        return { toArray: () => Promise.resolve([{ _id: 60000, open: 1, high: 2, low: 0.5, close: 1.5, volume: 3 }]) }
+      }
+    }
+    let store = {
+      bulkWrite: (ops) => {
+        written = ops
+        return Promise.resolve()
+      }
+    }
+    candles.aggregate(trades, store, 'gdax.BTC-USD', '1m', 0, 120000).then((count) => {
+      expect(count).toBe(1)
+      expect(pipeline[0].$match).toEqual({ selector: 'gdax.BTC-USD', time: { $lte: 120000 } })
+      expect(written[0].replaceOne.replacement).toEqual({
+        _id: 'gdax.BTC-USD-1m-60000', selector: 'gdax.BTC-USD', size: '1m', time: 60000,
+        open: 1, high: 2, low: 0.5, close: 1.5, volume: 3
+      })
+      done()
+    })
+  })
+})
@@ -0,0 +1,66 @@
+let compare = require('../../lib/compare')
+  , settle = require('../../lib/settle')
+
+describe('Compare', () => {
+  it('crosses every strategy with every conf', () => {
+    let candidates = compare.candidates(['macd', 'rsi'], ['conf/x.js', 'conf/y.js'])
+    expect(candidates.map(c => c.name)).toEqual(['macd + x', 'macd + y', 'rsi + x', 'rsi + y'])
+    expect(compare.candidates(['macd', 'rsi'], []).map(c => c.name)).toEqual(['macd', 'rsi'])
+    expect(compare.candidates([], ['conf/x.js'])[0]).toEqual({ name: 'x', strategy: null, conf: 'conf/x.js' })
+  })
+
+  it('fills in the strategy defaults a candidate does not set', () => {
+    let so = compare.options({ strategy: 'macd', min_periods: 10 }, { strategy: 'trend_ema', conf: null })
+    expect(so.strategy).toBe('trend_ema')
+    expect(so.trend_ema).toBe(26)
+    expect(so.min_periods).toBe(10)
+    expect(so.period_length).toBe('2m')
+    expect(() => compare.options({}, { strategy: 'nope', conf: null })).toThrowError(/strategy nope not found/)
+  })
+
+  it('starts loading at the preroll of the candidate', () => {
+    expect(compare.queryStart({ start: 3600000 * 10, period_length: '1h', min_periods: 3 })).toBe(3600000 * 5)
+    expect(compare.queryStart({ period_length: '1h', min_periods: 3 })).toBe(null)
+  })
+
+  it('thins equity curves down keeping both ends', () => {
+    let curve = Array.from({ length: 1001 }, (v, i) => ({ time: i, equity: i }))
+    let thin = compare.thin(curve, 11)
+    expect(thin.length).toBe(11)
+    expect(thin[0].time).toBe(0)
+    expect(thin[5].time).toBe(500)
+    expect(thin[10].time).toBe(1000)
+    expect(compare.thin(curve.slice(0, 5), 11).length).toBe(5)
+  })
+
+  it('ranks the best first and failed candidates last', () => {
+    let results = [
+      { name: 'a', profit: 0.1, max_drawdown: 0.2 },
+      { name: 'b', error: 'no trades' },
+      { name: 'c', profit: 0.3, max_drawdown: 0.4 }
+    ]
+    expect(compare.rank(results, 'profit').map(r => r.name)).toEqual(['c', 'a', 'b'])
+    expect(compare.rank(results, 'max_drawdown').map(r => r.name)).toEqual(['a', 'c', 'b'])
+    let lines = compare.lines(compare.rank(results, 'profit'))
+    expect(lines.length).toBe(4)
+    expect(lines[3]).toContain('no trades')
+  })
+
+  it('settles a sim at the last close', () => {
+    let s = {
+      margin: { borrowed: 0, interest: 0 },
+      balance: { currency: 0, asset: 1 },
+      net_currency: 0,
+      period: { close: 120, time: 1 },
+      start_capital: 100,
+      start_price: 100,
+      my_trades: [{ type: 'buy', size: 1, price: 100 }]
+    }
+    let settled = settle(s)
+    expect(s.my_trades[1]).toEqual({ price: 120, size: 1, type: 'sell', time: 1 })
+    expect(s.balance).toEqual({ currency: '120.00000000', asset: 0 })
+    expect(settled.profit).toBeCloseTo(0.2, 10)
+    expect(settled.buy_hold).toBe(120)
+    expect(settled.vs_buy_hold).toBe(0)
+  })
+})
@@ -0,0 +1,77 @@
+let darwin = require('../../lib/darwin')
+  , Phenotypes = require('../../lib/phenotype')
+
+describe('Darwin', () => {
+  let ranges = {
+    period_length: Phenotypes.RangePeriod(1, 60, 'm'),
+    trend_ema: Phenotypes.Range(1, 40),
+    order_type: Phenotypes.ListOption(['maker', 'taker'])
+  }
+
+  function evaluated (trend_ema, vsBuyHold) {
+    return {
+      period_length: '10m', trend_ema: trend_ema, order_type: 'maker',
+      fitnessCalcType: 'vs_buy_hold', minTrades: 0,
+      sim: { vsBuyHold: vsBuyHold, wins: 2, losses: 1 }
+    }
+  }
+
+  it('seeds a population within the ranges', () => {
+    let population = darwin.seed(ranges, 20)
+    expect(population.length).toBe(20)
+    population.forEach(p => {
+      expect(Object.keys(p).sort()).toEqual(['order_type', 'period_length', 'trend_ema'])
+      expect(p.trend_ema).toBeGreaterThanOrEqual(1)
+      expect(p.trend_ema).toBeLessThanOrEqual(40)
+    })
+  })
+
+  it('ranks the fittest first and crashed sims last', () => {
+    let crashed = evaluated(3, 0)
+    crashed.sim = {}
+    let ranked = darwin.rank([evaluated(1, -10), crashed, evaluated(2, 20)])
+    expect(ranked.map(p => p.trend_ema)).toEqual([2, 1, 3])
+  })
+
+  it('keeps the elite with its results and breeds fresh children', () => {
+    let population = []
+    for (let i = 1; i <= 20; i++) population.push(evaluated(i, i))
+    let next = darwin.evolve(population, ranges, 20)
+    expect(next.length).toBe(20)
+    expect(next[0]).toBe(population[19])
+    expect(next[1]).toBe(population[18])
+    next.slice(2).forEach(child => {
+      expect(child.sim).toBeUndefined()
+      expect(Object.keys(child).sort()).toEqual(['order_type', 'period_length', 'trend_ema'])
+    })
+  })
+
+  it('seeds again when nothing is left to breed from', () => {
+    expect(darwin.evolve([], ranges, 5).length).toBe(5)
+  })
+
+  describe('fitness', () => {
+    it('selects on profit without falling through to vs_buy_hold', () => {
+      let p = evaluated(1, 50)
+      p.fitnessCalcType = 'profit'
+      Object.assign(p.sim, { profit: 0.2, assetCapital: 0, lastAssestValue: 100 })
+      expect(Phenotypes.fitness(p)).toBe(0.2)
+    })
+
+    it('selects on the sharpe ratio', () => {
+      let p = evaluated(1, 50)
+      p.fitnessCalcType = 'sharpe'
+      p.sim.sharpe = 1.5
+      expect(Phenotypes.fitness(p)).toBe(1.5)
+      p.minTrades = 4
+      expect(Phenotypes.fitness(p)).toBe(0.005)
+    })
+
+    it('selects on the calmar ratio', () => {
+      let p = evaluated(1, 50)
+      p.fitnessCalcType = 'calmar'
+      p.sim.calmar = 2
+      expect(Phenotypes.fitness(p)).toBe(2)
+    })
+  })
+})
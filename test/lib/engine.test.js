@@ -219,6 +219,346 @@ describe('Engine', function() {
       })
     })
   })
+
+  describe('executeSignal with position_mode', function() {
+    it('short should borrow and sell when there is no asset to sell', function() {
+      var borrow_spy = jasmine.createSpy('borrow').and.callFake(function(opts, cb) { cb(null, {}) })
+      var sell_spy = jasmine.createSpy('sell')
+      var sut = createMarginEngine('short', { currency: 1.0, asset: 0 }, { borrowed: 0, interest: 0 }, borrow_spy, sell_spy)
+      sut.executeSignal('sell')
+      expect(borrow_spy).toHaveBeenCalled()
+      expect(borrow_spy.calls.mostRecent().args[0].amount).toBe(9)
+      expect(sell_spy.calls.mostRecent().args[0].size).toBe('9.00000000')
+    })
+    it('short should ignore buy signals while flat', function() {
+      var buy_spy = jasmine.createSpy('buy')
+      var sut = createMarginEngine('short', { currency: 1.0, asset: 0 }, { borrowed: 0, interest: 0 }, null, null, buy_spy)
+      sut.executeSignal('buy')
+      expect(buy_spy).not.toHaveBeenCalled()
+    })
+    it('both should buy back borrowed asset and interest on a buy signal', function() {
+      var buy_spy = jasmine.createSpy('buy')
+      var sut = createMarginEngine('both', { currency: 2.0, asset: 0 }, { borrowed: 5, interest: 0.05 }, null, null, buy_spy)
+      sut.executeSignal('buy')
+      expect(buy_spy.calls.mostRecent().args[0].size).toBe('5.05505506')
+    })
+  })
+
+  describe('executeSignal with native_stops', function() {
+    it('should cancel the native stop before selling', function() {
+      var cancel_spy = jasmine.createSpy('cancelStop').and.callFake(function(opts, cb) { cb() })
+      var sell_spy = jasmine.createSpy('sell')
+      var s = {}
+      var sut = createNativeStopEngine(s, { status: 'cancelled', filled_size: 0 }, cancel_spy, sell_spy)
+      sut.executeSignal('sell')
+      expect(cancel_spy.calls.mostRecent().args[0].order_id).toBe(7)
+      expect(s.native_stop).toBeUndefined()
+      expect(sell_spy.calls.mostRecent().args[0].size).toBe('4.95000000')
+    })
+    it('should record a native stop that filled before the cancel', function() {
+      var cancel_spy = jasmine.createSpy('cancelStop').and.callFake(function(opts, cb) { cb() })
+      var s = {}
+      var sut = createNativeStopEngine(s, { id: 7, status: 'done', price: 0.09, filled_size: 5, leg: 'stop' }, cancel_spy, function() {})
+      sut.executeSignal('sell')
+      expect(s.my_trades.length).toBe(1)
+      expect(s.my_trades[0].type).toBe('sell')
+      expect(s.my_trades[0].price).toBe(0.09)
+    })
+    it('should see the fill of a native stop placed before the restart', function(done) {
+      var client = {
+        loadMarkets: function() { return Promise.resolve() },
+        marketId: function(symbol) { return symbol.replace('/', '') },
+        // the stop leg filled while stopped, so the list is no longer open
+        privateDeleteOrderList: function() { return Promise.reject(new Error('binance {"code":-2011,"msg":"Unknown order sent."}')) },
+        privateGetOrderList: function(params) {
+          expect(params.orderListId).toBe('5')
+          return Promise.resolve({ orders: [{ orderId: 11 }, { orderId: 12 }] })
+        },
+        fetchOrder: function(id) {
+          if (id === '12') return Promise.resolve({ id: id, status: 'closed', type: 'STOP_LOSS_LIMIT', price: 0.089, average: 0.089, amount: 5, filled: 5, stopPrice: 0.09, lastTradeTimestamp: 1000 })
+          return Promise.resolve({ id: id, status: 'expired', type: 'LIMIT_MAKER', price: 0.2, amount: 5, filled: 0 })
+        }
+      }
+      mock('ccxt', { binance: function() { return client } })
+      // a new exchange instance knows nothing of the stops placed before
+      var binance = mock.reRequire('../../extensions/exchanges/binance/exchange')({ binance: { key: 'key', secret: 'secret' } })
+      mock.stop('ccxt')
+      var s = { my_prev_trades: [] }
+      var sut = createNativeStopEngine(s, null, binance.cancelStop, function() {
+        expect(s.my_trades.length).toBe(1)
+        expect(s.my_trades[0].price).toBe(0.089)
+        expect(s.native_stop).toBeUndefined()
+        done()
+      }, { getStop: binance.getStop })
+      delete s.native_stop
+      var saved = { native_stop: { order_id: 'oco-5', stop_price: '0.09', target_price: '0.2', size: '5', placed_at: 0, checked_at: 0 }, lots: [] }
+      sut.recoverOrders(saved, function(err) {
+        expect(err).toBeFalsy()
+        expect(s.native_stop.order_id).toBe('oco-5')
+        sut.executeSignal('sell')
+      })
+    })
+  })
+
+  describe('sizing', function() {
+    it('should drop the sizing of a refused entry and use the one of the next', function(done) {
+      var buy_spy = jasmine.createSpy('buy')
+      var s = { my_prev_trades: [], lookback: [] }
+      var sut = createNativeStopEngine(s, null, null, null, {
+        getBalance: function(args, callback) { callback(null, { currency: 1, asset: 0 }) },
+        buy: buy_spy
+      })
+      delete s.native_stop
+      s.options.native_stops = false
+      s.options.buy_pct = 50
+      sut.loadRiskState({ halted: { reason: 'drawdown', time: 0 } })
+      s.sizing = { pct: 10 }
+      sut.executeSignal('buy', function(err, order) {
+        expect(order).toBe(null)
+        expect(s.sizing).toBeUndefined()
+        sut.resetRisk()
+        s.sizing = { pct: 20 }
+        buy_spy.and.callFake(function(opts) {
+          expect(s.sizing).toBeUndefined()
+          expect(Number(opts.size)).toBeCloseTo(1 / 100.1 * 20 / 0.1, 6)
+          done()
+        })
+        sut.executeSignal('buy', function(err) { done.fail(err) })
+      })
+    })
+  })
+
+  describe('risk_flatten', function() {
+    it('should keep flattening while halted until an order goes out', function(done) {
+      var sell_spy = jasmine.createSpy('sell')
+      var s = { my_prev_trades: [], lookback: [] }
+      var sut = createNativeStopEngine(s, null, null, sell_spy)
+      delete s.native_stop
+      delete s.period
+      s.options.native_stops = false
+      s.options.risk_flatten = true
+      s.strategy = { calculate: function() {}, onPeriod: function(s, cb) { cb() } }
+      s.balance = { currency: 0, asset: 5 }
+      sut.loadRiskState({ halted: { reason: 'drawdown', time: 0 } })
+      // an order in flight when the breach is seen
+      s.sell_order = { order_id: 3, price: 0.12, size: 1, remaining_size: 1 }
+      sut.update([{ trade_id: 1, time: 1000, price: 0.1, size: 1 }], function() {
+        sut.idle(function() {
+          expect(sell_spy).not.toHaveBeenCalled()
+          delete s.sell_order
+          sut.update([{ trade_id: 2, time: 2000, price: 0.1, size: 1 }, { trade_id: 3, time: 3000, price: 0.1, size: 1 }], function() {
+            sut.idle(function() {
+              setImmediate(function() {
+                expect(sell_spy.calls.count()).toBe(1)
+                expect(sell_spy.calls.mostRecent().args[0].order_type).toBe('taker')
+                done()
+              })
+            })
+          })
+        })
+      })
+    })
+    it('should flatten again once a delayed sell is given up', function(done) {
+      var sell_spy = jasmine.createSpy('sell')
+      var s = { my_prev_trades: [], lookback: [] }
+      // the asset is on hold, so the sell waits for it
+      var balance = { currency: 0, asset: 5, asset_hold: 5 }
+      var sut = createNativeStopEngine(s, null, null, sell_spy, {
+        getBalance: function(args, callback) { callback(null, Object.assign({}, balance)) }
+      })
+      delete s.native_stop
+      delete s.period
+      s.options.native_stops = false
+      s.options.risk_flatten = true
+      s.strategy = { calculate: function() {}, onPeriod: function(s, cb) { cb() } }
+      s.balance = Object.assign({}, balance)
+      sut.loadRiskState({ halted: { reason: 'drawdown', time: 0 } })
+      sut.update([{ trade_id: 1, time: 1000, price: 0.1, size: 1 }], function() {
+        sut.idle(function() {
+          expect(sell_spy).not.toHaveBeenCalled()
+          s.last_signal = 'buy'
+          setImmediate(function() {
+            balance.asset_hold = 0
+            sut.update([{ trade_id: 2, time: 2000, price: 0.1, size: 1 }, { trade_id: 3, time: 3000, price: 0.1, size: 1 }], function() {
+              sut.idle(function() {
+                setImmediate(function() {
+                  expect(sell_spy.calls.count()).toBe(1)
+                  done()
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+
+  describe('book_pricing', function() {
+    var book = {
+      bids: [[0.1, 50], [0.099, 1], [0.098, 40]],
+      asks: [[0.11, 5], [0.12, 5], [0.13, 100]]
+    }
+    function createBookEngine(s, buy_spy) {
+      var sut = createNativeStopEngine(s, null, null, null, {
+        getBalance: function(args, callback){ return callback(null, { currency: 10, asset: 0 }) },
+        getOrderBook: function(opts, cb) { cb(null, book) },
+        buy: buy_spy
+      })
+      delete s.native_stop
+      s.options.native_stops = false
+      s.options.book_pricing = true
+      s.options.book_thin_pct = 10
+      s.options.buy_pct = 50
+      s.options.max_slippage_pct = 5
+      return sut
+    }
+    it('should join the book past thin levels', function() {
+      var buy_spy = jasmine.createSpy('buy')
+      var s = { my_prev_trades: [] }
+      var sut = createBookEngine(s, buy_spy)
+      s.options.order_type = 'maker'
+      s.options.book_join_level = 1
+      sut.executeSignal('buy')
+      expect(buy_spy.calls.mostRecent().args[0].price).toBe('0.09')
+    })
+    it('should mark the book level down by markdown_buy_pct', function() {
+      var buy_spy = jasmine.createSpy('buy')
+      var s = { my_prev_trades: [] }
+      var sut = createBookEngine(s, buy_spy)
+      s.options.order_type = 'maker'
+      s.options.book_join_level = 0
+      s.options.markdown_buy_pct = 5
+      sut.executeSignal('buy')
+      expect(buy_spy.calls.mostRecent().args[0].price).toBe('0.09')
+    })
+    it('should refuse a taker order the book cannot fill within max_slippage_pct', function(done) {
+      var buy_spy = jasmine.createSpy('buy')
+      var s = { my_prev_trades: [] }
+      var sut = createBookEngine(s, buy_spy)
+      s.options.order_type = 'taker'
+      sut.executeSignal('buy', function(err) {
+        expect(err.message).toMatch(/slippage protection/)
+        expect(err.desc).toMatch(/order book/)
+        expect(buy_spy).not.toHaveBeenCalled()
+        done()
+      })
+    })
+  })
+
+  describe('exec_algo', function() {
+    beforeEach(function() {
+      jasmine.clock().install()
+    })
+    afterEach(function() {
+      jasmine.clock().uninstall()
+    })
+    it('should record the child fills as one trade', function(done) {
+      var orders = {}, last_id = 1
+      var place = function(opts, cb) {
+        var order = { id: last_id++, status: 'open', price: opts.price, size: opts.size }
+        orders[order.id] = order
+        cb(null, order)
+      }
+      var s = { my_prev_trades: [] }
+      var sut = createNativeStopEngine(s, null, null, null, {
+        getBalance: function(args, callback){ return callback(null, { currency: 10, asset: 0 }) },
+        buy: place,
+        getOrder: function(opts, cb) {
+          var order = orders[opts.order_id]
+          order.status = 'done'
+          order.filled_size = order.size
+          cb(null, order)
+        },
+        cancelOrder: function(opts, cb) { cb() }
+      })
+      delete s.native_stop
+      s.options.native_stops = false
+      s.options.exec_algo = 'ladder'
+      s.options.exec_slices = 3
+      s.options.buy_pct = 50
+      s.options.order_poll_time = 1000
+      s.options.max_slippage_pct = 1
+      sut.executeSignal('buy', function(err, order) {
+        expect(err).toBeFalsy()
+        expect(order.children.length).toBe(3)
+        expect(s.my_trades.length).toBe(1)
+        expect(s.my_trades[0].exec_algo).toBe('ladder')
+        expect(s.my_trades[0].child_orders).toBe(3)
+        done()
+      })
+      jasmine.clock().tick(1000)
+    })
+  })
+
+  describe('recoverOrders', function() {
+    beforeEach(function() {
+      jasmine.clock().install()
+    })
+    afterEach(function() {
+      jasmine.clock().uninstall()
+    })
+    it('should record a fill that happened while stopped', function(done) {
+      var s = { my_prev_trades: [] }
+      var sut = createNativeStopEngine(s, null, null, null, {
+        getOrder: function(opts, cb) { cb(null, { id: opts.order_id, status: 'done', price: 0.1, done_at: 1000, filled_size: 2 }) }
+      })
+      delete s.native_stop
+      var saved = { buy_order: { order_id: 3, price: 0.1, size: 2, orig_size: 2, orig_price: 0.1, orig_time: 500, remaining_size: 2 }, lots: [] }
+      sut.recoverOrders(saved, function(err) {
+        expect(err).toBeFalsy()
+        expect(s.my_trades.length).toBe(1)
+        expect(s.my_trades[0].order_id).toBe(3)
+        expect(s.lots[0].entry_price).toBe(0.1)
+        expect(s.buy_order).toBeUndefined()
+        done()
+      })
+    })
+    it('should re-adopt an order that is still open', function(done) {
+      var s = { my_prev_trades: [] }
+      var sut = createNativeStopEngine(s, null, null, null, {
+        getOrder: function(opts, cb) { cb(null, { id: opts.order_id, status: 'open', filled_size: 1 }) }
+      })
+      delete s.native_stop
+      var saved = { sell_order: { order_id: 4, price: 0.12, size: 5, orig_size: 5, remaining_size: 5 } }
+      sut.recoverOrders(saved, function(err) {
+        expect(err).toBeFalsy()
+        expect(s.sell_order.order_id).toBe(4)
+        expect(s.sell_order.remaining_size).toBe('4.00000000')
+        expect(s.my_trades.length).toBe(0)
+        done()
+      })
+    })
+  })
+
+  describe('shutdown', function() {
+    it('should cancel working orders and wait for the confirmation', function(done) {
+      var cancel_spy = jasmine.createSpy('cancelOrder').and.callFake(function(opts, cb) { cb() })
+      var s = {}
+      var sut = createNativeStopEngine(s, null, null, null, {
+        cancelOrder: cancel_spy,
+        getOrder: function(opts, cb) { cb(null, { id: opts.order_id, status: cancel_spy.calls.count() ? 'cancelled' : 'open' }) }
+      })
+      delete s.native_stop
+      s.buy_order = { order_id: 3, price: 0.1, size: 1, remaining_size: 1 }
+      sut.shutdown({ keep_orders: false }, function(err) {
+        expect(err).toBeFalsy()
+        expect(cancel_spy.calls.mostRecent().args[0].order_id).toBe(3)
+        expect(s.buy_order).toBeUndefined()
+        done()
+      })
+    })
+    it('should leave working orders with keep_orders', function(done) {
+      var cancel_spy = jasmine.createSpy('cancelOrder')
+      var s = {}
+      var sut = createNativeStopEngine(s, null, null, null, { cancelOrder: cancel_spy })
+      s.buy_order = { order_id: 3, price: 0.1, size: 1, remaining_size: 1 }
+      sut.shutdown({ keep_orders: true }, function() {
+        expect(cancel_spy).not.toHaveBeenCalled()
+        expect(s.buy_order.order_id).toBe(3)
+        done()
+      })
+    })
+  })
 })
 
 var mock = require('mock-require')
@@ -286,4 +626,113 @@ function createEngine(currency_amount, buy_pct, deposit, order_type, held_asset,
   var engine = require('../../lib/engine')
   
   return engine(input, fake_return['conf'])
-}
\ No newline at end of file
+}
+
+function createMarginEngine(position_mode, balance, margin, borrow_spy, sell_spy, buy_spy){
+  var fake_product = {
+    'asset': 'test_asset',
+    'currency': 'BTC',
+    'min_total': '0.1',
+    'max_size': null,
+    'increment': '0.01',
+    'label': 'Test TST/BTC'
+  }
+  var conf = {
+    eventBus: new EventEmitter(),
+    output: {
+      api: {}
+    }
+  }
+  var exchange_path = path.resolve(__dirname, '../../extensions/exchanges/test_exchange/exchange')
+  mock(exchange_path, function() { return {
+    getProducts: function() { return [fake_product] },
+    getQuote: function(product, callback){ callback(null, { bid: 0.10, ask: 0.11 }) },
+    getBalance: function(args, callback){ return callback(null, Object.assign({}, balance)) },
+    getMargin: function(args, callback){ return callback(null, margin) },
+    borrow: borrow_spy || function(opts, callback){ callback(null, {}) },
+    repay: function(opts, callback){ callback(null, {}) },
+    buy: buy_spy || function() {},
+    sell: sell_spy || function() {},
+    name: 'test_exchange',
+    makerFee: 0.1,
+    takerFee: 0.2
+  }
+  })
+  mock('./notify', { pushMessage: function(){ } })
+
+  var input = {
+    options: {
+      selector: {
+        exchange_id: 'test_exchange',
+        product_id: 'test_product',
+        asset: 'test_asset',
+        currency: 'BTC'
+      },
+      period: '30m',
+      mode: 'live',
+      order_type: 'maker',
+      buy_pct: 99,
+      sell_pct: 99,
+      markup_sell_pct: 0,
+      markdown_buy_pct: 0,
+      position_mode: position_mode
+    }
+  }
+  var engine = require('../../lib/engine')
+  var sut = engine(input, conf)
+  input.period = { close: 0.11 }
+  return sut
+}
+
+function createNativeStopEngine(input, stop_order, cancel_spy, sell_spy, exchange_overrides){
+  var fake_product = {
+    'asset': 'test_asset',
+    'currency': 'BTC',
+    'min_total': '0.1',
+    'max_size': null,
+    'increment': '0.01',
+    'label': 'Test TST/BTC'
+  }
+  var conf = {
+    eventBus: new EventEmitter(),
+    output: {
+      api: {}
+    }
+  }
+  var exchange_path = path.resolve(__dirname, '../../extensions/exchanges/test_exchange/exchange')
+  mock(exchange_path, function() { return Object.assign({
+    getProducts: function() { return [fake_product] },
+    getQuote: function(product, callback){ callback(null, { bid: 0.10, ask: 0.11 }) },
+    getBalance: function(args, callback){ return callback(null, { currency: 0, asset: 5 }) },
+    placeStop: function(opts, callback){ callback(null, { id: 8, status: 'open' }) },
+    cancelStop: cancel_spy,
+    getStop: function(opts, callback){ callback(null, stop_order) },
+    sell: sell_spy,
+    name: 'test_exchange',
+    makerFee: 0.1,
+    takerFee: 0.2
+  }, exchange_overrides)
+  })
+  mock('./notify', { pushMessage: function(){ } })
+
+  input.options = {
+    selector: {
+      exchange_id: 'test_exchange',
+      product_id: 'test_product',
+      asset: 'test_asset',
+      currency: 'BTC'
+    },
+    period: '30m',
+    mode: 'live',
+    order_type: 'maker',
+    sell_pct: 99,
+    markup_sell_pct: 0,
+    markdown_buy_pct: 0,
+    native_stops: true
+  }
+  var engine = require('../../lib/engine')
+  var sut = engine(input, conf)
+  input.period = { close: 0.11 }
+  input.native_stop = { order_id: 7, stop_price: '0.09', size: '5', placed_at: 0, checked_at: 0 }
+  return sut
+}
@@ -0,0 +1,73 @@
+let ensemble = require('../../lib/ensemble')
+  , strategy = require('../../extensions/strategies/ensemble/strategy')
+
+describe('Ensemble', () => {
+  let so = { vote_pct: 50, quorum: 2, min_score: 0.25 }
+
+  function votes (list) {
+    return list.map(([signal, weight, confidence]) => ({ signal: signal, weight: weight, confidence: confidence === undefined ? 1 : confidence }))
+  }
+
+  // runs the ensemble strategy like the engine, a period of two trades a minute
+  function run (s, closes) {
+    s.lookback = []
+    closes.forEach(function (close, i) {
+      s.period = { period_id: 'm' + i, time: i * 60000, open: close, high: close, low: close, close: close - 1, volume: 1, close_time: i * 60000 + 59999 }
+      strategy.calculate(s)
+      s.period.close = close
+      strategy.calculate(s)
+      strategy.onPeriod(s, () => {})
+      s.lookback.unshift(s.period)
+    })
+  }
+
+  it('parses the members and their weights', () => {
+    expect(ensemble.parse('cci_srsi:2, stddev,algo1:0.5')).toEqual([
+      { name: 'cci_srsi', weight: 2 },
+      { name: 'stddev', weight: 1 },
+      { name: 'algo1', weight: 0.5 }
+    ])
+    expect(() => ensemble.parse('stddev:x')).toThrowError('ensemble member stddev:x has an invalid weight')
+  })
+
+  it('combines the signals by weighted vote, quorum or score', () => {
+    let list = votes([['buy', 2], ['sell', 1], [null, 1]])
+    expect(ensemble.combine(list, Object.assign({ combine: 'vote' }, so))).toBe('buy')
+    expect(ensemble.combine(list, Object.assign({}, so, { combine: 'vote', vote_pct: 60 }))).toBe(null)
+    expect(ensemble.combine(list, Object.assign({ combine: 'quorum' }, so))).toBe(null)
+    expect(ensemble.combine(votes([['sell', 1], ['sell', 1], [null, 3]]), Object.assign({ combine: 'quorum' }, so))).toBe('sell')
+    // (2 * 0.5 - 1 * 1) / 4 is no score, a confident buy is
+    list = votes([['buy', 2, 0.5], ['sell', 1, 1], [null, 1]])
+    expect(ensemble.combine(list, Object.assign({ combine: 'score' }, so))).toBe(null)
+    list = votes([['buy', 2, 1], ['sell', 1, 0.5], [null, 1]])
+    expect(ensemble.combine(list, Object.assign({ combine: 'score' }, so))).toBe('buy')
+  })
+
+  it('runs the members in their own state and scores their signals', () => {
+    let s = {
+      options: { members: 'momentum:2,noop', combine: 'vote', vote_pct: 50, accuracy_periods: 2, momentum: { momentum_size: 2 } }
+    }
+    // rising faster and faster, momentum buys from its third period on
+    run(s, Array.from({ length: 12 }, (v, i) => (i + 10) * (i + 10)))
+    let [momentum, noop] = s.ensemble.members
+    expect(momentum.state.options.momentum_size).toBe(2)
+    expect(momentum.state.options.period_length).toBe('1h')
+    expect(s.options.momentum_size).toBe(undefined)
+    expect(s.lookback[0].mom0).toBe(undefined)
+    expect(momentum.state.lookback.length).toBe(11)
+    expect(momentum.state.lookback[0].mom0).toBe(20 * 20 - 18 * 18)
+    expect(momentum.last_signal).toBe('buy')
+    expect(noop.last_signal).toBe(null)
+    expect(s.signal).toBe('buy')
+    // the buys of periods 2 to 8 are scored at the close of periods 4 to 10
+    expect(momentum.scored).toBe(7)
+    expect(s.ensemble.rate(momentum)).toBe(1)
+    expect(s.ensemble.rate(noop)).toBe(null)
+    expect(strategy.onReport(s).length).toBe(2)
+
+    s = { options: { members: 'momentum,nothing_here', combine: 'vote' } }
+    expect(() => strategy.calculate(Object.assign(s, { period: {}, lookback: [] }))).toThrowError('ensemble member nothing_here is not a strategy')
+    s = { options: { members: 'noop', combine: 'majority' }, period: {}, lookback: [] }
+    expect(() => strategy.calculate(s)).toThrowError(/unknown ensemble combine mode majority/)
+  })
+})
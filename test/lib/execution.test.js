@@ -0,0 +1,142 @@
+let execution = require('../../lib/execution')
+
+describe('Execution', () => {
+  let s, placed, clock_now, quote
+
+  function fakeExchange (fill) {
+    let orders = {}
+    let last_id = 1
+    function place (opts, cb) {
+      let order = { id: last_id++, status: 'open', price: opts.price, size: opts.size, filled_size: 0, post_only: opts.post_only }
+      orders[order.id] = order
+      placed.push(order)
+      cb(null, order)
+    }
+    return {
+      buy: place,
+      sell: place,
+      getOrder: (opts, cb) => {
+        let order = orders[opts.order_id]
+        if (order.status === 'open' && fill(order)) {
+          order.status = 'done'
+          order.filled_size = Number(order.size)
+          order.done_at = clock_now
+        }
+        cb(null, order)
+      },
+      cancelOrder: (opts, cb) => {
+        orders[opts.order_id].status = 'cancelled'
+        cb()
+      }
+    }
+  }
+
+  function createExecutor () {
+    return execution(s, {
+      quote: (cb) => cb(null, quote),
+      price: (type, quote) => type === 'buy' ? quote.bid : quote.ask,
+      now: () => clock_now,
+      onChange: () => {}
+    })
+  }
+
+  beforeEach(() => {
+    jasmine.clock().install()
+    placed = []
+    clock_now = 0
+    quote = { bid: '100.00', ask: '100.00' }
+    s = {
+      product_id: 'BTC-USD',
+      product: { increment: '0.01', asset_increment: '0.0001', min_size: '0.1' },
+      options: { exec_algo: 'twap', exec_slices: 4, exec_interval: 1000, order_poll_time: 500, order_adjust_time: 2000, max_slippage_pct: 1 }
+    }
+  })
+
+  afterEach(() => {
+    jasmine.clock().uninstall()
+  })
+
+  function tick (ms) {
+    clock_now += ms
+    jasmine.clock().tick(ms)
+  }
+
+  it('twap places the slices over time and rolls the fills up', () => {
+    s.exchange = fakeExchange(() => true)
+    let parent = { price: '100.00', orig_price: '100.00', size: '1.0000' }
+    s.buy_order = parent
+    let result
+    createExecutor().run('buy', parent, (err, order) => { result = order })
+    expect(placed.length).toBe(1)
+    tick(500)
+    expect(placed.length).toBe(1)
+    tick(500)
+    expect(placed.length).toBe(2)
+    tick(3000)
+    expect(placed.length).toBe(4)
+    expect(placed.map(order => order.size)).toEqual(['0.2500', '0.2500', '0.2500', '0.2500'])
+    expect(result.size).toBe('1.0000')
+    expect(result.price).toBe('100.00')
+    expect(result.children.length).toBe(4)
+  })
+
+  it('keeps the children above min_size', () => {
+    s.options.exec_algo = 'ladder'
+    s.options.exec_slices = 10
+    s.options.exec_ladder_step_pct = 1
+    s.exchange = fakeExchange(() => false)
+    let parent = { price: '100.00', orig_price: '100.00', size: '0.3000' }
+    s.sell_order = parent
+    createExecutor().run('sell', parent, () => {})
+    expect(placed.map(order => order.size)).toEqual(['0.1000', '0.1000', '0.1000'])
+    expect(placed.map(order => order.price)).toEqual(['100.00', '101.00', '102.00'])
+    expect(placed.every(order => order.post_only)).toBe(true)
+  })
+
+  it('iceberg waits for a piece to fill before showing the next', () => {
+    s.options.exec_algo = 'iceberg'
+    s.options.exec_display_pct = 50
+    let filling = false
+    s.exchange = fakeExchange(() => filling)
+    let parent = { price: '100.00', orig_price: '100.00', size: '1.0000' }
+    s.buy_order = parent
+    createExecutor().run('buy', parent, () => {})
+    tick(1000)
+    expect(placed.length).toBe(1)
+    filling = true
+    tick(500)
+    expect(placed.length).toBe(2)
+  })
+
+  it('stops at the slippage protection and keeps what filled', () => {
+    let filled_first = false
+    s.exchange = fakeExchange(() => {
+      if (filled_first) return false
+      filled_first = true
+      return true
+    })
+    let parent = { price: '100.00', orig_price: '100.00', size: '1.0000' }
+    s.buy_order = parent
+    let result
+    createExecutor().run('buy', parent, (err, order) => { result = order })
+    quote = { bid: '102.00', ask: '102.00' }
+    tick(1000)
+    expect(parent.stopped).toMatch(/slippage/)
+    expect(result.size).toBe('0.2500')
+  })
+
+  it('cancels the children when the order is withdrawn', () => {
+    s.exchange = fakeExchange(() => false)
+    let parent = { price: '100.00', orig_price: '100.00', size: '1.0000' }
+    s.buy_order = parent
+    let result
+    let executor = createExecutor()
+    executor.run('buy', parent, (err, order) => { result = order })
+    delete s.buy_order
+    let stopped = false
+    executor.stop('buy', () => { stopped = true })
+    expect(stopped).toBe(true)
+    expect(result).toBe(false)
+    expect(placed[0].status).toBe('cancelled')
+  })
+})
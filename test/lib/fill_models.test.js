@@ -0,0 +1,66 @@
+let fillModel = require('../../lib/fill_models')
+
+describe('Fill models', () => {
+  let s
+
+  beforeEach(() => {
+    s = {
+      options: { order_adjust_time: 1000, avg_slippage_pct: 0.1, participation_pct: 10, queue_ahead_pct: 50, slippage_impact_pct: 1, order_type: 'maker' },
+      lookback: [{ volume: 100 }, { volume: 300 }],
+      period: { volume: 0 }
+    }
+  })
+
+  function order (opts) {
+    return Object.assign({ tradetype: 'buy', price: 100, size: 10, remaining_size: 10, time: 0, ordertype: 'maker' }, opts)
+  }
+
+  it('optimistic fills up to the trade size once order_adjust_time passed', () => {
+    let model = fillModel(s)
+    expect(model.fill(order(), { price: 99, size: 4, time: 500 })).toBeNull()
+    let fill = model.fill(order(), { price: 99, size: 4, time: 1000 })
+    expect(fill.size).toBe(4)
+    expect(fill.price).toBe('100.10000000')
+  })
+
+  it('queue works through the size ahead before filling', () => {
+    s.options.fill_model = 'queue'
+    let model = fillModel(s)
+    let resting = order()
+    model.onPlace(resting)
+    // half of the 200 average period volume is ahead
+    expect(resting.queue_ahead).toBe(100)
+    expect(model.fill(resting, { price: 100, size: 80, time: 1 })).toBeNull()
+    let fill = model.fill(resting, { price: 100, size: 40, time: 2 })
+    expect(fill.size).toBeCloseTo(2, 8)
+    expect(resting.queue_ahead).toBe(0)
+  })
+
+  it('queue clears the level on a trade through the price', () => {
+    s.options.fill_model = 'queue'
+    let model = fillModel(s)
+    let resting = order()
+    model.onPlace(resting)
+    let fill = model.fill(resting, { price: 99, size: 50, time: 1 })
+    expect(fill.size).toBe(5)
+    expect(resting.queue_ahead).toBe(0)
+  })
+
+  it('volume_share takes the participation rate of each trade', () => {
+    s.options.fill_model = 'volume_share'
+    let model = fillModel(s)
+    expect(model.fill(order(), { price: 101, size: 50, time: 1 })).toBeNull()
+    expect(model.fill(order(), { price: 100, size: 50, time: 1 }).size).toBe(5)
+  })
+
+  it('slips taker orders in proportion to their size', () => {
+    s.options.fill_model = 'volume_share'
+    let model = fillModel(s)
+    let small = model.fill(order({ ordertype: 'taker', remaining_size: 2 }), { price: 100, size: 1, time: 1 })
+    let large = model.fill(order({ ordertype: 'taker', remaining_size: 200 }), { price: 100, size: 1, time: 1 })
+    // 0.1% plus 1% per 200 of size
+    expect(Number(small.price)).toBeCloseTo(100.11, 8)
+    expect(Number(large.price)).toBeCloseTo(101.1, 8)
+    expect(large.size).toBe(200)
+  })
+})
@@ -0,0 +1,86 @@
+let importer = require('../../lib/import')
+
+describe('Import', () => {
+  it('reads headerless Binance trade dumps by their column count', () => {
+    let line = '12345,0.01634790,4.70000000,0.07683513,1704067200123,True,True'
+    let detected = importer.detect(line, 'auto')
+    expect(detected.layout).toBe('binance_trades')
+    let parse = importer.parser(detected, 'binance.BTC-USDT')
+    expect(parse(line)).toEqual({
+      time: 1704067200123,
+      price: 0.0163479,
+      size: 4.7,
+      side: 'sell',
+      trade_id: 12345,
+      id: 'binance.BTC-USDT-12345',
+      _id: 'binance.BTC-USDT-12345',
+      selector: 'binance.BTC-USDT'
+    })
+    expect(importer.detect('1,2,3,4,5,1704067200123,false,true', 'auto').layout).toBe('binance_agg_trades')
+    expect(() => importer.detect('1,2,3,4,5,6,7,8,9', 'auto')).toThrowError(/--format/)
+  })
+
+  it('maps header and object columns by their names', () => {
+    let detected = importer.detect('Timestamp,Side,Price,Amount', 'auto')
+    expect(detected.header).toBe(true)
+    let parse = importer.parser(detected, 'x.A-B')
+    expect(parse('2024-01-01T00:00:00Z,SELL,10.5,2')).toEqual(jasmine.objectContaining({ time: 1704067200000, price: 10.5, size: 2, side: 'sell' }))
+
+    let agg = '{"a":26129,"p":"0.01633102","q":"4.70443515","f":27781,"l":27781,"T":1498793709153,"m":true,"M":true}'
+    parse = importer.parser(importer.detect(agg, 'auto'), 'x.A-B')
+    expect(parse(agg)).toEqual(jasmine.objectContaining({ trade_id: 26129, time: 1498793709153, side: 'sell' }))
+    parse = importer.parser(importer.detect('{"id":1,"price":"2","qty":"3","time":1498793709153,"isBuyerMaker":false}', 'auto'), 'x.A-B')
+    expect(parse({ id: 1, price: '2', qty: '3', time: 1498793709153, isBuyerMaker: false }).side).toBe('buy')
+    expect(parse('{"id":1,"pri')).toBe(null)
+  })
+
+  it('tells the one letter Binance keys apart by case', () => {
+    // a trade stream event: t is the trade id, T its time, M not the maker
+    let event = { e: 'trade', E: 1498793709200, s: 'BNBBTC', t: 12345, p: '0.001', q: '100', b: 88, a: 50, T: 1498793709153, M: true, m: false }
+    let parse = importer.parser(importer.detect(JSON.stringify(event), 'auto'), 'x.A-B')
+    expect(parse(event)).toEqual(jasmine.objectContaining({ trade_id: 12345, time: 1498793709153, price: 0.001, size: 100, side: 'buy' }))
+    // a kline: t is its open, T its close
+    let kline = { t: 1704067200000, T: 1704067259999, o: '1', c: '2', h: '3', l: '0.5', v: '10' }
+    let detected = importer.detect(JSON.stringify(kline), 'auto')
+    expect(detected.kind).toBe('klines')
+    expect(importer.parser(detected, 'x.A-B')(kline)).toEqual(jasmine.objectContaining({ size: '1m', time: 1704067200000, open: 1, close: 2 }))
+  })
+
+  it('takes epoch seconds, milliseconds and microseconds', () => {
+    expect(importer.time('1704067200')).toBe(1704067200000)
+    expect(importer.time(1704067200.5)).toBe(1704067200500)
+    expect(importer.time('1704067200123')).toBe(1704067200123)
+    expect(importer.time('1704067200123456')).toBe(1704067200123)
+    expect(importer.time('')).toBeNaN()
+  })
+
+  it('gives trades without ids stable ones and skips rows it cannot use', () => {
+    let parse = importer.parser(importer.detect('1704067200000,10,1', 'auto'), 'x.A-B')
+    let ids = ['1704067200000,10,1', '1704067200000,10,1', '1704067200001,9,1'].map(line => parse(line))
+    expect(ids.map(trade => trade.trade_id)).toEqual(['1704067200000-10-1-buy', '1704067200000-10-1-buy-1', '1704067200001-9-1-sell'])
+    expect(parse('1704067200002,0,1')).toBe(null)
+    expect(parse('not a time,10,1')).toBe(null)
+  })
+
+  it('turns klines into candles of the size they span', () => {
+    let line = '1704067200000,42283.58,42298.62,42261.02,42298.61,35.92724,1704067259999,1519032.6,1327,19.42,821118.0,0'
+    let detected = importer.detect(line, 'auto')
+    expect(detected.kind).toBe('klines')
+    expect(importer.parser(detected, 'binance.BTC-USDT')(line)).toEqual({
+      _id: 'binance.BTC-USDT-1m-1704067200000',
+      selector: 'binance.BTC-USDT',
+      size: '1m',
+      time: 1704067200000,
+      open: 42283.58,
+      high: 42298.62,
+      low: 42261.02,
+      close: 42298.61,
+      volume: 35.92724
+    })
+    expect(importer.candleSize(0, 3600000 - 1)).toBe('1h')
+    let parse = importer.parser(importer.detect('time,open,high,low,close', 'auto'), 'x.A-B')
+    expect(() => parse('1704067200000,1,2,0.5,1.5')).toThrowError(/--candle_size/)
+    parse = importer.parser(importer.detect('time,open,high,low,close', 'auto'), 'x.A-B', '5m')
+    expect(parse('1704067200000,1,2,0.5,1.5').size).toBe('5m')
+  })
+})
@@ -0,0 +1,227 @@
+let indicators = require('../../lib/indicators')
+  , ta_macd = require('../../lib/ta_macd')
+  , ti_stoch = require('../../lib/ti_stoch')
+  , sma = require('../../lib/sma')
+  , stddev = require('../../lib/stddev')
+
+describe('Indicators', () => {
+  // the closes of the EMA and RSI examples of stockcharts.com
+  let EMA_CLOSES = [22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17]
+  let RSI_CLOSES = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21]
+
+  function bars (count) {
+    return Array.from({ length: count }, (v, i) => {
+      let close = 100 + 10 * Math.sin(i / 5) + (i % 3)
+      return { time: i * 60000, open: close - 1, high: close + 1 + (i % 4), low: close - 2 - (i % 5), close: close, volume: 10 + (i % 7) }
+    })
+  }
+
+  function round (values, digits) {
+    return values.map(v => Number(v.toFixed(digits)))
+  }
+
+  it('matches the published EMA and RSI examples', () => {
+    let ema = indicators.run(indicators.ema(10), EMA_CLOSES)
+    expect(ema.length).toBe(21)
+    expect(round(ema.slice(0, 6), 2)).toEqual([22.22, 22.21, 22.24, 22.27, 22.33, 22.52])
+    expect(round(ema.slice(-3), 2)).toEqual([23.23, 23.08, 22.92])
+    // stockcharts rounds the first averages and shows 70.53, talib gives 70.46
+    let rsi = indicators.run(indicators.rsi(14), RSI_CLOSES)
+    expect(round(rsi, 2)).toEqual([70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88])
+  })
+
+  it('peeks at the next value without changing the state', () => {
+    let closes = bars(80).map(bar => bar.close)
+    let names = ['SMA', 'EMA', 'WMA', 'DEMA', 'TEMA', 'TRIMA', 'KAMA', 'MAMA', 'T3']
+    names.forEach(function (name) {
+      let ind = indicators.ma(name, 5)
+      let reference = indicators.ma(name, 5)
+      closes.forEach(function (close) {
+        ind.peek(close + 50)
+        let peeked = ind.peek(close)
+        expect(ind.update(close)).toBe(peeked)
+        expect(reference.update(close)).toBe(peeked)
+      })
+      expect(indicators.run(indicators.ma(name, 5), closes).length).toBe(80 - indicators.ma(name, 5).lookback)
+    })
+  })
+
+  it('computes the windowed indicators like their definitions', () => {
+    let data = bars(60)
+    let closes = data.map(bar => bar.close)
+    let last = (list, n, i) => list.slice(i - n + 1, i + 1)
+    let mean = list => list.reduce((a, b) => a + b, 0) / list.length
+
+    let wma = indicators.run(indicators.wma(4), closes)
+    let trima = indicators.run(indicators.trima(4), closes)
+    let bands = indicators.run(indicators.bbands(20, 2, 1, 'SMA'), closes)
+    let willr = indicators.run(indicators.willr(14), data)
+    let stoch = indicators.run(indicators.stoch(5, 3, 'SMA', 3, 'SMA'), data)
+    for (let i = 19; i < 60; i++) {
+      let w = last(closes, 4, i)
+      expect(wma[i - 3]).toBeCloseTo((w[0] + 2 * w[1] + 3 * w[2] + 4 * w[3]) / 10, 9)
+      expect(trima[i - 3]).toBeCloseTo((w[0] + 2 * w[1] + 2 * w[2] + w[3]) / 6, 9)
+      let window = last(closes, 20, i)
+      let sd = Math.sqrt(mean(window.map(x => x * x)) - Math.pow(mean(window), 2))
+      expect(bands[i - 19].middle).toBeCloseTo(mean(window), 9)
+      expect(bands[i - 19].upper).toBeCloseTo(mean(window) + 2 * sd, 9)
+      expect(bands[i - 19].lower).toBeCloseTo(mean(window) - sd, 9)
+      let range = last(data, 14, i)
+      let high = Math.max.apply(null, range.map(bar => bar.high))
+      let low = Math.min.apply(null, range.map(bar => bar.low))
+      expect(willr[i - 13]).toBeCloseTo((high - closes[i]) / (high - low) * -100, 9)
+    }
+    let fast = i => {
+      let range = last(data, 5, i)
+      let high = Math.max.apply(null, range.map(bar => bar.high))
+      let low = Math.min.apply(null, range.map(bar => bar.low))
+      return (closes[i] - low) / (high - low) * 100
+    }
+    let slow = i => mean([fast(i), fast(i - 1), fast(i - 2)])
+    expect(stoch.length).toBe(60 - 8)
+    expect(stoch[stoch.length - 1].k).toBeCloseTo(slow(59), 9)
+    expect(stoch[stoch.length - 1].d).toBeCloseTo(mean([slow(59), slow(58), slow(57)]), 9)
+  })
+
+  it('lines up the EMAs of MACD like talib and starts them at the first close like tulind', () => {
+    let closes = bars(50).map(bar => bar.close)
+    let emaAt = function (period, start, end, k) {
+      let value = mean(closes.slice(start, start + period))
+      for (let i = start + period; i <= end; i++) value = (closes[i] - value) * k + value
+      return value
+    }
+    let mean = list => list.reduce((a, b) => a + b, 0) / list.length
+    let talib = indicators.run(indicators.macd(3, 6, 4), closes)
+    expect(talib.length).toBe(50 - (5 + 3))
+    // the fast EMA is seeded on the 3 closes up to the first slow EMA
+    let macdAt = i => emaAt(3, 3, i, 2 / 4) - emaAt(6, 0, i, 2 / 7)
+    expect(talib[0].macd).toBeCloseTo(macdAt(8), 9)
+    expect(talib[0].signal).toBeCloseTo(mean([5, 6, 7, 8].map(macdAt)), 9)
+
+    let tulip = indicators.run(indicators.macd(12, 26, 9, { seed: 'first' }), closes)
+    expect(tulip.length).toBe(50 - 25)
+    let fast = closes[0], slow = closes[0]
+    for (let i = 1; i <= 25; i++) {
+      fast = (closes[i] - fast) * 0.15 + fast
+      slow = (closes[i] - slow) * 0.075 + slow
+    }
+    expect(tulip[0].macd).toBeCloseTo(fast - slow, 9)
+    expect(tulip[0].signal).toBeCloseTo(fast - slow, 9)
+  })
+
+  it('computes the ultimate oscillator, TRIX and the volume indicators', () => {
+    let data = bars(40)
+    let ultosc = indicators.run(indicators.ultosc(7, 14, 28), data)
+    expect(ultosc.length).toBe(40 - 28)
+    let sums = function (period, i) {
+      let bp = 0, tr = 0
+      for (let j = i - period + 1; j <= i; j++) {
+        let prev = data[j - 1].close
+        bp += data[j].close - Math.min(data[j].low, prev)
+        tr += Math.max(data[j].high, prev) - Math.min(data[j].low, prev)
+      }
+      return bp / tr
+    }
+    expect(ultosc[ultosc.length - 1]).toBeCloseTo(100 * (4 * sums(7, 39) + 2 * sums(14, 39) + sums(28, 39)) / 7, 9)
+
+    let trix = indicators.run(indicators.trix(3), [1, 2, 3, 4, 5, 6, 7, 8])
+    expect(trix.length).toBe(8 - 7)
+    expect(trix[0]).toBeCloseTo((5 - 4) / 4 * 100, 9)
+
+    let flat = [{ close: 10, volume: 5 }, { close: 11, volume: 3 }, { close: 11, volume: 4 }, { close: 9, volume: 2 }]
+    expect(indicators.run(indicators.obv(), flat)).toEqual([5, 8, 8, 6])
+    let ad = indicators.run(indicators.ad(), [{ high: 10, low: 8, close: 10, volume: 5 }, { high: 10, low: 8, close: 8, volume: 2 }])
+    expect(ad).toEqual([5, 3])
+  })
+
+  it('feeds the closed periods once and keeps the call signatures of the helpers', async () => {
+    let data = bars(60)
+    let s = { lookback: [], period: null }
+    let reference = indicators.macd(12, 26, 9)
+    let seen
+    for (let i = 0; i < data.length; i++) {
+      s.period = data[i]
+      let signal = await ta_macd(s, 26, 12, 9)
+      let expected = reference.peek(data[i].close)
+      if (i < 34) expect(signal).toBe(undefined)
+      else expect(signal).toEqual({ macd: expected.macd, macd_histogram: expected.histogram, macd_signal: expected.signal })
+      // called twice in a period
+      seen = await ta_macd(s, 26, 12, 9)
+      expect(seen).toEqual(signal)
+      reference.update(data[i].close)
+      s.lookback.unshift(data[i])
+    }
+    expect(s.indicator_state['ta_macd:26:12:9'].count).toBe(59)
+
+    s.period = data[59]
+    s.lookback = data.slice(0, 59).reverse()
+    let stoch = await ti_stoch(s, 'stoch', 5, 3, 3)
+    let direct = indicators.run(indicators.stoch(5, 3, 'SMA', 3, 'SMA'), data)
+    expect(stoch.k[stoch.k.length - 1]).toBe(direct[direct.length - 1].k)
+    expect(stoch.d.length).toBe(direct.length)
+  })
+
+  it('keeps the indicators a strategy declares as the periods close', () => {
+    let data = bars(40)
+    let s = {
+      lookback: [],
+      period: null,
+      options: { atr_period: 5 },
+      strategy: {
+        indicators: s => ({
+          atr: { type: 'atr', period: s.options.atr_period },
+          atr_avg: { type: 'sma', period: 3, source: 'atr' },
+          bb: { type: 'bbands', period: 10 }
+        })
+      }
+    }
+    let declared = indicators.registry(s)
+    data.forEach(function (bar) {
+      // the period sees three trades before it closes
+      s.period = Object.assign({}, bar, { close: bar.open })
+      declared.update()
+      s.period.close = bar.close
+      declared.update()
+      declared.update()
+      declared.close()
+      s.lookback.unshift(s.period)
+    })
+    let atr = indicators.run(indicators.atr(5), data)
+    expect(atr.length).toBe(40 - 5)
+    let tr = i => Math.max(data[i].high, data[i - 1].close) - Math.min(data[i].low, data[i - 1].close)
+    expect(atr[0]).toBeCloseTo((tr(1) + tr(2) + tr(3) + tr(4) + tr(5)) / 5, 9)
+    expect(atr[1]).toBeCloseTo((atr[0] * 4 + tr(6)) / 5, 9)
+    expect(s.lookback[0].atr).toBe(atr[atr.length - 1])
+    expect(s.lookback[34].atr).toBe(atr[0])
+    expect(s.lookback[35].atr).toBe(undefined)
+    expect(s.lookback[0].atr_avg).toBeCloseTo((atr[34] + atr[33] + atr[32]) / 3, 9)
+    expect(s.lookback[32].atr_avg).toBeCloseTo((atr[0] + atr[1] + atr[2]) / 3, 9)
+    expect(s.lookback[33].atr_avg).toBe(undefined)
+    expect(s.lookback[0].bb.middle).toBeCloseTo(data.slice(30).reduce((sum, bar) => sum + bar.close, 0) / 10, 9)
+
+    s.strategy = { name: 'bad', indicators: { x: { type: 'nope' } } }
+    expect(() => indicators.registry(s)).toThrowError('strategy bad declares x of an unknown indicator type nope')
+  })
+
+  it('keeps the sma and stddev helpers computing what they did over the lookback', () => {
+    let data = bars(50)
+    let s = { lookback: [], period: null }
+    data.forEach(function (bar, i) {
+      s.period = Object.assign({ rate: i % 11 === 0 ? undefined : Math.cos(i) }, bar)
+      sma(s, 'sma', 10, 'high')
+      if (s.lookback.length >= 10) {
+        let window = s.lookback.slice(0, 10)
+        expect(s.period.sma).toBeCloseTo(window.reduce((sum, p) => sum + p.high, 0) / 10, 9)
+      }
+      stddev(s, 'sd', 6, 'rate')
+      if (typeof s.period.rate === 'number') {
+        let values = [s.period.rate]
+        for (let j = 0; j < 6 && j < s.lookback.length && typeof s.lookback[j].rate === 'number'; j++) values.push(s.lookback[j].rate)
+        let avg = values.reduce((a, b) => a + b, 0) / values.length
+        let closed = values.slice(1).reduce((sum, v) => sum + Math.pow(v - avg, 2), 0)
+        expect(s.period.sd).toBeCloseTo(Math.sqrt(closed / values.length), 9)
+      }
+      s.lookback.unshift(s.period)
+    })
+  })
+})
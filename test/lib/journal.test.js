@@ -0,0 +1,117 @@
+let fs = require('fs')
+  , os = require('os')
+  , path = require('path')
+  , lolex = require('lolex')
+  , journal = require('../../lib/journal')
+
+describe('Journal', () => {
+  let file, clock
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), 'zenbot_journal_' + process.pid + '.ndjson')
+    clock = lolex.install({ now: 1000, toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] })
+  })
+
+  afterEach(() => {
+    clock.uninstall()
+    if (fs.existsSync(file)) fs.unlinkSync(file)
+  })
+
+  function exchange () {
+    return {
+      name: 'stub',
+      makerFee: 0.1,
+      getProducts: () => [{ asset: 'BTC', currency: 'USD' }],
+      getCursor: trade => trade.time,
+      getQuote: (opts, cb) => setTimeout(() => cb(null, { bid: 10, ask: 11 }), 50),
+      buy: (opts, cb) => setTimeout(() => cb(Object.assign(new Error('rejected'), { code: 'funds' })), 20)
+    }
+  }
+
+  function record () {
+    let recorder = journal.recorder(file)
+    let s = { options: { mode: 'paper', selector: { normalized: 'stub.BTC-USD' }, binance: { secret: 'x' } }, exchange: exchange() }
+    recorder.header(s)
+    let recorded = recorder.exchange(s.exchange)
+    let update = jasmine.createSpy('update')
+    let engine = recorder.engine({ update: update })
+    engine.update([{ time: 1000, price: 10 }], true, () => {})
+    expect(update).toHaveBeenCalledWith([{ time: 1000, price: 10 }], true, jasmine.any(Function))
+    recorded.getCursor({ time: 5 })
+    recorded.getQuote({ product_id: 'BTC-USD' }, () => {})
+    clock.tick(100)
+    recorded.buy({ size: 1, local_time: 1100 }, () => {})
+    clock.tick(100)
+    recorder.state({ orig_capital: 100 })
+  }
+
+  it('journals the exchange calls and the input of the engine', () => {
+    record()
+    let entries = journal.read(file)
+    expect(entries.map(e => e.type)).toEqual(['header', 'engine', 'sync', 'call', 'response', 'call', 'response', 'state'])
+    expect(entries[0].options).toEqual({ mode: 'paper', selector: { normalized: 'stub.BTC-USD' } })
+    expect(entries[0].properties).toEqual({ name: 'stub', makerFee: 0.1 })
+    expect(entries[0].methods).toEqual(['getProducts', 'getCursor', 'getQuote', 'buy'])
+    expect(entries[1]).toEqual({ type: 'engine', method: 'update', args: [[{ time: 1000, price: 10 }], true], cb: true, t: 1000 })
+    expect(entries[2].result).toBe(5)
+    expect(entries[4]).toEqual({ type: 'response', id: 1, method: 'getQuote', err: null, result: { bid: 10, ask: 11 }, t: 1050 })
+    expect(entries[6].err).toEqual({ code: 'funds', message: 'rejected', error: true })
+  })
+
+  it('answers from the journal at the recorded times and reports divergences', () => {
+    record()
+    clock.setSystemTime(1000)
+    let player = journal.player(journal.read(file))
+    expect(player.exchange.getProducts()).toEqual([{ asset: 'BTC', currency: 'USD' }])
+    expect(player.exchange.makerFee).toBe(0.1)
+    let quote = jasmine.createSpy('quote')
+    player.exchange.getQuote({ product_id: 'BTC-USD' }, quote)
+    clock.tick(49)
+    expect(quote).not.toHaveBeenCalled()
+    clock.tick(1)
+    expect(quote).toHaveBeenCalledWith(null, { bid: 10, ask: 11 })
+
+    let bought = jasmine.createSpy('buy')
+    player.exchange.buy({ size: 2, local_time: 1234 }, bought)
+    clock.tick(100)
+    expect(bought.calls.mostRecent().args[0].message).toBe('rejected')
+    expect(bought.calls.mostRecent().args[0].code).toBe('funds')
+    player.exchange.buy({ size: 1 }, () => {})
+    let report = player.report()
+    expect(report.matched).toBe(2)
+    expect(report.unplayed).toBe(0)
+    expect(report.divergences.map(d => d.recorded)).toEqual([[{ size: 1, local_time: 1100 }], null])
+  })
+
+  it('ignores clock readings when comparing calls', () => {
+    record()
+    clock.setSystemTime(1000)
+    let player = journal.player(journal.read(file))
+    player.exchange.getQuote({ product_id: 'BTC-USD' }, () => {})
+    player.exchange.buy({ size: 1, local_time: 1180 }, () => {})
+    expect(player.report().divergences).toEqual([])
+  })
+
+  it('feeds the engine its input again at the recorded times', (done) => {
+    record()
+    clock.setSystemTime(900)
+    let entries = journal.read(file)
+    let times = []
+    let engine = {
+      idle: cb => cb(),
+      update: function (trades, is_preroll, cb) {
+        times.push(Date.now())
+        expect(trades).toEqual([{ time: 1000, price: 10 }])
+        expect(is_preroll).toBe(true)
+        expect(typeof cb).toBe('function')
+      }
+    }
+    let s = {}
+    journal.replay(entries, engine, s, clock, function () {
+      expect(times).toEqual([1000])
+      expect(s.orig_capital).toBe(100)
+      expect(clock.now).toBe(1200)
+      done()
+    })
+  })
+})
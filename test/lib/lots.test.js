@@ -0,0 +1,67 @@
+let lots = require('../../lib/lots')
+
+describe('Lots', () => {
+  let s, ledger
+
+  beforeEach(() => {
+    s = { options: { sell_stop_pct: 10, take_profit_pct: 20 } }
+    ledger = lots(s)
+  })
+
+  describe('open', () => {
+    it('derives stop and target from the options', () => {
+      let lot = ledger.open({ price: 100, size: 1, time: 1 })
+      expect(s.lots.length).toBe(1)
+      expect(lot.sell_stop).toBe(90)
+      expect(lot.target).toBe(120)
+    })
+
+    it('prefers a stop and target given by the strategy', () => {
+      let lot = ledger.open({ price: 100, size: 1, time: 1 }, { stop: 95, target: 150 })
+      expect(lot.sell_stop).toBe(95)
+      expect(lot.target).toBe(150)
+    })
+  })
+
+  describe('reduce', () => {
+    it('closes lots first in first out', () => {
+      let first = ledger.open({ price: 100, size: 1, time: 1 })
+      let second = ledger.open({ price: 90, size: 2, time: 2 })
+      let closed = ledger.reduce(1.5)
+      expect(closed.length).toBe(2)
+      expect(ledger.find(first.id)).toBeUndefined()
+      expect(second.size).toBe(1.5)
+      expect(ledger.size()).toBe(1.5)
+    })
+
+    it('closes the targeted lot first', () => {
+      let first = ledger.open({ price: 100, size: 1, time: 1 })
+      let second = ledger.open({ price: 90, size: 2, time: 2 })
+      ledger.reduce(2, second.id)
+      expect(ledger.count()).toBe(1)
+      expect(ledger.oldest()).toBe(first)
+    })
+  })
+
+  describe('evaluate', () => {
+    it('triggers the sell stop of the lot it was hit for', () => {
+      ledger.open({ price: 80, size: 1, time: 1 })
+      let high = ledger.open({ price: 100, size: 1, time: 2 })
+      let triggered = ledger.evaluate(89)
+      expect(triggered.lot).toBe(high)
+      expect(triggered.reason).toBe('sell stop')
+    })
+
+    it('triggers the target', () => {
+      let lot = ledger.open({ price: 100, size: 1, time: 1 })
+      let triggered = ledger.evaluate(121)
+      expect(triggered.lot).toBe(lot)
+      expect(triggered.reason).toBe('target')
+    })
+
+    it('returns null when nothing is triggered', () => {
+      ledger.open({ price: 100, size: 1, time: 1 })
+      expect(ledger.evaluate(105)).toBeNull()
+    })
+  })
+})
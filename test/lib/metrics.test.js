@@ -0,0 +1,68 @@
+let metrics = require('../../lib/metrics')
+
+describe('Metrics', () => {
+  let HOUR = 3600000
+
+  function state (curve, trades) {
+    let last = curve.pop()
+    return {
+      options: {},
+      equity: curve.map((equity, i) => ({ time: i * HOUR, equity: equity })),
+      period: { time: curve.length * HOUR, close: 1 },
+      balance: { currency: last, asset: 0 },
+      margin: { borrowed: 0, interest: 0 },
+      my_trades: trades || []
+    }
+  }
+
+  it('finds the max drawdown and how long it took to recover', () => {
+    let m = metrics(state([100, 120, 90, 110, 130, 125, 140]))
+    expect(m.max_drawdown).toBeCloseTo(0.25, 10)
+    expect(m.max_drawdown_duration).toBe(3 * HOUR)
+    expect(metrics.drawdown([{ time: 0, equity: 100 }, { time: HOUR, equity: 80 }, { time: 2 * HOUR, equity: 90 }]).duration).toBe(2 * HOUR)
+  })
+
+  it('annualizes the sharpe and sortino ratios', () => {
+    let m = metrics(state([100, 110, 99, 108.9]))
+    let returns = [0.1, -0.1, 0.1]
+    let mean = 0.1 / 3
+    let deviation = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / 2)
+    let periods = 365 * 24
+    expect(m.sharpe).toBeCloseTo(mean / deviation * Math.sqrt(periods), 6)
+    expect(m.sortino).toBeCloseTo(mean / Math.sqrt(0.01 / 3) * Math.sqrt(periods), 6)
+    expect(m.calmar).toBeCloseTo(m.annual_return / 0.1, 6)
+    expect(metrics(state([100, 100])).sortino).toBe(0)
+  })
+
+  it('rebuilds the round trips with their fees', () => {
+    let trips = metrics.roundTrips([
+      { type: 'buy', size: '1.0', price: 100, fee: 0.01, time: 0 },
+      { type: 'sell', size: '0.99', price: 110, fee: 0.5, time: HOUR },
+      { type: 'sell', size: '1.0', price: 100, fee: 0.1, position: 'short', time: 2 * HOUR },
+      { type: 'buy', size: '1.0', price: 90, fee: 0, position: 'short', time: 4 * HOUR },
+      { type: 'buy', size: '1.0', price: 90, fee: 0, time: 5 * HOUR }
+    ])
+    expect(trips.trips.length).toBe(2)
+    expect(trips.trips[0].profit).toBeCloseTo(0.99 * 110 - 0.5 - 100, 10)
+    expect(trips.trips[1].short).toBe(true)
+    expect(trips.trips[1].profit).toBeCloseTo(99.9 - 90, 10)
+    expect(trips.open.open_time).toBe(5 * HOUR)
+  })
+
+  it('sums the round trips up into win rate, profit factor and holding time', () => {
+    let m = metrics(state([100, 100, 100, 100, 100], [
+      { type: 'buy', size: 1, price: 100, time: 0 },
+      { type: 'sell', size: 1, price: 110, time: HOUR },
+      { type: 'buy', size: 1, price: 100, time: 2 * HOUR },
+      { type: 'sell', size: 1, price: 95, time: 4 * HOUR }
+    ]))
+    expect(m.round_trips).toBe(2)
+    expect(m.win_rate).toBe(0.5)
+    expect(m.avg_win).toBeCloseTo(0.1, 10)
+    expect(m.avg_loss).toBeCloseTo(-0.05, 10)
+    expect(m.profit_factor).toBeCloseTo(2, 10)
+    expect(m.expectancy).toBeCloseTo(0.025, 10)
+    expect(m.avg_holding_time).toBe(1.5 * HOUR)
+    expect(m.exposure).toBeCloseTo(0.75, 10)
+  })
+})
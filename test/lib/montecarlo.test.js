@@ -0,0 +1,62 @@
+let montecarlo = require('../../lib/montecarlo')
+
+describe('Monte Carlo', () => {
+  // a repeatable random sequence
+  function sequence (values) {
+    let i = 0
+    return () => values[i++ % values.length]
+  }
+
+  // round trips that put all of the equity in
+  function trips (returns) {
+    return returns.map(r => ({ return: r, exposure: 1 }))
+  }
+
+  let opts = { runs: 4, method: 'resample', slippage_pct: 0, skip_pct: 0, ruin_pct: 50, buy_pct: 100 }
+
+  it('takes the round trips with the share of equity they put in', () => {
+    let taken = montecarlo.trips([
+      { type: 'buy', size: 1, price: 100, time: 0, equity: 400 },
+      { type: 'sell', size: 1, price: 110, time: 1, equity: 410 },
+      { type: 'buy', size: 1, price: 100, time: 2 },
+      { type: 'sell', size: 1, price: 90, time: 3 }
+    ])
+    expect(taken.length).toBe(2)
+    expect(taken[0].return).toBeCloseTo(0.1, 10)
+    expect(taken[0].exposure).toBeCloseTo(0.25, 10)
+    expect(taken[1].return).toBeCloseTo(-0.1, 10)
+    expect(taken[1].exposure).toBe(null)
+  })
+
+  it('compounds each round trip on its own exposure, or buy_pct without one', () => {
+    let mc = montecarlo([{ return: 0.1, exposure: 0.5 }, { return: -0.2, exposure: null }], Object.assign({}, opts, { runs: 0, buy_pct: 25 }))
+    expect(mc.actual.final_equity).toBeCloseTo(1.05 * 0.95, 10)
+  })
+
+  it('resamples the returns with replacement', () => {
+    // the runs draw [0.1, 0.1], [0.1, -0.5], [-0.5, 0.1] and [-0.5, -0.5]
+    let mc = montecarlo(trips([0.1, -0.5]), Object.assign({}, opts, { random: sequence([0, 0, 0, 0.9, 0.9, 0, 0.9, 0.9]) }))
+    expect(mc.final_equity[50]).toBeCloseTo(0.55, 10)
+    expect(mc.final_equity[95]).toBeCloseTo(0.55 + 0.66 * 0.85, 10)
+    // drawdowns of 0, 50%, 50% and 75%
+    expect(mc.max_drawdown[95]).toBeCloseTo(0.7125, 10)
+    // 0.55 is not down 50% yet, 0.5 is
+    expect(mc.risk_of_ruin).toBe(0.5)
+    expect(mc.actual.final_equity).toBeCloseTo(0.55, 10)
+    expect(mc.actual.luck).toBe(0.25)
+  })
+
+  it('shuffles the order only, so the final equity stays but the drawdown does not', () => {
+    let mc = montecarlo(trips([0.2, -0.1, -0.1, 0.2]), Object.assign({}, opts, { method: 'shuffle', runs: 50 }))
+    expect(mc.final_equity[5]).toBeCloseTo(mc.final_equity[95], 10)
+    expect(mc.max_drawdown[95]).toBeGreaterThanOrEqual(mc.max_drawdown[5])
+  })
+
+  it('costs random slippage and skips round trips', () => {
+    let slipped = montecarlo(trips([0.1]), Object.assign({}, opts, { runs: 1, slippage_pct: 1, random: sequence([0, 0.5, 0.5]) }))
+    // resampling draws 0, then two fills slipping 1% on average each
+    expect(slipped.final_equity[50]).toBeCloseTo(1.1 - 0.02 * 1, 10)
+    let skipped = montecarlo(trips([0.1]), Object.assign({}, opts, { runs: 1, skip_pct: 50, random: sequence([0, 0.1]) }))
+    expect(skipped.final_equity[50]).toBe(1)
+  })
+})
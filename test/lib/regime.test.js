@@ -0,0 +1,126 @@
+let regime = require('../../lib/regime')
+  , indicators = require('../../lib/indicators')
+  , metrics = require('../../lib/metrics')
+
+describe('Regime', () => {
+  // a repeatable series of pseudo random numbers from -0.5 to 0.5
+  function noise (seed) {
+    return function () {
+      seed = (seed * 16807) % 2147483647
+      return seed / 2147483647 - 0.5
+    }
+  }
+
+  // bars of the closes, high and low spread around them
+  function bars (closes, spread) {
+    return closes.map((close, i) => ({ time: i * 60000, open: close, high: close * (1 + spread), low: close * (1 - spread), close: close, volume: 1 }))
+  }
+
+  // feeds the bars like the engine, two trades a period
+  function classify (options, data) {
+    let s = { options: options, lookback: [] }
+    let regimes = regime(s)
+    let seen = []
+    data.forEach(function (bar) {
+      s.period = Object.assign({}, bar, { close: bar.open })
+      regimes.update()
+      s.period.close = bar.close
+      regimes.update()
+      let peeked = s.regime
+      regimes.close()
+      expect(s.regime).toBe(peeked)
+      seen.push(s.regime)
+      s.lookback.unshift(s.period)
+    })
+    return { s: s, seen: seen }
+  }
+
+  it('computes the ADX and directional indicators like Wilder', () => {
+    let random = noise(7)
+    let data = bars(Array.from({ length: 80 }, (v, i) => 100 + i * 0.3 + random() * 4), 0.01)
+    let period = 5
+    let adx = indicators.run(indicators.adx(period), data)
+    expect(adx.length).toBe(80 - 2 * period + 1)
+
+    let smooth = (values, i) => {
+      let sum = values.slice(1, period).reduce((a, b) => a + b, 0)
+      for (let j = period; j <= i; j++) sum = sum - sum / period + values[j]
+      return sum
+    }
+    let plus = [0], minus = [0], tr = [0]
+    for (let i = 1; i < data.length; i++) {
+      let up = data[i].high - data[i - 1].high
+      let down = data[i - 1].low - data[i].low
+      plus.push(up > down && up > 0 ? up : 0)
+      minus.push(down > up && down > 0 ? down : 0)
+      tr.push(Math.max(data[i].high, data[i - 1].close) - Math.min(data[i].low, data[i - 1].close))
+    }
+    let di = i => [100 * smooth(plus, i) / smooth(tr, i), 100 * smooth(minus, i) / smooth(tr, i)]
+    let dx = i => Math.abs(di(i)[0] - di(i)[1]) / (di(i)[0] + di(i)[1]) * 100
+    let expected = [period, 6, 7, 8, 9].reduce((sum, i) => sum + dx(i), 0) / period
+    expect(adx[0].adx).toBeCloseTo(expected, 9)
+    expected = (expected * (period - 1) + dx(10)) / period
+    expect(adx[1].adx).toBeCloseTo(expected, 9)
+    expect(adx[1].plus_di).toBeCloseTo(di(10)[0], 9)
+    expect(adx[1].minus_di).toBeCloseTo(di(10)[1], 9)
+  })
+
+  it('classifies trends, volatility and ranges by thresholds', () => {
+    let options = { regime: 'thresholds', regime_adx: 25, regime_high_vol: 1.5, regime_low_vol: 0.7 }
+    let random = noise(11)
+    let ranging = Array.from({ length: 100 }, () => 100 + random())
+    // calm, then a steady climb
+    let closes = ranging.slice()
+    for (let i = 0; i < 40; i++) closes.push(100 + random() * 0.05)
+    for (let i = 1; i <= 40; i++) closes.push(100 + i * 0.8 + random() * 0.2)
+    let run = classify(options, bars(closes, 0.002))
+    expect(run.seen.slice(0, 60).every(value => value === null)).toBe(true)
+    expect(run.seen.slice(60, 100).filter(value => value === 'ranging').length).toBeGreaterThan(20)
+    expect(run.seen[139]).toBe('low-volatility')
+    expect(run.seen[179]).toBe('trending-up')
+    expect(run.s.lookback[40].regime).toBe(run.seen[139])
+
+    // wild swings
+    run = classify(options, bars(ranging.concat(Array.from({ length: 10 }, (v, i) => 100 + (i % 2 ? 15 : -15))), 0.002))
+    expect(run.seen[109]).toBe('high-volatility')
+
+    run = classify({ regime: 'off' }, bars(closes, 0.002))
+    expect(run.seen.every(value => value === null)).toBe(true)
+    expect(run.s.lookback[0].regime).toBe(undefined)
+  })
+
+  it('labels the states of a hidden Markov model of the returns', () => {
+    let random = noise(3)
+    let close = 100
+    let closes = []
+    for (let i = 0; i < 150; i++) closes.push(close *= 1 + random() * 0.002)
+    for (let i = 0; i < 40; i++) closes.push(close *= 1 + random() * 0.05)
+    let run = classify({ regime: 'hmm', regime_hmm_window: 200 }, bars(closes, 0.001))
+    expect(run.seen.slice(0, 50).every(value => value === null)).toBe(true)
+    expect(regime.REGIMES).toContain(run.seen[60])
+    expect(run.seen[189]).toBe('high-volatility')
+    expect(run.seen[149]).not.toBe('high-volatility')
+  })
+
+  it('breaks the P&L down by regime', () => {
+    let curve = [
+      { time: 0, equity: 1000, regime: 'ranging' },
+      { time: 1, equity: 1010, regime: 'trending-up' },
+      { time: 2, equity: 1030, regime: 'trending-up' },
+      { time: 3, equity: 1000, regime: 'high-volatility' },
+      { time: 4, equity: 1005 }
+    ]
+    let trips = [
+      { open_time: 1, close_time: 2, profit: 20 },
+      { open_time: 2.5, close_time: 3, profit: -30 },
+      { open_time: 3, close_time: 4, profit: 5 }
+    ]
+    expect(metrics.byRegime(curve, trips)).toEqual({
+      'trending-up': { periods: 2, profit: 30, round_trips: 2, win_rate: 0.5 },
+      'high-volatility': { periods: 1, profit: -30, round_trips: 1, win_rate: 1 }
+    })
+    let lines = metrics.lines({ regimes: metrics.byRegime(curve, trips) }).slice(-2)
+    expect(lines[0]).toMatch(/^trending-up: /)
+    expect(lines[1]).toMatch(/^high-volatility: /)
+  })
+})
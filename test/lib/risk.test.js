@@ -0,0 +1,56 @@
+let risk = require('../../lib/risk')
+
+describe('Risk', () => {
+  let s, guard
+  let DAY = 86400000
+
+  beforeEach(() => {
+    s = {
+      options: { max_daily_loss_pct: 5, max_drawdown_pct: 20, max_trades_per_hour: 2, max_exposure_pct: 50 },
+      currency: 'USD',
+      balance: { currency: 1000, asset: 0 },
+      margin: { borrowed: 0, interest: 0 }
+    }
+    guard = risk(s)
+  })
+
+  it('halts for the day on a realized daily loss', () => {
+    guard.update(100, DAY + 1)
+    guard.onFill({ type: 'buy', size: 10, price: 100, fee: 0, time: DAY + 2 })
+    guard.onFill({ type: 'sell', size: 10, price: 94, fee: 0, time: DAY + 3 })
+    expect(guard.update(94, DAY + 4)).toMatch(/daily loss/)
+    expect(guard.check(94, DAY + 5)).toMatch(/halted/)
+    // lifts at the next UTC day
+    guard.update(94, 2 * DAY + 1)
+    expect(guard.halted()).toBe(false)
+  })
+
+  it('halts on a drawdown from the high-water mark until reset', () => {
+    s.balance = { currency: 0, asset: 10 }
+    guard.update(100, DAY)
+    expect(guard.update(81, DAY + 1)).toBeNull()
+    expect(guard.update(79, DAY + 2)).toMatch(/drawdown/)
+    guard.update(100, 3 * DAY)
+    expect(guard.halted()).toBe(true)
+    guard.reset()
+    expect(guard.halted()).toBe(false)
+  })
+
+  it('limits fills per hour', () => {
+    guard.onFill({ type: 'buy', size: 1, price: 100, fee: 0, time: 1000 })
+    guard.onFill({ type: 'sell', size: 1, price: 100, fee: 0, time: 2000 })
+    expect(guard.check(100, 3000)).toMatch(/max_trades_per_hour/)
+    expect(guard.check(100, 3600000 + 2001)).toBeNull()
+  })
+
+  it('limits exposure', () => {
+    s.balance = { currency: 400, asset: 6 }
+    expect(guard.check(100, 1000)).toMatch(/exposure/)
+  })
+
+  it('restores a persisted halt', () => {
+    guard.load({ halted: { reason: 'drawdown', time: 1 }, high_water: 2000, _id: 'x' })
+    expect(guard.halted()).toBe(true)
+    expect(guard.state()._id).toBeUndefined()
+  })
+})
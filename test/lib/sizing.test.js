@@ -0,0 +1,63 @@
+let sizing = require('../../lib/sizing')
+
+describe('Sizing', () => {
+  let s
+
+  beforeEach(() => {
+    s = {
+      options: { sizer: 'fixed', risk_pct: 1, sell_stop_pct: 5, atr_periods: 2, atr_multiplier: 2, kelly_fraction: 0.5, kelly_min_trades: 4 },
+      balance: { deposit: 1000 },
+      asset_capital: 0,
+      lookback: [],
+      my_trades: []
+    }
+  })
+
+  it('fixed uses buy_pct', () => {
+    expect(sizing(s).entryPct(100, 'long', 50)).toBe(50)
+  })
+
+  it('risk_pct risks a share of equity down to sell_stop_pct', () => {
+    s.options.sizer = 'risk_pct'
+    // 1% of 1000 over a 5% stop is a 200 position
+    expect(sizing(s).entryPct(100, 'long', 99)).toBeCloseTo(20, 8)
+  })
+
+  it('risk_pct uses the stop given by the strategy and caps at buy_pct', () => {
+    s.options.sizer = 'risk_pct'
+    expect(sizing(s).entryPct(100, 'long', 99, { stop_price: 99.5 })).toBe(99)
+  })
+
+  it('atr sizes against the average true range', () => {
+    s.options.sizer = 'atr'
+    s.lookback = [
+      { high: 102, low: 98, close: 100 },
+      { high: 101, low: 97, close: 99 },
+      { high: 100, low: 98, close: 99 }
+    ]
+    // average true range 4, stop 8 away: 10 risked over 8% is a 125 position
+    expect(sizing(s).entryPct(100, 'long', 99)).toBeCloseTo(12.5, 8)
+  })
+
+  it('kelly waits for enough closed trades', () => {
+    s.options.sizer = 'kelly'
+    s.my_trades = [{ type: 'sell', profit: 0.1 }]
+    expect(sizing(s).entryPct(100, 'long', 40)).toBe(40)
+  })
+
+  it('kelly bets a fraction of the edge', () => {
+    s.options.sizer = 'kelly'
+    s.my_trades = [
+      { type: 'sell', profit: 0.1 },
+      { type: 'sell', profit: 0.1 },
+      { type: 'sell', profit: 0.1 },
+      { type: 'sell', profit: -0.1 }
+    ]
+    // win rate 0.75 with a 1:1 payoff is a full Kelly of 0.5
+    expect(sizing(s).entryPct(100, 'long', 99)).toBeCloseTo(25, 8)
+  })
+
+  it('lets the strategy override the percentage', () => {
+    expect(sizing(s).entryPct(100, 'long', 50, { pct: 12 })).toBe(12)
+  })
+})
@@ -0,0 +1,66 @@
+let timeframes = require('../../lib/timeframes')
+  , ema = require('../../lib/ema')
+
+describe('Timeframes', () => {
+  let MIN = 60000
+  let s, closed
+
+  function feed (series, trades) {
+    trades.forEach(function (trade) {
+      series.roll(trade, () => {})
+      series.update(trade)
+    })
+  }
+
+  function trade (minute, price) {
+    return { time: minute * MIN, price: price, size: 1 }
+  }
+
+  beforeEach(() => {
+    closed = []
+    s = {
+      options: { period_length: '1m' },
+      strategy: {
+        name: 'test',
+        timeframes: ['15m', '5m'],
+        calculateTimeframe: function (s, tf) {
+          if (tf.size === '5m') ema(tf, 'ema', 2)
+        },
+        onTimeframePeriod: function (s, tf, cb) {
+          closed.push(tf.size + ' ' + tf.period.time / MIN)
+          cb()
+        }
+      }
+    }
+  })
+
+  it('builds the declared series aligned to their own close times', () => {
+    let series = timeframes(s)
+    expect(Object.keys(s.tf)).toEqual(['1m', '5m', '15m'])
+    feed(series, [trade(3, 10), trade(4.5, 12), trade(7, 8), trade(14.9, 9), trade(15, 11)])
+    expect(closed).toEqual(['5m 0', '5m 5', '5m 10', '15m 0'])
+    expect(s.tf['15m'].lookback[0]).toEqual(jasmine.objectContaining({ time: 0, open: 10, high: 12, low: 8, close: 9, volume: 4, close_time: 15 * MIN - 1 }))
+    expect(s.tf['15m'].period).toEqual(jasmine.objectContaining({ time: 15 * MIN, open: 11, close: 11, volume: 1 }))
+    expect(s.tf['5m'].lookback.map(p => p.close)).toEqual([9, 8, 12])
+    expect(s.tf['5m'].lookback[0].ema).toBeCloseTo(28 / 3, 8)
+  })
+
+  it('aliases the primary series and skips timeframes without trades', () => {
+    let series = timeframes(s)
+    s.period = { time: 0 }
+    s.lookback = [{ time: -MIN }]
+    expect(s.tf['1m'].period).toBe(s.period)
+    expect(s.tf['1m'].lookback).toBe(s.lookback)
+    feed(series, [trade(1, 10), trade(61, 20)])
+    expect(closed).toEqual(['5m 0', '15m 0'])
+    expect(s.tf['5m'].period.time).toBe(60 * MIN)
+  })
+
+  it('rejects invalid timeframes and prerolls the longest one', () => {
+    s.strategy.timeframes = () => ['15x']
+    expect(() => timeframes(s)).toThrowError(/invalid timeframe 15x/)
+    s.strategy.timeframes = ['1h']
+    expect(timeframes.start(s.strategy, s, 10 * 60 * MIN, 3)).toBe(7 * 60 * MIN)
+    expect(timeframes.start({}, s, 10 * 60 * MIN, 3)).toBe(597 * MIN)
+  })
+})
@@ -0,0 +1,45 @@
+let walk = require('../../lib/walk_forward')
+  , Phenotypes = require('../../lib/phenotype')
+
+describe('Walk forward', () => {
+  let DAY = 86400000
+
+  it('rolls the folds forward by the out-of-sample window', () => {
+    let folds = walk.folds(0, 50 * DAY, 30, 10)
+    expect(folds).toEqual([
+      { in_start: 0, in_end: 30 * DAY, out_start: 30 * DAY, out_end: 40 * DAY },
+      { in_start: 10 * DAY, in_end: 40 * DAY, out_start: 40 * DAY, out_end: 50 * DAY }
+    ])
+    expect(walk.folds(0, 39 * DAY, 30, 10)).toEqual([])
+  })
+
+  it('compounds the out-of-sample profits', () => {
+    let stitched = walk.stitch([0.1, -0.5, null])
+    expect(stitched.equity).toEqual([1, 1.1, 0.55, 0.55])
+    expect(stitched.profit).toBeCloseTo(-0.45, 10)
+  })
+
+  it('compares the daily out-of-sample profit to the in-sample one', () => {
+    expect(walk.efficiency([0.3, 0.3], 30, [0.05, 0.05], 10)).toBeCloseTo(0.5, 10)
+    expect(walk.efficiency([-0.1], 30, [0.05], 10)).toBe(0)
+  })
+
+  it('scores how much the winning parameters moved between folds', () => {
+    let ranges = {
+      trend_ema: Phenotypes.Range(0, 40),
+      period_length: Phenotypes.RangePeriod(1, 60, 'm'),
+      order_type: Phenotypes.ListOption(['maker', 'taker'])
+    }
+    let stability = walk.stability([
+      { trend_ema: 10, period_length: '5m', order_type: 'maker' },
+      { trend_ema: 30, period_length: '5m', order_type: 'maker' },
+      { trend_ema: 10, period_length: '5m', order_type: 'taker' },
+      { trend_ema: 30, period_length: '5m', order_type: 'maker' }
+    ], ranges)
+    expect(stability.params.trend_ema.score).toBeCloseTo(0.75, 10)
+    expect(stability.params.period_length.score).toBe(1)
+    expect(stability.params.order_type.mode).toBe('maker')
+    expect(stability.params.order_type.score).toBe(0.75)
+    expect(stability.score).toBeCloseTo(2.5 / 3, 10)
+  })
+})